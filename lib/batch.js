@@ -0,0 +1,506 @@
+/**
+ * Fluent builder for accumulating many edits to a single model and
+ * sending them to Minerva as a single request set.
+ *
+ * Usually created through {module:bbop-manager-minerva#batch} rather
+ * than directly.
+ *
+ * @modules bbop-manager-minerva/batch
+ */
+
+var us = require('underscore');
+
+var class_expression = require('class-expression');
+var requests = require('minerva-requests');
+
+var evidence = require('./evidence');
+
+// Aliasing.
+var request_set = requests.request_set;
+
+/**
+ * A chainable collection of edits against a single model. Every edit
+ * method mirrors the manager method of the same name, minus the model
+ * id, and returns the batch so that calls can be strung together.
+ *
+ * Individuals created in the batch can be given a label; the label
+ * can then be used in place of an individual id in any later step of
+ * the same batch. Internally, the label resolves to the request
+ * variable that Minerva will bind to the new individual.
+ *
+ * Nothing is sent until commit() is called; at that point the whole
+ * batch goes out through the manager's request_with as one
+ * request set.
+ *
+ * @constructor
+ * @param {Object} manager - the {module:bbop-manager-minerva} that will send the batch
+ * @param {String} model_id - string
+ * @returns {batch} a new batch builder
+ */
+var batch = function(manager, model_id){
+    this._is_a = 'bbop-manager-minerva.batch';
+    var anchor = this;
+
+    anchor._manager = manager;
+    anchor._model_id = model_id;
+    anchor._request_set = new request_set(manager.user_token(), model_id);
+
+    // Map of user labels to the request variables of individuals
+    // created in this batch.
+    anchor._handles = {};
+    anchor._last_handle = null;
+
+    // One of 'open', 'committed', or 'aborted'.
+    anchor._state = 'open';
+
+    // Bail if we try to add to something that has already been sent
+    // or thrown away.
+    function _ensure_open(){
+	if( anchor._state !== 'open' ){
+	    throw new Error('batch has already been ' + anchor._state);
+	}
+    }
+
+    // Take either a label for an earlier individual or a real id and
+    // return something that Minerva will understand.
+    function _resolve(id){
+	var ret = id;
+	if( us.isString(id) && us.has(anchor._handles, id) ){
+	    ret = anchor._handles[id];
+	}
+	return ret;
+    }
+
+    // Evidence that passes the manager's checks, or an evidence
+    // error.
+    function _evidence(evidence_id, source_ids, with_strs){
+	var ev = evidence.from_arguments(evidence_id, source_ids, with_strs);
+	var problems = anchor._manager.check_evidence(ev);
+	if( ! us.isEmpty(problems) ){
+	    throw evidence.error(problems);
+	}
+	return ev;
+    }
+
+    // Resolve a fact triple.
+    function _triple(source_id, target_id, rel_id){
+	return [_resolve(source_id), _resolve(target_id), rel_id];
+    }
+
+    // Add a new individual, optionally remembering it under a label.
+    function _add_individual(cls_expr, label){
+	var ind = anchor._request_set.add_individual(cls_expr);
+	anchor._last_handle = ind;
+	if( label ){
+	    if( us.has(anchor._handles, label) ){
+		throw new Error('batch label already in use: ' + label);
+	    }
+	    anchor._handles[label] = ind;
+	}
+	return ind;
+    }
+
+    ///
+    /// Handles and inspection.
+    ///
+
+    /**
+     * Get the handle for an individual created earlier in this batch.
+     * The handle may be used anywhere an individual id is expected in
+     * a later step of the same batch.
+     *
+     * @param {String} label - the label given when the individual was added
+     * @returns {String|null} the handle, or null if the label is unknown
+     */
+    anchor.handle = function(label){
+	var ret = null;
+	if( us.has(anchor._handles, label) ){
+	    ret = anchor._handles[label];
+	}
+	return ret;
+    };
+
+    /**
+     * Get the handles of all labeled individuals created in this
+     * batch.
+     *
+     * @returns {Object} map of labels to handles
+     */
+    anchor.handles = function(){
+	return us.clone(anchor._handles);
+    };
+
+    /**
+     * Get the handle of the most recently added individual, labeled
+     * or not.
+     *
+     * @returns {String|null} the handle
+     */
+    anchor.last_individual = function(){
+	return anchor._last_handle;
+    };
+
+    /**
+     * The state of the batch.
+     *
+     * @returns {String} "open", "committed", or "aborted"
+     */
+    anchor.state = function(){
+	return anchor._state;
+    };
+
+    /**
+     * The number of individual Minerva requests queued so far. Note
+     * that some edits (e.g. evidence) expand into several requests.
+     *
+     * @returns {Number} number of requests
+     */
+    anchor.size = function(){
+	return anchor._request_set.structure()['requests'].length;
+    };
+
+    /**
+     * The underlying request set, for anything not covered by the
+     * builder vocabulary.
+     *
+     * @returns {module:minerva-requests#request_set} request set
+     */
+    anchor.request_set = function(){
+	return anchor._request_set;
+    };
+
+    /**
+     * Show what would be sent on commit, as the structured object
+     * produced by the request set.
+     *
+     * @returns {Object} request set structure
+     */
+    anchor.preview = function(){
+	return anchor._request_set.structure();
+    };
+
+    ///
+    /// Sending.
+    ///
+
+    /**
+     * Send everything in the batch through the manager as one
+     * request. The batch cannot be used afterwards.
+     *
+     * @param {Object} [options] - "signal" and "timeout", as for the manager's request_with
+     * @returns {module:bbop-barista-response#response} barista response, or whatever the manager's request_with returns in the current mode
+     */
+    anchor.commit = function(options){
+	_ensure_open();
+
+	if( anchor.size() === 0 ){
+	    throw new Error('cannot commit an empty batch');
+	}
+
+	anchor._state = 'committed';
+	return anchor._manager.request_with(anchor._request_set, null, options);
+    };
+
+    /**
+     * Throw away the batch without sending anything. The batch
+     * cannot be used afterwards.
+     *
+     * @returns {batch} this batch
+     */
+    anchor.abort = function(){
+	_ensure_open();
+	anchor._state = 'aborted';
+	return anchor;
+    };
+
+    ///
+    /// Edit vocabulary.
+    ///
+
+    /**
+     * Add a new individual to the model.
+     *
+     * @param {String} cls_expr - anything taken by {module:class-expression}
+     * @param {String} [label] - name to refer to the new individual later in the batch
+     * @returns {batch} this batch
+     */
+    anchor.add_individual = function(cls_expr, label){
+	_ensure_open();
+	_add_individual(cls_expr, label);
+	return anchor;
+    };
+
+    /**
+     * Remove an individual from the model.
+     *
+     * @param {String} indv_id - string or batch label
+     * @returns {batch} this batch
+     */
+    anchor.remove_individual = function(indv_id){
+	_ensure_open();
+	anchor._request_set.remove_individual(_resolve(indv_id));
+	return anchor;
+    };
+
+    /**
+     * Add a simple composite (class, enabled_by, and occurs_in) as a
+     * new individual, with the same expressions as the manager's
+     * add_simple_composite.
+     *
+     * @param {String} cls_expr - anything taken by {module:class-expression}
+     * @param {String} [enabled_by_expr] - anything taken by {module:class-expression}
+     * @param {String} [occurs_in_expr] - anything taken by {module:class-expression}
+     * @param {String} [label] - name to refer to the new individual later in the batch
+     * @returns {batch} this batch
+     */
+    anchor.add_simple_composite = function(cls_expr, enabled_by_expr,
+					   occurs_in_expr, label){
+	_ensure_open();
+
+	var ind = _add_individual(cls_expr, label);
+	if( enabled_by_expr ){
+	    anchor._request_set.add_type_to_individual(
+		class_expression.svf(enabled_by_expr, 'RO:0002333'), ind);
+	}
+	if( occurs_in_expr ){
+	    anchor._request_set.add_type_to_individual(
+		class_expression.svf(occurs_in_expr, 'occurs_in'), ind);
+	}
+
+	return anchor;
+    };
+
+    /**
+     * Add a class expression to an individual.
+     *
+     * @param {String} indv_id - string or batch label
+     * @param {String} cls_expr - anything taken by {module:class-expression}
+     * @returns {batch} this batch
+     */
+    anchor.add_class_expression = function(indv_id, cls_expr){
+	_ensure_open();
+	anchor._request_set.add_type_to_individual(cls_expr, _resolve(indv_id));
+	return anchor;
+    };
+
+    /**
+     * Remove a class expression from an individual.
+     *
+     * @param {String} indv_id - string or batch label
+     * @param {String} cls_expr - anything taken by {module:class-expression}
+     * @returns {batch} this batch
+     */
+    anchor.remove_class_expression = function(indv_id, cls_expr){
+	_ensure_open();
+	anchor._request_set.remove_type_from_individual(cls_expr,
+							_resolve(indv_id));
+	return anchor;
+    };
+
+    /**
+     * Add a fact to the model.
+     *
+     * @param {String} source_id - string or batch label
+     * @param {String} target_id - string or batch label
+     * @param {String} rel_id - string
+     * @returns {batch} this batch
+     */
+    anchor.add_fact = function(source_id, target_id, rel_id){
+	_ensure_open();
+	anchor._request_set.add_fact(_triple(source_id, target_id, rel_id));
+	return anchor;
+    };
+
+    /**
+     * Remove a fact from the model.
+     *
+     * @param {String} source_id - string or batch label
+     * @param {String} target_id - string or batch label
+     * @param {String} rel_id - string
+     * @returns {batch} this batch
+     */
+    anchor.remove_fact = function(source_id, target_id, rel_id){
+	_ensure_open();
+	anchor._request_set.remove_fact(_triple(source_id, target_id, rel_id));
+	return anchor;
+    };
+
+    /**
+     * Add evidence to an individual. Evidence that does not pass
+     * the manager's check_evidence() throws an error with the
+     * problems under "problems".
+     *
+     * @param {String} indv_id - string or batch label
+     * @param {Object|String} evidence_id - evidence object, or ECO id
+     * @param {Array|String} [source_ids] - string or list of strings
+     * @param {Array|String|null} [with_strs] - string or list of strings or null
+     * @returns {batch} this batch
+     */
+    anchor.add_individual_evidence = function(indv_id, evidence_id,
+					      source_ids, with_strs){
+	_ensure_open();
+	var ev = _evidence(evidence_id, source_ids, with_strs);
+	anchor._request_set.add_evidence(ev.type(), ev.sources(),
+					 ev.with_strs(), _resolve(indv_id),
+					 anchor._model_id);
+	return anchor;
+    };
+
+    /**
+     * Add evidence to a fact; checked as with add_individual_evidence.
+     *
+     * @param {String} source_id - string or batch label
+     * @param {String} target_id - string or batch label
+     * @param {String} rel_id - string
+     * @param {Object|String} evidence_id - evidence object, or ECO id
+     * @param {Array|String} [source_ids] - string or list of strings
+     * @param {Array|String|null} [with_strs] - string or list of strings or null
+     * @returns {batch} this batch
+     */
+    anchor.add_fact_evidence = function(source_id, target_id, rel_id,
+					evidence_id, source_ids, with_strs){
+	_ensure_open();
+	var ev = _evidence(evidence_id, source_ids, with_strs);
+	anchor._request_set.add_evidence(ev.type(), ev.sources(),
+					 ev.with_strs(),
+					 _triple(source_id, target_id, rel_id),
+					 anchor._model_id);
+	return anchor;
+    };
+
+    /**
+     * Remove an evidence individual.
+     *
+     * @param {String} evidence_individual_id - string
+     * @returns {batch} this batch
+     */
+    anchor.remove_evidence = function(evidence_individual_id){
+	_ensure_open();
+	anchor._request_set.remove_evidence(evidence_individual_id,
+					    anchor._model_id);
+	return anchor;
+    };
+
+    /**
+     * Replace the annotations of an entity under a key with a new set.
+     *
+     * @param {Object} entity - {module:bbop-graph-noctua} graph, node, or edge
+     * @param {String} key - string
+     * @param {Array|String} values - string or list of strings
+     * @param {String|null} [value_type] - string
+     * @returns {batch} this batch
+     */
+    anchor.update_annotations = function(entity, key, values, value_type){
+	_ensure_open();
+	anchor._request_set.update_annotations(entity, key, values, value_type,
+					       anchor._model_id);
+	return anchor;
+    };
+
+    /**
+     * Add an annotation to an individual.
+     *
+     * @param {String} indv_id - string or batch label
+     * @param {String} key - string
+     * @param {String} value - string
+     * @param {String|null} [value_type] - string
+     * @returns {batch} this batch
+     */
+    anchor.add_individual_annotation = function(indv_id, key, value,
+						value_type){
+	_ensure_open();
+	anchor._request_set.add_annotation_to_individual(key, value, value_type,
+							 _resolve(indv_id));
+	return anchor;
+    };
+
+    /**
+     * Add an annotation to a fact.
+     *
+     * @param {String} source_id - string or batch label
+     * @param {String} target_id - string or batch label
+     * @param {String} rel_id - string
+     * @param {String} key - string
+     * @param {String} value - string
+     * @param {String|null} [value_type] - string
+     * @returns {batch} this batch
+     */
+    anchor.add_fact_annotation = function(source_id, target_id, rel_id,
+					  key, value, value_type){
+	_ensure_open();
+	anchor._request_set.add_annotation_to_fact(
+	    key, value, value_type, _triple(source_id, target_id, rel_id));
+	return anchor;
+    };
+
+    /**
+     * Add an annotation to the model.
+     *
+     * @param {String} key - string
+     * @param {String} value - string
+     * @param {String|null} [value_type] - string
+     * @returns {batch} this batch
+     */
+    anchor.add_model_annotation = function(key, value, value_type){
+	_ensure_open();
+	anchor._request_set.add_annotation_to_model(key, value, value_type);
+	return anchor;
+    };
+
+    /**
+     * Remove an annotation from an individual.
+     *
+     * @param {String} indv_id - string or batch label
+     * @param {String} key - string
+     * @param {String} value - string
+     * @param {String|null} [value_type] - string
+     * @returns {batch} this batch
+     */
+    anchor.remove_individual_annotation = function(indv_id, key, value,
+						   value_type){
+	_ensure_open();
+	anchor._request_set.remove_annotation_from_individual(
+	    key, value, value_type, _resolve(indv_id));
+	return anchor;
+    };
+
+    /**
+     * Remove an annotation from a fact.
+     *
+     * @param {String} source_id - string or batch label
+     * @param {String} target_id - string or batch label
+     * @param {String} rel_id - string
+     * @param {String} key - string
+     * @param {String} value - string
+     * @param {String|null} [value_type] - string
+     * @returns {batch} this batch
+     */
+    anchor.remove_fact_annotation = function(source_id, target_id, rel_id,
+					     key, value, value_type){
+	_ensure_open();
+	anchor._request_set.remove_annotation_from_fact(
+	    key, value, value_type, _triple(source_id, target_id, rel_id));
+	return anchor;
+    };
+
+    /**
+     * Remove an annotation from the model.
+     *
+     * @param {String} key - string
+     * @param {String} value - string
+     * @param {String|null} [value_type] - string
+     * @returns {batch} this batch
+     */
+    anchor.remove_model_annotation = function(key, value, value_type){
+	_ensure_open();
+	anchor._request_set.remove_annotation_from_model(key, value,
+							 value_type);
+	return anchor;
+    };
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = batch;
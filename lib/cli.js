@@ -0,0 +1,374 @@
+/**
+ * The minerva-manager command line tool: a manager for scripting,
+ * with a subcommand for each common operation.
+ *
+ * Usage: minerva-manager [options] <command> [arguments]
+ *
+ * Commands:
+ *
+ *  meta - models and their titles and states
+ *  get <model_id> - individuals and facts of a model
+ *  store <model_id> [--lint strict|warn] - store a model, optionally linting it first
+ *  store-all - store all models
+ *  undo <model_id>, redo <model_id> - undo or redo the last edit
+ *  duplicate <model_id> [--title <title>] - copy a model to a new one
+ *  export <model_id>... [--as gpad|gaf|owl] - GPAD or GAF made locally, or Minerva's own export
+ *  add-annotation <model_id> <key> <value> [--individual <id> | --fact <s>,<o>,<p>] [--value-type <type>] - annotate a model, individual, or fact
+ *  batch <model_id> <file> - send a JSON list of batch operations, each {"op": name, "args": [...]}, with "-" for standard input
+ *
+ * Options (and the environment variables used when they are not given):
+ *
+ *  --barista <url> (BARISTA_LOCATION; default http://localhost:3400)
+ *  --namespace <name> (BARISTA_NAMESPACE; default minerva_local)
+ *  --token <token> (BARISTA_TOKEN)
+ *  --method GET|POST - HTTP method for the engine
+ *  --format json|table - output (default json)
+ *
+ * The exit code is 0 on success, 1 when the manager reports "error"
+ * or "manager_error" (or anything else goes wrong), and 2 for usage
+ * errors.
+ *
+ * @modules bbop-manager-minerva/cli
+ */
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+var sync_engine = require('bbop-rest-manager').sync_request;
+
+var minerva_manager = require('./manager');
+
+// Aliasing.
+var each = us.each;
+
+var usage = [
+    'Usage: minerva-manager [options] <command> [arguments]',
+    '',
+    'Commands:',
+    '  meta',
+    '  get <model_id>',
+    '  store <model_id> [--lint strict|warn]',
+    '  store-all',
+    '  undo <model_id>',
+    '  redo <model_id>',
+    '  duplicate <model_id> [--title <title>]',
+    '  export <model_id>... [--as gpad|gaf|owl]',
+    '  add-annotation <model_id> <key> <value> [--individual <id> |' +
+	' --fact <s>,<o>,<p>] [--value-type <type>]',
+    '  batch <model_id> <file|->',
+    '',
+    'Options:',
+    '  --barista <url>      (BARISTA_LOCATION)',
+    '  --namespace <name>   (BARISTA_NAMESPACE)',
+    '  --token <token>      (BARISTA_TOKEN)',
+    '  --method GET|POST',
+    '  --format json|table',
+    '  --help'
+].join('\n') + '\n';
+
+// Flags that take a value; everything else starting with "--" is a
+// boolean.
+var valued_flags = ['barista', 'namespace', 'token', 'method', 'format',
+		    'lint', 'title', 'as', 'individual', 'fact', 'value-type'];
+
+// The batch operations that may be used from a file.
+var batch_ops = ['add_individual', 'remove_individual', 'add_simple_composite',
+		 'add_class_expression', 'remove_class_expression',
+		 'add_fact', 'remove_fact', 'add_individual_evidence',
+		 'add_fact_evidence', 'remove_evidence',
+		 'add_individual_annotation', 'remove_individual_annotation',
+		 'add_fact_annotation', 'remove_fact_annotation',
+		 'add_model_annotation', 'remove_model_annotation'];
+
+function _usage_error(message){
+    var err = new Error(message);
+    err.usage_p = true;
+    return err;
+}
+
+/**
+ * Split command line arguments into flags and positional arguments.
+ *
+ * @param {Array} argv - list of strings, without the node and script
+ * @returns {Object} object with "flags" (map) and "args" (list)
+ */
+function parse_args(argv){
+    var ret = {'flags': {}, 'args': []};
+    for( var i = 0; i < argv.length; i++ ){
+	var arg = argv[i];
+	var m = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+	if( ! m ){
+	    ret['args'].push(arg);
+	}else if( typeof(m[2]) !== 'undefined' ){
+	    ret['flags'][m[1]] = m[2];
+	}else if( us.contains(valued_flags, m[1]) ){
+	    if( i + 1 >= argv.length ){
+		throw _usage_error('--' + m[1] + ' needs a value');
+	    }
+	    ret['flags'][m[1]] = argv[++i];
+	}else{
+	    ret['flags'][m[1]] = true;
+	}
+    }
+    return ret;
+}
+
+// Plain text columns.
+function _table(headers, rows){
+    var all = [headers].concat(rows);
+    var widths = us.map(headers, function(h, i){
+	return us.max(us.map(all, function(row){
+	    return String(row[i] === null ? '' : row[i]).length;
+	}));
+    });
+    return us.map(all, function(row){
+	return us.map(row, function(cell, i){
+	    var str = String(cell === null ? '' : cell);
+	    return i === row.length - 1 ? str :
+		str + new Array(widths[i] - str.length + 1).join(' ');
+	}).join('  ').replace(/\s+$/, '');
+    }).join('\n') + '\n';
+}
+
+function _first_value(anns, key){
+    var ann = us.findWhere(anns || [], {'key': key});
+    return ann ? ann['value'] : '';
+}
+
+function _type_string(t){
+    var ret = '?';
+    if( t && t['type'] === 'class' ){
+	ret = t['id'];
+    }else if( t && t['type'] === 'svf' ){
+	ret = (t['property'] && t['property']['id']) + '(' +
+	    _type_string(t['filler']) + ')';
+    }else if( t && t['type'] ){
+	ret = t['type'];
+    }
+    return ret;
+}
+
+// Tables for what the commands return.
+function _tables(command, result){
+    var ret = null;
+    var data = null;
+    if( result && us.isFunction(result.data) ){
+	data = result.data() || {};
+    }
+    if( command === 'meta' ){
+	var meta = result.models_meta();
+	ret = _table(['model', 'title', 'state'],
+		     us.map(us.keys(meta).sort(), function(mid){
+			 return [mid, _first_value(meta[mid], 'title'),
+				 _first_value(meta[mid], 'state')];
+		     }));
+    }else if( data && (data['individuals'] || data['facts']) ){
+	ret = _table(['individual', 'types'],
+		     us.map(data['individuals'] || [], function(ind){
+			 return [ind['id'],
+				 us.map(ind['type'] || [], _type_string)
+				 .join(' ')];
+		     })) + '\n' +
+	    _table(['subject', 'property', 'object'],
+		   us.map(data['facts'] || [], function(f){
+		       return [f['subject'], f['property'], f['object']];
+		   }));
+    }else if( data ){
+	ret = _table(['message', 'signal', 'model'],
+		     [[result.message(), result.signal(),
+		       result.model_id() || '']]);
+    }else if( result && result['text'] ){
+	ret = result['text'];
+    }else{
+	ret = _table(['key', 'value'],
+		     us.map(us.keys(result || {}), function(k){
+			 var v = result[k];
+			 return [k, us.isObject(v) ? JSON.stringify(v) : v];
+		     }));
+    }
+    return ret;
+}
+
+// Something that can go through JSON.stringify.
+function _plain(result){
+    var ret = result;
+    if( result && us.isFunction(result.raw) ){
+	ret = result.raw();
+    }else if( us.isObject(result) && ! us.isArray(result) ){
+	ret = {};
+	each(us.keys(result), function(k){ ret[k] = _plain(result[k]); });
+    }
+    return ret;
+}
+
+/**
+ * Run the tool.
+ *
+ * The optional context object may contain:
+ *  env - environment variables (default process.env)
+ *  engine - engine to use instead of a new {module:bbop-rest-manager} sync_request engine
+ *  stdout, stderr - functions taking a string (default the process streams)
+ *  read_file - function taking a path ("-" for standard input) and returning its contents
+ *
+ * @param {Array} argv - list of strings, without the node and script
+ * @param {Object} [context] - see above
+ * @returns {Promise} promise for the exit code
+ */
+function run(argv, context){
+
+    if( ! context ){ context = {}; }
+    var env = context['env'] || process.env;
+    var stdout = context['stdout'] || function(s){ process.stdout.write(s); };
+    var stderr = context['stderr'] || function(s){ process.stderr.write(s); };
+    var read_file = context['read_file'] || function(path){
+	return require('fs').readFileSync(path === '-' ? 0 : path, 'utf8');
+    };
+
+    var failures = [];
+    function _fail(err){
+	var code = err && err.usage_p ? 2 : 1;
+	stderr('minerva-manager: ' + ((err && err.message) || err) + '\n');
+	if( code === 2 ){ stderr(usage); }
+	return code;
+    }
+
+    return new Promise(function(resolve){
+
+	var parsed = parse_args(argv);
+	var flags = parsed['flags'];
+	var args = parsed['args'];
+	var command = args.shift();
+
+	if( flags['help'] || ! command ){
+	    stdout(usage);
+	    resolve(command || flags['help'] ? 0 : 2);
+	    return;
+	}
+
+	var format = flags['format'] || 'json';
+	if( format !== 'json' && format !== 'table' ){
+	    throw _usage_error('unknown format: ' + format);
+	}
+
+	var engine = context['engine'];
+	if( ! engine ){
+	    engine = new sync_engine(barista_response);
+	}
+	if( flags['method'] ){ engine.method(flags['method']); }
+
+	var manager = new minerva_manager(
+	    flags['barista'] || env['BARISTA_LOCATION'] ||
+		'http://localhost:3400',
+	    flags['namespace'] || env['BARISTA_NAMESPACE'] || 'minerva_local',
+	    flags['token'] || env['BARISTA_TOKEN'] || null,
+	    engine, 'sync');
+	manager.register('error', function(resp){
+	    failures.push(resp.message() || 'error');
+	});
+	manager.register('manager_error', function(resp){
+	    failures.push((resp && resp.message()) || 'manager error');
+	});
+
+	function _need(n){
+	    if( args.length < n ){
+		throw _usage_error(command + ' needs ' + n + ' argument(s)');
+	    }
+	}
+
+	var result = null;
+	if( command === 'meta' ){
+	    result = manager.get_meta();
+	}else if( command === 'get' ){
+	    _need(1);
+	    result = manager.get_model(args[0]);
+	}else if( command === 'store' ){
+	    _need(1);
+	    result = flags['lint'] ?
+		manager.store_model(args[0], {'lint': flags['lint']}) :
+		manager.store_model(args[0]);
+	}else if( command === 'store-all' ){
+	    result = manager.store_all();
+	}else if( command === 'undo' ){
+	    _need(1);
+	    result = manager.perform_undo(args[0]);
+	}else if( command === 'redo' ){
+	    _need(1);
+	    result = manager.perform_redo(args[0]);
+	}else if( command === 'duplicate' ){
+	    _need(1);
+	    result = manager.async_duplicate_model(args[0], flags['title'] ||
+						   'copy of ' + args[0]);
+	}else if( command === 'export' ){
+	    _need(1);
+	    var as = flags['as'] || 'gpad';
+	    if( as === 'owl' ){
+		result = manager.export_model(args[0]);
+	    }else{
+		// Straight out, however many models there are.
+		result = manager.export_annotations(args, as, stdout);
+		format = 'none';
+	    }
+	}else if( command === 'add-annotation' ){
+	    _need(3);
+	    var vt = flags['value-type'] || null;
+	    if( flags['individual'] ){
+		result = manager.add_individual_annotation(
+		    args[0], flags['individual'], args[1], args[2], vt);
+	    }else if( flags['fact'] ){
+		var t = flags['fact'].split(',');
+		if( t.length !== 3 ){
+		    throw _usage_error('--fact needs <s>,<o>,<p>');
+		}
+		result = manager.add_fact_annotation(args[0], t[0], t[1], t[2],
+						     args[1], args[2], vt);
+	    }else{
+		result = manager.add_model_annotation(args[0], args[1],
+						      args[2], vt);
+	    }
+	}else if( command === 'batch' ){
+	    _need(2);
+	    var ops = JSON.parse(read_file(args[1]));
+	    if( ! us.isArray(ops) ){
+		throw new Error('batch file must hold a list of operations');
+	    }
+	    var b = manager.batch(args[0]);
+	    each(ops, function(op, i){
+		if( ! op || ! us.contains(batch_ops, op['op']) ){
+		    throw new Error('unknown batch operation ' + (i + 1) + ': ' +
+				    (op && op['op']));
+		}
+		b[op['op']].apply(b, op['args'] || []);
+	    });
+	    result = b.commit();
+	}else{
+	    throw _usage_error('unknown command: ' + command);
+	}
+
+	resolve(Promise.resolve(result).then(function(res){
+	    if( failures.length > 0 ){
+		throw new Error(failures.join('; '));
+	    }
+	    if( format === 'json' ){
+		stdout(JSON.stringify(_plain(res), null, 2) + '\n');
+	    }else if( format === 'table' ){
+		stdout(_tables(command, res));
+	    }else if( res && res['skipped'] ){
+		each(res['skipped'], function(s){
+		    stderr('skipped ' + s['id'] + ': ' + s['reason'] + '\n');
+		});
+	    }
+	    return 0;
+	}));
+    }).catch(_fail);
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'run': run,
+    'parse_args': parse_args
+
+};
@@ -0,0 +1,554 @@
+/**
+ * Structural differences between two models, or two versions of the
+ * same model.
+ *
+ * Works on the model data found in "rebuild" responses (or on the
+ * responses themselves). Individuals are matched by id where
+ * possible; the rest are matched by their types and their position in
+ * the graph, which is what is needed for duplicated models.
+ *
+ * Evidence individuals (those referenced by "evidence" annotations)
+ * are not treated as individuals of their own, but as evidence
+ * attached to the referencing individual or fact, described by their
+ * type, sources, and with/from.
+ *
+ * @modules bbop-manager-minerva/diff
+ */
+
+var us = require('underscore');
+
+// Aliasing.
+var each = us.each;
+
+///
+/// Helpers.
+///
+
+// Get model data out of whatever we were given.
+function _data(thing){
+    var ret = thing;
+    if( thing && us.isFunction(thing.data) ){
+	ret = thing.data();
+    }
+    if( ! ret || ! us.isObject(ret) ){
+	throw new Error('no model data to diff');
+    }
+    return ret;
+}
+
+// A compact, label-free string for a class expression; doubles as
+// its signature.
+function _type_string(t){
+    var ret = '?';
+    if( ! t ){
+	// Leave as unknown.
+    }else if( t['type'] === 'class' ){
+	ret = t['id'];
+    }else if( t['type'] === 'svf' ){
+	ret = (t['property'] && t['property']['id']) + '(' +
+	    _type_string(t['filler']) + ')';
+    }else if( t['type'] === 'complement' ){
+	ret = 'not(' + _type_string(t['filler']) + ')';
+    }else if( t['type'] === 'union' || t['type'] === 'intersection' ){
+	var parts = us.map(t['expressions'] || [], _type_string).sort();
+	ret = (t['type'] === 'union' ? 'or' : 'and') +
+	    '(' + parts.join(' ') + ')';
+    }
+    return ret;
+}
+
+function _fact_key(triple){
+    return triple.join(' ');
+}
+
+function _ann_key(ann){
+    return ann['key'] + '=' + ann['value'] +
+	(ann['value-type'] ? '^^' + ann['value-type'] : '');
+}
+
+function _evidence_key(ev){
+    return ev['type'] + '|' + ev['sources'].slice().sort().join(',') + '|' +
+	(ev['with'] || []).slice().sort().join(',');
+}
+
+function _plain_annotation(ann){
+    var ret = {'key': ann['key'], 'value': ann['value']};
+    if( ann['value-type'] ){ ret['value-type'] = ann['value-type']; }
+    return ret;
+}
+
+// Break model data down into something easy to compare.
+function _digest(data, ignore_keys){
+
+    var by_id = {};
+    each(data['individuals'] || [], function(ind){ by_id[ind['id']] = ind; });
+
+    // Find evidence individuals first.
+    var evidence_ids = {};
+    function _scan(entity){
+	each(entity['annotations'] || [], function(ann){
+	    if( ann['key'] === 'evidence' && by_id[ann['value']] ){
+		evidence_ids[ann['value']] = true;
+	    }
+	});
+    }
+    each(data['individuals'] || [], _scan);
+    each(data['facts'] || [], _scan);
+
+    // Describe a piece of evidence by content.
+    function _evidence(ev_id){
+	var ev = by_id[ev_id];
+	var sources = [];
+	var withs = [];
+	each(ev['annotations'] || [], function(ann){
+	    if( ann['key'] === 'source' ){ sources.push(ann['value']); }
+	    if( ann['key'] === 'with' ){ withs.push(ann['value']); }
+	});
+	var ret = {
+	    'id': ev_id,
+	    'type': us.map(ev['type'] || [], _type_string).join(' '),
+	    'sources': sources.sort(),
+	    'with': withs.sort()
+	};
+	ret['key'] = _evidence_key(ret);
+	return ret;
+    }
+
+    // Split annotations into evidence and the rest.
+    function _attachments(entity){
+	var anns = {};
+	var evs = {};
+	each(entity['annotations'] || [], function(ann){
+	    if( ann['key'] === 'evidence' && evidence_ids[ann['value']] ){
+		var ev = _evidence(ann['value']);
+		evs[ev['key']] = ev;
+	    }else if( ! us.contains(ignore_keys, ann['key']) ){
+		anns[_ann_key(ann)] = _plain_annotation(ann);
+	    }
+	});
+	return {'annotations': anns, 'evidence': evs};
+    }
+
+    var individuals = {};
+    var type_expressions = {};
+    each(data['individuals'] || [], function(ind){
+	if( ! evidence_ids[ind['id']] ){
+	    var att = _attachments(ind);
+	    var types = us.map(ind['type'] || [], function(t){
+		var str = _type_string(t);
+		type_expressions[str] = t;
+		return str;
+	    }).sort();
+	    individuals[ind['id']] = {
+		'id': ind['id'],
+		'types': types,
+		'type_signature': types.join(' '),
+		'annotations': att['annotations'],
+		'evidence': att['evidence']
+	    };
+	}
+    });
+
+    var facts = [];
+    each(data['facts'] || [], function(fact){
+	var att = _attachments(fact);
+	facts.push({
+	    'triple': [fact['subject'], fact['object'], fact['property']],
+	    'annotations': att['annotations'],
+	    'evidence': att['evidence']
+	});
+    });
+
+    var model_anns = {};
+    each(data['annotations'] || [], function(ann){
+	if( ! us.contains(ignore_keys, ann['key']) ){
+	    model_anns[_ann_key(ann)] = _plain_annotation(ann);
+	}
+    });
+
+    return {
+	'id': data['id'] || null,
+	'individuals': individuals,
+	'type_expressions': type_expressions,
+	'facts': facts,
+	'annotations': model_anns
+    };
+}
+
+// Describe where an individual sits in the graph, optionally in
+// terms of already matched neighbours.
+function _position(digest, iid, known){
+    var sig = [];
+    each(digest['facts'], function(fact){
+	var t = fact['triple'];
+	var other = null;
+	var dir = null;
+	if( t[0] === iid ){
+	    other = t[1];
+	    dir = '>';
+	}else if( t[1] === iid ){
+	    other = t[0];
+	    dir = '<';
+	}
+	if( other && digest['individuals'][other] ){
+	    var name = (known && known[other]) ?
+		    'id:' + known[other] :
+		    digest['individuals'][other]['type_signature'];
+	    sig.push(dir + t[2] + ' ' + name);
+	}
+    });
+    return sig.sort().join(';');
+}
+
+// Match individuals of a to those of b; returns a map of a ids to b
+// ids.
+function _match(da, db, use_structure){
+
+    var map = {};
+    var taken = {};
+
+    // First, by shared id.
+    each(da['individuals'], function(ind, iid){
+	if( db['individuals'][iid] ){
+	    map[iid] = iid;
+	    taken[iid] = true;
+	}
+    });
+
+    if( ! use_structure ){ return map; }
+
+    // Then by unique type signature and position, repeating while
+    // new matches are found, since each match makes positions more
+    // specific. The "known" map lets positions on the a side be
+    // written in terms of b ids.
+    function _unmatched(digest, done){
+	return us.filter(us.keys(digest['individuals']), function(iid){
+	    return ! done[iid];
+	});
+    }
+    function _group(digest, ids, known){
+	var groups = {};
+	each(ids, function(iid){
+	    var key = digest['individuals'][iid]['type_signature'] + '#' +
+		    _position(digest, iid, known);
+	    if( ! groups[key] ){ groups[key] = []; }
+	    groups[key].push(iid);
+	});
+	return groups;
+    }
+
+    var progress_p = true;
+    while( progress_p ){
+	progress_p = false;
+
+	var b_known = {};
+	each(us.values(map), function(bid){ b_known[bid] = bid; });
+	var a_groups = _group(da, _unmatched(da, map), map);
+	var b_groups = _group(db, _unmatched(db, taken), b_known);
+
+	each(a_groups, function(a_ids, key){
+	    var b_ids = b_groups[key];
+	    if( a_ids.length === 1 && b_ids && b_ids.length === 1 ){
+		map[a_ids[0]] = b_ids[0];
+		taken[b_ids[0]] = true;
+		progress_p = true;
+	    }
+	});
+    }
+
+    // Last, anything left with a unique type signature alone.
+    var a_by_type = us.groupBy(_unmatched(da, map), function(iid){
+	return da['individuals'][iid]['type_signature'];
+    });
+    var b_by_type = us.groupBy(_unmatched(db, taken), function(iid){
+	return db['individuals'][iid]['type_signature'];
+    });
+    each(a_by_type, function(a_ids, sig){
+	var b_ids = b_by_type[sig];
+	if( a_ids.length === 1 && b_ids && b_ids.length === 1 ){
+	    map[a_ids[0]] = b_ids[0];
+	}
+    });
+
+    return map;
+}
+
+// Differences between two maps of keyed attachments.
+function _compare_keyed(a_set, b_set){
+    var added = [];
+    var removed = [];
+    each(b_set, function(val, key){
+	if( ! us.has(a_set, key) ){ added.push(val); }
+    });
+    each(a_set, function(val, key){
+	if( ! us.has(b_set, key) ){ removed.push(val); }
+    });
+    return {'added': added, 'removed': removed};
+}
+
+///
+/// Public API.
+///
+
+/**
+ * Compute the structural difference from model a to model b.
+ *
+ * The result is a plain object. Entity references use the ids of
+ * model a wherever the entity exists there, and ids from model b
+ * only for things that are new in b; "individual_map" maps matched
+ * individuals from a to b. Targets of annotations and evidence are
+ * given as {"model": true}, {"individual": id}, or {"fact": triple}.
+ * Types are reported as compact strings; "type_expressions" maps
+ * those back to the original class expressions.
+ *
+ * Options:
+ *  match - "id" to only match individuals with the same id, or "structure" (default) to also match by type and graph position
+ *  ignore_keys - list of annotation keys to leave out of the comparison (e.g. ["date"])
+ *
+ * @param {Object} a - model data or "rebuild" response for the "before" model
+ * @param {Object} b - model data or "rebuild" response for the "after" model
+ * @param {Object} [options] - see above
+ * @returns {Object} diff with "individuals", "facts", "evidence", and "annotations" sections (each with "added" and "removed", plus "changed" for individuals), "individual_map", "equal_p", and "text" (a human-readable summary)
+ */
+function diff_models(a, b, options){
+    if( ! options ){ options = {}; }
+
+    var ignore_keys = options['ignore_keys'] || [];
+    var use_structure = options['match'] !== 'id';
+
+    var da = _digest(_data(a), ignore_keys);
+    var db = _digest(_data(b), ignore_keys);
+
+    var map = _match(da, db, use_structure);
+    var b_to_a = us.invert(map);
+
+    // Translate a b triple into a terms where possible.
+    function _b_triple_in_a(t){
+	return [
+	    us.has(b_to_a, t[0]) ? b_to_a[t[0]] : t[0],
+	    us.has(b_to_a, t[1]) ? b_to_a[t[1]] : t[1],
+	    t[2]
+	];
+    }
+
+    var ret = {
+	'model_ids': [da['id'], db['id']],
+	'individual_map': map,
+	'type_expressions': us.extend({}, da['type_expressions'],
+				      db['type_expressions']),
+	'individuals': {'added': [], 'removed': [], 'changed': []},
+	'facts': {'added': [], 'removed': []},
+	'evidence': {'added': [], 'removed': []},
+	'annotations': {'added': [], 'removed': []}
+    };
+
+    function _attachments(target, a_ent, b_ent){
+	var anns = _compare_keyed(a_ent ? a_ent['annotations'] : {},
+				  b_ent ? b_ent['annotations'] : {});
+	each(anns['added'], function(ann){
+	    ret['annotations']['added'].push({'target': target,
+					      'annotation': ann});
+	});
+	each(anns['removed'], function(ann){
+	    ret['annotations']['removed'].push({'target': target,
+						'annotation': ann});
+	});
+
+	// Evidence is only tracked on entities that exist in both;
+	// otherwise it comes along with the entity.
+	if( a_ent && b_ent ){
+	    var evs = _compare_keyed(a_ent['evidence'], b_ent['evidence']);
+	    each(evs['added'], function(ev){
+		ret['evidence']['added'].push({'target': target,
+					       'evidence': us.omit(ev, 'key')});
+	    });
+	    each(evs['removed'], function(ev){
+		ret['evidence']['removed'].push({'target': target,
+						 'evidence': us.omit(ev, 'key')});
+	    });
+	}
+    }
+
+    // Model annotations.
+    _attachments({'model': true}, {'annotations': da['annotations']},
+		 {'annotations': db['annotations']});
+
+    // Individuals.
+    each(da['individuals'], function(ind, iid){
+	if( ! us.has(map, iid) ){
+	    ret['individuals']['removed'].push({
+		'id': iid,
+		'types': ind['types']
+	    });
+	}else{
+	    var bind = db['individuals'][map[iid]];
+	    var types_added = us.difference(bind['types'], ind['types']);
+	    var types_removed = us.difference(ind['types'], bind['types']);
+	    if( types_added.length > 0 || types_removed.length > 0 ){
+		ret['individuals']['changed'].push({
+		    'id': iid,
+		    'b_id': map[iid],
+		    'types_added': types_added,
+		    'types_removed': types_removed
+		});
+	    }
+	    _attachments({'individual': iid}, ind, bind);
+	}
+    });
+    each(db['individuals'], function(ind, iid){
+	if( ! us.has(b_to_a, iid) ){
+	    ret['individuals']['added'].push({
+		'id': iid,
+		'types': ind['types'],
+		'annotations': us.values(ind['annotations']),
+		'evidence': us.map(us.values(ind['evidence']), function(ev){
+		    return us.omit(ev, 'key');
+		})
+	    });
+	}
+    });
+
+    // Facts.
+    var a_facts = {};
+    each(da['facts'], function(fact){
+	a_facts[_fact_key(fact['triple'])] = fact;
+    });
+    var b_facts = {};
+    each(db['facts'], function(fact){
+	b_facts[_fact_key(_b_triple_in_a(fact['triple']))] = fact;
+    });
+    each(a_facts, function(fact, key){
+	if( ! b_facts[key] ){
+	    ret['facts']['removed'].push({'triple': fact['triple']});
+	}else{
+	    _attachments({'fact': fact['triple']}, fact, b_facts[key]);
+	}
+    });
+    each(b_facts, function(fact, key){
+	if( ! a_facts[key] ){
+	    ret['facts']['added'].push({
+		'triple': _b_triple_in_a(fact['triple']),
+		'annotations': us.values(fact['annotations']),
+		'evidence': us.map(us.values(fact['evidence']), function(ev){
+		    return us.omit(ev, 'key');
+		})
+	    });
+	}
+    });
+
+    ret['equal_p'] =
+	ret['individuals']['added'].length === 0 &&
+	ret['individuals']['removed'].length === 0 &&
+	ret['individuals']['changed'].length === 0 &&
+	ret['facts']['added'].length === 0 &&
+	ret['facts']['removed'].length === 0 &&
+	ret['evidence']['added'].length === 0 &&
+	ret['evidence']['removed'].length === 0 &&
+	ret['annotations']['added'].length === 0 &&
+	ret['annotations']['removed'].length === 0;
+
+    ret['text'] = diff_to_text(ret);
+
+    return ret;
+}
+
+/**
+ * Render a diff from diff_models as human-readable text: a count
+ * line per section, then one line per difference, marked with "+",
+ * "-", or "~".
+ *
+ * @param {Object} diff - as returned by diff_models
+ * @returns {String} text summary
+ */
+function diff_to_text(diff){
+
+    function _target(t){
+	var ret = 'model';
+	if( t['individual'] ){
+	    ret = 'individual ' + t['individual'];
+	}else if( t['fact'] ){
+	    ret = 'fact ' + _fact_string(t['fact']);
+	}
+	return ret;
+    }
+    function _fact_string(t){
+	return t[0] + ' -' + t[2] + '-> ' + t[1];
+    }
+    function _ev_string(ev){
+	var ret = ev['type'] + ' ' + ev['sources'].join(',');
+	if( ev['with'].length > 0 ){ ret += ' with ' + ev['with'].join(','); }
+	return ret;
+    }
+    function _ann_string(ann){
+	return _ann_key(ann);
+    }
+
+    var inds = diff['individuals'];
+    var lines = [
+	'individuals: +' + inds['added'].length + ' -' +
+	    inds['removed'].length + ' ~' + inds['changed'].length,
+	'facts: +' + diff['facts']['added'].length + ' -' +
+	    diff['facts']['removed'].length,
+	'evidence: +' + diff['evidence']['added'].length + ' -' +
+	    diff['evidence']['removed'].length,
+	'annotations: +' + diff['annotations']['added'].length + ' -' +
+	    diff['annotations']['removed'].length
+    ];
+
+    each(inds['added'], function(ind){
+	lines.push('+ individual ' + ind['id'] + ' [' +
+		   ind['types'].join(', ') + ']');
+    });
+    each(inds['removed'], function(ind){
+	lines.push('- individual ' + ind['id'] + ' [' +
+		   ind['types'].join(', ') + ']');
+    });
+    each(inds['changed'], function(ind){
+	var parts = [];
+	each(ind['types_added'], function(t){ parts.push('+' + t); });
+	each(ind['types_removed'], function(t){ parts.push('-' + t); });
+	lines.push('~ individual ' + ind['id'] + ': ' + parts.join(' '));
+    });
+    each(diff['facts']['added'], function(f){
+	lines.push('+ fact ' + _fact_string(f['triple']));
+    });
+    each(diff['facts']['removed'], function(f){
+	lines.push('- fact ' + _fact_string(f['triple']));
+    });
+    each(diff['evidence']['added'], function(e){
+	lines.push('+ evidence on ' + _target(e['target']) + ': ' +
+		   _ev_string(e['evidence']));
+    });
+    each(diff['evidence']['removed'], function(e){
+	lines.push('- evidence on ' + _target(e['target']) + ': ' +
+		   _ev_string(e['evidence']));
+    });
+    each(diff['annotations']['added'], function(a){
+	lines.push('+ annotation on ' + _target(a['target']) + ': ' +
+		   _ann_string(a['annotation']));
+    });
+    each(diff['annotations']['removed'], function(a){
+	lines.push('- annotation on ' + _target(a['target']) + ': ' +
+		   _ann_string(a['annotation']));
+    });
+
+    return lines.join('\n');
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'diff_models': diff_models,
+    'diff_to_text': diff_to_text,
+
+    // Shared with the patch module, which needs to look at models
+    // the same way.
+    'model_digest': _digest,
+    'type_string': _type_string,
+    'annotation_key': _ann_key,
+    'evidence_key': _evidence_key
+
+};
@@ -0,0 +1,262 @@
+/**
+ * Error classes for failed requests, so that callers can tell what
+ * went wrong with instanceof (or the "name" property) rather than by
+ * looking at messages.
+ *
+ *  minerva_error - base class for all of the below
+ *  transport_error - the request did not get a usable answer (network trouble, bad HTTP status)
+ *  malformed_response_error - an answer came back, but not one that could be read as a Barista response (a transport_error)
+ *  barista_error - Barista answered with an "error" message type
+ *  operation_error - Minerva could not carry out an operation, and said why in the commentary (a barista_error)
+ *  unknown_signal_error - a successful response with a signal we do not know what to do with
+ *  cancelled_error - the call was cancelled before an answer came
+ *  timeout_error - the call was given up on after too long
+ *  vetoed_error - middleware stopped the call
+ *  evidence_error - evidence did not pass its checks, so nothing was sent (see {module:bbop-manager-minerva/evidence}); the problems are under "problems"
+ *  lint_error - a model failed its lint checks (see {module:bbop-manager-minerva/lint}); the report is under "report"
+ *
+ * Each carries, where known:
+ *  response - the {module:bbop-response-barista} response
+ *  status - the HTTP status, where the engine lets us see it (see {module:bbop-manager-minerva/wire} statuses())
+ *  operations - list of {"entity": ..., "operation": ...} that were asked for
+ *  model_id - the model the call was about
+ *  commentary - what the server had to add
+ *  payload - the raw response data
+ *
+ * @modules bbop-manager-minerva/errors
+ */
+
+var us = require('underscore');
+
+// Make an error class with a name, on top of a parent class.
+function _define(name, parent){
+    var cls = function(message, response, info){
+	info = info || {};
+	this.name = name;
+	this.message = message || name;
+	this.response = response || null;
+	this.status = _pick(info, 'status', _call(response, 'status'));
+	this.operations = _pick(info, 'operations', []);
+	this.model_id = _pick(info, 'model_id', _call(response, 'model_id'));
+	this.commentary = _pick(info, 'commentary',
+				_call(response, 'commentary'));
+	this.payload = _pick(info, 'payload', _call(response, 'raw'));
+	var trace = new Error(this.message);
+	this.stack = name + ': ' + this.message +
+	    (trace.stack || '').replace(/^[^\n]*/, '');
+    };
+    cls.prototype = Object.create(parent.prototype);
+    cls.prototype.constructor = cls;
+    return cls;
+}
+
+// The given value, or the fallback if there isn't one.
+function _pick(info, key, fallback){
+    var ret = info[key];
+    if( ret === undefined || ret === null ){
+	ret = (fallback === undefined) ? null : fallback;
+    }
+    return ret;
+}
+
+// Ask the response for something, if it knows how to answer.
+function _call(response, method){
+    var ret = null;
+    if( response && us.isFunction(response[method]) ){
+	ret = response[method]();
+    }
+    return ret;
+}
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - any of "status", "operations", "model_id", "commentary", and "payload", when the response does not have them
+ */
+var minerva_error = _define('MinervaError', Error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var transport_error = _define('TransportError', minerva_error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var malformed_response_error =
+	_define('MalformedResponseError', transport_error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var barista_error = _define('BaristaError', minerva_error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var operation_error = _define('OperationError', barista_error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var unknown_signal_error = _define('UnknownSignalError', minerva_error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var cancelled_error = _define('CancelledError', minerva_error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var timeout_error = _define('TimeoutError', minerva_error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var vetoed_error = _define('VetoedError', minerva_error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var evidence_error = _define('EvidenceError', minerva_error);
+
+/**
+ * @constructor
+ * @param {String} message - string
+ * @param {Object} [response] - {module:bbop-response-barista} response
+ * @param {Object} [info] - as for minerva_error
+ */
+var lint_error = _define('LintError', minerva_error);
+
+// What the response handler says when what came back was not a
+// Barista response.
+var malformed_re = new RegExp('^(handler could not parse|' +
+			      'message and message_type must always exist|' +
+			      'data not object|commentary not string|' +
+			      'bad argument type in handler)');
+
+/**
+ * The signals that the manager knows what to do with.
+ *
+ * @returns {Array} list of signal strings
+ */
+function known_signals(){
+    return ['merge', 'rebuild', 'meta'];
+}
+
+/**
+ * The "model_id" and "operations" for an error, from what was asked
+ * for.
+ *
+ * @param {Object} [call] - "model_id" and "requests" (the structured request list)
+ * @returns {Object} info for an error constructor
+ */
+function call_info(call){
+    call = call || {};
+    return {
+	'model_id': call['model_id'] || null,
+	'operations': us.map(call['requests'] || [], function(r){
+	    return {'entity': r['entity'], 'operation': r['operation']};
+	})
+    };
+}
+
+/**
+ * The error for a response, if it is one:
+ *  - a transport error for a missing or not okay response (or a
+ *    malformed response error, if something unreadable came back)
+ *  - a Barista error for an "error" message type (or an operation
+ *    error, if Minerva added commentary)
+ *  - a malformed response error for a message type other than
+ *    "success", "warning", or "error"
+ *  - an unknown signal error for success with a signal not in
+ *    known_signals()
+ *
+ * @param {Object} resp - {module:bbop-response-barista} response, or null
+ * @param {Object} [call] - what was asked for: "model_id" and "requests" (the structured request list)
+ * @returns {Object|null} error, or null if the response is fine
+ */
+function from_response(resp, call){
+    var info = call_info(call);
+
+    var ret = null;
+    if( ! resp ){
+	ret = new transport_error('no response', null, info);
+    }else if( ! resp.okay() ){
+	var msg = resp.message() || 'bad response';
+	if( resp.raw() || malformed_re.test(msg) ){
+	    ret = new malformed_response_error(msg, resp, info);
+	}else{
+	    ret = new transport_error(msg, resp, info);
+	}
+    }else{
+	var m = resp.message_type();
+	if( m === 'error' ){
+	    if( _call(resp, 'commentary') ){
+		ret = new operation_error(resp.message() || 'error', resp, info);
+	    }else{
+		ret = new barista_error(resp.message() || 'error', resp, info);
+	    }
+	}else if( m !== 'success' && m !== 'warning' ){
+	    ret = new malformed_response_error('unimplemented message type: ' +
+					       m, resp, info);
+	}else if( m === 'success' &&
+		  ! us.contains(known_signals(), resp.signal()) ){
+	    ret = new unknown_signal_error('unknown signal: ' + resp.signal(),
+					   resp, info);
+	}
+    }
+    return ret;
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'minerva_error': minerva_error,
+    'transport_error': transport_error,
+    'malformed_response_error': malformed_response_error,
+    'barista_error': barista_error,
+    'operation_error': operation_error,
+    'unknown_signal_error': unknown_signal_error,
+    'cancelled_error': cancelled_error,
+    'timeout_error': timeout_error,
+    'vetoed_error': vetoed_error,
+    'evidence_error': evidence_error,
+    'lint_error': lint_error,
+    'known_signals': known_signals,
+    'call_info': call_info,
+    'from_response': from_response
+
+};
@@ -0,0 +1,221 @@
+/**
+ * Evidence for individuals and facts, and checking it before it goes
+ * out.
+ *
+ * Evidence is an ECO class, a list of references (the sources), and
+ * an optional list of with/from identifiers. The checks are:
+ *
+ *  type - an ECO id ("ECO:" and seven digits), and one of the known codes if a list of them is given (e.g. from {module:bbop-response-barista#evidence})
+ *  sources - CURIEs (e.g. MGI:MGI:..., FB:FBrf..., ISBN:...); PMID:, DOI:, GO_REF:, and Reactome: ones must also be well formed for their kind
+ *  with - CURIEs; a single string may hold several, separated by "|" or ","
+ *
+ * Problems are reported as plain objects with "field" ("type",
+ * "sources", or "with"), "value", and "message".
+ *
+ * @modules bbop-manager-minerva/evidence
+ */
+
+var us = require('underscore');
+
+var errors = require('./errors');
+
+// Aliasing.
+var each = us.each;
+
+var eco_rx = /^ECO:\d{7}$/;
+// References whose form we know, by prefix; any other CURIE goes.
+var reference_rxs = {
+    'PMID': /^PMID:\d+$/,
+    'DOI': /^DOI:10\.\d{4,9}\/\S+$/,
+    'GO_REF': /^GO_REF:\d{7}$/,
+    'Reactome': /^Reactome:(R-[A-Z]{3}-\d+(\.\d+)?|REACT_\d+(\.\d+)?)$/
+};
+var curie_rx = /^[A-Za-z][A-Za-z0-9_.-]*:[^\s|,]+$/;
+
+function _list(thing){
+    var ret = [];
+    if( us.isArray(thing) ){
+	ret = us.clone(thing);
+    }else if( thing ){
+	ret = [thing];
+    }
+    return ret;
+}
+
+/**
+ * Whether a string is a syntactically valid ECO id.
+ *
+ * @param {String} str - string
+ * @returns {Boolean} boolean
+ */
+function eco_p(str){
+    return us.isString(str) && eco_rx.test(str);
+}
+
+/**
+ * Whether a string is a well formed reference: a CURIE, which, for
+ * the prefixes we know the form of (PMID:, DOI:, GO_REF:, and
+ * Reactome:), must also be of that form.
+ *
+ * @param {String} str - string
+ * @returns {Boolean} boolean
+ */
+function reference_p(str){
+    var ret = false;
+    if( us.isString(str) && curie_rx.test(str) ){
+	var rx = reference_rxs[str.substr(0, str.indexOf(':'))];
+	ret = rx ? rx.test(str) : true;
+    }
+    return ret;
+}
+
+/**
+ * Whether a with/from string is made of well formed CURIEs.
+ *
+ * @param {String} str - string, possibly with several CURIEs separated by "|" or ","
+ * @returns {Boolean} boolean
+ */
+function with_p(str){
+    return us.isString(str) && us.every(str.split(/[|,]/), function(part){
+	return curie_rx.test(part);
+    });
+}
+
+/**
+ * Contructor for a piece of evidence, which can be used for as many
+ * individuals or facts as wanted.
+ *
+ * @constructor
+ * @param {String} type - ECO id
+ * @param {Array|String} sources - string or list of strings
+ * @param {Array|String|null} [with_strs] - string or list of strings or null
+ * @returns {evidence} evidence
+ */
+var evidence = function(type, sources, with_strs){
+    this._is_a = 'bbop-manager-minerva.evidence';
+    var anchor = this;
+
+    anchor._type = type;
+    anchor._sources = _list(sources);
+    anchor._with = _list(with_strs);
+
+    /**
+     * @returns {String} the ECO id
+     */
+    anchor.type = function(){
+	return anchor._type;
+    };
+
+    /**
+     * @returns {Array} list of references
+     */
+    anchor.sources = function(){
+	return us.clone(anchor._sources);
+    };
+
+    /**
+     * @returns {Array} list of with/from strings
+     */
+    anchor.with_strs = function(){
+	return us.clone(anchor._with);
+    };
+
+    /**
+     * Check this evidence.
+     *
+     * @param {Array} [known_codes] - list of ECO ids to allow; any well formed one is allowed if not given
+     * @returns {Array} list of problems; empty if there are none
+     */
+    anchor.problems = function(known_codes){
+	return check(anchor, known_codes);
+    };
+};
+
+/**
+ * Make evidence out of either an evidence object (given back as is),
+ * an object with "type", "sources", and "with", or the separate
+ * arguments as taken by the evidence constructor.
+ *
+ * @param {Object|String} type_or_evidence - see above
+ * @param {Array|String} [sources] - string or list of strings
+ * @param {Array|String|null} [with_strs] - string or list of strings or null
+ * @returns {evidence} evidence
+ */
+function from_arguments(type_or_evidence, sources, with_strs){
+    var ret = null;
+    var thing = type_or_evidence;
+    if( thing instanceof evidence ){
+	ret = thing;
+    }else if( us.isObject(thing) && ! us.isArray(thing) ){
+	ret = new evidence(thing['type'], thing['sources'], thing['with']);
+    }else{
+	ret = new evidence(thing, sources, with_strs);
+    }
+    return ret;
+}
+
+/**
+ * Check evidence.
+ *
+ * @param {evidence} ev - evidence
+ * @param {Array} [known_codes] - list of ECO ids to allow; any well formed one is allowed if not given
+ * @returns {Array} list of problems; empty if there are none
+ */
+function check(ev, known_codes){
+
+    var ret = [];
+    function _problem(field, value, message){
+	ret.push({'field': field, 'value': value, 'message': message});
+    }
+
+    var type = ev.type();
+    if( ! eco_p(type) ){
+	_problem('type', type, 'not an ECO id: ' + type);
+    }else if( known_codes && ! us.contains(known_codes, type) ){
+	_problem('type', type, 'not a known evidence code: ' + type);
+    }
+
+    each(ev.sources(), function(src){
+	if( ! reference_p(src) ){
+	    _problem('sources', src, 'not a well formed reference: ' + src);
+	}
+    });
+
+    each(ev.with_strs(), function(w){
+	if( ! with_p(w) ){
+	    _problem('with', w, 'not a CURIE (or list of them): ' + w);
+	}
+    });
+
+    return ret;
+}
+
+/**
+ * The error for evidence that did not pass its checks; the problems
+ * are under "problems".
+ *
+ * @param {Array} problems - list of problems, as from check()
+ * @returns {Error} {module:bbop-manager-minerva/errors} evidence_error
+ */
+function error(problems){
+    var err = new errors.evidence_error('invalid evidence: ' +
+					us.pluck(problems, 'message').join('; '));
+    err.problems = problems;
+    return err;
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'evidence': evidence,
+    'from_arguments': from_arguments,
+    'check': check,
+    'error': error,
+    'eco_p': eco_p,
+    'reference_p': reference_p,
+    'with_p': with_p
+
+};
@@ -0,0 +1,604 @@
+/**
+ * GPAD 2.0 and GAF 2.2 from GO-CAM models, without Minerva's legacy
+ * export, and back again (see parse()).
+ *
+ * Each activity (an individual that is enabled by something) gives
+ * annotations to the class of its enabler:
+ *
+ *  enabled by (RO:0002333) - "enables" (RO:0002327) the activity's class
+ *  part of (BFO:0000050) - "involved in" (RO:0002331) the process
+ *  occurs in (BFO:0000066) - "is active in" (RO:0002432) the location
+ *
+ * with a line for every piece of evidence on the edge: its ECO class,
+ * "source" references, "with" values, and the "date" and
+ * "contributor" annotations of the evidence (or the edge, or the
+ * model). The "enables" lines also carry the process and location as
+ * annotation extensions.
+ *
+ * Lines are made one model at a time (see writer()), so big exports
+ * need not be held in memory.
+ *
+ * @modules bbop-manager-minerva/gpad
+ */
+
+var us = require('underscore');
+
+// Aliasing.
+var each = us.each;
+
+var ENABLED_BY = 'RO:0002333';
+var PART_OF = 'BFO:0000050';
+var OCCURS_IN = 'BFO:0000066';
+
+// How activity edges become annotations.
+var edge_relations = {};
+edge_relations[ENABLED_BY] = {'relation': 'RO:0002327', 'qualifier': 'enables',
+			      'aspect': 'F'};
+edge_relations[PART_OF] = {'relation': 'RO:0002331',
+			   'qualifier': 'involved_in', 'aspect': 'P'};
+edge_relations[OCCURS_IN] = {'relation': 'RO:0002432',
+			     'qualifier': 'is_active_in', 'aspect': 'C'};
+
+/**
+ * GO evidence codes for ECO classes, for GAF. Can be added to or
+ * replaced with the "eco2code" option.
+ */
+var default_eco2code = {
+    'ECO:0000269': 'EXP',
+    'ECO:0000314': 'IDA',
+    'ECO:0000353': 'IPI',
+    'ECO:0000315': 'IMP',
+    'ECO:0000316': 'IGI',
+    'ECO:0000270': 'IEP',
+    'ECO:0006056': 'HTP',
+    'ECO:0007005': 'HDA',
+    'ECO:0007001': 'HMP',
+    'ECO:0007003': 'HGI',
+    'ECO:0007007': 'HEP',
+    'ECO:0000250': 'ISS',
+    'ECO:0000266': 'ISO',
+    'ECO:0000247': 'ISA',
+    'ECO:0000255': 'ISM',
+    'ECO:0000317': 'IGC',
+    'ECO:0000318': 'IBA',
+    'ECO:0000320': 'IKR',
+    'ECO:0000245': 'RCA',
+    'ECO:0000304': 'TAS',
+    'ECO:0000303': 'NAS',
+    'ECO:0000305': 'IC',
+    'ECO:0000307': 'ND',
+    'ECO:0000501': 'IEA'
+};
+
+function _values(thing, key){
+    var anns = us.filter((thing && thing['annotations']) || [],
+			 function(ann){
+			     return ann['key'] === key;
+			 });
+    return us.pluck(anns, 'value');
+}
+
+// The first value found for a key, looking at each thing in turn.
+function _first_value(things, key){
+    var ret = null;
+    each(things, function(thing){
+	if( ret === null ){
+	    var vals = _values(thing, key);
+	    if( vals.length > 0 ){ ret = vals[0]; }
+	}
+    });
+    return ret;
+}
+
+// The single named class of an individual, if it has one.
+function _class_of(ind){
+    var classes = us.where((ind && ind['type']) || [], {'type': 'class'});
+    return classes.length === 1 ? classes[0] : null;
+}
+
+function _taxon(model){
+    var ret = null;
+    each((model['annotations'] || []), function(ann){
+	if( ret === null && /in_taxon$/.test(ann['key']) ){
+	    ret = ann['value'];
+	}
+    });
+    return ret;
+}
+
+/**
+ * The annotations a model gives rise to, in a format-neutral form:
+ * objects with "model_id", "subject" (class object of the gene
+ * product), "relation", "qualifier", "aspect", "term" (class object),
+ * "references", "evidence_type", "with", "date", "contributors",
+ * "assigned_by", "extensions" (list of "relation(term)" strings),
+ * "taxon", and "model_state".
+ *
+ * The optional options object may contain:
+ *  assigned_by - used when the evidence has no "providedBy" (default "GO_Noctua")
+ *
+ * @param {Object} model - raw model data, or anything with a data() method returning it (e.g. a response)
+ * @param {Object} [options] - see above
+ * @returns {Object} object with "annotations" and "skipped" (list of objects with the "id" of the edge or activity and a "reason")
+ */
+function annotations(model, options){
+
+    if( model && us.isFunction(model.data) ){
+	model = model.data();
+    }
+    if( ! model || ! us.isObject(model) ){
+	throw new Error('no model data to export');
+    }
+    if( ! options ){ options = {}; }
+
+    var by_id = {};
+    each(model['individuals'] || [], function(ind){
+	by_id[ind['id']] = ind;
+    });
+    var facts = model['facts'] || [];
+    var taxon = _taxon(model);
+    var state = _first_value([model], 'state');
+
+    var ret = {'annotations': [], 'skipped': []};
+    function _skip(id, reason){
+	ret['skipped'].push({'id': id, 'reason': reason});
+    }
+
+    // Activity facts by activity.
+    var activities = {};
+    each(facts, function(fact){
+	if( edge_relations[fact['property']] ){
+	    var aid = fact['subject'];
+	    if( ! activities[aid] ){ activities[aid] = {}; }
+	    if( ! activities[aid][fact['property']] ){
+		activities[aid][fact['property']] = [];
+	    }
+	    activities[aid][fact['property']].push(fact);
+	}
+    });
+
+    each(us.keys(activities), function(aid){
+	var edges = activities[aid];
+	if( ! edges[ENABLED_BY] ){ return; } // not an activity
+
+	var activity = _class_of(by_id[aid]);
+	if( ! activity ){
+	    _skip(aid, 'activity is not of a single named class');
+	    return;
+	}
+
+	// Extensions for the function, from the other edges.
+	var extensions = [];
+	each([PART_OF, OCCURS_IN], function(rel){
+	    each(edges[rel] || [], function(fact){
+		var c = _class_of(by_id[fact['object']]);
+		if( c ){ extensions.push(rel + '(' + c['id'] + ')'); }
+	    });
+	});
+
+	each(edges[ENABLED_BY], function(eb_fact){
+	    var gp = _class_of(by_id[eb_fact['object']]);
+	    if( ! gp ){
+		_skip(aid, 'enabler is not of a single named class');
+		return;
+	    }
+	    each([ENABLED_BY, PART_OF, OCCURS_IN], function(rel){
+		each(edges[rel] || [], function(fact){
+		    var term = rel === ENABLED_BY ? activity :
+			    _class_of(by_id[fact['object']]);
+		    var fid = [fact['subject'], fact['object'],
+			       fact['property']].join(' ');
+		    if( ! term ){
+			_skip(fid, 'object is not of a single named class');
+			return;
+		    }
+		    var evs = us.compact(us.map(_values(fact, 'evidence'),
+						function(eid){
+						    return by_id[eid];
+						}));
+		    if( evs.length === 0 ){
+			_skip(fid, 'no evidence');
+			return;
+		    }
+		    var how = edge_relations[rel];
+		    each(evs, function(ev){
+			var ev_class = _class_of(ev);
+			var contributors = _values(ev, 'contributor');
+			if( contributors.length === 0 ){
+			    contributors = _values(fact, 'contributor');
+			}
+			ret['annotations'].push({
+			    'model_id': model['id'],
+			    'subject': gp,
+			    'relation': how['relation'],
+			    'qualifier': how['qualifier'],
+			    'aspect': how['aspect'],
+			    'term': term,
+			    'references': _values(ev, 'source'),
+			    'evidence_type': ev_class ? ev_class['id'] : null,
+			    'with': _values(ev, 'with'),
+			    'date': _first_value([ev, fact, model], 'date'),
+			    'contributors': contributors,
+			    'assigned_by': _first_value([ev, fact],
+							'providedBy') ||
+				options['assigned_by'] || 'GO_Noctua',
+			    'extensions': rel === ENABLED_BY ? extensions : [],
+			    'taxon': taxon,
+			    'model_state': state
+			});
+		    });
+		});
+	    });
+	});
+    });
+
+    return ret;
+}
+
+// Local part of a CURIE.
+function _local(id){
+    var i = id.indexOf(':');
+    return i === -1 ? id : id.substr(i + 1);
+}
+
+function _prefix(id){
+    var i = id.indexOf(':');
+    return i === -1 ? '' : id.substr(0, i);
+}
+
+// Tabs and newlines would break the line.
+function _clean(str){
+    return (str === null || typeof(str) === 'undefined') ?
+	'' : String(str).replace(/[\t\n\r]+/g, ' ');
+}
+
+function _properties(ann){
+    var props = [];
+    each(ann['contributors'], function(c){
+	props.push('contributor-id=' + c);
+    });
+    if( ann['model_state'] ){
+	props.push('model-state=' + ann['model_state']);
+    }
+    props.push('noctua-model-id=' + ann['model_id']);
+    return props.join('|');
+}
+
+/**
+ * A GPAD 2.0 line for an annotation.
+ *
+ * @param {Object} ann - as from annotations()
+ * @returns {String} line, without a newline
+ */
+function gpad_line(ann){
+    return us.map([
+	ann['subject']['id'],
+	'',
+	ann['relation'],
+	ann['term']['id'],
+	ann['references'].join('|'),
+	ann['evidence_type'],
+	ann['with'].join('|'),
+	'',
+	ann['date'],
+	ann['assigned_by'],
+	ann['extensions'].join(','),
+	_properties(ann)
+    ], _clean).join('\t');
+}
+
+/**
+ * A GAF 2.2 line for an annotation.
+ *
+ * The optional options object may contain:
+ *  eco2code - map of ECO ids to GO evidence codes, added to default_eco2code
+ *  object_type - the DB object type (default "protein")
+ *
+ * @param {Object} ann - as from annotations()
+ * @param {Object} [options] - see above
+ * @returns {String|null} line, without a newline, or null if the evidence has no GO evidence code
+ */
+function gaf_line(ann, options){
+
+    if( ! options ){ options = {}; }
+    var eco2code = us.extend({}, default_eco2code, options['eco2code'] || {});
+    var code = eco2code[ann['evidence_type']];
+    if( ! code ){ return null; }
+
+    var subject = ann['subject'];
+    var symbol = subject['label'] || _local(subject['id']);
+    var taxon = ann['taxon'] ? 'taxon:' + _local(ann['taxon']) : '';
+    var date = ann['date'] ? ann['date'].replace(/-/g, '') : '';
+
+    return us.map([
+	_prefix(subject['id']),
+	_local(subject['id']),
+	symbol,
+	ann['qualifier'],
+	ann['term']['id'],
+	ann['references'].join('|'),
+	code,
+	ann['with'].join('|'),
+	ann['aspect'],
+	subject['label'] || '',
+	'',
+	options['object_type'] || 'protein',
+	taxon,
+	date,
+	ann['assigned_by'],
+	ann['extensions'].join(','),
+	''
+    ], _clean).join('\t');
+}
+
+/**
+ * Header lines for a format.
+ *
+ * @param {String} format - "gpad" or "gaf"
+ * @param {Object} [options] - may contain "generated_by" and "date" (YYYY-MM-DD; defaults to today)
+ * @returns {Array} list of lines, without newlines
+ */
+function header(format, options){
+    if( ! options ){ options = {}; }
+    var date = options['date'] || new Date().toISOString().substr(0, 10);
+    var ret = [];
+    if( format === 'gpad' ){
+	ret.push('!gpad-version: 2.0');
+    }else if( format === 'gaf' ){
+	ret.push('!gaf-version: 2.2');
+    }else{
+	throw new Error('unknown annotation format: ' + format);
+    }
+    ret.push('!generated-by: ' +
+	     (options['generated_by'] || 'bbop-manager-minerva'));
+    ret.push('!date-generated: ' + date);
+    return ret;
+}
+
+/**
+ * Lines for a model, in either format.
+ *
+ * @param {Object} model - raw model data, or a response
+ * @param {String} format - "gpad" or "gaf"
+ * @param {Object} [options] - as for annotations() and gaf_line()
+ * @returns {Object} object with "lines" (without newlines) and "skipped", as for annotations(), plus evidence without a GO code for GAF
+ */
+function model_lines(model, format, options){
+    var found = annotations(model, options);
+    var ret = {'lines': [], 'skipped': found['skipped']};
+    each(found['annotations'], function(ann){
+	if( format === 'gpad' ){
+	    ret['lines'].push(gpad_line(ann));
+	}else if( format === 'gaf' ){
+	    var line = gaf_line(ann, options);
+	    if( line === null ){
+		ret['skipped'].push({
+		    'id': ann['subject']['id'] + ' ' + ann['term']['id'],
+		    'reason': 'no GO evidence code for ' + ann['evidence_type']
+		});
+	    }else{
+		ret['lines'].push(line);
+	    }
+	}else{
+	    throw new Error('unknown annotation format: ' + format);
+	}
+    });
+    return ret;
+}
+
+/**
+ * Contructor for a writer that puts out a file in either format, a
+ * model at a time: the header is written first, then the lines of
+ * each model as it is added.
+ *
+ * @constructor
+ * @param {String} format - "gpad" or "gaf"
+ * @param {Function|Object} out - function taking a string, or anything with a write() method taking a string (e.g. a Node stream)
+ * @param {Object} [options] - as for header() and model_lines()
+ * @returns {writer} writer
+ */
+var writer = function(format, out, options){
+    this._is_a = 'bbop-manager-minerva.gpad.writer';
+    var anchor = this;
+
+    if( ! options ){ options = {}; }
+    var write = us.isFunction(out) ? out : function(str){ out.write(str); };
+
+    anchor._summary = {'models': 0, 'lines': 0, 'skipped': []};
+
+    each(header(format, options), function(line){ write(line + '\n'); });
+
+    /**
+     * Write out the lines for a model.
+     *
+     * @param {Object} model - raw model data, or a response
+     * @returns {writer} this
+     */
+    anchor.add = function(model){
+	var got = model_lines(model, format, options);
+	each(got['lines'], function(line){ write(line + '\n'); });
+	anchor._summary['models']++;
+	anchor._summary['lines'] += got['lines'].length;
+	anchor._summary['skipped'] =
+	    anchor._summary['skipped'].concat(got['skipped']);
+	return anchor;
+    };
+
+    /**
+     * What has been written so far.
+     *
+     * @returns {Object} object with "models", "lines", and "skipped"
+     */
+    anchor.summary = function(){
+	return us.clone(anchor._summary);
+    };
+};
+
+// Aspects for the relations we know how to read back; anything else
+// is skipped on import.
+var relation_aspects = {
+    'RO:0002327': 'F', // enables
+    'RO:0002331': 'P', // involved in
+    'RO:0002432': 'C', // is active in
+    'RO:0001025': 'C', // located in
+    'BFO:0000050': 'C' // part of
+};
+var qualifier_relations = {
+    'enables': 'RO:0002327',
+    'involved_in': 'RO:0002331',
+    'is_active_in': 'RO:0002432',
+    'located_in': 'RO:0001025',
+    'part_of': 'BFO:0000050'
+};
+var aspect_relations = {
+    'F': 'RO:0002327',
+    'P': 'RO:0002331',
+    'C': 'RO:0002432'
+};
+
+function _split(str){
+    return us.filter((str || '').split(/[|,]/), function(part){
+	return part !== '';
+    });
+}
+
+// Read a GAF 2.x line; returns a record or a reason to skip it.
+function _gaf_record(cols, code2eco){
+    if( cols.length < 15 ){
+	return 'expected at least 15 GAF columns, got ' + cols.length;
+    }
+    var quals = _split(cols[3]);
+    if( us.contains(quals, 'NOT') ){
+	return 'negated annotations are not imported';
+    }
+    var relation = quals.length === 0 ?
+	    aspect_relations[cols[8]] : qualifier_relations[quals[0]];
+    if( ! relation || quals.length > 1 ){
+	return 'unsupported qualifier: ' + cols[3];
+    }
+    var eco = code2eco[cols[6]];
+    if( ! eco ){
+	return 'no ECO class for evidence code: ' + cols[6];
+    }
+    if( cols[15] ){
+	return 'annotation extensions are not imported';
+    }
+    return {
+	'subject': {'id': cols[0] + ':' + cols[1], 'label': cols[2]},
+	'relation': relation,
+	'aspect': relation_aspects[relation],
+	'term': {'id': cols[4]},
+	'references': _split(cols[5]),
+	'evidence_type': eco,
+	'with': _split(cols[7]),
+	'date': cols[13],
+	'assigned_by': cols[14]
+    };
+}
+
+// Read a GPAD 2.0 line; returns a record or a reason to skip it.
+function _gpad_record(cols){
+    if( cols.length < 10 ){
+	return 'expected at least 10 GPAD columns, got ' + cols.length;
+    }
+    if( cols[1] ){
+	return 'negated annotations are not imported';
+    }
+    if( ! relation_aspects[cols[2]] ){
+	return 'unsupported relation: ' + cols[2];
+    }
+    if( cols[10] ){
+	return 'annotation extensions are not imported';
+    }
+    return {
+	'subject': {'id': cols[0]},
+	'relation': cols[2],
+	'aspect': relation_aspects[cols[2]],
+	'term': {'id': cols[3]},
+	'references': _split(cols[4]),
+	'evidence_type': cols[5],
+	'with': _split(cols[6]),
+	'date': cols[8],
+	'assigned_by': cols[9]
+    };
+}
+
+/**
+ * Read GAF 2.x or GPAD 2.0 text. The format is taken from the
+ * version header, then the "format" option, then the number of
+ * columns on the first line.
+ *
+ * Only positive annotations without extensions, with the relations
+ * (or GAF qualifiers, or aspects) "enables", "involved in", "is
+ * active in", "located in", and "part of" are read; other lines are
+ * skipped, with a reason.
+ *
+ * The optional options object may contain:
+ *  format - "gaf" or "gpad", if there is no header
+ *  eco2code - map of ECO ids to GO evidence codes, added to default_eco2code; used backwards to find ECO classes for GAF codes
+ *
+ * @param {String} text - file contents
+ * @param {Object} [options] - see above
+ * @returns {Object} object with "format", "records" (with "line_number", "line", "subject", "relation", "aspect", "term", "references", "evidence_type", "with", "date", and "assigned_by"), and "skipped" (with "line_number", "line", and "reason")
+ */
+function parse(text, options){
+
+    if( ! options ){ options = {}; }
+
+    var code2eco = {};
+    var eco2code = us.extend({}, default_eco2code, options['eco2code'] || {});
+    each(us.keys(eco2code), function(eco){
+	// First ECO class for a code wins.
+	if( ! code2eco[eco2code[eco]] ){ code2eco[eco2code[eco]] = eco; }
+    });
+
+    var ret = {'format': options['format'] || null,
+	       'records': [], 'skipped': []};
+    var lines = (text || '').split(/\r?\n/);
+
+    each(lines, function(line, i){
+	var version = /^!(gaf|gpad)-version:\s*(\S+)/.exec(line);
+	if( version ){
+	    if( version[1] === 'gpad' && version[2].charAt(0) !== '2' ){
+		throw new Error('unsupported GPAD version: ' + version[2]);
+	    }
+	    ret['format'] = version[1];
+	    return;
+	}
+	if( line === '' || line.charAt(0) === '!' ){ return; }
+
+	var cols = line.split('\t');
+	if( ! ret['format'] ){
+	    ret['format'] = cols.length >= 15 ? 'gaf' : 'gpad';
+	}
+	var rec = ret['format'] === 'gaf' ?
+		_gaf_record(cols, code2eco) : _gpad_record(cols);
+	if( us.isString(rec) ){
+	    ret['skipped'].push({'line_number': i + 1, 'line': line,
+				 'reason': rec});
+	}else{
+	    rec['line_number'] = i + 1;
+	    rec['line'] = line;
+	    ret['records'].push(rec);
+	}
+    });
+
+    return ret;
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'annotations': annotations,
+    'gpad_line': gpad_line,
+    'gaf_line': gaf_line,
+    'header': header,
+    'model_lines': model_lines,
+    'writer': writer,
+    'parse': parse,
+    'default_eco2code': default_eco2code
+
+};
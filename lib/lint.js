@@ -0,0 +1,323 @@
+/**
+ * Quality checks for models, to be run before storing them.
+ *
+ * A rule is an object with:
+ *
+ *  name - string naming the rule in reports
+ *  level - "error" or "warning"
+ *  description - what the rule wants
+ *  check - function taking a context (see below) and returning a list of findings, each with "id" (the entity it is about), "entity" ("individual", "fact", or "model"), and "message"
+ *
+ * The context given to checks has:
+ *
+ *  model - the raw model data
+ *  options - the options given to lint_model()
+ *  individuals - the individuals that are not evidence, by id
+ *  evidence - the evidence individuals (those referenced by "evidence" annotations), by id
+ *  facts - the facts
+ *  fact_id(fact) - "subject object property" string for a fact, as in the model cache
+ *  class_ids(id) - the ids of the named classes of an individual
+ *  activity_p(id) - whether an individual is an activity (see below)
+ *  facts_of(id) - the facts an individual is part of
+ *
+ * An individual is taken to be an activity if it is of class
+ * GO:0003674, of a class mapped to "F" in the "term2aspect" option,
+ * or the subject of an enabled by (RO:0002333) fact.
+ *
+ * @modules bbop-manager-minerva/lint
+ */
+
+var us = require('underscore');
+
+var errors = require('./errors');
+
+// Aliasing.
+var each = us.each;
+
+var ROOT_MF = 'GO:0003674';
+var ENABLED_BY = 'RO:0002333';
+
+/**
+ * What the default relation rule allows at either end of the common
+ * GO-CAM relations: "activity", "other" (not an activity), or "any".
+ * Can be replaced with the "relations" option.
+ */
+var default_relations = {
+    'RO:0002333': {'subject': 'activity', 'object': 'other'}, // enabled by
+    'BFO:0000066': {'subject': 'any', 'object': 'other'}, // occurs in
+    'BFO:0000050': {'subject': 'any', 'object': 'other'}, // part of
+    'RO:0002233': {'subject': 'any', 'object': 'other'}, // has input
+    'RO:0002234': {'subject': 'any', 'object': 'other'}, // has output
+    'RO:0002413': {'subject': 'activity', 'object': 'activity'}, // directly provides input for
+    'RO:0002629': {'subject': 'activity', 'object': 'activity'}, // directly positively regulates
+    'RO:0002630': {'subject': 'activity', 'object': 'activity'} // directly negatively regulates
+};
+
+function _annotations(thing, key){
+    return us.filter(thing['annotations'] || [], function(ann){
+	return ann['key'] === key;
+    });
+}
+
+function _fact_id(fact){
+    return [fact['subject'], fact['object'], fact['property']].join(' ');
+}
+
+function _finding(entity, id, message){
+    return {'entity': entity, 'id': id, 'message': message};
+}
+
+// Everything a rule might want to know about a model, worked out
+// once.
+function _context(model, options){
+
+    var by_id = {};
+    each(model['individuals'] || [], function(ind){
+	by_id[ind['id']] = ind;
+    });
+    var facts = model['facts'] || [];
+
+    var evidence = {};
+    function _note_evidence(entity){
+	each(_annotations(entity, 'evidence'), function(ann){
+	    if( by_id[ann['value']] ){
+		evidence[ann['value']] = by_id[ann['value']];
+	    }
+	});
+    }
+    each(us.values(by_id), _note_evidence);
+    each(facts, _note_evidence);
+
+    var individuals = us.omit(by_id, us.keys(evidence));
+
+    function class_ids(id){
+	var ind = by_id[id];
+	var types = (ind && ind['type']) || [];
+	return us.pluck(us.where(types, {'type': 'class'}), 'id');
+    }
+
+    function facts_of(id){
+	return us.filter(facts, function(fact){
+	    return fact['subject'] === id || fact['object'] === id;
+	});
+    }
+
+    var term2aspect = options['term2aspect'] || {};
+    function activity_p(id){
+	var ret = us.some(class_ids(id), function(cid){
+	    return cid === ROOT_MF || term2aspect[cid] === 'F';
+	});
+	if( ! ret ){
+	    ret = us.some(facts, function(fact){
+		return fact['subject'] === id &&
+		    fact['property'] === ENABLED_BY;
+	    });
+	}
+	return ret;
+    }
+
+    return {
+	'model': model,
+	'options': options,
+	'individuals': individuals,
+	'evidence': evidence,
+	'facts': facts,
+	'fact_id': _fact_id,
+	'class_ids': class_ids,
+	'activity_p': activity_p,
+	'facts_of': facts_of
+    };
+}
+
+///
+/// Rules.
+///
+
+var fact_evidence = {
+    'name': 'fact-evidence',
+    'level': 'error',
+    'description': 'every fact has evidence',
+    'check': function(ctx){
+	var ret = [];
+	each(ctx.facts, function(fact){
+	    var anns = _annotations(fact, 'evidence');
+	    var found = us.some(anns, function(ann){
+		return us.has(ctx.evidence, ann['value']);
+	    });
+	    if( ! found ){
+		ret.push(_finding('fact', _fact_id(fact),
+				  'fact has no evidence'));
+	    }
+	});
+	return ret;
+    }
+};
+
+var enabled_by = {
+    'name': 'enabled-by',
+    'level': 'error',
+    'description': 'every activity is enabled by something',
+    'check': function(ctx){
+	var ret = [];
+	each(us.keys(ctx.individuals), function(id){
+	    if( ! ctx.activity_p(id) ){ return; }
+	    var found = us.some(ctx.facts, function(fact){
+		return fact['subject'] === id &&
+		    fact['property'] === ENABLED_BY;
+	    });
+	    if( ! found ){
+		ret.push(_finding('individual', id,
+				  'activity has no enabled by'));
+	    }
+	});
+	return ret;
+    }
+};
+
+var dangling = {
+    'name': 'dangling',
+    'level': 'warning',
+    'description': 'every individual takes part in a fact',
+    'check': function(ctx){
+	var ret = [];
+	each(us.keys(ctx.individuals), function(id){
+	    if( us.isEmpty(ctx.facts_of(id)) ){
+		ret.push(_finding('individual', id,
+				  'individual is not part of any fact'));
+	    }
+	});
+	return ret;
+    }
+};
+
+var title = {
+    'name': 'title',
+    'level': 'error',
+    'description': 'the model has a title',
+    'check': function(ctx){
+	var ret = [];
+	var titles = _annotations(ctx.model, 'title');
+	if( ! us.some(titles, function(ann){ return !! ann['value']; }) ){
+	    ret.push(_finding('model', ctx.model['id'], 'model has no title'));
+	}
+	return ret;
+    }
+};
+
+var state = {
+    'name': 'state',
+    'level': 'error',
+    'description': 'the model has a state',
+    'check': function(ctx){
+	var ret = [];
+	if( us.isEmpty(_annotations(ctx.model, 'state')) ){
+	    ret.push(_finding('model', ctx.model['id'], 'model has no state'));
+	}
+	return ret;
+    }
+};
+
+var relations = {
+    'name': 'relations',
+    'level': 'error',
+    'description': 'relations join the kinds of things they are meant for',
+    'check': function(ctx){
+	var ret = [];
+	var table = ctx.options['relations'] || default_relations;
+	function _ok(want, id){
+	    return ! want || want === 'any' ||
+		(want === 'activity') === ctx.activity_p(id);
+	}
+	each(ctx.facts, function(fact){
+	    var allowed = table[fact['property']];
+	    if( ! allowed ){ return; }
+	    each(['subject', 'object'], function(end){
+		if( ! _ok(allowed[end], fact[end]) ){
+		    var want = allowed[end] === 'activity' ?
+			    'an activity' : 'not an activity';
+		    ret.push(_finding('fact', _fact_id(fact),
+				      fact['property'] + ' ' + end +
+				      ' should be ' + want));
+		}
+	    });
+	});
+	return ret;
+    }
+};
+
+/**
+ * The rules used when no others are given: fact-evidence,
+ * enabled-by, dangling, title, state, and relations.
+ *
+ * @returns {Array} a fresh list of rules
+ */
+function default_rules(){
+    return [fact_evidence, enabled_by, dangling, title, state, relations];
+}
+
+/**
+ * Run rules over a model.
+ *
+ * The optional options object may contain:
+ *  rules - list of rules to run instead of the default ones
+ *  term2aspect - map of class ids to GO aspects ("F", "P", "C"), to help find activities
+ *  relations - table of what relations allow at their ends, like default_relations
+ *
+ * @param {Object} model - raw model data, or anything with a data() method returning it (e.g. a response)
+ * @param {Object} [options] - see above
+ * @returns {Object} report with "model_id", "errors" and "warnings" (lists of findings, each also carrying "rule" and "level"), and "ok_p" (true when there are no errors)
+ */
+function lint_model(model, options){
+
+    if( model && us.isFunction(model.data) ){
+	model = model.data();
+    }
+    if( ! model || ! us.isObject(model) ){
+	throw new Error('no model data to lint');
+    }
+    if( ! options ){ options = {}; }
+
+    var ctx = _context(model, options);
+    var report = {'model_id': model['id'], 'errors': [], 'warnings': []};
+    each(options['rules'] || default_rules(), function(rule){
+	var level = rule['level'] === 'warning' ? 'warning' : 'error';
+	each(rule.check(ctx) || [], function(found){
+	    report[level + 's'].push(us.extend({
+		'rule': rule['name'],
+		'level': level
+	    }, found));
+	});
+    });
+    report['ok_p'] = report['errors'].length === 0;
+
+    return report;
+}
+
+/**
+ * The error for a model refused by its lint report; the report is
+ * under "report".
+ *
+ * @param {Object} report - as from lint_model()
+ * @returns {Error} {module:bbop-manager-minerva/errors} lint_error
+ */
+function error(report){
+    var err = new errors.lint_error('model ' + report['model_id'] +
+				    ' failed lint with ' +
+				    report['errors'].length + ' error(s)',
+				    null, {'model_id': report['model_id']});
+    err.report = report;
+    return err;
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'lint_model': lint_model,
+    'default_rules': default_rules,
+    'default_relations': default_relations,
+    'error': error
+
+};
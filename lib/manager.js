@@ -11,12 +11,27 @@ var bbop = require('bbop-core');
 var registry = require('bbop-registry');
 
 var us = require('underscore');
+var Q = require('q');
 
 var class_expression = require('class-expression');
 var requests = require('minerva-requests');
 //var rest_manager = require('bbop-rest-manager');
 var barista_response = require('bbop-response-barista');
 
+var batch = require('./batch');
+var diff = require('./diff');
+var patch = require('./patch');
+var model_cache = require('./model_cache');
+var optimistic = require('./optimistic');
+var messaging = require('./messaging');
+var evidence = require('./evidence');
+var lint = require('./lint');
+var gpad = require('./gpad');
+var errors = require('./errors');
+var retry = require('./retry');
+var wire = require('./wire');
+var variables = require('./variables');
+
 // Aliasing.
 var each = us.each;
 var request = requests.request;
@@ -25,13 +40,17 @@ var request_set = requests.request_set;
 /**
  * A manager for handling the AJAX and registry. Initial take from
  * {module:bbop-rest-manager}.
+ *
+ * Callbacks for "error", "manager_error", and "unknown_signal" get
+ * the response, the manager, and an error from
+ * {module:bbop-manager-minerva/errors} saying what went wrong.
  * 
  * @constructor
  * @param {String} barista_location - string for invariant part of API
  * @param {String} namespace - string for namespace of API to use
  * @param {String} user_token - identifying string for the user of the manager (Barista token)
  * @param {Object} engine - Remote resource manager client to use (must be an instantiated {module:bbop-rest-manager} engine)
- * @param {String} mode - whether or not to have utility methods (most besides fetch_with and start_with be in); options are "sync" and "async", which correspond to internally using fetch and start respectively
+ * @param {String} mode - whether or not to have utility methods (most besides fetch_with and start_with be in); options are "sync" and "async", which correspond to internally using fetch and start respectively, and "promise", which uses start, but has every method return a native Promise that resolves to the response on success and rejects with an error from {module:bbop-manager-minerva/errors} when the engine fails or Barista reports an error (callbacks run as usual)
  * @returns {manager} a classic manager
  */
 var manager = function(barista_location, namespace, user_token, engine, mode){
@@ -42,6 +61,18 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
 			 'merge',
 			 'rebuild',
 			 'meta',
+			 'progress', // multi-step operations
+			 'model_updated', // model cache
+			 'pending', // optimistic edits
+			 'confirmed', // optimistic edits
+			 'reverted', // optimistic edits
+			 'remote_merge', // subscriptions
+			 'remote_rebuild', // subscriptions
+			 'presence', // subscriptions
+			 'cancelled', // abandoned calls
+			 'timeout', // abandoned calls
+			 'unknown_signal', // odd responses
+			 'retry', // transient failures
 			 'warning', // trump
 			 'error' //trump
 			]);
@@ -58,21 +89,305 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
 
     anchor._use_groups = null;
 
+    // Off until asked for.
+    anchor._model_cache = null;
+    anchor._optimistic_p = false;
+
+    // Optimistic edits waiting on a response, by correlation id.
+    anchor._pending_edits = {};
+
+    // Created on first use.
+    anchor._messaging = null;
+
+    // ECO ids allowed in evidence; learned from meta responses.
+    anchor._evidence_codes = null;
+
+    // Rules for lint_model.
+    anchor._lint_rules = lint.default_rules();
+
+    // Milliseconds to wait on a call before giving up; none by default.
+    anchor._request_timeout = null;
+
+    // Whether unknown signals are errors.
+    anchor._strict_signals_p = false;
+
+    // Run around every call, in order.
+    anchor._middleware = [];
+
+    // When to try failed calls again; not at all in "sync" mode unless
+    // asked, as the waits in between would hold everything up.
+    function _default_retry_policy(){
+	return retry.policy(mode === 'sync' ? {'max_attempts': 1} : {});
+    }
+    anchor._retry_policy = _default_retry_policy();
+
+    // Calls waiting their turn, by model id; see _reserve().
+    anchor._queues = {};
+    anchor._coalesce_p = false;
+
+    // How arguments with several values go on the wire.
+    anchor._wire_strategy = wire.default_strategy();
+
+    // Payload sizes (bytes) above which calls go by POST, or are
+    // split; see post_threshold() and split_threshold().
+    anchor._post_threshold = 2000;
+    anchor._split_threshold = null;
+
     //  
     anchor._engine = engine;
     anchor._mode = mode;
-    anchor._runner = function(resource, payload){
+    anchor._runner = function(resource, payload, call){
+	call = call || {};
 	var ret = null;
 	if( anchor._mode === 'sync' ){
-	    ret = anchor._engine.fetch(resource, payload);
+	    ret = _run_sync(resource, payload, call);
 	}else if( anchor._mode === 'async' ){
-	    ret = anchor._engine.start(resource, payload);
+	    ret = _run_async(resource, payload, call);
+	}else if( anchor._mode === 'promise' ){
+	    ret = new Promise(function(resolve){
+		resolve(_run_async(resource, payload, call));
+	    }).then(function(resp){
+		if( call['error'] ){ throw call['error']; }
+		return resp;
+	    });
 	}else{
 	    throw new Error('"mode" not set in new bbop-manager-minerva');
 	}
 	return ret;
     };
 
+    // The callbacks are run from here, once per call, rather than
+    // from the engine's own callbacks: that way, a call that has been
+    // given up on can have its response dropped on the floor. The
+    // error for the response, if it is one, is kept on the call.
+    function _dispatch(resp, call){
+	var err = errors.from_response(resp, call['details']);
+	if( err instanceof errors.transport_error ){
+	    _on_fail(resp, err);
+	}else{
+	    _on_nominal_success(resp, err);
+	}
+	call['error'] = _fatal(err);
+    }
+
+    // Unknown signals are only errors when asked for.
+    function _fatal(err){
+	if( err instanceof errors.unknown_signal_error &&
+	    ! anchor._strict_signals_p ){
+	    err = null;
+	}
+	return err;
+    }
+
+    function _cancelled_p(call){
+	return !! (call['signal'] && call['signal'].aborted);
+    }
+
+    // Give up on a call, letting the "cancelled" or "timeout"
+    // listeners know; returns the error to reject (or throw) with.
+    function _abandon(call, reason){
+	var details = us.extend({'reason': reason}, call['details']);
+	anchor.apply_callbacks(reason, [details, anchor]);
+	var info = errors.call_info(details);
+	var err = null;
+	if( reason === 'timeout' ){
+	    err = new errors.timeout_error('request timed out after ' +
+					   call['timeout'] + 'ms', null, info);
+	}else{
+	    err = new errors.cancelled_error('request cancelled', null, info);
+	}
+	err.details = details;
+	return err;
+    }
+
+    // The engine's fetch or start, by the given method if any. The
+    // engines keep the last method they were given, so the one the
+    // engine was set to is put back for the calls after.
+    function _engine_call(fn, resource, payload, method){
+	var engine = anchor._engine;
+	var configured = method ? engine.method() : null;
+	try{
+	    return engine[fn](resource, payload, method);
+	}finally{
+	    if( method ){ engine.method(configured); }
+	}
+    }
+
+    // The engine's start, unless the middleware already answered.
+    function _start(resource, payload, call){
+	if( call['short_circuit'] ){
+	    return Promise.resolve(call['short_circuit']);
+	}
+	return _engine_call('start', resource, payload, call['method']);
+    }
+
+    // The engine's start, tried again after a while if the retry
+    // policy allows it for the call and the failure; what comes out
+    // is the response to the last attempt. Only the last attempt runs
+    // callbacks, but each retry runs "retry".
+    function _attempts(resource, payload, call){
+	if( ! _retry_p(call) ){
+	    return _start(resource, payload, call);
+	}
+
+	function attempt(n){
+	    return _start(resource, payload, call).then(function(resp){
+		var wait = call['abandoned_p'] ? null :
+			_retry_wait(resp, n, call);
+		if( wait === null ){ return resp; }
+		return new Promise(function(resolve){
+		    setTimeout(resolve, wait);
+		}).then(function(){
+		    return call['abandoned_p'] ? resp : attempt(n + 1);
+		});
+	    });
+	}
+	return attempt(1);
+    }
+
+    // Whether the retry policy lets a call be tried more than once.
+    function _retry_p(call){
+	var details = call['details'] || {};
+	return ! call['short_circuit'] &&
+	    retry.eligible_p(anchor._retry_policy, details['requests'] || []);
+    }
+
+    // How long to wait before trying a call again, after attempt "n"
+    // gave "resp", running "retry" first; null if it is not worth
+    // another try.
+    function _retry_wait(resp, n, call){
+	var pol = anchor._retry_policy;
+	var details = call['details'] || {};
+	var err = errors.from_response(resp, details);
+	if( n >= pol['max_attempts'] || ! retry.retryable_p(pol, err) ){
+	    return null;
+	}
+	var wait = retry.delay(pol, n);
+	anchor.apply_callbacks('retry', [us.extend({
+	    'attempt': n + 1,
+	    'max_attempts': pol['max_attempts'],
+	    'delay': wait,
+	    'error': err
+	}, details), anchor]);
+	return wait;
+    }
+
+    // Sleep through the wait before a retry in "sync" mode; where
+    // Atomics.wait() is not allowed (e.g. a browser's main thread),
+    // the retry goes at once instead.
+    function _block(ms){
+	try{
+	    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+	}catch(e){
+	    // No waiting here.
+	}
+    }
+
+    // Let the middleware at the response, then run the callbacks for
+    // it; returns the response, or a promise for it if any of the
+    // middleware went async.
+    function _respond(resp, call){
+	var ctx = call['context'];
+	if( ! ctx ){
+	    _dispatch(resp, call);
+	    return resp;
+	}
+	ctx['response'] = resp;
+	return _then(_pipe('response', ctx), function(){
+	    if( ctx['vetoed_p'] ){ throw _vetoed(ctx); }
+	    _dispatch(ctx['response'], call);
+	    return ctx['response'];
+	});
+    }
+
+    // As the engine's fetch, but blocking calls can only be given up
+    // on before they go out or after they come back.
+    function _run_sync(resource, payload, call){
+	if( _cancelled_p(call) ){ throw _abandon(call, 'cancelled'); }
+	var started = Date.now();
+	function late_p(){
+	    return call['timeout'] && Date.now() - started > call['timeout'];
+	}
+	function fetch(){
+	    return _engine_call('fetch', resource, payload, call['method']);
+	}
+
+	var resp = call['short_circuit'] || fetch();
+	var n = 1;
+	var wait = null;
+	while( _retry_p(call) && ! _cancelled_p(call) && ! late_p() &&
+	       (wait = _retry_wait(resp, n, call)) !== null ){
+	    _block(wait);
+	    if( _cancelled_p(call) || late_p() ){ break; }
+	    resp = fetch();
+	    n++;
+	}
+
+	if( _cancelled_p(call) ){ throw _abandon(call, 'cancelled'); }
+	if( late_p() ){ throw _abandon(call, 'timeout'); }
+	return _respond(resp, call);
+    }
+
+    // As the engine's start; the engine's promise is passed along
+    // as-is unless there is a signal or timeout to watch.
+    function _run_async(resource, payload, call){
+	var signal = call['signal'] || null;
+	var timeout = call['timeout'] || null;
+	if( ! signal && ! timeout ){
+	    return _attempts(resource, payload, call).then(function(resp){
+		return _respond(resp, call);
+	    });
+	}
+
+	return new Promise(function(resolve, reject){
+	    if( _cancelled_p(call) ){
+		reject(_abandon(call, 'cancelled'));
+		return;
+	    }
+
+	    var settled_p = false;
+	    var timer = null;
+	    function settle(){
+		settled_p = true;
+		if( timer ){ clearTimeout(timer); }
+		if( signal && signal.removeEventListener ){
+		    signal.removeEventListener('abort', on_abort);
+		}
+	    }
+	    function give_up(reason){
+		if( ! settled_p ){
+		    settle();
+		    call['abandoned_p'] = true;
+		    reject(_abandon(call, reason));
+		}
+	    }
+	    function on_abort(){ give_up('cancelled'); }
+
+	    if( timeout ){
+		timer = setTimeout(function(){ give_up('timeout'); }, timeout);
+	    }
+	    if( signal ){
+		signal.addEventListener('abort', on_abort);
+	    }
+
+	    Promise.resolve(_attempts(resource, payload, call)).then(function(resp){
+		if( ! settled_p ){
+		    settle();
+		    try{
+			resolve(_respond(resp, call));
+		    }catch(e){
+			reject(e);
+		    }
+		}
+	    }, function(err){
+		if( ! settled_p ){
+		    settle();
+		    reject(err);
+		}
+	    });
+	});
+    }
+
     // Will use this one other spot, where the user can change the
     // token.
     function _set_url_from_token(in_token){	
@@ -92,65 +407,91 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
     }
     _set_url_from_token(user_token);
 
-    // How to deal with failure.
-    function _on_fail(resp, man){	
-	var retval = null;
-
-	// See if we got any traction.
-	if( ! resp || ! resp.message_type() || ! resp.message() ){
-	    // Something dark has happened, try to put something
-	    // together.
-	    // console.log('bad resp!?: ', resp);
-	    var resp_seed = {
-		'message_type': 'error',
-		'message': 'deep manager error'
-	    };
-	    resp = new barista_response(resp_seed);
-	    retval = resp;
-	}
-	anchor.apply_callbacks('manager_error', [resp, anchor]);
+    // How to deal with failure: the listeners get the response (or
+    // an empty stand-in, if there wasn't one) and the error.
+    function _on_fail(resp, err){
 
-	return retval;
+	if( ! resp ){
+	    resp = new barista_response(null);
+	}
+	if( ! resp.message() ){
+	    resp.message(err.message);
+	}
+	if( ! resp.message_type() ){
+	    resp.message_type('error');
+	}
+	anchor.apply_callbacks('manager_error', [resp, anchor, err]);
     }
-    anchor._engine.register('error', _on_fail);
 
     // When we have nominal success, we still need to do some kind of
-    // dispatch to the proper functionality.
-    function _on_nominal_success(resp, man){
-	var retval = resp;
+    // dispatch to the proper functionality. Any error (for an
+    // "error" message type or an unknown signal) goes along to the
+    // listeners after the response.
+    function _on_nominal_success(resp, err){
 	
 	// Switch on message type when there isn't a complete failure.
 	var m = resp.message_type();
 	if( m === 'error' ){
 	    // Errors trump everything.
-	    anchor.apply_callbacks('error', [resp, anchor]);
+	    anchor.apply_callbacks('error', [resp, anchor, err]);
 	}else if( m === 'warning' ){
 	    // Don't really have anything for warning yet...remove?
 	    anchor.apply_callbacks('warning', [resp, anchor]);
-	}else if( m === 'success' ){
+	}else{
 	    var sig = resp.signal();
-	    if( sig === 'merge' || sig === 'rebuild' || sig === 'meta' ){
+	    if( ! err ){
+		// Bring the cache up to date first, so that it is
+		// current for everybody downstream.
+		var update = _update_model_cache(resp);
+		if( sig === 'meta' && ! us.isEmpty(resp.evidence()) ){
+		    anchor._evidence_codes = us.pluck(resp.evidence(), 'id');
+		}
 		//console.log('run on signal: ' + sig);
 		anchor.apply_callbacks(sig, [resp, anchor]);		
+		_report_model_update(update);
 	    }else{
-		if( typeof(alert) === 'function' ){
-		    alert('unknown signal: very bad: ' + sig);
+		// Unknown signal; an error too, if we're being strict.
+		anchor.apply_callbacks('unknown_signal', [resp, anchor, err]);
+		if( anchor._strict_signals_p ){
+		    anchor.apply_callbacks('error', [resp, anchor, err]);
 		}
-		console.log('unknown signal: very bad: ' + sig);
-	    }
-	}else{
-	    if( typeof(alert) === 'function' ){
-		alert('unimplemented message_type: ' + m);	    
 	    }
-	    console.log('unimplemented message_type: ' + m);
 	}
 
 	// Postrun goes no matter what.
 	anchor.apply_callbacks('postrun', [resp, anchor]);
+    }
+
+    // Keep the model cache, if any, up to date with a response.
+    function _update_model_cache(resp){
+	var ret = null;
+	if( anchor._model_cache ){
+	    ret = anchor._model_cache.update(resp);
+	}
+	return ret;
+    }
+    function _report_model_update(update){
+	if( update ){
+	    anchor.apply_callbacks('model_updated', [update, anchor]);
+	}
+    }
 
-	return retval;
+    // Edits by others, relayed by Barista.
+    function _on_relay(raw, model_id, client_id){
+	var resp = new barista_response(raw);
+	if( ! resp.okay() || resp.message_type() !== 'success' ){
+	    return;
+	}
+	var sig = resp.signal();
+	if( sig === 'merge' || sig === 'rebuild' ){
+	    var update = _update_model_cache(resp);
+	    anchor.apply_callbacks('remote_' + sig, [resp, anchor]);
+	    _report_model_update(update);
+	}
+    }
+    function _on_presence(presence){
+	anchor.apply_callbacks('presence', [presence, anchor]);
     }
-    anchor._engine.register('success', _on_nominal_success);
 
     ///
     /// Control our identity and other meta operations.
@@ -212,208 +553,786 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
 	return us.clone(anchor._use_groups);
     };
 
-    ///
-    /// Actual mechanism.
-    ///
-
     /**
-     * Trigger a rebuild {module:bbop-response-barista} with a model.
-     * 
-     * Intent: "query".
-     * Expect: "success" and "rebuild".
-     * 
-     * @param {String} model_id - string
-     * @returns {module:bbop-barista-response#response} barista response
+     * Get/set how arguments with several values, like the groups
+     * from use_groups, are written on the wire; see
+     * {module:bbop-manager-minerva/wire} for the strategies:
+     * "repeated" (default; one parameter per value), "json" (one JSON
+     * string parameter), or "post" (one parameter per value, in a
+     * POST body). Only "post" picks the method; the others go by
+     * whatever method the engine is set to.
+     *
+     * @param {String} [strategy] - optional strategy to set
+     * @returns {String} current strategy
      */
-    anchor.get_model = function(model_id){
+    anchor.wire_strategy = function(strategy){
 
-	var reqs = new request_set(anchor.user_token(), model_id);
-	reqs.get_model();
+	if( typeof(strategy) !== 'undefined' ){
+	    anchor._wire_strategy = wire.strategy(strategy);
+	}
 
- 	return anchor.request_with(reqs);
+	return anchor._wire_strategy;
     };
-    
-    // /*
-    //  * Method: get_model_ids
-    //  * 
-    //  * Trigger meta {module:bbop-response-barista} with a list of all model
-    //  * ids.
-    //  * 
-    //  * Intent: "query".
-    //  * Expect: "success" and "meta".
-    //  * 
-    //  * @param {}    //  *  n/a
-    //  * 
-    //  * @returns {}    //  *  n/a
-    //  */
-    // anchor.get_model_ids = function(){
-
-    // 	// 
-    // 	var reqs = new request_set(anchor.user_token());
-    // 	var req = new request('model', 'all-model-ids');
-    // 	reqs.add(req);
 
-    // 	var args = reqs.callable();	
-    // 	anchor.apply_callbacks('prerun', [anchor]);
-    // 	jqm.action(anchor._batch_url, args, 'GET');
-    // };
-    
     /**
-     * Trigger meta {module:bbop-response-barista} with a list of all model
-     * meta-information.
-     * 
-     * Intent: "query".
-     * Expect: "success" and "meta".
-     * 
-     * @returns {module:bbop-barista-response#response} barista response
+     * Get/set the payload size (in bytes, as form encoded) above which
+     * calls are sent by POST, whatever the wire strategy or the
+     * engine's method, to keep clear of URL length limits. Default
+     * 2000. A null or false value turns this off.
+     *
+     * @param {Number|null|false} [bytes] - optional threshold to set
+     * @returns {Number|null} current threshold
      */
-    anchor.get_meta = function(){
+    anchor.post_threshold = function(bytes){
 
-	var reqs = new request_set(anchor.user_token());
-	reqs.get_meta();
+	if( bytes === null || bytes === false ){
+	    anchor._post_threshold = null;
+	}else if( us.isNumber(bytes) ){
+	    anchor._post_threshold = bytes;
+	}
 
- 	return anchor.request_with(reqs);
+	return anchor._post_threshold;
     };
 
     /**
-     * Trigger meta {module:bbop-response-barista} of requested
-     * model's undo/redo information.
-     * 
-     * This will make the request whether or not the user has an okay
-     * token defined.
+     * Get/set the payload size (in bytes, as form encoded) above which
+     * a call is split into several, sent one after another, each no
+     * bigger than this (but with at least one request); see
+     * {module:bbop-manager-minerva/wire} split(). New individuals are
+     * still made under request variables; the ids they became are
+     * read from each part's response and put in their place in the
+     * parts after it. Only the last part runs the
+     * callbacks, unless an earlier part fails, in which case that
+     * part's response stands for the call and the rest are not sent.
+     * Calls that make new models are never split. Off (null) by
+     * default; a null or false value turns it off.
      *
-     * Intent: "query".
-     * Expect: "success" and "meta".
-     * 
-     * @param {String} model_id - string
-     * @returns {module:bbop-barista-response#response} barista response
+     * @param {Number|null|false} [bytes] - optional threshold to set
+     * @returns {Number|null} current threshold
      */
-    anchor.get_model_undo_redo = function(model_id){
+    anchor.split_threshold = function(bytes){
 
-	// 
-	var reqs = new request_set(anchor.user_token(), model_id);
-	reqs.get_undo_redo();
+	if( bytes === null || bytes === false ){
+	    anchor._split_threshold = null;
+	}else if( us.isNumber(bytes) ){
+	    anchor._split_threshold = bytes;
+	}
 
- 	return anchor.request_with(reqs);
+	return anchor._split_threshold;
     };
-    
+
     /**
-     * Trigger rebuild {module:bbop-response-barista} after an attempt
-     * to roll back the model to "last" state.
+     * Get/set the number of milliseconds to wait on any call before
+     * giving up on it (see request_with()). A null or false value
+     * turns this off, which is the default. In "sync" mode, a call is
+     * not cut short; one that took too long is given up on once it
+     * returns.
      *
-     * Intent: "action".
-     * Expect: "success" and "rebuild".
-     * 
-     * @param {String} model_id - string
-     * @returns {module:bbop-barista-response#response} barista response
+     * @param {Number} [ms] - optional value to set the timeout
+     * @returns {Number|null} current timeout
      */
-    anchor.perform_undo = function(model_id){
+    anchor.request_timeout = function(ms){
 
-	var reqs = new request_set(anchor.user_token(), model_id);
-	reqs.undo_last_model_batch();
+	if( ms === false || ms === null ){
+	    anchor._request_timeout = null;
+	}else if( us.isNumber(ms) ){
+	    anchor._request_timeout = ms;
+	}
 
- 	return anchor.request_with(reqs);
+	return anchor._request_timeout;
     };
-    
+
     /**
-     * Trigger rebuild {module:bbop-response-barista} after an attempt
-     * to roll forward the model to "next" state.
+     * Get/set whether a successful response with a signal the manager
+     * does not know (see {module:bbop-manager-minerva/errors}
+     * known_signals()) is an error. Either way, "unknown_signal" is
+     * run with the response, the manager, and an unknown_signal_error;
+     * when strict, "error" is run the same way and, in "promise" mode,
+     * the call is rejected with the error. Off by default.
      *
-     * Intent: "action".
-     * Expect: "success" and "rebuild".
-     * 
-     * @param {String} model_id - string
-     * @returns {module:bbop-barista-response#response} barista response
+     * @param {Boolean} [bool] - optional value to set strictness
+     * @returns {Boolean} current strictness
      */
-    anchor.perform_redo = function(model_id){
+    anchor.use_strict_signals = function(bool){
 
-	var reqs = new request_set(anchor.user_token(), model_id);
-	reqs.redo_last_model_batch();
+	if( typeof(bool) === 'boolean' ){
+	    anchor._strict_signals_p = bool;
+	}
 
- 	return anchor.request_with(reqs);
+	return anchor._strict_signals_p;
     };
-    
+
     /**
-     * Trigger merge (or possibly a rebuild)
-     * {module:bbop-response-barista} on attempt to add a single fact
-     * to a model.
+     * Get/set the ECO ids allowed in evidence. These are picked up
+     * from the evidence list of any meta response (e.g. from
+     * get_meta()); until then, any well formed ECO id is allowed. A
+     * null or false value goes back to that.
      *
-     * Intent: "action".
-     * Expect: "success" and "merge".
-     * 
-     * @param {String} model_id - string
-     * @param {String} source_id - string
-     * @param {String} target_id - string
-     * @param {String} rel_id - string
-     * @returns {module:bbop-barista-response#response} barista response
+     * @param {Array} [codes] - optional list of ECO ids
+     * @returns {Array|null} current list of ECO ids, if any
      */
-    anchor.add_fact = function(model_id, source_id, target_id, rel_id){
+    anchor.evidence_codes = function(codes){
 
-	var reqs = new request_set(anchor.user_token(), model_id);
-	reqs.add_fact([source_id, target_id, rel_id]);
+	if( codes === false || codes === null ){
+	    anchor._evidence_codes = null;
+	}else if( us.isArray(codes) ){
+	    anchor._evidence_codes = us.clone(codes);
+	}
 
- 	return anchor.request_with(reqs);
+	return anchor._evidence_codes ? us.clone(anchor._evidence_codes) : null;
     };
-    
+
     /**
-     * Trigger merge (or possibly a rebuild)
-     * {module:bbop-response-barista} on attempt to remove a single
-     * fact to a model.
+     * Make a piece of evidence that can be given, as is, to any of
+     * the evidence methods, as often as wanted.
      *
-     * Intent: "action".
-     * Expect: "success" and "merge".
-     * 
-     * @param {String} model_id - string
-     * @param {String} source_id - string
-     * @param {String} target_id - string
-     * @param {String} rel_id - string
-     * @returns {module:bbop-barista-response#response} barista response
+     * @param {String} type - ECO id
+     * @param {Array|String} sources - string or list of strings
+     * @param {Array|String|null} [with_strs] - string or list of strings or null
+     * @returns {module:bbop-manager-minerva/evidence~evidence} evidence
      */
-    anchor.remove_fact = function(model_id, source_id, target_id, rel_id){
-
-	var reqs = new request_set(anchor.user_token(), model_id);
-	reqs.remove_fact([source_id, target_id, rel_id]);
-
- 	return anchor.request_with(reqs);
+    anchor.evidence = function(type, sources, with_strs){
+	return new evidence.evidence(type, sources, with_strs);
     };
-    
+
     /**
-     * Trigger merge (or possibly a rebuild)
-     * {module:bbop-response-barista.response} on attempt to add a
-     * simple composite unit (class, enabled_by, and occurs_in) to a
-     * model.
+     * Check evidence against the known evidence codes (see
+     * evidence_codes()) and the reference and with/from syntax (see
+     * {module:bbop-manager-minerva/evidence}).
      *
-     * Intent: "action".
-     * Expect: "success" and "merge".
-     * 
-     * @param {String} model_id - string
-     * @param {String} cls_exp - anything taken by {module:class-expression}
-     * @param {String} [enabled_by_expr] - anything taken by {module:class-expression}
-     * @param {String} [occurs_in_expr] - anything taken by {module:class-expression}
-     * @returns {module:bbop-barista-response#response} barista response
+     * @param {Object|String} evidence_id - evidence object, or ECO id
+     * @param {Array|String} [source_ids] - string or list of strings
+     * @param {Array|String|null} [with_strs] - string or list of strings or null
+     * @returns {Array} list of problems (objects with "field", "value", and "message"); empty if there are none
      */
-    anchor.add_simple_composite = function(model_id, cls_expr,
-    					   enabled_by_expr, occurs_in_expr){
+    anchor.check_evidence = function(evidence_id, source_ids, with_strs){
+	var ev = evidence.from_arguments(evidence_id, source_ids, with_strs);
+	return ev.problems(anchor._evidence_codes);
+    };
 
-	// Minimal requirements.
-	var reqs = new request_set(anchor.user_token(), model_id);
-     	var ind = reqs.add_individual(cls_expr);
+    /**
+     * Get/set the rules used by lint_model(). Defaults to the rules
+     * of {module:bbop-manager-minerva/lint}; a null or false value
+     * goes back to them.
+     *
+     * @param {Array} [rules] - optional list of lint rules
+     * @returns {Array} current list of lint rules
+     */
+    anchor.lint_rules = function(rules){
 
-	// Optional set expressions.
-	if( enabled_by_expr ){
-	    reqs.add_type_to_individual(
-		class_expression.svf(enabled_by_expr, 'RO:0002333'), ind);
-	}
-	if( occurs_in_expr ){
-	    reqs.add_type_to_individual(
-		class_expression.svf(occurs_in_expr, 'occurs_in'), ind);
+	if( rules === false || rules === null ){
+	    anchor._lint_rules = lint.default_rules();
+	}else if( us.isArray(rules) ){
+	    anchor._lint_rules = us.clone(rules);
 	}
 
- 	return anchor.request_with(reqs);
+	return us.clone(anchor._lint_rules);
     };
-    
+
     /**
-     * Trigger merge (or possibly a rebuild)
+     * Add middleware to run around every call that goes through
+     * request_with() (which is nearly all of them), after any already
+     * added.
+     *
+     * Middleware is either an object with any of the hooks below, or
+     * a function that is run for all of them. Each hook is run with a
+     * context object, and may change it:
+     *  request_set - before the request set is serialized; the
+     *                context has "request_set" and "model_id"
+     *  args - before the arguments go to the engine; the context also
+     *         has "args", the serialized form
+     *  response - before the callbacks for the response are run; the
+     *             context also has "response"
+     * The context "stage" says which hook it is. A hook may also call
+     * the context's respond(response), to stop the hooks for that
+     * stage and go on with the given response (in the first two
+     * stages, nothing is sent), or veto(reason), to stop the call
+     * altogether: nothing further is sent or run, and the call is
+     * rejected with (or, for "sync", throws) a
+     * {module:bbop-manager-minerva/errors} vetoed_error.
+     *
+     * A hook may return a promise to be waited on before the next
+     * one runs, except in "sync" mode.
+     *
+     * @param {Object|Function} middleware - see above
+     * @returns {manager} this manager
+     */
+    anchor.use = function(middleware){
+
+	if( ! us.isFunction(middleware) && ! us.isObject(middleware) ){
+	    throw new Error('middleware must be a function or an object');
+	}
+	anchor._middleware.push(middleware);
+
+	return anchor;
+    };
+
+    /**
+     * Get/set the list of middleware (see use()). A null or false
+     * value clears it.
+     *
+     * @param {Array} [list] - optional list of middleware
+     * @returns {Array} current list of middleware
+     */
+    anchor.middleware = function(list){
+
+	if( list === false || list === null ){
+	    anchor._middleware = [];
+	}else if( us.isArray(list) ){
+	    anchor._middleware = us.clone(list);
+	}
+
+	return us.clone(anchor._middleware);
+    };
+
+    /**
+     * Get/set the policy for trying failed calls again (see
+     * {module:bbop-manager-minerva/retry} for the fields). Fields
+     * not given take their defaults: up to three attempts for
+     * transport failures, with exponential backoff and jitter, for
+     * queries and for changes that are safe to repeat. A null value
+     * goes back to the defaults; false turns retries off.
+     *
+     * In "sync" mode, retries are off until a policy is set here (a
+     * null value turns them off again). The waits between attempts
+     * then put the thread to sleep, as the calls themselves block it;
+     * where that is not allowed (e.g. a browser's main thread), the
+     * attempts go one after another, without waiting.
+     *
+     * Before each retry, "retry" is run with the details of the call
+     * (as for "cancelled" in request_with()), plus "attempt" (the
+     * number of the attempt about to be made), "max_attempts",
+     * "delay" (milliseconds until then), and "error" (what went
+     * wrong). Only the last attempt runs the usual callbacks. A
+     * timeout given for the call covers all attempts together.
+     *
+     * @param {Object|Boolean} [policy] - optional policy to set
+     * @returns {Object} current policy
+     */
+    anchor.retry_policy = function(policy){
+
+	if( policy === null ){
+	    anchor._retry_policy = _default_retry_policy();
+	}else if( policy === false ){
+	    anchor._retry_policy = retry.policy({'max_attempts': 1});
+	}else if( us.isObject(policy) ){
+	    anchor._retry_policy = retry.policy(policy);
+	}
+
+	return us.clone(anchor._retry_policy);
+    };
+
+    /**
+     * Get/set whether changes waiting in line for a model are sent
+     * together. Default false.
+     *
+     * In the "async" and "promise" modes, calls on a model (as named
+     * by the model id of the call, or of its first request that has
+     * one) wait their turn: a change waits for all calls on the
+     * model made before it to finish, a query only for the changes;
+     * calls on different models do not wait for each other. When
+     * this is on, a change that gets its turn takes in the changes
+     * waiting right behind it (that go to the same place with the
+     * same arguments) and sends them all as one batch; each of them
+     * gets the one response, and the callbacks run once for it. The
+     * "response" middleware only runs for the first.
+     *
+     * @param {Boolean} [bool] - optional value to set coalescing
+     * @returns {Boolean} current setting
+     */
+    anchor.use_coalescing = function(bool){
+
+	if( typeof(bool) === 'boolean' ){
+	    anchor._coalesce_p = bool;
+	}
+
+	return anchor._coalesce_p;
+    };
+
+    /**
+     * How many calls are in line (waiting or going) for a model, or
+     * for all models with any.
+     *
+     * @param {String} [model_id] - string
+     * @returns {Number|Object} number for the model, or map of model ids to numbers
+     */
+    anchor.queue_depth = function(model_id){
+
+	var ret = null;
+	if( model_id ){
+	    ret = (anchor._queues[model_id] || []).length;
+	}else{
+	    ret = {};
+	    each(anchor._queues, function(queue, mid){
+		ret[mid] = queue.length;
+	    });
+	}
+
+	return ret;
+    };
+
+    /**
+     * Get/set the use of a local model cache. Default false.
+     *
+     * When on, the manager keeps a {module:bbop-graph-noctua} graph
+     * for every model it sees in a "rebuild" response: rebuilds
+     * replace the graph, merges are folded into it (and ignored for
+     * models not cached yet, as they only hold part of one). The
+     * cache is updated before the "merge" and "rebuild" callbacks
+     * run, and each update is followed by a "model_updated" event
+     * carrying the model id, the graph, and the ids of the
+     * individuals and facts that were added, removed, or changed
+     * (see {module:bbop-manager-minerva/model_cache}).
+     *
+     * Turning the cache off throws away its contents.
+     *
+     * @param {Boolean} [bool] - optional value to set cache use
+     * @returns {Boolean} current cache use value
+     */
+    anchor.use_model_cache = function(bool){
+
+	if( bool === true && ! anchor._model_cache ){
+	    anchor._model_cache = new model_cache();
+	}else if( bool === false ){
+	    anchor._model_cache = null;
+	}
+
+	return anchor._model_cache !== null;
+    };
+
+    /**
+     * Get the locally cached graph for a model; see use_model_cache.
+     *
+     * The graph is as Minerva sends it (evidence is not folded), and
+     * is owned by the cache: it will change as further responses
+     * come in.
+     *
+     * @param {String} model_id - string
+     * @returns {Object|null} {module:bbop-graph-noctua#graph}, or null if the cache is off or the model has not been seen
+     */
+    anchor.cached_model = function(model_id){
+
+	var ret = null;
+	if( anchor._model_cache ){
+	    ret = anchor._model_cache.get(model_id);
+	}
+	return ret;
+    };
+
+    /**
+     * Get/set optimistic edits. Default false. Turning this on also
+     * turns on the model cache (see use_model_cache).
+     *
+     * When on, these edit methods change the cached graph of the
+     * model right away, before sending: add_fact, remove_fact,
+     * add_class_expression, remove_class_expression,
+     * remove_individual, and the add/remove annotation methods for
+     * individuals, facts, and models. (Models that are not cached
+     * yet are just sent as usual.)
+     *
+     * Each such change gets a correlation id and a "pending" event
+     * with an object holding "correlation_id", "model_id", "change",
+     * and the "individuals" and "facts" it touches. When the
+     * response comes back, a "confirmed" event follows; if the
+     * response is an error (the "error" or "manager_error" path), or
+     * the request fails outright, the change is taken back out of
+     * the cached graph and a "reverted" event follows instead. Both
+     * carry the same object as "pending", plus the "response".
+     *
+     * Turning this off does not affect edits already pending.
+     *
+     * @param {Boolean} [bool] - optional value to set optimistic edits
+     * @returns {Boolean} current optimistic edit value
+     */
+    anchor.use_optimistic_edits = function(bool){
+
+	if( typeof(bool) === 'boolean' ){
+	    anchor._optimistic_p = bool;
+	    if( bool ){ anchor.use_model_cache(true); }
+	}
+
+	return anchor._optimistic_p;
+    };
+
+    /**
+     * The optimistic edits still waiting on a response (see
+     * use_optimistic_edits), oldest first.
+     *
+     * @param {String} [model_id] - only those for this model
+     * @returns {Array} list of objects as in the "pending" event
+     */
+    anchor.pending_edits = function(model_id){
+
+	var ret = [];
+	each(us.values(anchor._pending_edits), function(pend){
+	    if( ! model_id || pend['model_id'] === model_id ){
+		ret.push(pend['event']);
+	    }
+	});
+	return ret;
+    };
+
+    /**
+     * Set up the connection to Barista's messaging channel, used by
+     * subscribe. This must be done before subscribing; any existing
+     * channel is closed. From then on, every batch goes with the
+     * channel's "client_id", so that relays of our own edits can be
+     * told apart.
+     *
+     * There are no defaults for where and how to connect: Barista
+     * talks socket.io, and the transport that speaks it to Barista
+     * (see {module:bbop-manager-minerva/messaging}) is up to the
+     * caller.
+     *
+     * The options object may contain:
+     *  url - (required) channel location
+     *  transport - (required) function taking a URL and returning a WebSocket-like connection, or object with that as "connect" and how to "encode" and "decode" messages (as JSON if not given)
+     *  client_id - string this client goes by on the channel; generated if not given
+     *  reconnect_delay - milliseconds before the first reconnection attempt (default 1000); doubles with each failure
+     *  max_reconnect_delay - upper limit on the wait, in milliseconds (default 30000)
+     *
+     * @param {Object} options - see above
+     * @returns {Object} the {module:bbop-manager-minerva/messaging} client
+     * @throws {Error} without a url or transport
+     */
+    anchor.use_messaging = function(options){
+
+	if( ! options ){ options = {}; }
+	if( ! options['url'] || ! options['transport'] ){
+	    throw new Error('messaging needs a url and a transport');
+	}
+
+	if( anchor._messaging ){
+	    anchor._messaging.close();
+	}
+
+	anchor._messaging = new messaging(options['url'], {
+	    'transport': options['transport'],
+	    'client_id': options['client_id'],
+	    'token': function(){ return anchor.user_token(); },
+	    'reconnect_delay': options['reconnect_delay'],
+	    'max_reconnect_delay': options['max_reconnect_delay']
+	});
+	anchor._messaging.register('relay', _on_relay);
+	anchor._messaging.register('presence', _on_presence);
+
+	return anchor._messaging;
+    };
+
+    /**
+     * Listen for edits made to a model by other clients, as relayed
+     * by Barista. Their responses come in as "remote_merge" and
+     * "remote_rebuild" events (with a
+     * {module:bbop-response-barista#response}, like "merge" and
+     * "rebuild"), and are folded into the model cache if it is on.
+     * "presence" events carry an object with "model_id" and "users",
+     * the list of who else is there.
+     *
+     * The channel must be set up with use_messaging first; if the
+     * connection drops, it is reopened and all subscriptions renewed.
+     *
+     * @param {String} model_id - string
+     * @returns {manager} this manager
+     * @throws {Error} if use_messaging has not been called
+     */
+    anchor.subscribe = function(model_id){
+
+	if( ! anchor._messaging ){
+	    throw new Error('no messaging channel; call use_messaging first');
+	}
+	anchor._messaging.subscribe(model_id);
+
+	return anchor;
+    };
+
+    /**
+     * Stop listening for edits to a model; see subscribe.
+     *
+     * @param {String} model_id - string
+     * @returns {manager} this manager
+     */
+    anchor.unsubscribe = function(model_id){
+
+	if( anchor._messaging ){
+	    anchor._messaging.unsubscribe(model_id);
+	}
+
+	return anchor;
+    };
+
+    ///
+    /// Actual mechanism.
+    ///
+
+    /**
+     * Trigger a rebuild {module:bbop-response-barista} with a model.
+     * 
+     * Intent: "query".
+     * Expect: "success" and "rebuild".
+     * 
+     * @param {String} model_id - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {module:bbop-barista-response#response} barista response
+     */
+    anchor.get_model = function(model_id, options){
+
+	var reqs = new request_set(anchor.user_token(), model_id);
+	reqs.get_model();
+
+ 	return anchor.request_with(reqs, model_id, options);
+    };
+    
+    // /*
+    //  * Method: get_model_ids
+    //  * 
+    //  * Trigger meta {module:bbop-response-barista} with a list of all model
+    //  * ids.
+    //  * 
+    //  * Intent: "query".
+    //  * Expect: "success" and "meta".
+    //  * 
+    //  * @param {}    //  *  n/a
+    //  * 
+    //  * @returns {}    //  *  n/a
+    //  */
+    // anchor.get_model_ids = function(){
+
+    // 	// 
+    // 	var reqs = new request_set(anchor.user_token());
+    // 	var req = new request('model', 'all-model-ids');
+    // 	reqs.add(req);
+
+    // 	var args = reqs.callable();	
+    // 	anchor.apply_callbacks('prerun', [anchor]);
+    // 	jqm.action(anchor._batch_url, args, 'GET');
+    // };
+    
+    /**
+     * Trigger meta {module:bbop-response-barista} with a list of all model
+     * meta-information.
+     * 
+     * Intent: "query".
+     * Expect: "success" and "meta".
+     * 
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {module:bbop-barista-response#response} barista response
+     */
+    anchor.get_meta = function(options){
+
+	var reqs = new request_set(anchor.user_token());
+	reqs.get_meta();
+
+ 	return anchor.request_with(reqs, null, options);
+    };
+
+    /**
+     * Trigger meta {module:bbop-response-barista} of requested
+     * model's undo/redo information.
+     * 
+     * This will make the request whether or not the user has an okay
+     * token defined.
+     *
+     * Intent: "query".
+     * Expect: "success" and "meta".
+     * 
+     * @param {String} model_id - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {module:bbop-barista-response#response} barista response
+     */
+    anchor.get_model_undo_redo = function(model_id, options){
+
+	// 
+	var reqs = new request_set(anchor.user_token(), model_id);
+	reqs.get_undo_redo();
+
+ 	return anchor.request_with(reqs, model_id, options);
+    };
+    
+    /**
+     * Trigger rebuild {module:bbop-response-barista} after an attempt
+     * to roll back the model to "last" state.
+     *
+     * Intent: "action".
+     * Expect: "success" and "rebuild".
+     * 
+     * @param {String} model_id - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {module:bbop-barista-response#response} barista response
+     */
+    anchor.perform_undo = function(model_id, options){
+
+	var reqs = new request_set(anchor.user_token(), model_id);
+	reqs.undo_last_model_batch();
+
+ 	return anchor.request_with(reqs, model_id, options);
+    };
+    
+    /**
+     * Trigger rebuild {module:bbop-response-barista} after an attempt
+     * to roll forward the model to "next" state.
+     *
+     * Intent: "action".
+     * Expect: "success" and "rebuild".
+     * 
+     * @param {String} model_id - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {module:bbop-barista-response#response} barista response
+     */
+    anchor.perform_redo = function(model_id, options){
+
+	var reqs = new request_set(anchor.user_token(), model_id);
+	reqs.redo_last_model_batch();
+
+ 	return anchor.request_with(reqs, model_id, options);
+    };
+    
+    /**
+     * Trigger merge (or possibly a rebuild)
+     * {module:bbop-response-barista} on attempt to add a single fact
+     * to a model.
+     *
+     * Intent: "action".
+     * Expect: "success" and "merge".
+     * 
+     * @param {String} model_id - string
+     * @param {String} source_id - string
+     * @param {String} target_id - string
+     * @param {String} rel_id - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {module:bbop-barista-response#response} barista response
+     */
+    anchor.add_fact = function(model_id, source_id, target_id, rel_id,
+			       options){
+
+	var reqs = new request_set(anchor.user_token(), model_id);
+	reqs.add_fact([source_id, target_id, rel_id]);
+
+ 	return _request_optimistically(reqs, model_id, {
+	    'op': 'add_fact', 'triple': [source_id, target_id, rel_id]
+	}, options);
+    };
+    
+    /**
+     * Trigger merge (or possibly a rebuild)
+     * {module:bbop-response-barista} on attempt to remove a single
+     * fact to a model.
+     *
+     * Intent: "action".
+     * Expect: "success" and "merge".
+     * 
+     * @param {String} model_id - string
+     * @param {String} source_id - string
+     * @param {String} target_id - string
+     * @param {String} rel_id - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {module:bbop-barista-response#response} barista response
+     */
+    anchor.remove_fact = function(model_id, source_id, target_id, rel_id,
+				  options){
+
+	var reqs = new request_set(anchor.user_token(), model_id);
+	reqs.remove_fact([source_id, target_id, rel_id]);
+
+ 	return _request_optimistically(reqs, model_id, {
+	    'op': 'remove_fact', 'triple': [source_id, target_id, rel_id]
+	}, options);
+    };
+    
+    /**
+     * Trigger merge (or possibly a rebuild)
+     * {module:bbop-response-barista.response} on attempt to add a
+     * simple composite unit (class, enabled_by, and occurs_in) to a
+     * model.
+     *
+     * This puts everything on a single individual as class
+     * expressions; for GO-CAM style activity units, with separate
+     * individuals, edges, and evidence, see add_activity_unit.
+     *
+     * Intent: "action".
+     * Expect: "success" and "merge".
+     * 
+     * @param {String} model_id - string
+     * @param {String} cls_exp - anything taken by {module:class-expression}
+     * @param {String} [enabled_by_expr] - anything taken by {module:class-expression}
+     * @param {String} [occurs_in_expr] - anything taken by {module:class-expression}
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {module:bbop-barista-response#response} barista response
+     */
+    anchor.add_simple_composite = function(model_id, cls_expr,
+    					   enabled_by_expr, occurs_in_expr,
+					   options){
+
+	// Minimal requirements.
+	var reqs = new request_set(anchor.user_token(), model_id);
+     	var ind = reqs.add_individual(cls_expr);
+
+	// Optional set expressions.
+	if( enabled_by_expr ){
+	    reqs.add_type_to_individual(
+		class_expression.svf(enabled_by_expr, 'RO:0002333'), ind);
+	}
+	if( occurs_in_expr ){
+	    reqs.add_type_to_individual(
+		class_expression.svf(occurs_in_expr, 'occurs_in'), ind);
+	}
+
+ 	return anchor.request_with(reqs, model_id, options);
+    };
+
+    /**
+     * Add a GO-CAM activity unit to a model, all in one request set:
+     * a molecular function individual, individuals for whatever of
+     * its gene product, location, and process are given, and the
+     * edges between them: enabled by (RO:0002333), occurs in
+     * (BFO:0000066), and part of (BFO:0000050). If evidence is given,
+     * each edge gets its own evidence individual with it.
+     *
+     * The unit object may contain:
+     *  mf - the function, anything taken by {module:class-expression}; defaults to "GO:0003674"
+     *  enabled_by - the gene product (class expression, or list of them)
+     *  occurs_in - the location (class expression, or list of them)
+     *  part_of - the process (class expression, or list of them)
+     *  evidence - evidence object (see evidence()), or object with "type" (ECO id), "sources" (list of references), and optional "with" (list); checked as with add_individual_evidence
+     *
+     * Intent: "action".
+     * Expect: "success" and "merge".
+     *
+     * The new individuals are made under request variables; their
+     * ids are taken from the response. Depending on the mode, the
+     * result object is returned ("sync"), or a promise for it
+     * ("async" and "promise", as with request_with()). If the call
+     * fails, in "sync" and "async" modes, the result has the failed
+     * response and no ids.
+     *
+     * @param {String} model_id - string
+     * @param {Object} unit - see above
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {Object|Promise} object (or promise for one) with "model_id", "individuals" (the new ids under "mf", "enabled_by", "occurs_in", and "part_of", as given; lists for lists), "facts" (list of new triples), "evidence" (list of new evidence individual ids), and "response"
+     */
+    anchor.add_activity_unit = function(model_id, unit, options){
+
+	var reqs = new request_set(anchor.user_token(), model_id);
+	var vars = null;
+	try{
+	    vars = _activity_unit_to_request_set(reqs, unit);
+	}catch(e){
+	    return _refuse(e);
+	}
+
+	var sent = anchor.request_with(reqs, model_id, options);
+	return _then(sent, function(resp){
+	    var created = {'individuals': {}, 'facts': [], 'evidence': []};
+	    if( resp && resp.okay() && resp.message_type() === 'success' ){
+		created = _bound(vars, reqs, resp);
+	    }
+	    created['model_id'] = model_id;
+	    created['response'] = resp;
+	    return created;
+	});
+    };
+    
+    /**
+     * Trigger merge (or possibly a rebuild)
      * {module:bbop-response-barista.response} on attempt to add a
      * complex class expression to an individual in a model.
      *
@@ -423,14 +1342,18 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {String} model_id - string
      * @param {String} individual_id - string
      * @param {String} cls_expr - anything acceptible to {module:class-expression}
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.add_class_expression = function(model_id, individual_id, cls_expr){
+    anchor.add_class_expression = function(model_id, individual_id, cls_expr,
+					   options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.add_type_to_individual(cls_expr, individual_id);
 
-	return anchor.request_with(reqs);
+	return _request_optimistically(reqs, model_id, {
+	    'op': 'add_type', 'individual': individual_id, 'type': cls_expr
+	}, options);
     };
     
     /**
@@ -444,14 +1367,18 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {String} model_id - string
      * @param {String} individual_id - string
      * @param {String} cls_expr - or anything acceptible to {module:class-expression}
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.remove_class_expression = function(model_id, individual_id, cls_expr){
+    anchor.remove_class_expression = function(model_id, individual_id,
+					      cls_expr, options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.remove_type_from_individual(cls_expr, individual_id);
 
-	return anchor.request_with(reqs);
+	return _request_optimistically(reqs, model_id, {
+	    'op': 'remove_type', 'individual': individual_id, 'type': cls_expr
+	}, options);
     };
     
     /**
@@ -463,14 +1390,17 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * 
      * @param {String} model_id - string
      * @param {String} individual_id - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.remove_individual = function(model_id, indv_id){
+    anchor.remove_individual = function(model_id, indv_id, options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.remove_individual(indv_id);
 
-	return anchor.request_with(reqs);
+	return _request_optimistically(reqs, model_id, {
+	    'op': 'remove_individual', 'individual': indv_id
+	}, options);
     };
     
     /**
@@ -482,15 +1412,16 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * 
      * @param {String} taxon_id - *[DEPRECATED]* *[optional]* string (full ncbi)
      * @param {String} class_id - *[DEPRECATED]* *[optional]* string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.add_model = function(taxon_id, class_id){
+    anchor.add_model = function(taxon_id, class_id, options){
 
 	// Conditions taken care of by request_set.
 	var reqs = new request_set(anchor.user_token());
 	reqs.add_model({'class-id': class_id, 'taxon_id': taxon_id});
 	
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, null, options);
     };
     
     /**
@@ -499,15 +1430,19 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * Trigger a meta {module:bbop-response-barista} containing model
      * export text.
      *
+     * For GAF and GPAD, see export_annotations, which does not need
+     * Minerva's legacy export.
+     *
      * Intent: "action".
      * Expect: "success" and "meta".
      * 
      * @deprecated
      * @param {String} model_id - string
      * @param {String} [format] - string (for legacy, "gaf" or "gpad")
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.export_model = function(model_id, format){
+    anchor.export_model = function(model_id, format, options){
 
 	if( typeof(format) === 'undefined' ){ format = 'default'; }
 
@@ -528,9 +1463,211 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
 	req.model(model_id);
 	reqs.add(req);
 
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, model_id, options);
     };
     
+    /**
+     * Export the annotations of models as GPAD 2.0 or GAF 2.2 (see
+     * {module:bbop-manager-minerva/gpad}), made here from get_model
+     * rather than by Minerva. Models are fetched and written one at
+     * a time, in order, so the output can go straight to a file.
+     *
+     * Intent: "query".
+     * Expect: "success" and "rebuild" (for each model).
+     *
+     * @param {Array|String} model_ids - model id or list of them
+     * @param {String} format - "gpad" or "gaf"
+     * @param {Function|Object} [out] - function taking a string, or anything with a write() method (e.g. a Node stream); if not given, the text is collected and returned
+     * @param {Object} [options] - options for {module:bbop-manager-minerva/gpad#writer}, and "signal" and "timeout", as for request_with(), for each model fetched
+     * @returns {Promise} promise for an object with "models", "lines", "skipped" (entities that gave no line, with a "reason"), and "text" (if there was no out)
+     */
+    anchor.export_annotations = function(model_ids, format, out, options){
+
+	if( ! us.isArray(model_ids) ){ model_ids = [model_ids]; }
+
+	var chunks = null;
+	if( ! out ){
+	    chunks = [];
+	    out = function(str){ chunks.push(str); };
+	}
+
+	var w = null;
+	try{
+	    w = new gpad.writer(format, out, options);
+	}catch(e){
+	    return Promise.reject(e);
+	}
+
+	var chain = Promise.resolve();
+	each(model_ids, function(model_id){
+	    chain = chain.then(function(){
+		return _checked(anchor.get_model(model_id,
+						 _call_options(options)));
+	    }).then(function(resp){
+		w.add(resp);
+	    });
+	});
+
+	return chain.then(function(){
+	    var ret = w.summary();
+	    if( chunks ){ ret['text'] = chunks.join(''); }
+	    return ret;
+	});
+    };
+
+    /**
+     * Add GAF or GPAD annotations to a model as GO-CAM activities
+     * (see {module:bbop-manager-minerva/gpad#parse} for what is
+     * read). Annotations are grouped by gene product, and each gene
+     * product gets one individual, which enables all of its
+     * annotations. Each annotation becomes an activity unit (see
+     * add_activity_unit): the annotated function itself, or the root
+     * function (GO:0003674) part of the process or occurring in the
+     * location. The evidence code, references, and with/from become
+     * the evidence on the edges.
+     *
+     * The edits go out in request sets of "chunk_size" annotations,
+     * one after the other, with a "progress" event for each; a gene
+     * product individual made in one is referred to by its new id in
+     * the ones after. If one fails, the promise is rejected with an
+     * error carrying the summary so far under "summary".
+     *
+     * The optional options object may contain:
+     *  format - "gaf" or "gpad", if the text has no version header
+     *  chunk_size - annotations per request set (default 50)
+     *  eco2code - extra ECO to GO evidence code mappings
+     *  signal, timeout - as for request_with(), for each request set sent
+     *
+     * Intent: "action".
+     * Expect: "success" and "merge" (for each request set).
+     *
+     * @param {String} model_id - string
+     * @param {String} text - GAF or GPAD text
+     * @param {Object} [options] - see above
+     * @returns {Promise} promise for a summary: "model_id", "format", "imported" (number of annotations), "gene_products" (map of gene product ids to numbers of annotations imported), "individuals" (map of gene product ids to the ids of their individuals), "request_sets" (number sent), and "skipped" (lines not imported, with "line_number", "line", and "reason")
+     */
+    anchor.import_annotations = function(model_id, text, options){
+
+	if( ! options ){ options = {}; }
+	var chunk_size = options['chunk_size'] || 50;
+
+	var parsed = null;
+	try{
+	    parsed = gpad.parse(text, options);
+	}catch(e){
+	    return Promise.reject(e);
+	}
+
+	var summary = {
+	    'model_id': model_id,
+	    'format': parsed['format'],
+	    'imported': 0,
+	    'gene_products': {},
+	    'individuals': {},
+	    'request_sets': 0,
+	    'skipped': parsed['skipped']
+	};
+
+	// Group by gene product, in order of first appearance.
+	var gp_order = [];
+	var by_gp = {};
+	each(parsed['records'], function(rec){
+	    var gp = rec['subject']['id'];
+	    if( ! by_gp[gp] ){
+		by_gp[gp] = [];
+		gp_order.push(gp);
+	    }
+	    by_gp[gp].push(rec);
+	});
+
+	// Sort the annotations into chunks; lines that can't be made
+	// into activity units (e.g. bad evidence) are skipped.
+	var slots = {'F': 'mf', 'P': 'part_of', 'C': 'occurs_in'};
+	var chunks = [];
+	var current = null;
+	each(gp_order, function(gp){
+	    each(by_gp[gp], function(rec){
+		var unit = {
+		    'enabled_by': gp,
+		    'evidence': {
+			'type': rec['evidence_type'],
+			'sources': rec['references'],
+			'with': rec['with']
+		    }
+		};
+		unit[slots[rec['aspect']]] = rec['term']['id'];
+
+		try{
+		    _valid_evidence(unit['evidence']);
+		}catch(e){
+		    summary['skipped'].push({
+			'line_number': rec['line_number'],
+			'line': rec['line'],
+			'reason': e.message
+		    });
+		    return;
+		}
+		if( ! current ){
+		    current = {'units': [], 'records': []};
+		}
+		current['units'].push(unit);
+		current['records'].push(rec);
+		if( current['records'].length >= chunk_size ){
+		    chunks.push(current);
+		    current = null;
+		}
+	    });
+	});
+	if( current && current['records'].length > 0 ){
+	    chunks.push(current);
+	}
+	summary['skipped'] = us.sortBy(summary['skipped'], 'line_number');
+
+	// Add a chunk's units to a request set, using the gene product
+	// individuals made so far, or making them; returns the gene
+	// product individuals after it.
+	function _chunk_to_request_set(reqs, chunk){
+	    var gp_inds = us.clone(summary['individuals']);
+	    each(chunk['units'], function(unit){
+		var gp = unit['enabled_by'];
+		var vars = _activity_unit_to_request_set(reqs, unit, {
+		    'enabled_by': gp_inds[gp]
+		});
+		gp_inds[gp] = vars['individuals']['enabled_by'];
+	    });
+	    return gp_inds;
+	}
+
+	var chain = Promise.resolve();
+	each(chunks, function(chunk, i){
+	    var reqs = new request_set(anchor.user_token(), model_id);
+	    var gp_inds = null;
+	    chain = chain.then(function(){
+		_report_progress('import_annotations', 'request set',
+				 i + 1, chunks.length, model_id, model_id);
+		gp_inds = _chunk_to_request_set(reqs, chunk);
+		return _checked(anchor.request_with(reqs, null,
+						    _call_options(options)));
+	    }).then(function(resp){
+		summary['individuals'] = _bound(gp_inds, reqs, resp);
+		summary['request_sets']++;
+		each(chunk['records'], function(rec){
+		    var gp = rec['subject']['id'];
+		    summary['imported']++;
+		    summary['gene_products'][gp] =
+			(summary['gene_products'][gp] || 0) + 1;
+		});
+	    });
+	});
+
+	return chain.then(function(){
+	    return summary;
+	}, function(err){
+	    err.summary = summary;
+	    throw err;
+	});
+    };
+
     /**
      * *[DEPRECATED]*
      * 
@@ -542,9 +1679,10 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * 
      * @deprecated
      * @param {String} model_string - string representation of a model
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.import_model = function(model_string){
+    anchor.import_model = function(model_string, options){
 
 	// 
 	var reqs = new request_set(anchor.user_token());
@@ -552,28 +1690,7 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
 	req.special('importModel', model_string);
 	reqs.add(req);
 
-	return anchor.request_with(reqs);
-    };
-    
-    /**
-     * Trigger a rebuild response {module:bbop-response-barista} on a
-     * "permanent" store operation on a model.
-     *
-     * What?! A "rebuild" and not "meta"? Yes. This allows a workflow
-     * where a model is created, edited, and stored all in one pass.
-     *
-     * Intent: "action".
-     * Expect: "success" and "rebuild".
-     * 
-     * @param {String} model_id - string
-     * @returns {module:bbop-barista-response#response} barista response
-     */
-    anchor.store_model = function(model_id){
-
-	var reqs = new request_set(anchor.user_token(), model_id);
-	reqs.store_model();
-
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, null, options);
     };
     
     /**
@@ -583,15 +1700,16 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * Intent: "action".
      * Expect: "success" and "meta".
      * 
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.store_all = function(){
+    anchor.store_all = function(options){
 
 	var reqs = new request_set(anchor.user_token());
 	//reqs.store_all();
 	reqs.export_all();
 
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, null, options);
     };
     
     /**
@@ -601,18 +1719,50 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * What?! A "rebuild" and not "meta"? Yes. This allows a workflow
      * where a model is created, edited, and stored all in one pass.
      *
+     * With the "lint" option, the model is first fetched and run
+     * through lint_model(), and a promise is returned instead: for
+     * "strict", a model with lint errors is not stored and the
+     * promise is rejected with an error carrying the report under
+     * "report"; for "warn", the model is stored anyway. Either way,
+     * the promise is for an object with "report" and "response".
+     *
+     * The optional options object may contain:
+     *  lint - "strict" or "warn"; no linting if not given
+     *  rules, term2aspect, relations - passed on to lint_model()
+     *  signal, timeout - for the store itself, as for request_with()
+     *
      * Intent: "action".
      * Expect: "success" and "rebuild".
      * 
      * @param {String} model_id - string
+     * @param {Object} [options] - see above
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.store_model = function(model_id){
+    anchor.store_model = function(model_id, options){
+
+	var lint_mode = options && options['lint'];
+	if( lint_mode ){
+	    if( lint_mode !== 'strict' && lint_mode !== 'warn' ){
+		return Promise.reject(new Error('unknown lint mode: ' +
+						lint_mode));
+	    }
+	    var report = null;
+	    return anchor.lint_model(model_id, options).then(function(r){
+		report = r;
+		if( lint_mode === 'strict' && ! report['ok_p'] ){
+		    throw lint.error(report);
+		}
+		return _checked(anchor.store_model(model_id,
+						   us.omit(options, 'lint')));
+	    }).then(function(resp){
+		return {'report': report, 'response': resp};
+	    });
+	}
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.store_model();
 
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, model_id, options);
     };
     
     /**
@@ -622,20 +1772,27 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * Intent: "action".
      * Expect: "success" and "rebuild".
      * 
+     * The evidence is checked first (see check_evidence()); if it
+     * does not pass, nothing is sent and an error with the list of
+     * problems under "problems" is thrown ("sync") or rejected with
+     * ("async").
+     *
      * @param {String} model_id - string
      * @param {String} indv_id - string
-     * @param {String} evidence_id - string
-     * @param {Array|String} source_ids - string or list of strings
-     * @param {Array|String|null} with_strs - string or list of strings or null
+     * @param {Object|String} evidence_id - evidence object, or ECO id
+     * @param {Array|String} [source_ids] - string or list of strings
+     * @param {Array|String|null} [with_strs] - string or list of strings or null
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
     anchor.add_individual_evidence = function(model_id, indv_id, evidence_id,
-					      source_ids, with_strs){
+					      source_ids, with_strs, options){
 
-	var reqs = new request_set(anchor.user_token(), model_id);
-	reqs.add_evidence(evidence_id, source_ids, with_strs, indv_id, model_id);
-	
-	return anchor.request_with(reqs);
+	return anchor.add_evidence(model_id, [indv_id],
+				   evidence.from_arguments(evidence_id,
+							   source_ids,
+							   with_strs),
+				   options);
     };
     
     /**
@@ -645,24 +1802,61 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * Intent: "action".
      * Expect: "success" and "rebuild".
      * 
+     * The evidence is checked first, as with add_individual_evidence.
+     *
      * @param {String} model_id - string
      * @param {String} source_id - string
      * @param {String} target_id - string
      * @param {String} rel_id - string
-     * @param {String} evidence_id - string
-     * @param {Array|String} source_ids - string or list of strings
-     * @param {Array|String|null} with_strs - string or list of strings or null
+     * @param {Object|String} evidence_id - evidence object, or ECO id
+     * @param {Array|String} [source_ids] - string or list of strings
+     * @param {Array|String|null} [with_strs] - string or list of strings or null
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
     anchor.add_fact_evidence = function(model_id,
 					source_id, target_id, rel_id,
-					evidence_id, source_ids, with_strs){
+					evidence_id, source_ids, with_strs,
+					options){
+
+	return anchor.add_evidence(model_id, [[source_id, target_id, rel_id]],
+				   evidence.from_arguments(evidence_id,
+							   source_ids,
+							   with_strs),
+				   options);
+    };
+
+    /**
+     * Trigger a rebuild response {module:bbop-response-barista} on
+     * adding the same evidence to any number of individuals and
+     * facts in a model, in a single request set. Each gets its own
+     * evidence individual.
+     *
+     * The evidence is checked first, as with add_individual_evidence.
+     *
+     * Intent: "action".
+     * Expect: "success" and "rebuild".
+     *
+     * @param {String} model_id - string
+     * @param {Array} targets - list of individual ids and fact triples ([source, target, relation])
+     * @param {Object} ev - evidence object (see evidence()), or object with "type", "sources", and "with"
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
+     * @returns {module:bbop-barista-response#response} barista response
+     */
+    anchor.add_evidence = function(model_id, targets, ev, options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
-	reqs.add_evidence(evidence_id, source_ids, with_strs,
-			  [source_id, target_id, rel_id], model_id);
+	try{
+	    ev = _valid_evidence(ev);
+	}catch(e){
+	    return _refuse(e);
+	}
+	each(targets, function(target){
+	    reqs.add_evidence(ev.type(), ev.sources(), ev.with_strs(),
+			      target, model_id);
+	});
 
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, model_id, options);
     };
     
     /**
@@ -674,14 +1868,16 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * 
      * @param {String} model_id - string
      * @param {String} evidence_individual_id - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.remove_evidence = function(model_id, evidence_individual_id){
+    anchor.remove_evidence = function(model_id, evidence_individual_id,
+				      options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.remove_evidence(evidence_individual_id, model_id);
 	
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, model_id, options);
     };
     
     /**
@@ -696,15 +1892,16 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {String} key - string
      * @param {Array|String} values - string
      * @param {String|null} [value_type] - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
     anchor.update_annotations = function(model_id, entity,
-					 key, values, value_type){
+					 key, values, value_type, options){
 	
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.update_annotations(entity, key, values, value_type, model_id);
 	
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, model_id, options);
     };
     
     /**
@@ -719,15 +1916,20 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {String} key - string
      * @param {String} value - string
      * @param {String|null} [value_type] - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
     anchor.add_individual_annotation = function(model_id, indv_id,
-						key, value, value_type){
+						key, value, value_type,
+						options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.add_annotation_to_individual(key, value, value_type, indv_id);
 
-	return anchor.request_with(reqs);
+	return _request_optimistically(reqs, model_id, {
+	    'op': 'add_annotation', 'target': {'individual': indv_id},
+	    'key': key, 'value': value, 'value_type': value_type
+	}, options);
     };
     
     /**
@@ -744,17 +1946,22 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {String} key - string
      * @param {String} value - string
      * @param {String|null} [value_type] - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
     anchor.add_fact_annotation = function(model_id,
 					  source_id, target_id, rel_id,
-					  key, value, value_type){
+					  key, value, value_type, options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.add_annotation_to_fact(key, value, value_type,
 				    [source_id, target_id, rel_id]);
 
-	return anchor.request_with(reqs);
+	return _request_optimistically(reqs, model_id, {
+	    'op': 'add_annotation',
+	    'target': {'fact': [source_id, target_id, rel_id]},
+	    'key': key, 'value': value, 'value_type': value_type
+	}, options);
     };
     
     /**
@@ -768,14 +1975,19 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {String} key - string
      * @param {String} value - string
      * @param {String|null} [value_type] - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.add_model_annotation = function(model_id, key, value, value_type){
+    anchor.add_model_annotation = function(model_id, key, value, value_type,
+					   options){
 
         var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.add_annotation_to_model(key, value, value_type);
 
-    return anchor.request_with(reqs);
+	return _request_optimistically(reqs, model_id, {
+	    'op': 'add_annotation', 'target': {'model': true},
+	    'key': key, 'value': value, 'value_type': value_type
+	}, options);
     };
     
     /**
@@ -790,15 +2002,20 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {String} key - string
      * @param {String} value - string
      * @param {String|null} [value_type] - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
     anchor.remove_individual_annotation = function(model_id, indv_id,
-						   key, value, value_type){
+						   key, value, value_type,
+						   options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.remove_annotation_from_individual(key, value, value_type, indv_id);
 
-	return anchor.request_with(reqs);
+	return _request_optimistically(reqs, model_id, {
+	    'op': 'remove_annotation', 'target': {'individual': indv_id},
+	    'key': key, 'value': value, 'value_type': value_type
+	}, options);
     };
     
     /**
@@ -815,17 +2032,22 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {String} key - string
      * @param {String} value - string
      * @param {String|null} [value_type] - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
     anchor.remove_fact_annotation = function(model_id,
 					     source_id, target_id, rel_id,
-					     key, value, value_type){
+					     key, value, value_type, options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.remove_annotation_from_fact(key, value, value_type,
 					 [source_id, target_id, rel_id]);
 
-	return anchor.request_with(reqs);
+	return _request_optimistically(reqs, model_id, {
+	    'op': 'remove_annotation',
+	    'target': {'fact': [source_id, target_id, rel_id]},
+	    'key': key, 'value': value, 'value_type': value_type
+	}, options);
     };
     
     /**
@@ -839,84 +2061,100 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {String} key - string
      * @param {String} value - string
      * @param {String|null} [value_type] - string
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.remove_model_annotation = function(model_id, key, value, value_type){
+    anchor.remove_model_annotation = function(model_id, key, value,
+					      value_type, options){
 
 	var reqs = new request_set(anchor.user_token(), model_id);
 	reqs.remove_annotation_from_model(key, value, value_type);
 
-	return anchor.request_with(reqs);
+	return _request_optimistically(reqs, model_id, {
+	    'op': 'remove_annotation', 'target': {'model': true},
+	    'key': key, 'value': value, 'value_type': value_type
+	}, options);
     };
     
     /**
-     * WARNING: This is currently very very old code and is mostly
-     * here as a bookmark on where to restart.
-     * 
      * Trigger a rebuild response {module:bbop-response-barista} on
-     * attempting to create a new model with information provided by
-     * Capella.
+     * creating a new model with information provided by Capella, all
+     * in one request set.
      *
-     * If you're attempting to use this, you probably want to revisit
-     * everything and everbody first...
+     * Each group is an object with:
+     *  terms - list of GO term ids
+     *  entities - list of gene product class expressions
+     *  evidence - optional evidence, as for add_activity_unit
+     *
+     * and becomes activity units (see add_activity_unit): one
+     * function individual for each of its molecular function terms
+     * (or a single GO:0003674 if it has none), enabled by an
+     * individual for each entity, occurring in each of its cellular
+     * components, and part of each of its biological processes, with
+     * the evidence on every edge.
+     *
+     * The aspect of each term comes from the term2aspect map, as
+     * "molecular_function", "biological_process", and
+     * "cellular_component", or "F", "P", and "C". Unknown terms or
+     * bad evidence are refused before anything is sent, as with
+     * add_individual_evidence.
      *
      * Intent: "action".
      * Expect: "success" and "rebuild".
      * 
-     * @param {Object} bootstrap_obj - JSON object ???
-     * @param {String} term2aspect - ???
+     * @param {Array} bootstrap_obj - list of groups, as above
+     * @param {Object} term2aspect - map of term ids to aspects
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.capella_bootstrap_model = function(bootstrap_obj, term2aspect){
+    anchor.capella_bootstrap_model = function(bootstrap_obj, term2aspect,
+					      options){
 
-	var reqs = new request_set(anchor.user_token());
+	var aspects = {
+	    'molecular_function': 'F', 'F': 'F',
+	    'biological_process': 'P', 'P': 'P',
+	    'cellular_component': 'C', 'C': 'C'
+	};
 
-	// Just get a new model going.
-	var req = new request('model', 'generate-blank');
-	//req.special('db', db_id); // unecessary
-	reqs.add(req);
+	// Everything goes into the model made first.
+	var reqs = new request_set(anchor.user_token());
+	reqs.add_model();
 
-	each(bootstrap_obj, function(ob){
-
-	    // Now, for each of these, we are going to be adding
-	    // stuff to MF instances. If there is no MF coming
-	    // in, we are just going to use GO:0003674.
-	    var mfs = [];
-	    var bps = [];
-	    var ccs = [];
-	    each(ob['terms'], function(tid){
-		if( term2aspect[tid] === 'molecular_function' ){
-		    mfs.push(tid);
-		}else if( term2aspect[tid] === 'biological_process' ){
-		    bps.push(tid);
-		}else if( term2aspect[tid] === 'cellular_component' ){
-		    ccs.push(tid);
-		}
-	    });
-	    // There must be this no matter what.
-	    if( us.isEmpty(mfs) ){
- 		mfs.push('GO:0003674');
+	try{
+	    if( us.isEmpty(bootstrap_obj) ){
+		throw new Error('no bootstrap groups given');
 	    }
-
-	    // We are going to be creating instances off of the
-	    // MFs.
-	    each(mfs, function(mf){
-		var req = new request('individual', 'add');
-			  
-		// Add in the occurs_in from CC.
-		each(ccs, function(cc){
-		    req.add_svf_expression(cc, 'occurs_in');
+	    each(bootstrap_obj, function(ob){
+
+		var by_aspect = {'F': [], 'P': [], 'C': []};
+		each(ob['terms'], function(tid){
+		    var aspect = aspects[(term2aspect || {})[tid]];
+		    if( ! aspect ){
+			throw new Error('no aspect known for term: ' + tid);
+		    }
+		    by_aspect[aspect].push(tid);
 		});
+		// There must be this no matter what.
+		if( us.isEmpty(by_aspect['F']) ){
+		    by_aspect['F'].push('GO:0003674');
+		}
 
-		// Add in the enabled_by from entities.
-		each(ob['entities'], function(ent){
-		    req.add_svf_expression(ent, 'RO:0002333');
+		each(by_aspect['F'], function(mf){
+		    _activity_unit_to_request_set(reqs, {
+			'mf': mf,
+			'enabled_by': ob['entities'] || [],
+			'occurs_in': by_aspect['C'],
+			'part_of': by_aspect['P'],
+			'evidence': ob['evidence']
+		    });
 		});
 	    });
-	});
+	}catch(e){
+	    return _refuse(e);
+	}
 
 	// Final send-off.
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, null, options);
     };
     
     /**
@@ -931,9 +2169,10 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * 
      * @param {String} process_id - the GOlr resolvable process identifier
      * @param {String} taxon_id - the GOlr resolvable taxon identifier
+     * @param {Object} [options] - "signal" and "timeout", as for request_with()
      * @returns {module:bbop-barista-response#response} barista response
      */
-    anchor.seed_from_process = function(process_id, taxon_id){
+    anchor.seed_from_process = function(process_id, taxon_id, options){
 
 	var reqs = new request_set(anchor.user_token());
 
@@ -945,24 +2184,151 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
 	reqs.add(req);
 
 	// Final send-off.
-	return anchor.request_with(reqs);
+	return anchor.request_with(reqs, null, options);
     };
     
+    /**
+     * Start a batch of edits against a model. The returned builder
+     * has the same edit vocabulary as this manager, chains, and sends
+     * everything as a single request on commit().
+     *
+     * Intent: "action".
+     * Expect: "success" and "merge" or "rebuild" (on commit).
+     * 
+     * @param {String} model_id - string
+     * @returns {module:bbop-manager-minerva/batch~batch} batch builder
+     */
+    anchor.batch = function(model_id){
+	return new batch(anchor, model_id);
+    };
+    
+    // The model the first request that names one is about, if any.
+    function _request_model_id(reqs){
+	var found = us.find(reqs, function(r){
+	    return r['arguments'] && r['arguments']['model-id'];
+	});
+	return found ? found['arguments']['model-id'] : null;
+    }
+
+    // What the middleware gets to look at and play with.
+    function _middleware_context(request_set, model_id){
+	var ctx = {
+	    'stage': null,
+	    'manager': anchor,
+	    'model_id': model_id ||
+		_request_model_id(request_set.structure()['requests']),
+	    'request_set': request_set,
+	    'args': null,
+	    'response': null,
+	    'responded_p': false,
+	    'vetoed_p': false,
+	    'reason': null,
+	    'halted_p': false
+	};
+	ctx['respond'] = function(resp){
+	    ctx['response'] = resp;
+	    ctx['responded_p'] = true;
+	    ctx['halted_p'] = true;
+	};
+	ctx['veto'] = function(reason){
+	    ctx['vetoed_p'] = true;
+	    ctx['reason'] = reason || null;
+	    ctx['halted_p'] = true;
+	};
+	return ctx;
+    }
+
+    // Run the middleware hooks for a stage, in order, until one of
+    // them answers or vetoes; returns the context, or a promise for
+    // it if any hook went async.
+    function _pipe(stage, ctx){
+	ctx['stage'] = stage;
+	ctx['halted_p'] = false;
+
+	var hooks = [];
+	each(anchor._middleware, function(mw){
+	    if( us.isFunction(mw) ){
+		hooks.push([mw, null]);
+	    }else if( us.isFunction(mw[stage]) ){
+		hooks.push([mw[stage], mw]);
+	    }
+	});
+
+	function step(i){
+	    while( i < hooks.length && ! ctx['halted_p'] ){
+		var ret = hooks[i][0].call(hooks[i][1], ctx);
+		i++;
+		if( ret && us.isFunction(ret.then) ){
+		    if( anchor._mode === 'sync' ){
+			throw new Error('middleware cannot wait in "sync" mode');
+		    }
+		    return Promise.resolve(ret).then(us.partial(step, i));
+		}
+	    }
+	    return ctx;
+	}
+	return step(0);
+    }
+
+    // Carry on with a value, or with what a promise for one gives.
+    function _then(thing, fn){
+	if( thing && us.isFunction(thing.then) ){
+	    return thing.then(fn);
+	}
+	return fn(thing);
+    }
+
+    function _vetoed(ctx){
+	var msg = 'request vetoed';
+	if( ctx['reason'] ){ msg = msg + ': ' + ctx['reason']; }
+	return new errors.vetoed_error(msg, null, errors.call_info({
+	    'model_id': ctx['model_id'],
+	    'requests': ctx['request_set'].structure()['requests']
+	}));
+    }
+
     /**
      * Make a custom request with your own request set.
      *
      * Depending on the mode that you set, in addition to running the
      * callbacks as usual, it will either return a response object
-     * ("sync") or a deferred promise for the response object ("async").
+     * ("sync"), a deferred (Q) promise for the response object
+     * ("async"), or a native Promise for the response object that is
+     * rejected on failure ("promise"). This holds however the call
+     * goes, e.g. when it waits its turn on the model (see
+     * queue_depth()) or on middleware (see use()).
+     *
+     * A call can be given up on, with the optional options object:
+     *  signal - an AbortSignal (or anything with "aborted" and
+     *           addEventListener()); aborting it cancels the call
+     *  timeout - milliseconds to wait before giving up; defaults to
+     *            request_timeout()
+     * A call that is given up on runs none of the usual callbacks,
+     * even if a response turns up later; instead, "cancelled" or
+     * "timeout" is run with the details of the call ("reason",
+     * "resource", "model_id", "intention", "requests", and
+     * "timeout"), and the call is rejected with (or, for "sync",
+     * throws) a {module:bbop-manager-minerva/errors} cancelled_error
+     * or timeout_error carrying them under "details". Note that the
+     * request itself may still go through on the server.
+     *
+     * In "sync" mode, nothing can interrupt a call once it has gone
+     * out: the engine blocks until the answer comes. A cancel is only
+     * noticed before the call is sent or after it returns, and a call
+     * that took longer than its timeout is given up on (and its
+     * answer dropped) only once it is back.
+     *
+     * Every public method that makes a call takes these options too.
      *
      * Intent: ??? - whatever you set
      * Expect: "success" and ??? (depends on your request)
      * 
      * @param {module:minerva-requests#request_set} request_set
      * @param {String} [model_id] - string
+     * @param {Object} [options] - see above
      * @returns {Object} the deferred Q promise for the eventual response
      */
-    anchor.request_with = function(request_set, model_id){
+    anchor.request_with = function(request_set, model_id, options){
 
 	// For this manager, globally at the reasoner flag to outgoing
 	// requests if set.
@@ -972,55 +2338,230 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
 	    request_set.use_reasoner(false);
 	}
 
-	// For this manager, groups to be applied are a global
-	// property of the request set, similar to the token and/or
-	// the injected uid.
-	if( anchor.use_groups() && ! us.isEmpty(anchor.use_groups()) ){
-	    request_set.use_groups(anchor.use_groups());
+	// For this manager, groups to be applied are a global
+	// property of the request set, similar to the token and/or
+	// the injected uid.
+	if( anchor.use_groups() && ! us.isEmpty(anchor.use_groups()) ){
+	    request_set.use_groups(anchor.use_groups());
+	}
+
+	// Take our place in line for the model, then let the middleware
+	// at the request set; it may answer in our place or veto the
+	// call.
+	var ctx = _middleware_context(request_set, model_id);
+	var slot = _reserve(ctx);
+	var thing = null;
+	try {
+	    thing = _then(_pipe('request_set', ctx), function(){
+		if( ctx['vetoed_p'] ){ return _refuse(_vetoed(ctx)); }
+		return _send(ctx, options, slot);
+	    });
+	}catch(e){
+	    _release(slot);
+	    throw e;
+	}
+	if( slot ){
+	    var release = function(){ _release(slot); };
+	    if( thing && us.isFunction(thing.then) ){
+		thing.then(release, release);
+	    }else{
+		release();
+	    }
+	}
+	// Waiting (in line, on middleware, for a timeout) makes native
+	// promises along the way.
+	if( anchor._mode === 'async' ){
+	    thing = Q(thing);
+	}
+	return thing;
+    };
+
+    // Serialize the request set, let the middleware at the arguments,
+    // and send them off (or not).
+    function _send(ctx, options, slot){
+
+	// Assembly. Using callable() here seems to cause double
+	// encoding, so we're doing it a little more manually.
+	//var args = request_set.callable();
+	var args = ctx['request_set'].structure();
+	//console.log('_args', args);
+	// Fix requests. Why? Likely see note just below.
+	var reqs = args['requests'];
+	var str = JSON.stringify(reqs);
+	//var enc = encodeURIComponent(str);
+	args['requests'] = str;
+
+	// Lists (the groups in "provided-by") need some care to get
+	// through every engine intact; see the wire module.
+	// 
+	// https://github.com/berkeleybop/bbop-manager-minerva/issues/1
+	// With messaging, Barista relays edits to everyone, and we
+	// know our own by this.
+	if( anchor._messaging ){
+	    args['client_id'] = anchor._messaging.client_id();
+	}
+	var encoded = wire.encode(args, anchor._wire_strategy);
+	args = encoded['payload'];
+	ctx['method'] = encoded['method'];
+	wire.traditional(anchor._engine);
+	wire.statuses(anchor._engine);
+	
+	//console.log('_batch_url', anchor._batch_url);
+	//console.log('_request_set', request_set);
+	//console.log('_args', args);
+
+	ctx['args'] = args;
+
+	// Now the arguments; no need if we already have an answer.
+	var ready = ctx['responded_p'] ? ctx : _pipe('args', ctx);
+	return _then(ready, function(){
+	    if( ctx['vetoed_p'] ){ return _refuse(_vetoed(ctx)); }
+	    return _wait_turn(ctx, options, slot);
+	});
+    }
+
+    // Wait for the calls ahead in the model's queue to finish, if
+    // there are any still going, then run.
+    function _wait_turn(ctx, options, slot){
+	if( ! slot ){
+	    return _run(ctx, options);
+	}
+
+	slot['state'] = 'waiting';
+	slot['ctx'] = ctx;
+	var ahead = us.filter(slot['ahead'], function(s){
+	    return s['state'] !== 'done';
+	});
+	if( us.isEmpty(ahead) ){
+	    return _run_slot(slot, options);
+	}
+	return new Promise(function(resolve, reject){
+	    slot['absorb'] = resolve;
+	    Promise.all(us.pluck(ahead, 'settled')).then(function(){
+		if( slot['state'] === 'waiting' ){
+		    resolve(_run_slot(slot, options));
+		}
+	    }).catch(reject);
+	});
+    }
+
+    // Run the call in a slot, first taking in the changes waiting
+    // right behind it if asked to.
+    function _run_slot(slot, options){
+	slot['state'] = 'running';
+	var absorbed = [];
+	if( anchor._coalesce_p && slot['mutation_p'] ){
+	    absorbed = _coalesce(slot);
+	}
+	var thing = _run(slot['ctx'], options);
+	each(absorbed, function(other){ other['absorb'](thing); });
+	return thing;
+    }
+
+    // Fold the changes waiting in line right behind a slot (with the
+    // same target and arguments, but for the requests) into its call;
+    // returns the slots folded in.
+    function _coalesce(slot){
+	var queue = anchor._queues[slot['model_id']] || [];
+	var args = slot['ctx']['args'];
+	var target = _resource_for(slot['ctx']['request_set'].structure());
+	var rest = JSON.stringify(us.omit(args, 'requests', 'intention'));
+
+	var absorbed = [];
+	var i = us.indexOf(queue, slot) + 1;
+	while( i < queue.length ){
+	    var next = queue[i];
+	    if( next['state'] !== 'waiting' || ! next['mutation_p'] ){ break; }
+	    var nargs = next['ctx']['args'];
+	    var ntarget = _resource_for(next['ctx']['request_set'].structure());
+	    if( ntarget !== target ||
+		JSON.stringify(us.omit(nargs, 'requests', 'intention')) !== rest ){
+		break;
+	    }
+	    absorbed.push(next);
+	    i++;
+	}
+
+	if( ! us.isEmpty(absorbed) ){
+	    var reqs = JSON.parse(args['requests']);
+	    each(absorbed, function(other){
+		var oargs = other['ctx']['args'];
+		reqs = reqs.concat(JSON.parse(oargs['requests']));
+		if( oargs['intention'] === 'action' ){
+		    args['intention'] = 'action';
+		}
+		other['state'] = 'absorbed';
+	    });
+	    args['requests'] = JSON.stringify(reqs);
+	    slot['ctx']['requests'] = reqs;
+	}
+	return absorbed;
+    }
+
+    // The resource a request set goes to.
+    function _resource_for(rs){
+	var resource = anchor._batch_url;
+	// Check if known seeding, then direct to known seeding service.
+	if( rs && rs['requests'] && rs['requests'][0] &&
+	    rs['requests'][0]['operation'] &&
+	    rs['requests'][0]['operation'] === 'seed-from-process' ){
+		// seed
+		//console.log('running to seeder');
+		resource = anchor._seed_url;
+	    }
+	return resource;
+    }
+
+    // Take a place in line for the model of a call. There is no line
+    // in "sync" mode, where calls cannot overlap anyway, or for calls
+    // without a model. A change waits for all calls made before it on
+    // the model, a query only for the changes.
+    function _reserve(ctx){
+	var model_id = ctx['model_id'];
+	if( anchor._mode === 'sync' || ! model_id ){
+	    return null;
 	}
 
-	// Assembly. Using callable() here seems to cause double
-	// encoding, so we're doing it a little more manually.
-	//var args = request_set.callable();
-	var args = request_set.structure();
-	//console.log('_args', args);
-	// Fix requests. Why? Likely see note just below.
-	var reqs = args['requests'];
-	var str = JSON.stringify(reqs);
-	//var enc = encodeURIComponent(str);
-	args['requests'] = str;
+	var requests = ctx['request_set'].structure()['requests'];
+	var slot = {
+	    'model_id': model_id,
+	    'mutation_p': ! retry.query_p(requests),
+	    'state': 'reserved',
+	    'ctx': null,
+	    'absorb': null
+	};
+	slot['settled'] = new Promise(function(resolve){
+	    slot['_settle'] = resolve;
+	});
 
-	// BUG/NOTE/WARNING: While the node engine seems fine with
-	// taking objects and arrays when making requests without
-	// serializing them (or at least serializing them properly),
-	// it seems that jQuery is not so forgiving--it seems to be
-	// some kind of serializing bug where the "[" and "]" for the
-	// list appear in the wrong spot, destroying the request as
-	// intended (this bad input can be seen as it is fine when it
-	// leaves the manager, transforms inside jQuery, and bad when
-	// it gets to barista). In our case, since groups
-	// (provided-by) is an array, we would need to encode it to
-	// make sure is survives the trip to the browser (as above);
-	// however, for the time being, Minerva cannot decode that
-	// string (expecting json object as-is), so we are
-	// blocked. Needless to say, this was causing some really
-	// weird bugs. Would a jQuery upgrade help here?
-	// 
-	// https://github.com/berkeleybop/bbop-manager-minerva/issues/1
-    // 
-    // As a temporary workaround, we are just going to take the
-	// first provided-by argument as pass it through.
-	if( args['provided-by'] && us.isArray(args['provided-by']) ){
-	    if( args['provided-by'].length === 0 ){
-		delete args['provided-by'];
-	    }else{
-		args['provided-by'] = args['provided-by'][0];
-	    }
+	var queue = anchor._queues[model_id] || [];
+	anchor._queues[model_id] = queue;
+	slot['ahead'] = us.filter(queue, function(s){
+	    return slot['mutation_p'] || s['mutation_p'];
+	});
+	queue.push(slot);
+	return slot;
+    }
+
+    // Give up a place in line, letting whoever waits on it go.
+    function _release(slot){
+	if( ! slot || slot['state'] === 'done' ){ return; }
+	slot['state'] = 'done';
+	var queue = us.without(anchor._queues[slot['model_id']] || [], slot);
+	if( us.isEmpty(queue) ){
+	    delete anchor._queues[slot['model_id']];
+	}else{
+	    anchor._queues[slot['model_id']] = queue;
 	}
-	
-	//console.log('_batch_url', anchor._batch_url);
-	//console.log('_request_set', request_set);
-	//console.log('_args', args);
+	slot['_settle']();
+    }
+
+    // Off to the runner, with a short circuit if the middleware
+    // answered already.
+    function _run(ctx, options){
+
+	var rs = ctx['request_set'].structure();
+	var reqs = ctx['requests'] || rs['requests'];
 
 	// Take care of prerun now (postrun handled elsewhere).
     	anchor.apply_callbacks('prerun', [anchor]);
@@ -1028,21 +2569,126 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
 	// Get what ever output and move on. We'll need to switch on
 	// whatever our target URL is.
 	var thing = null;
-	// Check if known seeding, then direct to known seeding service.
-	var rs = request_set.structure();
-	if( rs && rs['requests'] && rs['requests'][0] &&
-	    rs['requests'][0]['operation'] &&
-	    rs['requests'][0]['operation'] === 'seed-from-process' ){
-		// seed
-		//console.log('running to seeder');
-		thing = anchor._runner(anchor._seed_url, args);
-	    }else{
-		// batch
-		thing = anchor._runner(anchor._batch_url, args);
+	var resource = _resource_for(rs);
+
+	options = options || {};
+	var timeout = us.has(options, 'timeout') ?
+		options['timeout'] : anchor.request_timeout();
+	var call = {
+	    'signal': options['signal'] || null,
+	    'timeout': timeout || null,
+	    'details': {
+		'resource': resource,
+		'model_id': ctx['model_id'],
+		'intention': ctx['args']['intention'] || rs['intention'] || null,
+		'requests': reqs,
+		'timeout': timeout || null
 	    }
+	};
+	call['context'] = ctx;
+	if( ctx['responded_p'] ){
+	    call['short_circuit'] = ctx['response'];
+	}
+
+	// Big calls may need to go in parts, and by POST.
+	var parts = [ctx['args']];
+	if( anchor._split_threshold && ! ctx['responded_p'] ){
+	    parts = wire.split(ctx['args'], anchor._split_threshold);
+	}
+	var last = parts[parts.length - 1];
+	call['method'] = _method_for(ctx, last);
+	if( parts.length > 1 ){
+	    thing = _run_parts(resource, ctx, parts, call);
+	}else{
+	    thing = anchor._runner(resource, last, call);
+	}
 	
 	return thing;
-    };    
+    }    
+
+    // The method to send a payload by: POST if it is too big to be
+    // sure of fitting in a URL, otherwise as the wire strategy has it
+    // (undefined leaves it to the engine).
+    function _method_for(ctx, payload){
+	var ret = ctx['method'] || undefined;
+	if( anchor._post_threshold &&
+	    wire.size(payload) > anchor._post_threshold ){
+	    ret = 'POST';
+	}
+	return ret;
+    }
+
+    // Send all but the last part of a split call, in order, straight
+    // to the engine; then the last through the runner, as the call
+    // itself. The variables made by each part are bound from its
+    // response and put in place in the parts after it. Should an
+    // earlier part fail, its response goes through the runner in
+    // place of the last part.
+    function _run_parts(resource, ctx, parts, call){
+
+	var early = parts.slice(0, -1);
+	var bindings = {};
+
+	function bound(part){
+	    var reqs = variables.substitute(JSON.parse(part['requests']),
+					    bindings);
+	    return us.extend({}, part, {'requests': JSON.stringify(reqs)});
+	}
+	function learn(part, resp){
+	    us.extend(bindings,
+		      variables.bind(JSON.parse(part['requests']),
+				     resp.individuals(), resp.facts()));
+	}
+	function part_call(part){
+	    return us.extend({}, call, {
+		'method': _method_for(ctx, part),
+		'details': us.extend({}, call['details'], {
+		    'requests': JSON.parse(part['requests'])
+		})
+	    });
+	}
+	function failed_p(resp){
+	    return ! resp || ! resp.okay() || resp.message_type() === 'error';
+	}
+	function finish(failure){
+	    if( failure ){
+		call['short_circuit'] = failure;
+	    }
+	    return anchor._runner(resource, bound(parts[parts.length - 1]),
+				  call);
+	}
+
+	if( anchor._mode === 'sync' ){
+	    var failure = null;
+	    each(early, function(part){
+		if( failure || _cancelled_p(call) ){ return; }
+		part = bound(part);
+		var resp = _engine_call('fetch', resource, part,
+					_method_for(ctx, part));
+		if( failed_p(resp) ){
+		    failure = resp;
+		}else{
+		    learn(part, resp);
+		}
+	    });
+	    return finish(failure);
+	}
+
+	var chain = Promise.resolve(null);
+	each(early, function(part){
+	    chain = chain.then(function(failure){
+		if( failure || _cancelled_p(call) ){ return failure; }
+		part = bound(part);
+		var sent = _attempts(resource, part, part_call(part));
+		return sent.then(function(resp){
+		    if( failed_p(resp) ){ return resp; }
+		    learn(part, resp);
+		    return null;
+		});
+	    });
+	});
+	return chain.then(finish);
+    }
 
 
 
@@ -1053,7 +2699,7 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
      * @param {*} map_ind used to derive the target_individual (and other annotated individuals)
      * @param {*} target_model_id 
      */
-    anchor.async_copy_individual_annotations = function(src_individual, map_ind, target_model_id) {
+    anchor.async_copy_individual_annotations = function(src_individual, map_ind, target_model_id, options) {
         var target_individual = map_ind[src_individual.id];
         if(!target_individual) {
             console.error("Could not find target individual of source: ", src_individual , " in " , map_ind);
@@ -1068,24 +2714,19 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
             var val_type = annotation['value-type'] ? annotation['value-type'] : null;
             reqs.add_annotation_to_individual(annotation.key, annotation_value, val_type, target_individual);
         }
-        return anchor.request_with(reqs);
+        return anchor.request_with(reqs, null, options);
     };
 
 
-    anchor.async_copy_model_annotations = function(src_model, target_model_id, new_model_title) {
+    anchor.async_copy_model_annotations = function(src_model, target_model_id, new_model_title, options) {
         var qps = [];
         var annotations = src_model.annotations();
         for(var i in annotations) {
             var annotation = annotations[i];
             var qp = null;
-            if(annotation.key == "title") {
-                qp = anchor.add_model_annotation(target_model_id, annotation.key, new_model_title, null);
-            } else if(annotation.key == "http://www.geneontology.org/formats/oboInOwl#id") {
-                qp = anchor.add_model_annotation(target_model_id, "http://www.geneontology.org/formats/oboInOwl#id", target_model_id, null);
-            } else if(annotation.key == "state") {
-                // do nothing as default model already has a development state
-            } else {
-                qp = anchor.add_model_annotation(target_model_id, annotation.key, annotation.value, null);
+            var copy = _copied_model_annotation(annotation, target_model_id, new_model_title);
+            if(copy) {
+                qp = anchor.add_model_annotation(target_model_id, copy.key, copy.value, null, options);
             }
             if(qp) {
                 qps.push(qp);
@@ -1094,7 +2735,7 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
         return Promise.all(qps);
     }    
 
-    anchor.async_copy_model_individuals = function(src_model, target_model_id) {
+    anchor.async_copy_model_individuals = function(src_model, target_model_id, options) {
         var qps = [];
         // SEQUENTIAL / SLOW copy of individuals that keeps a map(src_ind -> target_ind)
         var individuals = src_model.individuals();
@@ -1102,24 +2743,24 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
             var ind = individuals[i];
             reqs = new request_set(anchor.user_token(), target_model_id);
             reqs.add_individual(ind.type[0].id);
-            var resp = anchor.request_with(reqs);
+            var resp = anchor.request_with(reqs, null, options);
             qps.push(resp);
         }
         return Promise.all(qps);
     }
 
-    anchor.async_copy_individuals_annotations = function(src_model, map_ind, target_model_id) {
+    anchor.async_copy_individuals_annotations = function(src_model, map_ind, target_model_id, options) {
         var individuals = src_model.individuals();
         var qps = [];
         for (var i in individuals) {
             var ind = individuals[i];
-            var qp = anchor.async_copy_individual_annotations(ind, map_ind, target_model_id);
+            var qp = anchor.async_copy_individual_annotations(ind, map_ind, target_model_id, options);
             qps.push(qp);
         }
         return Promise.all(qps);        
     };    
 
-    anchor.async_copy_model_facts = function(facts, map_ind, target_model_id) {
+    anchor.async_copy_model_facts = function(facts, map_ind, target_model_id, options) {
         var qps = [];
         for(var i in facts) {
             var fact = facts[i];
@@ -1134,84 +2775,630 @@ var manager = function(barista_location, namespace, user_token, engine, mode){
                 reqs.add_annotation_to_fact(annotation.key, annotation_value, val_type,
 				    [map_ind[fact.subject], map_ind[fact.object], fact.property]);
             }            
-            var qp = anchor.request_with(reqs);
+            var qp = anchor.request_with(reqs, null, options);
             qps.push(qp);
         }
         return Promise.all(qps);
     };
 
-    anchor.async_duplicate_model = function(src_model_id, new_model_title) {
-        console.log("asked to duplicate: ", src_model_id);
-        var promise = new Promise(function(resolve, reject) {
-
-            var src_model = null;
-            var target_model = null;
-            var target_model_id;
-
-            var src_individuals;
-            var map_ind = { };
-
-            // getting the source model
-            var reqs = new request_set(anchor.user_token(), src_model_id);
-            reqs.get_model();
-            var get_model_promise = anchor.request_with(reqs);
-
-            // create the target model (empty container at this point)
-            var create_model_promise = get_model_promise.then(function(value) {
-                src_model = value;
-                src_individuals = src_model.individuals();
-                console.log("step 1: source_model retrieved", src_model);
-                reqs = new request_set(anchor.user_token());
-                reqs.add_model();
-                return anchor.request_with(reqs);
-            });
-
-            // copying annotations of the source model
-            var copy_model_annotations_promise = create_model_promise.then(function(value) {
-                target_model = value;
-                target_model_id = target_model.model_id();
-                console.log("step 2: target_model created", target_model);
-                return anchor.async_copy_model_annotations(src_model, target_model_id, new_model_title);
-            });
-
-            // creating individual containers in the target model
-            var copy_model_individuals_promise = copy_model_annotations_promise.then(function() {
-                console.log("step 3: src_model annotations copied");
-                return anchor.async_copy_model_individuals(src_model, target_model_id);
-            });
-
-            // copying the annotations for each individual of the source model to the target model
-            var copy_individual_annotations_promise = copy_model_individuals_promise.then(function(dup_individuals) {
-                console.log("step 3: target individuals created " , dup_individuals);
-                map_ind = { };
-                for(var i in dup_individuals) {
-                    map_ind[src_individuals[i].id] = dup_individuals[i].individuals()[0].id;
-                }
-                console.log("with mapping: ", map_ind);
-                return anchor.async_copy_individuals_annotations(src_model, map_ind, target_model_id);
-            });
-
-            // copying the facts of the source model
-            var copy_model_facts_promise = copy_individual_annotations_promise.then(function() {
-                console.log("step 4: source individual annotations copied");
-                return anchor.async_copy_model_facts(src_model.facts(), map_ind, target_model_id);
-            });
-            
-            // storing the model in the triple store
-            copy_model_facts_promise.then(function() {
-                console.log("step 5: model facts copied");
-                // finally, storing model
-                anchor.store_model(target_model_id).then(function(val) {
-                    console.log("target model saved: ", val);
-                    resolve(val);
-                }, function(reason) {
-                    reject(reason);
-                });
-            });
-
-        });            
-        return promise;
-    }    
+    /**
+     * Duplicate a model: copy its annotations, individuals (with all
+     * of their types and annotations), and facts (with their
+     * annotations) into a brand new model, then store the new model.
+     *
+     * This runs as four requests: get the source, create the target,
+     * a single request set carrying the entire copy, and a store. The
+     * new individuals are created under request variables and named
+     * by the server; the source to target individual map is worked out
+     * from the copy's response (see the variables module), without
+     * another round trip. If anything fails after
+     * the target model has been created, the partial target model is
+     * removed before the returned promise is rejected.
+     *
+     * A "progress" event is fired before each step with an object
+     * containing: operation ("duplicate_model"), step, step_number,
+     * total_steps, model_id, and target_model_id (once known).
+     *
+     * Intent: "action".
+     * Expect: "success" and "rebuild".
+     *
+     * @param {String} src_model_id - the model to copy
+     * @param {String} new_model_title - title for the new model
+     * @param {Object} [options] - "signal" and "timeout", as for request_with(), for each call
+     * @returns {Promise} promise for an object with "model_id" (the new model) and "individual_map" (source individual id to new individual id)
+     */
+    anchor.async_duplicate_model = function(src_model_id, new_model_title,
+					    options){
+
+	var total_steps = 4;
+	var target_model_id = null;
+	var individual_map = {};
+
+	function _progress(step, step_number){
+	    _report_progress('duplicate_model', step, step_number, total_steps,
+			     src_model_id, target_model_id);
+	}
+
+	var call_options = _call_options(options);
+
+	_progress('get_source', 1);
+	var got = anchor.get_model(src_model_id, call_options);
+	return _checked(got).then(function(src_model){
+
+	    _progress('create_target', 2);
+	    var added = anchor.add_model(null, null, call_options);
+	    return _checked(added).then(function(target_model){
+
+		target_model_id = target_model.model_id();
+
+		// Everything else goes in one request set.
+		_progress('copy', 3);
+		var reqs = new request_set(anchor.user_token(), target_model_id);
+		each(src_model.annotations(), function(ann){
+		    var copy = _copied_model_annotation(ann, target_model_id,
+							new_model_title);
+		    if( copy ){
+			reqs.add_annotation_to_model(copy['key'], copy['value'],
+						     copy['value-type'] || null);
+		    }
+		});
+		var vars = _copy_to_request_set(reqs, target_model_id,
+						src_model.individuals(),
+						src_model.facts());
+
+		var sent = anchor.request_with(reqs, null, call_options);
+		return _checked(sent).then(function(resp){
+		    individual_map = _bound(vars, reqs, resp);
+		});
+
+	    }).then(function(){
+
+		_progress('store', 4);
+		return _checked(anchor.store_model(target_model_id,
+						   call_options));
+
+	    }).then(function(){
+
+		return {
+		    'model_id': target_model_id,
+		    'individual_map': individual_map
+		};
+
+	    }, function(err){
+
+		// Try not to leave a half-built model around; report the
+		// original failure either way.
+		if( ! target_model_id ){ throw err; }
+		_progress('cleanup', total_steps);
+		return _remove_model(target_model_id).then(function(){
+		    throw err;
+		}, function(){
+		    throw err;
+		});
+	    });
+	});
+    };
+
+    /**
+     * Copy part of a model into another (existing) model: the chosen
+     * individuals with all of their types and annotations, the facts
+     * between them with their annotations, and the evidence
+     * individuals referenced by any of those. Everything goes out in
+     * a single request set.
+     *
+     * Options:
+     *  follow_edges - false (default), true, or a number of hops; also copy individuals reachable over facts (in either direction) from the chosen ones
+     *  rewrite_provenance - if true, do not carry over "contributor", "date", and "providedBy" annotations, so that Minerva stamps the copies for the current user instead; default false
+     *  signal, timeout - as for request_with(), for each call
+     *
+     * A "progress" event is fired before each step, as with
+     * async_duplicate_model.
+     *
+     * Intent: "action".
+     * Expect: "success" and "merge".
+     *
+     * @param {String} src_model_id - the model to copy from
+     * @param {Array} individual_ids - list of individual ids in the source model
+     * @param {String} target_model_id - the model to copy into
+     * @param {Object} [options] - see above
+     * @returns {Promise} promise for an object with "model_id" (the target model) and "individual_map" (source individual id to new individual id)
+     */
+    anchor.copy_subgraph = function(src_model_id, individual_ids,
+				    target_model_id, options){
+
+	if( ! options ){ options = {}; }
+
+	var hops = 0;
+	if( options['follow_edges'] === true ){
+	    hops = 1;
+	}else if( us.isNumber(options['follow_edges']) ){
+	    hops = options['follow_edges'];
+	}
+	var provenance_keys = ['contributor', 'date', 'providedBy'];
+	var annotation_filter = null;
+	if( options['rewrite_provenance'] ){
+	    annotation_filter = function(ann){
+		return ! us.contains(provenance_keys, ann['key']);
+	    };
+	}
+
+	function _progress(step, step_number){
+	    _report_progress('copy_subgraph', step, step_number, 2,
+			     src_model_id, target_model_id);
+	}
+
+	var call_options = _call_options(options);
+
+	_progress('get_source', 1);
+	var got = anchor.get_model(src_model_id, call_options);
+	return _checked(got).then(function(src_model){
+
+	    var sub = _select_subgraph(src_model.individuals(),
+				       src_model.facts(), individual_ids, hops);
+
+	    _progress('copy', 2);
+	    var reqs = new request_set(anchor.user_token(), target_model_id);
+	    var vars = _copy_to_request_set(reqs, target_model_id,
+					    sub['individuals'], sub['facts'],
+					    annotation_filter);
+
+	    var sent = anchor.request_with(reqs, null, call_options);
+	    return _checked(sent).then(function(resp){
+		return {
+		    'model_id': target_model_id,
+		    'individual_map': _bound(vars, reqs, resp)
+		};
+	    });
+	});
+    };
+
+    /**
+     * Structural difference from model a to model b; see the diff
+     * module for the options and the shape of the result. Works
+     * directly on "rebuild" responses (or their data), so no
+     * requests are made.
+     *
+     * @param {Object} a - "before" model response or data
+     * @param {Object} b - "after" model response or data
+     * @param {Object} [options] - see diff_models in the diff module
+     * @returns {Object} diff, with a human-readable summary in "text"
+     */
+    anchor.diff_models = function(a, b, options){
+	return diff.diff_models(a, b, options);
+    };
+
+    /**
+     * Check a model against the lint rules (see lint_rules() and
+     * {module:bbop-manager-minerva/lint}). A model id is fetched
+     * first; model data (or a response) is checked as is.
+     *
+     * The optional options object may contain:
+     *  rules - list of rules to use instead of lint_rules()
+     *  term2aspect - map of class ids to GO aspects, to help find activities
+     *  relations - table of what relations allow at their ends
+     *  signal, timeout - as for request_with(), for fetching the model
+     *
+     * @param {String|Object} model - model id, or model data or response
+     * @param {Object} [options] - see above
+     * @returns {Promise} promise for the report: "model_id", "errors" and "warnings" (lists of findings with "rule", "level", "entity", "id", and "message"), and "ok_p"
+     */
+    anchor.lint_model = function(model, options){
+
+	var opts = us.extend({'rules': anchor._lint_rules}, options || {});
+	var got = us.isString(model) ?
+		_checked(anchor.get_model(model, _call_options(options))) :
+		Promise.resolve(model);
+
+	return got.then(function(data){
+	    return lint.lint_model(data, opts);
+	});
+    };
+
+    /**
+     * Apply a patch (a list of add/remove operations; see the patch
+     * module for the format, and patch.from_diff to make one from
+     * diff_models) to a model as a single request set.
+     *
+     * The model is fetched first and the patch checked against it;
+     * if anything the patch removes or modifies is not there, the
+     * promise is rejected before anything is sent, with the list of
+     * problems in the error's "conflicts" property.
+     *
+     * Intent: "action".
+     * Expect: "success" and "rebuild" (or "merge" for pure additions).
+     *
+     * @param {String} model_id - the model to patch
+     * @param {Array} patch_ops - list of patch operations
+     * @param {Object} [options] - "signal" and "timeout", as for request_with(), for each call
+     * @returns {Promise} promise for an object with "model_id", "individual_map" (the patch's names for added individuals to their new ids), and "response"
+     */
+    anchor.apply_patch = function(model_id, patch_ops, options){
+
+	var got = anchor.get_model(model_id, options);
+	return _checked(got).then(function(current){
+
+	    var conflicts = patch.check_patch(patch_ops, current);
+	    if( conflicts.length > 0 ){
+		var err = new Error('patch conflicts with model ' + model_id +
+				    ': ' + conflicts.join('; '));
+		err.conflicts = conflicts;
+		throw err;
+	    }
+
+	    var reqs = new request_set(anchor.user_token(), model_id);
+	    var map = patch.to_request_set(reqs, model_id, patch_ops, current);
+
+	    var sent = anchor.request_with(reqs, model_id, options);
+	    return _checked(sent).then(function(resp){
+		return {
+		    'model_id': model_id,
+		    'individual_map': map,
+		    'response': resp
+		};
+	    });
+	});
+    };
+
+    ///
+    /// Internal helpers for optimistic edits.
+    ///
+
+    // Send a request set for a single edit, applying the change
+    // locally first if optimistic edits are on and the model is
+    // cached. Returns whatever request_with returns.
+    function _request_optimistically(reqs, model_id, change, options){
+
+	var graph = anchor.cached_model(model_id);
+	var undo = null;
+	if( anchor._optimistic_p && graph ){
+	    undo = optimistic.apply_change(graph, change);
+	}
+	if( ! undo ){
+	    return anchor.request_with(reqs, model_id, options);
+	}
+
+	var touched = optimistic.touched(change);
+	var evt = {
+	    'correlation_id': bbop.uuid(),
+	    'model_id': model_id,
+	    'change': change,
+	    'individuals': touched['individuals'],
+	    'facts': touched['facts']
+	};
+	var pend = {
+	    'model_id': model_id,
+	    'graph': graph,
+	    'undo': undo,
+	    'event': evt
+	};
+	anchor._pending_edits[evt['correlation_id']] = pend;
+	anchor.apply_callbacks('pending', [evt, anchor]);
+
+	var thing = null;
+	if( anchor._mode === 'sync' ){
+	    try {
+		thing = anchor.request_with(reqs, model_id, options);
+	    }catch(e){
+		_settle_optimistic(pend, null);
+		throw e;
+	    }
+	    _settle_optimistic(pend, thing);
+	    return thing;
+	}
+	// Chain on what request_with gave, so that the return is the
+	// same kind of promise it would have been without the edit
+	// (e.g. a Q promise in "async" mode).
+	thing = anchor.request_with(reqs, model_id, options);
+	return thing.then(function(resp){
+	    _settle_optimistic(pend, resp);
+	    return resp;
+	}, function(err){
+	    _settle_optimistic(pend, (err && err.response) || null);
+	    throw err;
+	});
+    }
+
+    // Confirm or revert a pending edit, given its response.
+    function _settle_optimistic(pend, resp){
+
+	var evt = pend['event'];
+	delete anchor._pending_edits[evt['correlation_id']];
+	var settled = us.extend({}, evt, {'response': resp || null});
+
+	if( resp && resp.okay() && resp.message_type() !== 'error' ){
+	    anchor.apply_callbacks('confirmed', [settled, anchor]);
+	}else{
+	    // If the graph has been replaced since (a rebuild), it
+	    // already reflects the server and there is nothing to
+	    // take back.
+	    if( anchor.cached_model(pend['model_id']) === pend['graph'] ){
+		optimistic.apply_change(pend['graph'], pend['undo']);
+	    }
+	    anchor.apply_callbacks('reverted', [settled, anchor]);
+	}
+    }
+
+    ///
+    /// Internal helpers for multi-step operations.
+    ///
+
+    // The per-call options of request_with ("signal" and "timeout")
+    // from the options of a multi-step operation, for each call it
+    // makes.
+    function _call_options(options){
+	return us.pick(options || {}, 'signal', 'timeout');
+    }
+
+    // Wrap whatever the runner gave us (response or promise) in a
+    // promise that is rejected on anything other than success.
+    function _checked(thing){
+	return Promise.resolve(thing).then(function(resp){
+	    var err = _fatal(errors.from_response(resp));
+	    if( ! err && resp.message_type() !== 'success' ){
+		err = new errors.barista_error(resp.message() ||
+					       resp.message_type(), resp);
+	    }
+	    if( err ){ throw err; }
+	    return resp;
+	});
+    }
+
+    // Fire a "progress" event for a multi-step operation.
+    function _report_progress(operation, step, step_number, total_steps,
+			      model_id, target_model_id){
+	anchor.apply_callbacks('progress', [{
+	    'operation': operation,
+	    'step': step,
+	    'step_number': step_number,
+	    'total_steps': total_steps,
+	    'model_id': model_id,
+	    'target_model_id': target_model_id
+	}, anchor]);
+    }
+
+    // Pick out part of a model (as lists of individual and fact
+    // data): the seed individuals, anything within the given number
+    // of hops over facts, the facts between all of those, and any
+    // evidence individuals referenced from them. Throws on seeds not
+    // in the model.
+    function _select_subgraph(individuals, facts, seed_ids, hops){
+
+	var by_id = {};
+	each(individuals, function(ind){ by_id[ind['id']] = ind; });
+
+	var chosen = {};
+	each(seed_ids, function(iid){
+	    if( ! us.has(by_id, iid) ){
+		throw new Error('unknown individual in source model: ' + iid);
+	    }
+	    chosen[iid] = true;
+	});
+
+	// Walk out over facts, either direction.
+	var frontier = us.keys(chosen);
+	for( var hop = 0; hop < hops && frontier.length > 0; hop++ ){
+	    var next = [];
+	    each(facts, function(fact){
+		var s = fact['subject'];
+		var o = fact['object'];
+		if( us.contains(frontier, s) && ! chosen[o] && by_id[o] ){
+		    chosen[o] = true;
+		    next.push(o);
+		}
+		if( us.contains(frontier, o) && ! chosen[s] && by_id[s] ){
+		    chosen[s] = true;
+		    next.push(s);
+		}
+	    });
+	    frontier = next;
+	}
+
+	var sub_facts = us.filter(facts, function(fact){
+	    return chosen[fact['subject']] && chosen[fact['object']];
+	});
+
+	// Pull in referenced evidence.
+	function _pull_evidence(entity){
+	    each(entity['annotations'] || [], function(ann){
+		if( ann['key'] === 'evidence' && by_id[ann['value']] ){
+		    chosen[ann['value']] = true;
+		}
+	    });
+	}
+	each(us.keys(chosen), function(iid){ _pull_evidence(by_id[iid]); });
+	each(sub_facts, _pull_evidence);
+
+	// Keep the source order.
+	var sub_individuals = us.filter(individuals, function(ind){
+	    return chosen[ind['id']];
+	});
+
+	return {'individuals': sub_individuals, 'facts': sub_facts};
+    }
+
+    // The request variables in something (e.g. a map of old ids to
+    // variables) replaced with the ids they became in the response to
+    // the request set that made them.
+    function _bound(thing, reqs, resp){
+	var bindings = variables.bind(reqs.structure()['requests'],
+				      resp.individuals(), resp.facts());
+	return variables.substitute(thing, bindings);
+    }
+
+    // Remove a whole model.
+    function _remove_model(model_id){
+	var reqs = new request_set(anchor.user_token());
+	var req = new request('model', 'remove');
+	req.model(model_id);
+	reqs.add(req, 'action');
+	return _checked(anchor.request_with(reqs));
+    }
+
+    // Decide how a model annotation carries over into a copy of the
+    // model; null if it should not.
+    function _copied_model_annotation(ann, target_model_id, new_model_title){
+	var ret = null;
+	if( ann['key'] === 'title' ){
+	    ret = {'key': 'title', 'value': new_model_title};
+	}else if( ann['key'] ===
+		  'http://www.geneontology.org/formats/oboInOwl#id' ){
+	    ret = {'key': ann['key'], 'value': target_model_id};
+	}else if( ann['key'] === 'state' ){
+	    // Skip: a new model already has a development state.
+	}else{
+	    ret = us.clone(ann);
+	}
+	return ret;
+    }
+
+    // Evidence as an evidence object, or an evidence error thrown
+    // with what is wrong with it.
+    function _valid_evidence(ev){
+	ev = evidence.from_arguments(ev);
+	var problems = ev.problems(anchor._evidence_codes);
+	if( ! us.isEmpty(problems) ){
+	    throw evidence.error(problems);
+	}
+	return ev;
+    }
+
+    // Turn down a call before anything is sent, in the manner of the
+    // current mode.
+    function _refuse(err){
+	if( anchor._mode !== 'sync' ){
+	    return Promise.reject(err);
+	}
+	throw err;
+    }
+
+    // Add the requests for an activity unit (see add_activity_unit)
+    // to a request set; returns the request variables of what will be
+    // created (see _bound()). The gene product, location, and process
+    // may also be lists, giving lists of variables. The optional map
+    // of slots to individuals (ids, or variables from the same request
+    // set) are used as they are, rather than made anew.
+    function _activity_unit_to_request_set(reqs, unit, existing){
+
+	if( ! unit || ! us.isObject(unit) ){
+	    throw new Error('no activity unit given');
+	}
+
+	var ret = {'individuals': {}, 'facts': [], 'evidence': []};
+
+	function _individual(slot, cls_expr){
+	    var iid = null;
+	    if( existing && existing[slot] && ! us.isArray(unit[slot]) ){
+		iid = existing[slot];
+	    }else{
+		iid = reqs.add_individual(cls_expr);
+	    }
+	    if( us.isArray(unit[slot]) ){
+		ret['individuals'][slot] = ret['individuals'][slot] || [];
+		ret['individuals'][slot].push(iid);
+	    }else{
+		ret['individuals'][slot] = iid;
+	    }
+	    return iid;
+	}
+
+	var ev = unit['evidence'] ? _valid_evidence(unit['evidence']) : null;
+
+	var mf = _individual('mf', unit['mf'] || 'GO:0003674');
+	var edges = [
+	    ['enabled_by', 'RO:0002333'],
+	    ['occurs_in', 'BFO:0000066'],
+	    ['part_of', 'BFO:0000050']
+	];
+	each(edges, function(edge){
+	    var slot = edge[0];
+	    var cls_exprs = us.isArray(unit[slot]) ? unit[slot] :
+		    (unit[slot] ? [unit[slot]] : []);
+	    each(cls_exprs, function(cls_expr){
+
+		var triple = [mf, _individual(slot, cls_expr), edge[1]];
+		reqs.add_fact(triple);
+		ret['facts'].push(triple);
+
+		if( ev ){
+		    var ev_id = reqs.add_individual(ev.type());
+		    each(ev.sources(), function(src){
+			reqs.add_annotation_to_individual('source', src, null,
+							  ev_id);
+		    });
+		    each(ev.with_strs(), function(w){
+			reqs.add_annotation_to_individual('with', w, null,
+							  ev_id);
+		    });
+		    reqs.add_annotation_to_fact('evidence', ev_id, null,
+						triple);
+		    ret['evidence'].push(ev_id);
+		}
+	    });
+	});
+
+	return ret;
+    }
+
+    // Add requests to a request set that recreate the given
+    // individuals (types and annotations) and facts (and annotations)
+    // in the target model under request variables. Annotation values
+    // that refer to copied individuals (e.g. evidence) are rewritten
+    // to point at the copies. Facts whose ends are not both copied
+    // are skipped. The optional filter is given each annotation and
+    // may return false to leave it out. Returns the map of old
+    // individual ids to variables (see _bound()).
+    function _copy_to_request_set(reqs, target_model_id, individuals, facts,
+				  annotation_filter){
+	var map = {};
+
+	function _value(val){
+	    return us.has(map, val) ? map[val] : val;
+	}
+
+	function _keep(ann){
+	    return ! annotation_filter || annotation_filter(ann);
+	}
+
+	// Individuals first, as they will be referred to.
+	each(individuals, function(ind){
+	    var types = ind['type'] || [];
+	    var new_id = reqs.add_individual(types[0] || null);
+	    map[ind['id']] = new_id;
+	    each(types.slice(1), function(type){
+		reqs.add_type_to_individual(type, new_id);
+	    });
+	});
+
+	// Then individual annotations, as they may refer to other
+	// individuals.
+	each(individuals, function(ind){
+	    each(ind['annotations'] || [], function(ann){
+		if( _keep(ann) ){
+		    reqs.add_annotation_to_individual(
+			ann['key'], _value(ann['value']),
+			ann['value-type'] || null, map[ind['id']]);
+		}
+	    });
+	});
+
+	// Finally, facts and their annotations.
+	each(facts, function(fact){
+	    if( us.has(map, fact['subject']) && us.has(map, fact['object']) ){
+		var triple = [map[fact['subject']], map[fact['object']],
+			      fact['property']];
+		reqs.add_fact(triple);
+		each(fact['annotations'] || [], function(ann){
+		    if( _keep(ann) ){
+			reqs.add_annotation_to_fact(
+			    ann['key'], _value(ann['value']),
+			    ann['value-type'] || null, triple);
+		    }
+		});
+	    }
+	});
+
+	return map;
+    }
 
 };
 bbop.extend(manager, registry);
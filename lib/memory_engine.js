@@ -0,0 +1,898 @@
+/**
+ * An in-memory stand-in for Barista/Minerva, usable anywhere a
+ * {module:bbop-rest-manager} engine is expected.
+ *
+ * It answers the m3Batch and seed/fromProcess endpoints from a local
+ * model store, returning Barista-shaped payloads wrapped in the
+ * response handler given to the constructor (normally
+ * {module:bbop-response-barista}). This makes it possible to exercise
+ * the whole manager API without network access.
+ *
+ * Only the parts of Minerva that the manager uses are covered; there
+ * is no reasoner, and "export" produces the engine's own JSON rather
+ * than OWL.
+ *
+ * @modules bbop-manager-minerva/memory_engine
+ */
+
+var bbop = require('bbop-core');
+var registry = require('bbop-registry');
+
+var us = require('underscore');
+
+var wire = require('./wire');
+
+// Aliasing.
+var each = us.each;
+
+// Some plausible meta information to answer "meta get" with.
+var default_relations = [
+    {'id': 'BFO:0000050', 'label': 'part of', 'relevant': true},
+    {'id': 'BFO:0000051', 'label': 'has part', 'relevant': true},
+    {'id': 'BFO:0000066', 'label': 'occurs in', 'relevant': true},
+    {'id': 'RO:0002233', 'label': 'has input', 'relevant': true},
+    {'id': 'RO:0002234', 'label': 'has output', 'relevant': true},
+    {'id': 'RO:0002333', 'label': 'enabled by', 'relevant': true},
+    {'id': 'RO:0002413', 'label': 'directly provides input for',
+     'relevant': true},
+    {'id': 'RO:0002629', 'label': 'directly positively regulates',
+     'relevant': true},
+    {'id': 'RO:0002630', 'label': 'directly negatively regulates',
+     'relevant': true}
+];
+var default_evidence = [
+    {'id': 'ECO:0000314', 'label': 'direct assay evidence used in manual assertion'},
+    {'id': 'ECO:0000315', 'label': 'mutant phenotype evidence used in manual assertion'},
+    {'id': 'ECO:0000316', 'label': 'genetic interaction evidence used in manual assertion'},
+    {'id': 'ECO:0000353', 'label': 'physical interaction evidence used in manual assertion'},
+    {'id': 'ECO:0000270', 'label': 'expression pattern evidence used in manual assertion'},
+    {'id': 'ECO:0000250', 'label': 'sequence similarity evidence used in manual assertion'},
+    {'id': 'ECO:0000318', 'label': 'biological aspect of ancestor evidence used in manual assertion'},
+    {'id': 'ECO:0000304', 'label': 'author statement supported by traceable reference used in manual assertion'},
+    {'id': 'ECO:0000305', 'label': 'curator inference used in manual assertion'},
+    {'id': 'ECO:0000307', 'label': 'no evidence data found used in manual assertion'},
+    {'id': 'ECO:0000501', 'label': 'evidence used in automatic assertion'}
+];
+
+// Operations that only add things; a batch made up entirely of these
+// is answered with a "merge" of the touched entities.
+var merge_operations = {
+    'individual': {'add': true, 'add-type': true, 'add-annotation': true},
+    'edge': {'add': true, 'add-annotation': true},
+    'model': {'add-annotation': true}
+};
+
+/**
+ * Contructor for the in-memory engine.
+ *
+ * The optional options object may contain:
+ *  users - map of token strings to user ids; known users get contributor/date annotations on what they create, like Minerva
+ *  date - fixed string to use for date annotations (default: today, as YYYY-MM-DD)
+ *  relations - list of relation objects to report in meta
+ *  evidence - list of evidence objects to report in meta
+ *
+ * @constructor
+ * @param {Object} response_handler - the response handler class to use for each call (e.g. {module:bbop-response-barista})
+ * @param {Object} [options] - see above
+ * @returns {memory_engine} engine object
+ */
+var memory_engine = function(response_handler, options){
+    registry.call(this, ['success', 'error']);
+    this._is_a = 'bbop-manager-minerva.memory_engine';
+    var anchor = this;
+
+    if( ! options ){ options = {}; }
+
+    anchor._response_handler = response_handler;
+
+    // Mirroring the engines in bbop-rest-manager.
+    anchor._qurl = null;
+    anchor._qpayload = {};
+    anchor._qmethod = 'GET';
+
+    anchor._users = options['users'] || {};
+    anchor._date = options['date'] || null;
+    anchor._relations = options['relations'] || default_relations;
+    anchor._evidence = options['evidence'] || default_evidence;
+
+    // The model store, by model id.
+    anchor._models = {};
+    anchor._model_order = [];
+
+    // Counters for minting ids.
+    anchor._model_count = 0;
+    anchor._individual_count = 0;
+    anchor._packet_count = 0;
+    anchor._undo_count = 0;
+
+    // All calls made, in order, for inspection in tests.
+    anchor._calls = [];
+
+    ///
+    /// Engine interface.
+    ///
+
+    /**
+     * Get/set the resource (URL) to use.
+     *
+     * @param {String} [in_url] - string
+     * @returns {String} string
+     */
+    anchor.resource = function(in_url){
+	if( us.isString(in_url) ){
+	    anchor._qurl = in_url;
+	}
+	return anchor._qurl;
+    };
+
+    /**
+     * Get/set the payload to use.
+     *
+     * @param {Object} [payload] - object
+     * @returns {Object} copy of the current payload
+     */
+    anchor.payload = function(payload){
+	if( us.isObject(payload) ){
+	    anchor._qpayload = payload;
+	}
+	return bbop.clone(anchor._qpayload);
+    };
+
+    /**
+     * Get/set the method to "use"; recorded, but otherwise ignored.
+     *
+     * @param {String} [method] - "GET" or "POST"
+     * @returns {String} string
+     */
+    anchor.method = function(method){
+	if( us.isString(method) ){
+	    anchor._qmethod = method;
+	}
+	return anchor._qmethod;
+    };
+
+    /**
+     * Calls made to this engine so far.
+     *
+     * @returns {Array} list of {resource, method, payload} objects
+     */
+    anchor.calls = function(){
+	return bbop.clone(anchor._calls);
+    };
+
+    ///
+    /// Store inspection and seeding.
+    ///
+
+    /**
+     * Get the list of model ids in the store.
+     *
+     * @returns {Array} list of strings
+     */
+    anchor.model_ids = function(){
+	return us.clone(anchor._model_order);
+    };
+
+    /**
+     * Get a copy of a model, as it would appear in the data section
+     * of a rebuild response.
+     *
+     * @param {String} model_id - string
+     * @returns {Object|null} model data or null
+     */
+    anchor.model_data = function(model_id){
+	var ret = null;
+	var model = anchor._models[model_id];
+	if( model ){
+	    ret = _model_to_data(model);
+	}
+	return ret;
+    };
+
+    /**
+     * Load a model into the store from data in the format of a
+     * rebuild response, clobbering any model with the same id.
+     *
+     * @param {Object} data - model data, as from model_data()
+     * @returns {String} the id of the loaded model
+     */
+    anchor.load_model = function(data){
+	var model = _data_to_model(data);
+	if( ! anchor._models[model.id] ){
+	    anchor._model_order.push(model.id);
+	}
+	anchor._models[model.id] = model;
+	return model.id;
+    };
+
+    ///
+    /// Internal model handling.
+    ///
+
+    function _today(){
+	if( anchor._date ){ return anchor._date; }
+	return new Date().toISOString().substr(0, 10);
+    }
+
+    function _new_model(model_id){
+	if( ! model_id ){
+	    anchor._model_count++;
+	    var n = anchor._model_count.toString(16);
+	    model_id = 'gomodel:' + '0000000000000000'.substr(n.length) + n;
+	}
+	return {
+	    'id': model_id,
+	    'annotations': [],
+	    'individuals': {},
+	    'individual_order': [],
+	    'facts': [],
+	    'modified': false,
+	    'undo': [],
+	    'redo': []
+	};
+    }
+
+    function _new_individual_id(model){
+	anchor._individual_count++;
+	var n = anchor._individual_count.toString(16);
+	return model.id + '/' + '0000000000000000'.substr(n.length) + n;
+    }
+
+    // Only the serializable state of the model, for undo and export.
+    function _state(model){
+	return bbop.clone({
+	    'annotations': model['annotations'],
+	    'individuals': model['individuals'],
+	    'individual_order': model['individual_order'],
+	    'facts': model['facts']
+	});
+    }
+
+    function _restore(model, state){
+	var copy = bbop.clone(state);
+	model['annotations'] = copy['annotations'];
+	model['individuals'] = copy['individuals'];
+	model['individual_order'] = copy['individual_order'];
+	model['facts'] = copy['facts'];
+    }
+
+    function _individual_to_data(ind){
+	return bbop.clone(ind);
+    }
+
+    function _fact_to_data(fact){
+	var ret = bbop.clone(fact);
+	var rel = us.find(anchor._relations, function(r){
+	    return r['id'] === fact['property'];
+	});
+	if( rel ){ ret['property-label'] = rel['label']; }
+	return ret;
+    }
+
+    function _model_to_data(model, only_individuals, only_facts){
+	var inds = [];
+	each(model['individual_order'], function(iid){
+	    if( ! only_individuals || only_individuals[iid] ){
+		inds.push(_individual_to_data(model['individuals'][iid]));
+	    }
+	});
+	var facts = [];
+	each(model['facts'], function(fact){
+	    if( ! only_facts || only_facts[_fact_key(fact)] ){
+		facts.push(_fact_to_data(fact));
+	    }
+	});
+	return {
+	    'id': model['id'],
+	    'annotations': bbop.clone(model['annotations']),
+	    'individuals': inds,
+	    'facts': facts,
+	    'modified-p': model['modified'],
+	    'inconsistent-p': false
+	};
+    }
+
+    function _data_to_model(data){
+	var model = _new_model(data['id']);
+	model['annotations'] = bbop.clone(data['annotations'] || []);
+	each(data['individuals'] || [], function(ind){
+	    model['individuals'][ind['id']] = {
+		'id': ind['id'],
+		'type': bbop.clone(ind['type'] || []),
+		'annotations': bbop.clone(ind['annotations'] || [])
+	    };
+	    model['individual_order'].push(ind['id']);
+	});
+	each(data['facts'] || [], function(fact){
+	    model['facts'].push({
+		'subject': fact['subject'],
+		'object': fact['object'],
+		'property': fact['property'],
+		'annotations': bbop.clone(fact['annotations'] || [])
+	    });
+	});
+	return model;
+    }
+
+    function _fact_key(fact){
+	return [fact['subject'], fact['object'], fact['property']].join(' ');
+    }
+
+    function _find_fact(model, sub, obj, pred){
+	return us.find(model['facts'], function(f){
+	    return f['subject'] === sub && f['object'] === obj &&
+		f['property'] === pred;
+	});
+    }
+
+    function _same_annotation(a, b){
+	return a['key'] === b['key'] && a['value'] === b['value'] &&
+	    (a['value-type'] || null) === (b['value-type'] || null);
+    }
+
+    // Minerva expects expressions in the form produced by
+    // class-expression; make sure simple classes have a label.
+    function _type(expr){
+	var ret = bbop.clone(expr);
+	if( ret['type'] === 'class' && ! ret['label'] ){
+	    ret['label'] = ret['id'];
+	}
+	return ret;
+    }
+
+    ///
+    /// Batch processing.
+    ///
+
+    // Just a way to bail out of a batch with a message.
+    function _fail(message){
+	var e = new Error(message);
+	e.minerva_p = true;
+	throw e;
+    }
+
+    function _response(message_type, message, signal, intention, uid,
+		       groups, data, commentary){
+	anchor._packet_count++;
+	var raw = {
+	    'message-type': message_type,
+	    'message': message,
+	    'signal': signal,
+	    'intention': intention,
+	    'uid': uid || 'unknown',
+	    'packet-id': 'memory-' + anchor._packet_count,
+	    'is-reasoned': false
+	};
+	if( groups && ! us.isEmpty(groups) ){ raw['provided-by'] = groups; }
+	if( data ){ raw['data'] = data; }
+	if( commentary ){ raw['commentary'] = commentary; }
+	return raw;
+    }
+
+    function _meta_data(){
+	var models_meta = {};
+	var models_meta_ro = {};
+	each(anchor._model_order, function(mid){
+	    var model = anchor._models[mid];
+	    models_meta[mid] = bbop.clone(model['annotations']);
+	    models_meta_ro[mid] = {'modified-p': model['modified']};
+	});
+	return {
+	    'meta': {
+		'relations': bbop.clone(anchor._relations),
+		'evidence': bbop.clone(anchor._evidence),
+		'models-meta': models_meta,
+		'models-meta-read-only': models_meta_ro
+	    }
+	};
+    }
+
+    // Run a list of request objects against a working copy of the
+    // store. Everything is applied, or nothing is.
+    function _run_batch(raw_requests, uid, groups, intention){
+
+	// Working copies; only the models we touch are copied.
+	var working = {};
+	var created = [];
+	var removed = [];
+	var variables = {};
+	var current_model_id = null;
+
+	// Bookkeeping to decide on signal and return data.
+	var signal = 'merge';
+	var meta_p = false;
+	var export_text = null;
+	var undo_redo = null;
+	var touched_individuals = {};
+	var touched_facts = {};
+	var changed = {};
+
+	function _model(model_id){
+	    if( ! model_id ){ model_id = current_model_id; }
+	    if( ! model_id ){ _fail('no model id given'); }
+	    if( ! working[model_id] ){
+		if( ! anchor._models[model_id] ||
+		    us.contains(removed, model_id) ){
+		    _fail('unknown model: ' + model_id);
+		}
+		working[model_id] = bbop.clone(anchor._models[model_id]);
+	    }
+	    current_model_id = model_id;
+	    return working[model_id];
+	}
+
+	function _resolve(id){
+	    if( us.has(variables, id) ){ return variables[id]; }
+	    return id;
+	}
+
+	function _individual(model, id){
+	    var iid = _resolve(id);
+	    var ind = model['individuals'][iid];
+	    if( ! ind ){ _fail('unknown individual: ' + id); }
+	    return ind;
+	}
+
+	// Stamp new things like Minerva would for logged-in users.
+	function _stamp(annotations){
+	    if( uid ){
+		annotations.push({'key': 'contributor', 'value': uid});
+		annotations.push({'key': 'date', 'value': _today()});
+		each(groups, function(g){
+		    annotations.push({'key': 'providedBy', 'value': g});
+		});
+	    }
+	}
+
+	function _annotations(args){
+	    var ret = [];
+	    each(args['values'] || [], function(v){
+		var ann = {'key': v['key'], 'value': _resolve(v['value'])};
+		if( v['value-type'] ){ ann['value-type'] = v['value-type']; }
+		ret.push(ann);
+	    });
+	    return ret;
+	}
+
+	function _add_annotations(target, anns){
+	    each(anns, function(ann){
+		if( ! us.find(target['annotations'], function(a){
+		    return _same_annotation(a, ann);
+		}) ){
+		    target['annotations'].push(ann);
+		}
+	    });
+	}
+
+	function _remove_annotations(target, anns){
+	    target['annotations'] = us.reject(target['annotations'], function(a){
+		return us.find(anns, function(ann){
+		    return _same_annotation(a, ann);
+		});
+	    });
+	}
+
+	function _touch(model){
+	    changed[model['id']] = true;
+	}
+
+	each(raw_requests, function(req){
+	    var entity = req['entity'];
+	    var op = req['operation'];
+	    var args = req['arguments'] || {};
+	    var model = null;
+	    var ind = null;
+	    var fact = null;
+	    var sub = null;
+	    var obj = null;
+
+	    if( entity === 'meta' ){
+		if( op === 'get' ){
+		    meta_p = true;
+		    signal = 'meta';
+		}else if( op === 'export-all' || op === 'store-all' ){
+		    each(anchor._model_order, function(mid){
+			if( ! us.contains(removed, mid) ){
+			    _model(mid)['modified'] = false;
+			}
+		    });
+		    meta_p = true;
+		    signal = 'meta';
+		}else{
+		    _fail('unknown meta operation: ' + op);
+		}
+
+	    }else if( entity === 'model' ){
+		if( op === 'add' ){
+		    model = _new_model();
+		    working[model['id']] = model;
+		    created.push(model['id']);
+		    current_model_id = model['id'];
+		    if( args['class-id'] ){
+			ind = {
+			    'id': _new_individual_id(model),
+			    'type': [_type({'type': 'class',
+					    'id': args['class-id']})],
+			    'annotations': []
+			};
+			_stamp(ind['annotations']);
+			model['individuals'][ind['id']] = ind;
+			model['individual_order'].push(ind['id']);
+		    }
+		    if( args['taxon-id'] ){
+			model['annotations'].push({'key': 'in_taxon',
+						   'value': args['taxon-id']});
+		    }
+		    _stamp(model['annotations']);
+		    _touch(model);
+		    signal = 'rebuild';
+		}else if( op === 'remove' ){
+		    model = _model(args['model-id']);
+		    removed.push(model['id']);
+		    meta_p = true;
+		    signal = 'meta';
+		}else if( op === 'get' ){
+		    _model(args['model-id']);
+		    signal = 'rebuild';
+		}else if( op === 'get-undo-redo' ){
+		    model = _model(args['model-id']);
+		    undo_redo = {
+			'undo': us.map(model['undo'], function(u){
+			    return {'id': u['id'], 'user-id': u['user-id']};
+			}).reverse(),
+			'redo': us.map(model['redo'], function(u){
+			    return {'id': u['id'], 'user-id': u['user-id']};
+			}).reverse()
+		    };
+		    signal = 'meta';
+		}else if( op === 'undo' || op === 'redo' ){
+		    model = _model(args['model-id']);
+		    var from = (op === 'undo') ? model['undo'] : model['redo'];
+		    var to = (op === 'undo') ? model['redo'] : model['undo'];
+		    if( from.length === 0 ){
+			_fail('nothing to ' + op + ' in model: ' + model['id']);
+		    }
+		    var entry = from.pop();
+		    to.push({'id': entry['id'], 'user-id': uid,
+			     'state': _state(model)});
+		    _restore(model, entry['state']);
+		    model['modified'] = true;
+		    // Do not record this as a new undoable change.
+		    model['_undo_op'] = true;
+		    signal = 'rebuild';
+		}else if( op === 'store' ){
+		    model = _model(args['model-id']);
+		    model['modified'] = false;
+		    signal = 'rebuild';
+		}else if( op === 'export' ){
+		    model = _model(args['model-id']);
+		    export_text = JSON.stringify(_model_to_data(model));
+		    signal = 'meta';
+		}else if( op === 'export-legacy' ){
+		    _fail('legacy export not supported by the memory engine');
+		}else if( op === 'import' ){
+		    var import_data = null;
+		    try {
+			import_data = JSON.parse(args['importModel']);
+		    }catch(e){
+			_fail('could not parse model for import');
+		    }
+		    model = _data_to_model(import_data);
+		    model['id'] = _new_model()['id'];
+		    working[model['id']] = model;
+		    created.push(model['id']);
+		    current_model_id = model['id'];
+		    _touch(model);
+		    signal = 'rebuild';
+		}else if( op === 'seed-from-process' ){
+		    if( ! args['process'] ){ _fail('no process to seed from'); }
+		    model = _new_model();
+		    working[model['id']] = model;
+		    created.push(model['id']);
+		    current_model_id = model['id'];
+		    ind = {
+			'id': _new_individual_id(model),
+			'type': [_type({'type': 'class', 'id': args['process']})],
+			'annotations': []
+		    };
+		    _stamp(ind['annotations']);
+		    model['individuals'][ind['id']] = ind;
+		    model['individual_order'].push(ind['id']);
+		    if( args['taxon'] ){
+			model['annotations'].push({'key': 'in_taxon',
+						   'value': args['taxon']});
+		    }
+		    _stamp(model['annotations']);
+		    _touch(model);
+		    signal = 'rebuild';
+		}else if( op === 'add-annotation' || op === 'remove-annotation' ){
+		    model = _model(args['model-id']);
+		    if( op === 'add-annotation' ){
+			_add_annotations(model, _annotations(args));
+		    }else{
+			_remove_annotations(model, _annotations(args));
+			signal = 'rebuild';
+		    }
+		    _touch(model);
+		}else{
+		    _fail('unknown model operation: ' + op);
+		}
+
+	    }else if( entity === 'individual' ){
+		model = _model(args['model-id']);
+		if( op === 'add' ){
+		    var iid = args['individual-iri'] || _new_individual_id(model);
+		    if( model['individuals'][iid] ){
+			_fail('individual already exists: ' + iid);
+		    }
+		    ind = {
+			'id': iid,
+			'type': us.map(args['expressions'] || [], _type),
+			'annotations': _annotations(args)
+		    };
+		    _stamp(ind['annotations']);
+		    model['individuals'][iid] = ind;
+		    model['individual_order'].push(iid);
+		    if( args['assign-to-variable'] ){
+			variables[args['assign-to-variable']] = iid;
+		    }
+		    touched_individuals[iid] = true;
+		}else if( op === 'remove' ){
+		    ind = _individual(model, args['individual']);
+		    delete model['individuals'][ind['id']];
+		    model['individual_order'] =
+			us.without(model['individual_order'], ind['id']);
+		    model['facts'] = us.reject(model['facts'], function(f){
+			return f['subject'] === ind['id'] ||
+			    f['object'] === ind['id'];
+		    });
+		    // Like Minerva, also drop annotations pointing at it
+		    // (i.e. evidence references).
+		    var refs = us.values(model['individuals']).concat(
+			model['facts']);
+		    each(refs, function(ent){
+			ent['annotations'] =
+			    us.reject(ent['annotations'], function(a){
+				return a['value'] === ind['id'];
+			    });
+		    });
+		    signal = 'rebuild';
+		}else if( op === 'add-type' || op === 'remove-type' ){
+		    ind = _individual(model, args['individual']);
+		    var types = us.map(args['expressions'] || [], _type);
+		    if( op === 'add-type' ){
+			each(types, function(t){ ind['type'].push(t); });
+		    }else{
+			ind['type'] = us.reject(ind['type'], function(t){
+			    return us.find(types, function(rt){
+				return t['type'] === rt['type'] &&
+				    JSON.stringify(us.omit(t, 'label')) ===
+				    JSON.stringify(us.omit(rt, 'label'));
+			    });
+			});
+			signal = 'rebuild';
+		    }
+		    touched_individuals[ind['id']] = true;
+		}else if( op === 'add-annotation' ){
+		    ind = _individual(model, args['individual']);
+		    _add_annotations(ind, _annotations(args));
+		    touched_individuals[ind['id']] = true;
+		}else if( op === 'remove-annotation' ){
+		    ind = _individual(model, args['individual']);
+		    _remove_annotations(ind, _annotations(args));
+		    touched_individuals[ind['id']] = true;
+		    signal = 'rebuild';
+		}else{
+		    _fail('unknown individual operation: ' + op);
+		}
+		_touch(model);
+
+	    }else if( entity === 'edge' ){
+		model = _model(args['model-id']);
+		sub = _individual(model, args['subject'])['id'];
+		obj = _individual(model, args['object'])['id'];
+		var pred = args['predicate'];
+		if( ! pred ){ _fail('no predicate for edge'); }
+		fact = _find_fact(model, sub, obj, pred);
+		if( op === 'add' ){
+		    if( ! fact ){
+			fact = {'subject': sub, 'object': obj, 'property': pred,
+				'annotations': []};
+			_stamp(fact['annotations']);
+			model['facts'].push(fact);
+		    }
+		}else{
+		    if( ! fact ){
+			_fail('unknown fact: ' + [sub, obj, pred].join(' '));
+		    }
+		    if( op === 'remove' ){
+			model['facts'] = us.without(model['facts'], fact);
+			signal = 'rebuild';
+		    }else if( op === 'add-annotation' ){
+			_add_annotations(fact, _annotations(args));
+		    }else if( op === 'remove-annotation' ){
+			_remove_annotations(fact, _annotations(args));
+			signal = 'rebuild';
+		    }else{
+			_fail('unknown edge operation: ' + op);
+		    }
+		}
+		touched_individuals[sub] = true;
+		touched_individuals[obj] = true;
+		touched_facts[[sub, obj, pred].join(' ')] = true;
+		_touch(model);
+
+	    }else{
+		_fail('unknown entity: ' + entity);
+	    }
+	});
+
+	// Everything went through, so commit working copies back into
+	// the store, recording undo information for actual changes.
+	each(working, function(model, mid){
+	    var orig = anchor._models[mid];
+	    if( changed[mid] ){
+		model['modified'] = true;
+		if( orig && ! model['_undo_op'] ){
+		    anchor._undo_count++;
+		    model['undo'].push({'id': anchor._undo_count,
+					'user-id': uid,
+					'state': _state(orig)});
+		    model['redo'] = [];
+		}
+	    }
+	    delete model['_undo_op'];
+	    anchor._models[mid] = model;
+	});
+	each(created, function(mid){
+	    anchor._model_order.push(mid);
+	});
+	each(removed, function(mid){
+	    delete anchor._models[mid];
+	    anchor._model_order = us.without(anchor._model_order, mid);
+	});
+
+	// Assemble the data to return.
+	var data = null;
+	if( meta_p ){
+	    data = _meta_data();
+	}else if( export_text !== null ){
+	    data = {'id': current_model_id, 'export-model': export_text};
+	}else if( undo_redo ){
+	    data = undo_redo;
+	    data['id'] = current_model_id;
+	}else if( current_model_id && anchor._models[current_model_id] ){
+	    var model = anchor._models[current_model_id];
+	    if( signal === 'merge' ){
+		data = _model_to_data(model, touched_individuals, touched_facts);
+	    }else{
+		data = _model_to_data(model);
+	    }
+	}
+
+	return _response('success', 'success: ' + raw_requests.length,
+			 signal, intention, uid, groups, data);
+    }
+
+    // Take the place of the remote end: sort out the endpoint and
+    // arguments, and produce a raw response object or throw on a
+    // "transport" problem.
+    function _handle(url, payload){
+
+	var batch_p = /\/m3Batch(Privileged)?$/.test(url);
+	var seed_p = /\/seed\/fromProcess(Privileged)?$/.test(url);
+	if( ! batch_p && ! seed_p ){
+	    throw new Error('no such resource: ' + url);
+	}
+
+	var token = payload['token'] || null;
+	var uid = (token && anchor._users[token]) || null;
+	var intention = payload['intention'] || 'query';
+	var groups = wire.decode(payload['provided-by']);
+
+	var raw_requests = payload['requests'];
+	if( us.isString(raw_requests) ){
+	    try {
+		raw_requests = JSON.parse(raw_requests);
+	    }catch(e){
+		return _response('error', 'could not parse requests',
+				 'meta', intention, uid, groups);
+	    }
+	}
+	if( ! us.isArray(raw_requests) || raw_requests.length === 0 ){
+	    return _response('error', 'no requests given', 'meta',
+			     intention, uid, groups);
+	}
+
+	var ret = null;
+	try {
+	    ret = _run_batch(raw_requests, uid, groups, intention);
+	}catch(e){
+	    if( ! e.minerva_p ){ throw e; }
+	    ret = _response('error', e.message, 'meta', intention, uid,
+			    groups, null, e.message);
+	}
+	return ret;
+    }
+
+    // Produce the wrapped response and run the callbacks, as the
+    // engines in bbop-rest-manager do. A method given for the call is
+    // recorded for it alone; the engine's own is left as it was set.
+    anchor._run = function(url, payload, method){
+
+	if( typeof(url) !== 'undefined' ){ anchor.resource(url); }
+	if( typeof(payload) !== 'undefined' ){ anchor.payload(payload); }
+	if( typeof(method) === 'undefined' ){ method = anchor.method(); }
+	if( ! anchor.resource() ){
+	    throw new Error('must have resource defined');
+	}
+
+	anchor._calls.push({
+	    'resource': anchor.resource(),
+	    'method': method,
+	    'payload': anchor.payload()
+	});
+
+	var response = null;
+	try {
+	    var raw = _handle(anchor.resource(), anchor.payload());
+	    response = new anchor._response_handler(raw);
+	}catch(e){
+	    response = new anchor._response_handler(null);
+	    response.okay(false);
+	    response.message(e.message);
+	    response.message_type('error');
+	}
+
+	if( response.okay() ){
+	    anchor.apply_callbacks('success', [response, anchor]);
+	}else{
+	    anchor.apply_callbacks('error', [response, anchor]);
+	}
+
+	return response;
+    };
+};
+bbop.extend(memory_engine, registry);
+
+/**
+ * Answer a request immediately, running callbacks and returning the
+ * response.
+ *
+ * @param {String} [url] - resource to call
+ * @param {Object} [payload] - arguments for the call
+ * @param {String} [method] - "GET" or "POST"
+ * @returns {Object} response (of the response handler type)
+ */
+memory_engine.prototype.fetch = function(url, payload, method){
+    return this._run(url, payload, method);
+};
+
+/**
+ * Answer a request on a later tick, running callbacks and resolving
+ * the returned promise with the response.
+ *
+ * @param {String} [url] - resource to call
+ * @param {Object} [payload] - arguments for the call
+ * @param {String} [method] - "GET" or "POST"
+ * @returns {Promise} promise for the response (of the response handler type)
+ */
+memory_engine.prototype.start = function(url, payload, method){
+    var anchor = this;
+
+    // Fix the arguments now, as the caller may change them before we
+    // get around to running.
+    if( typeof(url) === 'undefined' ){ url = anchor.resource(); }
+    if( typeof(payload) === 'undefined' ){ payload = anchor.payload(); }
+    if( typeof(method) === 'undefined' ){ method = anchor.method(); }
+
+    return Promise.resolve().then(function(){
+	return anchor._run(url, payload, method);
+    });
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = memory_engine;
@@ -0,0 +1,286 @@
+/**
+ * Subscription to a messaging channel, for learning about edits made
+ * to models by other clients.
+ *
+ * The client deals in messages like these. Going out:
+ *
+ *  {"type": "subscribe", "model_id": ..., "token": ..., "client_id": ...}
+ *  {"type": "unsubscribe", "model_id": ..., "client_id": ...}
+ *
+ * Coming in:
+ *
+ *  {"type": "relay", "model_id": ..., "client_id": ..., "response": raw Barista response}
+ *  {"type": "presence", "model_id": ..., "users": [...]}
+ *
+ * The "client_id" of a relay is that of the client that made the
+ * edit; the manager sends its own with each batch it sends (see
+ * {module:bbop-manager-minerva#use_messaging}), so that it can tell
+ * its own edits when they come back.
+ *
+ * The transport is pluggable, and so is how these messages are put
+ * on it. A transport is a function that takes a URL and returns a
+ * connection that looks like a WebSocket (send(), close(), and
+ * onopen, onclose, onmessage, and onerror handlers), or an object
+ * with such a function as "connect", and optionally "encode" (a
+ * message to what to send) and "decode" (the data of an incoming
+ * message event to a message, or null to ignore it); without these,
+ * messages go as they are, as JSON. There is no default transport:
+ * Barista itself talks socket.io (its relay and telepathy events),
+ * and reaching it takes a transport that speaks that, which this
+ * package does not ship.
+ *
+ * Usually used through {module:bbop-manager-minerva#subscribe}
+ * rather than directly.
+ *
+ * @modules bbop-manager-minerva/messaging
+ */
+
+var bbop = require('bbop-core');
+var registry = require('bbop-registry');
+var us = require('underscore');
+
+// Aliasing.
+var each = us.each;
+
+// Messages as they are, as JSON.
+function _json_encode(msg){
+    return JSON.stringify(msg);
+}
+function _json_decode(data){
+    return JSON.parse(data);
+}
+
+/**
+ * Contructor for a messaging client.
+ *
+ * The optional options object may contain:
+ *  transport - (required) function taking a URL and returning a WebSocket-like connection, or object with that as "connect", and optionally "encode" and "decode" (see above)
+ *  client_id - string identifying this client on the channel; generated if not given
+ *  token - function returning the current user token, sent with subscriptions
+ *  reconnect_delay - milliseconds to wait before the first reconnection attempt (default 1000); doubles with each failure
+ *  max_reconnect_delay - upper limit on the wait, in milliseconds (default 30000)
+ *
+ * Events (see {module:bbop-registry}):
+ *  relay - a relayed response from another client, as (raw_response, model_id, client_id)
+ *  presence - an object with "model_id" and "users"
+ *  connect - the channel has opened (again)
+ *  disconnect - the channel has closed; will be reopened unless close() was called
+ *
+ * @constructor
+ * @param {String} url - the channel location
+ * @param {Object} [options] - see above
+ * @returns {messaging} messaging client
+ */
+var messaging = function(url, options){
+    registry.call(this, ['relay', 'presence', 'connect', 'disconnect']);
+    this._is_a = 'bbop-manager-minerva.messaging';
+    var anchor = this;
+
+    if( ! options ){ options = {}; }
+
+    anchor._url = url;
+    var transport = options['transport'];
+    if( ! transport ){
+	throw new Error('no messaging transport given');
+    }
+    if( us.isFunction(transport) ){
+	transport = {'connect': transport};
+    }
+    anchor._transport = transport['connect'];
+    anchor._encode = transport['encode'] || _json_encode;
+    anchor._decode = transport['decode'] || _json_decode;
+    anchor._client_id = options['client_id'] || bbop.uuid();
+    anchor._token = options['token'] || function(){ return null; };
+    anchor._base_delay = us.isNumber(options['reconnect_delay']) ?
+	options['reconnect_delay'] : 1000;
+    anchor._max_delay = us.isNumber(options['max_reconnect_delay']) ?
+	options['max_reconnect_delay'] : 30000;
+
+    anchor._subscriptions = {};
+    anchor._connection = null;
+    anchor._open_p = false;
+    anchor._closed_p = false; // by request
+    anchor._delay = anchor._base_delay;
+    anchor._timer = null;
+
+    function _send(msg){
+	if( anchor._open_p ){
+	    anchor._connection.send(anchor._encode(msg));
+	}
+    }
+
+    function _subscribe_message(model_id){
+	return {
+	    'type': 'subscribe',
+	    'model_id': model_id,
+	    'token': anchor._token(),
+	    'client_id': anchor._client_id
+	};
+    }
+
+    function _on_message(evt){
+
+	var msg = null;
+	try{
+	    msg = anchor._decode(evt && evt.data);
+	}catch(e){
+	    return; // not ours
+	}
+	if( ! msg || ! anchor._subscriptions[msg['model_id']] ){
+	    return;
+	}
+
+	if( msg['type'] === 'relay' ){
+	    // Our own edits come back through the requests that made
+	    // them.
+	    if( msg['client_id'] !== anchor._client_id ){
+		anchor.apply_callbacks('relay', [msg['response'],
+						 msg['model_id'],
+						 msg['client_id']]);
+	    }
+	}else if( msg['type'] === 'presence' ){
+	    anchor.apply_callbacks('presence', [{
+		'model_id': msg['model_id'],
+		'users': msg['users'] || []
+	    }]);
+	}
+    }
+
+    function _schedule_reconnect(){
+	if( anchor._closed_p || anchor._timer ){ return; }
+	var delay = anchor._delay;
+	anchor._delay = Math.min(anchor._delay * 2, anchor._max_delay);
+	anchor._timer = setTimeout(function(){
+	    anchor._timer = null;
+	    _connect();
+	}, delay);
+    }
+
+    function _connect(){
+
+	var conn = null;
+	try{
+	    conn = anchor._transport(anchor._url);
+	}catch(e){
+	    _schedule_reconnect();
+	    return;
+	}
+	anchor._connection = conn;
+
+	conn.onopen = function(){
+	    if( anchor._connection !== conn ){ return; }
+	    anchor._open_p = true;
+	    anchor._delay = anchor._base_delay;
+	    each(us.keys(anchor._subscriptions), function(model_id){
+		_send(_subscribe_message(model_id));
+	    });
+	    anchor.apply_callbacks('connect', []);
+	};
+	conn.onmessage = function(evt){
+	    if( anchor._connection !== conn ){ return; }
+	    _on_message(evt);
+	};
+	conn.onclose = function(){
+	    if( anchor._connection !== conn ){ return; }
+	    var was_open_p = anchor._open_p;
+	    anchor._open_p = false;
+	    anchor._connection = null;
+	    if( was_open_p ){
+		anchor.apply_callbacks('disconnect', []);
+	    }
+	    _schedule_reconnect();
+	};
+	// Errors are followed by a close, which is where we deal with
+	// them.
+	conn.onerror = function(){};
+    }
+
+    /**
+     * Start listening to a model, connecting first if need be.
+     *
+     * @param {String} model_id - string
+     * @returns {messaging} this
+     */
+    anchor.subscribe = function(model_id){
+	if( ! anchor._subscriptions[model_id] ){
+	    anchor._subscriptions[model_id] = true;
+	    _send(_subscribe_message(model_id));
+	}
+	anchor._closed_p = false;
+	if( ! anchor._connection && ! anchor._timer ){
+	    _connect();
+	}
+	return anchor;
+    };
+
+    /**
+     * Stop listening to a model.
+     *
+     * @param {String} model_id - string
+     * @returns {messaging} this
+     */
+    anchor.unsubscribe = function(model_id){
+	if( anchor._subscriptions[model_id] ){
+	    delete anchor._subscriptions[model_id];
+	    _send({
+		'type': 'unsubscribe',
+		'model_id': model_id,
+		'client_id': anchor._client_id
+	    });
+	}
+	return anchor;
+    };
+
+    /**
+     * The models currently subscribed to.
+     *
+     * @returns {Array} list of model ids
+     */
+    anchor.subscriptions = function(){
+	return us.keys(anchor._subscriptions);
+    };
+
+    /**
+     * Whether the channel is currently open.
+     *
+     * @returns {Boolean} boolean
+     */
+    anchor.connected_p = function(){
+	return anchor._open_p;
+    };
+
+    /**
+     * The id this client goes by on the channel.
+     *
+     * @returns {String} string
+     */
+    anchor.client_id = function(){
+	return anchor._client_id;
+    };
+
+    /**
+     * Close the channel for good, dropping all subscriptions.
+     *
+     * @returns {messaging} this
+     */
+    anchor.close = function(){
+	anchor._closed_p = true;
+	anchor._subscriptions = {};
+	if( anchor._timer ){
+	    clearTimeout(anchor._timer);
+	    anchor._timer = null;
+	}
+	var conn = anchor._connection;
+	anchor._connection = null;
+	anchor._open_p = false;
+	if( conn ){ conn.close(); }
+	return anchor;
+    };
+};
+bbop.extend(messaging, registry);
+
+///
+/// Exportable body.
+///
+
+module.exports = messaging;
@@ -0,0 +1,175 @@
+/**
+ * Local copies of models, as {module:bbop-graph-noctua} graphs, kept
+ * up to date from the "merge" and "rebuild" responses that pass
+ * through a manager.
+ *
+ * Usually switched on with
+ * {module:bbop-manager-minerva#use_model_cache} rather than used
+ * directly.
+ *
+ * @modules bbop-manager-minerva/model_cache
+ */
+
+var us = require('underscore');
+
+var noctua_model = require('bbop-graph-noctua');
+
+// Aliasing.
+var each = us.each;
+
+// Something to compare entities by, so we can tell what changed.
+function _fingerprint(entity, types_p){
+    var parts = [];
+    if( types_p ){
+	each(entity.types(), function(t){ parts.push(t.signature()); });
+	parts.sort();
+    }
+    var anns = us.map(entity.annotations(), function(ann){
+	return ann.key() + '=' + ann.value() + '^^' +
+	    (ann.value_type() || '');
+    });
+    return parts.join(' ') + '|' + anns.sort().join(' ');
+}
+
+function _edge_key(edge){
+    return [edge.subject_id(), edge.object_id(),
+	    edge.predicate_id()].join(' ');
+}
+
+// Fingerprint every node and edge in a graph.
+function _snapshot(graph){
+    var ret = {'model': null, 'individuals': {}, 'facts': {}};
+    if( graph ){
+	ret['model'] = _fingerprint(graph, false);
+	each(graph.all_nodes(), function(node){
+	    ret['individuals'][node.id()] = _fingerprint(node, true);
+	});
+	each(graph.all_edges(), function(edge){
+	    ret['facts'][_edge_key(edge)] = _fingerprint(edge, false);
+	});
+    }
+    return ret;
+}
+
+// What is different between two snapshots, by kind.
+function _compare(before, after, kind){
+    var ret = {'added': [], 'removed': [], 'changed': []};
+    each(after[kind], function(print, key){
+	if( ! us.has(before[kind], key) ){
+	    ret['added'].push(key);
+	}else if( before[kind][key] !== print ){
+	    ret['changed'].push(key);
+	}
+    });
+    each(before[kind], function(print, key){
+	if( ! us.has(after[kind], key) ){
+	    ret['removed'].push(key);
+	}
+    });
+    return ret;
+}
+
+/**
+ * A cache of model graphs, by model id.
+ *
+ * @constructor
+ * @returns {model_cache} a new, empty cache
+ */
+var model_cache = function(){
+    this._is_a = 'bbop-manager-minerva.model_cache';
+    var anchor = this;
+
+    anchor._graphs = {};
+
+    /**
+     * Get the cached graph for a model.
+     *
+     * @param {String} model_id - string
+     * @returns {Object|null} {module:bbop-graph-noctua#graph} or null if the model is not cached
+     */
+    anchor.get = function(model_id){
+	return anchor._graphs[model_id] || null;
+    };
+
+    /**
+     * The ids of all models currently cached.
+     *
+     * @returns {Array} list of model ids
+     */
+    anchor.model_ids = function(){
+	return us.keys(anchor._graphs);
+    };
+
+    /**
+     * Drop one model, or everything, from the cache.
+     *
+     * @param {String} [model_id] - model to drop; if not given, drop all
+     * @returns {model_cache} the cache
+     */
+    anchor.clear = function(model_id){
+	if( model_id ){
+	    delete anchor._graphs[model_id];
+	}else{
+	    anchor._graphs = {};
+	}
+	return anchor;
+    };
+
+    /**
+     * Fold a response into the cache. A "rebuild" replaces the
+     * model's graph; a "merge" is merged into it. A "merge" for a
+     * model that is not cached yet is ignored, as it only holds part
+     * of the model; the model is cached from its next "rebuild".
+     * Anything else is ignored.
+     *
+     * Facts are identified by their "subject object property"
+     * string.
+     *
+     * @param {Object} resp - {module:bbop-response-barista#response}
+     * @returns {Object|null} null if the cache was not touched; otherwise an object with "model_id", "signal", "graph", "model_changed_p" (for model annotations), and "individuals" and "facts" lists of ids, each split into "added", "removed", and "changed"
+     */
+    anchor.update = function(resp){
+
+	if( ! resp || ! resp.okay() || resp.message_type() !== 'success' ){
+	    return null;
+	}
+	var sig = resp.signal();
+	var model_id = resp.model_id();
+	if( ! model_id || (sig !== 'merge' && sig !== 'rebuild') ){
+	    return null;
+	}
+
+	var incoming = new noctua_model.graph();
+	incoming.load_data_basic(resp.data());
+
+	var current = anchor._graphs[model_id] || null;
+	if( sig === 'merge' && ! current ){
+	    return null;
+	}
+	var before = _snapshot(current);
+
+	if( sig === 'rebuild' ){
+	    anchor._graphs[model_id] = incoming;
+	}else{
+	    current.merge_special(incoming);
+	}
+
+	var graph = anchor._graphs[model_id];
+	var after = _snapshot(graph);
+
+	return {
+	    'model_id': model_id,
+	    'signal': sig,
+	    'graph': graph,
+	    'model_changed_p': before['model'] !== after['model'],
+	    'individuals': _compare(before, after, 'individuals'),
+	    'facts': _compare(before, after, 'facts')
+	};
+    };
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = model_cache;
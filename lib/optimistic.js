@@ -0,0 +1,197 @@
+/**
+ * Local, not yet confirmed, changes to cached model graphs, for the
+ * manager's optimistic edit mode.
+ *
+ * A change is a plain object with an "op" and its arguments:
+ *
+ *  add_fact, remove_fact - "triple" ([subject, object, property])
+ *  add_type, remove_type - "individual" and "type" (anything taken by {module:class-expression})
+ *  add_annotation, remove_annotation - "target" ({"model": true}, {"individual": id}, or {"fact": triple}), "key", "value", and optional "value_type"
+ *  remove_individual - "individual"
+ *
+ * Applying a change gives back another change that undoes it.
+ *
+ * @modules bbop-manager-minerva/optimistic
+ */
+
+var us = require('underscore');
+
+var class_expression = require('class-expression');
+var noctua_model = require('bbop-graph-noctua');
+
+// Aliasing.
+var each = us.each;
+
+// Does nothing; also the undo for things that did nothing.
+var no_change = {'op': 'none'};
+
+function _same_annotation(ann, change){
+    return ann.key() === change['key'] &&
+	ann.value() === change['value'] &&
+	(ann.value_type() || null) === (change['value_type'] || null);
+}
+
+// The graph, node, or edge an annotation change is about.
+function _annotation_target(graph, target){
+    var ret = null;
+    if( target['individual'] ){
+	ret = graph.get_node(target['individual']);
+    }else if( target['fact'] ){
+	var t = target['fact'];
+	ret = graph.get_edge(t[0], t[1], t[2]);
+    }else if( target['model'] ){
+	ret = graph;
+    }
+    return ret;
+}
+
+function _remove_edge(graph, edge){
+    graph.remove_edge_by_id(edge.id());
+    return edge.clone();
+}
+
+/**
+ * Apply a change to a graph.
+ *
+ * @param {Object} graph - {module:bbop-graph-noctua#graph}
+ * @param {Object} change - see above
+ * @returns {Object|null} a change that undoes this one, or null if the change could not be made (e.g. the individual is not in the graph)
+ */
+function apply_change(graph, change){
+
+    var ret = null;
+    var op = change['op'];
+    var t = change['triple'];
+    var edge = null;
+    var node = null;
+
+    if( op === 'none' ){
+	ret = no_change;
+
+    }else if( op === 'add_fact' ){
+	if( ! graph.get_node(t[0]) || ! graph.get_node(t[1]) ){
+	    // Can't.
+	}else if( graph.get_edge(t[0], t[1], t[2]) ){
+	    ret = no_change;
+	}else{
+	    graph.add_edge(graph.create_edge(t[0], t[1], t[2]));
+	    ret = {'op': 'remove_fact', 'triple': t};
+	}
+
+    }else if( op === 'remove_fact' ){
+	edge = graph.get_edge(t[0], t[1], t[2]);
+	if( edge ){
+	    ret = {'op': 'restore', 'edges': [_remove_edge(graph, edge)]};
+	}
+
+    }else if( op === 'add_type' || op === 'remove_type' ){
+	node = graph.get_node(change['individual']);
+	if( node ){
+	    var sig = new class_expression(change['type']).signature();
+	    var types = node.types();
+	    var had = us.filter(types, function(type){
+		return type.signature() === sig;
+	    });
+	    if( op === 'add_type' && had.length === 0 ){
+		node.add_types([change['type']]);
+		ret = {'op': 'remove_type', 'individual': node.id(),
+		       'type': change['type']};
+	    }else if( op === 'remove_type' && had.length > 0 ){
+		// Edit in place, as the node hands out its own list.
+		each(had, function(type){
+		    types.splice(types.indexOf(type), 1);
+		});
+		ret = {'op': 'add_type', 'individual': node.id(),
+		       'type': change['type']};
+	    }else{
+		ret = no_change;
+	    }
+	}
+
+    }else if( op === 'add_annotation' || op === 'remove_annotation' ){
+	var entity = _annotation_target(graph, change['target'] || {});
+	if( entity ){
+	    var matching = entity.get_annotations_by_filter(function(ann){
+		return _same_annotation(ann, change);
+	    });
+	    var inverse = us.extend({}, change, {
+		'op': op === 'add_annotation' ?
+		    'remove_annotation' : 'add_annotation'
+	    });
+	    if( op === 'add_annotation' && matching.length === 0 ){
+		var kv = {'key': change['key'], 'value': change['value']};
+		if( change['value_type'] ){
+		    kv['value-type'] = change['value_type'];
+		}
+		entity.add_annotation(new noctua_model.annotation(kv));
+		ret = inverse;
+	    }else if( op === 'remove_annotation' && matching.length > 0 ){
+		entity.annotations(us.difference(entity.annotations(),
+						 matching));
+		ret = inverse;
+	    }else{
+		ret = no_change;
+	    }
+	}
+
+    }else if( op === 'remove_individual' ){
+	node = graph.get_node(change['individual']);
+	if( node ){
+	    var edges = graph.get_edges_by_subject(node.id()).concat(
+		graph.get_edges_by_object(node.id()));
+	    var removed_edges = us.map(us.uniq(edges), function(e){
+		return _remove_edge(graph, e);
+	    });
+	    var removed_node = node.clone();
+	    graph.remove_node(node.id());
+	    ret = {'op': 'restore', 'node': removed_node,
+		   'edges': removed_edges};
+	}
+
+    }else if( op === 'restore' ){
+	// Undo of removals; carries the removed entities themselves.
+	if( change['node'] ){ graph.add_node(change['node']); }
+	each(change['edges'] || [], function(e){ graph.add_edge(e); });
+	ret = no_change;
+
+    }else{
+	throw new Error('unknown optimistic change: ' + op);
+    }
+
+    return ret;
+}
+
+/**
+ * The ids of the individuals and facts a change touches, for UI
+ * code; facts are given as "subject object property" strings, as in
+ * the model cache.
+ *
+ * @param {Object} change - see above
+ * @returns {Object} object with "individuals" and "facts" lists
+ */
+function touched(change){
+    var ret = {'individuals': [], 'facts': []};
+    var target = change['target'] || {};
+    if( change['triple'] ){
+	ret['facts'].push(change['triple'].join(' '));
+    }else if( target['fact'] ){
+	ret['facts'].push(target['fact'].join(' '));
+    }
+    if( change['individual'] ){
+	ret['individuals'].push(change['individual']);
+    }else if( target['individual'] ){
+	ret['individuals'].push(target['individual']);
+    }
+    return ret;
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'apply_change': apply_change,
+    'touched': touched
+
+};
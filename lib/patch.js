@@ -0,0 +1,445 @@
+/**
+ * Patches: lists of add/remove operations on the parts of a model,
+ * that can be checked against a model's current state and turned
+ * into a single request set.
+ *
+ * A patch is a list of operations, each an object with "op" ("add"
+ * or "remove"), "entity", and entity specific fields:
+ *
+ *  individual - "id"; for adds also "types" (list of class expressions), and optionally "annotations" and "evidence" lists; the id of an added individual is only a name for use elsewhere in the patch, and a new id is minted for it
+ *  type - "individual" and "type" (a class expression)
+ *  fact - "triple" ([subject, object, property]); for adds optionally "annotations" and "evidence" lists
+ *  evidence - "target" and "evidence" ({"type": ECO id, "sources": list, "with": list})
+ *  annotation - "target" and "annotation" ({"key", "value", and optional "value-type"})
+ *
+ * Targets are {"model": true}, {"individual": id}, or {"fact":
+ * triple}, as in the diff module; a diff can be turned into a patch
+ * with from_diff.
+ *
+ * @modules bbop-manager-minerva/patch
+ */
+
+var bbop = require('bbop-core');
+var us = require('underscore');
+
+var diff = require('./diff');
+
+// Aliasing.
+var each = us.each;
+
+///
+/// Helpers.
+///
+
+function _model_data(thing){
+    var ret = thing;
+    if( thing && us.isFunction(thing.data) ){
+	ret = thing.data();
+    }
+    return ret || {};
+}
+
+// Strings are taken to be simple class ids.
+function _type_string(type){
+    if( us.isString(type) ){
+	return type;
+    }
+    return diff.type_string(type);
+}
+
+function _fact_string(t){
+    return t[0] + ' -' + t[2] + '-> ' + t[1];
+}
+
+function _target_string(target){
+    var ret = 'model';
+    if( target['individual'] ){
+	ret = 'individual ' + target['individual'];
+    }else if( target['fact'] ){
+	ret = 'fact ' + _fact_string(target['fact']);
+    }
+    return ret;
+}
+
+// Order operations are sent in: removals first, outermost entities
+// last, so nothing is removed twice or added to something about to
+// go away.
+var remove_order = ['annotation', 'evidence', 'fact', 'type', 'individual'];
+var add_order = ['individual', 'type', 'fact', 'evidence', 'annotation'];
+
+function _ordered(patch){
+    var ret = [];
+    each(remove_order, function(entity){
+	each(patch, function(op){
+	    if( op['op'] === 'remove' && op['entity'] === entity ){
+		ret.push(op);
+	    }
+	});
+    });
+    each(add_order, function(entity){
+	each(patch, function(op){
+	    if( op['op'] === 'add' && op['entity'] === entity ){
+		ret.push(op);
+	    }
+	});
+    });
+    return ret;
+}
+
+///
+/// Public API.
+///
+
+/**
+ * Turn a diff (from the diff module) of model a to model b into a
+ * patch that makes a look like b.
+ *
+ * @param {Object} model_diff - as returned by diff_models
+ * @returns {Array} list of patch operations
+ */
+function from_diff(model_diff){
+
+    var type_exprs = model_diff['type_expressions'] || {};
+    function _expr(str){
+	return type_exprs[str] || str;
+    }
+    function _evidence(ev){
+	return {'type': ev['type'], 'sources': ev['sources'],
+		'with': ev['with']};
+    }
+
+    var ret = [];
+
+    var inds = model_diff['individuals'];
+    each(inds['removed'], function(ind){
+	ret.push({'op': 'remove', 'entity': 'individual', 'id': ind['id']});
+    });
+    each(inds['added'], function(ind){
+	ret.push({
+	    'op': 'add',
+	    'entity': 'individual',
+	    'id': ind['id'],
+	    'types': us.map(ind['types'], _expr),
+	    'annotations': ind['annotations'] || [],
+	    'evidence': us.map(ind['evidence'] || [], _evidence)
+	});
+    });
+    each(inds['changed'], function(ind){
+	each(ind['types_removed'], function(t){
+	    ret.push({'op': 'remove', 'entity': 'type',
+		      'individual': ind['id'], 'type': _expr(t)});
+	});
+	each(ind['types_added'], function(t){
+	    ret.push({'op': 'add', 'entity': 'type',
+		      'individual': ind['id'], 'type': _expr(t)});
+	});
+    });
+
+    each(model_diff['facts']['removed'], function(fact){
+	ret.push({'op': 'remove', 'entity': 'fact', 'triple': fact['triple']});
+    });
+    each(model_diff['facts']['added'], function(fact){
+	ret.push({
+	    'op': 'add',
+	    'entity': 'fact',
+	    'triple': fact['triple'],
+	    'annotations': fact['annotations'] || [],
+	    'evidence': us.map(fact['evidence'] || [], _evidence)
+	});
+    });
+
+    each(['removed', 'added'], function(which){
+	var op = which === 'added' ? 'add' : 'remove';
+	each(model_diff['evidence'][which], function(e){
+	    ret.push({'op': op, 'entity': 'evidence', 'target': e['target'],
+		      'evidence': _evidence(e['evidence'])});
+	});
+	each(model_diff['annotations'][which], function(a){
+	    ret.push({'op': op, 'entity': 'annotation', 'target': a['target'],
+		      'annotation': a['annotation']});
+	});
+    });
+
+    return ret;
+}
+
+/**
+ * Check a patch against the current state of a model: everything the
+ * patch removes or modifies must be there, and everything it adds
+ * must have somewhere to go.
+ *
+ * @param {Array} patch - list of patch operations
+ * @param {Object} model - current model data or "rebuild" response
+ * @returns {Array} list of conflicts, as strings; empty if the patch applies cleanly
+ */
+function check_patch(patch, model){
+
+    var digest = diff.model_digest(_model_data(model), []);
+    var conflicts = [];
+
+    var facts = {};
+    each(digest['facts'], function(fact){
+	facts[fact['triple'].join(' ')] = fact;
+    });
+
+    // Individuals the patch brings in.
+    var added = {};
+    each(patch, function(op){
+	if( op['op'] === 'add' && op['entity'] === 'individual' ){
+	    if( digest['individuals'][op['id']] ){
+		conflicts.push('added individual ' + op['id'] +
+			       ' already in model');
+	    }
+	    added[op['id']] = true;
+	}
+    });
+
+    function _present_individual(iid, adding_p){
+	return !! digest['individuals'][iid] || (adding_p && added[iid]);
+    }
+    function _present_fact(triple, adding_p){
+	if( facts[triple.join(' ')] ){ return true; }
+	if( ! adding_p ){ return false; }
+	return us.some(patch, function(op){
+	    return op['op'] === 'add' && op['entity'] === 'fact' &&
+		op['triple'].join(' ') === triple.join(' ');
+	});
+    }
+    // The digest entry holding the target's annotations and
+    // evidence, or null if it's not in the model.
+    function _target(target){
+	var ret = null;
+	if( target['individual'] ){
+	    ret = digest['individuals'][target['individual']] || null;
+	}else if( target['fact'] ){
+	    ret = facts[target['fact'].join(' ')] || null;
+	}else if( target['model'] ){
+	    ret = {'annotations': digest['annotations'], 'evidence': {}};
+	}
+	return ret;
+    }
+    function _present_target(target, adding_p){
+	var ret = false;
+	if( target['individual'] ){
+	    ret = _present_individual(target['individual'], adding_p);
+	}else if( target['fact'] ){
+	    ret = _present_fact(target['fact'], adding_p);
+	}else if( target['model'] ){
+	    ret = true;
+	}
+	return ret;
+    }
+
+    each(patch, function(op){
+	var adding_p = op['op'] === 'add';
+	var entity = op['entity'];
+
+	if( op['op'] !== 'add' && op['op'] !== 'remove' ){
+	    conflicts.push('unknown patch operation: ' + op['op']);
+
+	}else if( entity === 'individual' ){
+	    if( ! adding_p && ! _present_individual(op['id'], false) ){
+		conflicts.push('removed individual ' + op['id'] +
+			       ' not in model');
+	    }
+
+	}else if( entity === 'type' ){
+	    var iid = op['individual'];
+	    if( ! _present_individual(iid, adding_p) ){
+		conflicts.push('individual ' + iid + ' not in model');
+	    }else if( ! adding_p &&
+		      ! us.contains(digest['individuals'][iid]['types'],
+				    _type_string(op['type'])) ){
+		conflicts.push('individual ' + iid + ' does not have type ' +
+			       _type_string(op['type']));
+	    }
+
+	}else if( entity === 'fact' ){
+	    var t = op['triple'];
+	    if( adding_p ){
+		each([t[0], t[1]], function(end){
+		    if( ! _present_individual(end, true) ){
+			conflicts.push('individual ' + end + ' for fact ' +
+				       _fact_string(t) + ' not in model');
+		    }
+		});
+	    }else if( ! _present_fact(t, false) ){
+		conflicts.push('removed fact ' + _fact_string(t) +
+			       ' not in model');
+	    }
+
+	}else if( entity === 'evidence' || entity === 'annotation' ){
+	    var target = op['target'] || {};
+	    if( ! _present_target(target, adding_p) ){
+		conflicts.push(_target_string(target) + ' not in model');
+	    }else if( ! adding_p ){
+		var found = _target(target);
+		if( entity === 'evidence' &&
+		    ! found['evidence'][diff.evidence_key(op['evidence'])] ){
+		    conflicts.push('evidence ' +
+				   diff.evidence_key(op['evidence']) +
+				   ' not on ' + _target_string(target));
+		}else if( entity === 'annotation' &&
+			  ! found['annotations'][
+			      diff.annotation_key(op['annotation'])] ){
+		    conflicts.push('annotation ' +
+				   diff.annotation_key(op['annotation']) +
+				   ' not on ' + _target_string(target));
+		}
+	    }
+
+	}else{
+	    conflicts.push('unknown patch entity: ' + entity);
+	}
+    });
+
+    return conflicts;
+}
+
+/**
+ * Add the requests for a patch to a request set. The patch should
+ * have been checked against the same model state first (see
+ * check_patch).
+ *
+ * Added individuals get new ids under the model id, so that later
+ * operations can refer to them.
+ *
+ * @param {Object} reqs - {module:minerva-requests#request_set} to add to
+ * @param {String} model_id - the model being patched
+ * @param {Array} patch - list of patch operations
+ * @param {Object} model - current model data or "rebuild" response
+ * @returns {Object} map of the patch's names for added individuals to their new ids
+ */
+function to_request_set(reqs, model_id, patch, model){
+
+    var digest = diff.model_digest(_model_data(model), []);
+    var facts = {};
+    each(digest['facts'], function(fact){
+	facts[fact['triple'].join(' ')] = fact;
+    });
+
+    var map = {};
+    function _id(iid){
+	return map[iid] || iid;
+    }
+    function _triple(t){
+	return [_id(t[0]), _id(t[1]), t[2]];
+    }
+
+    // Don't remove facts that go with their individuals anyway.
+    var removed = {};
+    each(patch, function(op){
+	if( op['op'] === 'remove' && op['entity'] === 'individual' ){
+	    removed[op['id']] = true;
+	}
+    });
+
+    function _add_evidence(ev, target_identifier){
+	reqs.add_evidence(ev['type'], ev['sources'],
+			  us.isEmpty(ev['with']) ? null : ev['with'],
+			  target_identifier, model_id);
+    }
+    function _annotation(op, target, ann){
+	var key = ann['key'];
+	var val = ann['value'];
+	var vtype = ann['value-type'] || null;
+	if( target['individual'] ){
+	    var iid = _id(target['individual']);
+	    if( op === 'add' ){
+		reqs.add_annotation_to_individual(key, val, vtype, iid, model_id);
+	    }else{
+		reqs.remove_annotation_from_individual(key, val, vtype, iid,
+						       model_id);
+	    }
+	}else if( target['fact'] ){
+	    var t = _triple(target['fact']);
+	    if( op === 'add' ){
+		reqs.add_annotation_to_fact(key, val, vtype, t, model_id);
+	    }else{
+		reqs.remove_annotation_from_fact(key, val, vtype, t, model_id);
+	    }
+	}else{
+	    if( op === 'add' ){
+		reqs.add_annotation_to_model(key, val, vtype, model_id);
+	    }else{
+		reqs.remove_annotation_from_model(key, val, vtype, model_id);
+	    }
+	}
+    }
+
+    each(_ordered(patch), function(op){
+	var entity = op['entity'];
+
+	if( op['op'] === 'remove' ){
+	    if( entity === 'individual' ){
+		reqs.remove_individual(op['id'], model_id);
+	    }else if( entity === 'type' ){
+		reqs.remove_type_from_individual(op['type'], op['individual'],
+						 model_id);
+	    }else if( entity === 'fact' ){
+		var t = op['triple'];
+		if( ! removed[t[0]] && ! removed[t[1]] ){
+		    reqs.remove_fact(t, model_id);
+		}
+	    }else if( entity === 'evidence' ){
+		var target = op['target'];
+		var holder = target['individual'] ?
+			digest['individuals'][target['individual']] :
+			facts[target['fact'].join(' ')];
+		var ev = holder['evidence'][diff.evidence_key(op['evidence'])];
+		reqs.remove_evidence(ev['id'], model_id);
+	    }else if( entity === 'annotation' ){
+		_annotation('remove', op['target'], op['annotation']);
+	    }
+
+	}else{
+	    if( entity === 'individual' ){
+		var new_id = model_id + '/' + bbop.uuid();
+		map[op['id']] = new_id;
+		var types = op['types'] || [];
+		reqs.add_individual(types[0] || null, new_id, model_id);
+		each(types.slice(1), function(type){
+		    reqs.add_type_to_individual(type, new_id, model_id);
+		});
+		each(op['annotations'] || [], function(ann){
+		    _annotation('add', {'individual': op['id']}, ann);
+		});
+		each(op['evidence'] || [], function(ev){
+		    _add_evidence(ev, new_id);
+		});
+	    }else if( entity === 'type' ){
+		reqs.add_type_to_individual(op['type'], _id(op['individual']),
+					    model_id);
+	    }else if( entity === 'fact' ){
+		var nt = _triple(op['triple']);
+		reqs.add_fact(nt, model_id);
+		each(op['annotations'] || [], function(ann){
+		    _annotation('add', {'fact': op['triple']}, ann);
+		});
+		each(op['evidence'] || [], function(ev){
+		    _add_evidence(ev, nt);
+		});
+	    }else if( entity === 'evidence' ){
+		var et = op['target'];
+		_add_evidence(op['evidence'], et['individual'] ?
+			      _id(et['individual']) : _triple(et['fact']));
+	    }else if( entity === 'annotation' ){
+		_annotation('add', op['target'], op['annotation']);
+	    }
+	}
+    });
+
+    return map;
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'from_diff': from_diff,
+    'check_patch': check_patch,
+    'to_request_set': to_request_set
+
+};
@@ -0,0 +1,520 @@
+/**
+ * Record and replay Barista traffic, for tests that should not need a
+ * running Barista.
+ *
+ * A recording engine sits between the manager and any
+ * {module:bbop-rest-manager} engine, passing calls along and keeping
+ * each request with the response that came back. What it has kept
+ * can be saved as a fixture (a JSON file). A replay engine answers
+ * from such a fixture instead of the network, matching requests by
+ * their normalized content.
+ *
+ * Normalizing a request keeps only the path of the resource, parses
+ * the serialized "requests", sorts keys, redacts tokens, and replaces
+ * generated ids (UUIDs, as used for request variables and forced
+ * individual ids) with placeholders numbered in order of appearance,
+ * so that the same calls made in another run still match. Responses
+ * are served as recorded, so ids that Minerva minted at recording
+ * time come back as they were.
+ *
+ * @modules bbop-manager-minerva/replay
+ */
+
+var bbop = require('bbop-core');
+var registry = require('bbop-registry');
+
+var us = require('underscore');
+
+// Aliasing.
+var each = us.each;
+
+var default_redact_keys = ['token'];
+var default_id_pattern = new RegExp('[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-' +
+				    '[0-9a-f]{4}-[0-9a-f]{12}', 'gi');
+
+var fixture_version = 1;
+
+///
+/// Normalizing.
+///
+
+// Replace ids in any strings in a structure, numbering them as they
+// are first seen.
+function _redact_ids(thing, pattern, seen){
+    var ret = thing;
+    if( us.isString(thing) ){
+	ret = thing.replace(pattern, function(id){
+	    var key = id.toLowerCase();
+	    if( ! us.has(seen, key) ){
+		seen[key] = '<id:' + (us.keys(seen).length + 1) + '>';
+	    }
+	    return seen[key];
+	});
+    }else if( us.isArray(thing) ){
+	ret = us.map(thing, function(t){ return _redact_ids(t, pattern, seen); });
+    }else if( us.isObject(thing) ){
+	ret = {};
+	each(us.keys(thing).sort(), function(k){
+	    ret[k] = _redact_ids(thing[k], pattern, seen);
+	});
+    }
+    return ret;
+}
+
+/**
+ * The normalized form of a request, as used for matching: an object
+ * with "resource" (the path of the URL) and "payload".
+ *
+ * The optional options object may contain:
+ *  redact_keys - payload keys whose values are replaced by "<redacted>" (default: ["token"])
+ *  id_pattern - regular expression (global) for generated ids (default: UUIDs)
+ *
+ * @param {String} resource - URL
+ * @param {Object} payload - arguments of the call
+ * @param {Object} [options] - see above
+ * @returns {Object} normalized request
+ */
+function normalize(resource, payload, options){
+    if( ! options ){ options = {}; }
+    var redact_keys = options['redact_keys'] || default_redact_keys;
+    var pattern = options['id_pattern'] || default_id_pattern;
+
+    var clean = {};
+    each(payload || {}, function(v, k){
+	if( us.contains(redact_keys, k) ){
+	    clean[k] = '<redacted>';
+	}else if( k === 'requests' && us.isString(v) ){
+	    try {
+		clean[k] = JSON.parse(v);
+	    }catch(e){
+		clean[k] = v;
+	    }
+	}else{
+	    clean[k] = v;
+	}
+    });
+
+    return {
+	'resource': (resource || '').replace(/^[a-z][a-z0-9+.-]*:\/\/[^\/]*/i, ''),
+	'payload': _redact_ids(clean, pattern, {})
+    };
+}
+
+// Flatten a structure to a map of dotted paths to JSON leaf values.
+function _flatten(thing, prefix, into){
+    if( us.isArray(thing) || (us.isObject(thing) && ! us.isFunction(thing)) ){
+	if( us.isEmpty(thing) ){
+	    into[prefix] = JSON.stringify(thing);
+	}
+	each(thing, function(v, k){
+	    _flatten(v, prefix ? prefix + '.' + k : String(k), into);
+	});
+    }else{
+	into[prefix] = JSON.stringify(thing);
+    }
+    return into;
+}
+
+// Where two normalized requests differ: a list of {path, got,
+// recorded}, with undefined for a side that does not have the path.
+function _differences(got, recorded){
+    var a = _flatten(got, '', {});
+    var b = _flatten(recorded, '', {});
+    var ret = [];
+    each(us.union(us.keys(a), us.keys(b)).sort(), function(path){
+	if( a[path] !== b[path] ){
+	    ret.push({'path': path, 'got': a[path], 'recorded': b[path]});
+	}
+    });
+    return ret;
+}
+
+/**
+ * Read a fixture from a file (Node only).
+ *
+ * @param {String} path - file to read
+ * @returns {Object} fixture
+ */
+function load(path){
+    var fs = require('fs');
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
+
+///
+/// Recording.
+///
+
+/**
+ * Contructor for the recording engine.
+ *
+ * The optional options object is as for normalize().
+ *
+ * @constructor
+ * @param {Object} engine - the engine to pass calls along to
+ * @param {Object} [options] - see above
+ * @returns {recording_engine} engine object
+ */
+var recording_engine = function(engine, options){
+    registry.call(this, ['success', 'error']);
+    this._is_a = 'bbop-manager-minerva.recording_engine';
+    var anchor = this;
+
+    anchor._engine = engine;
+    anchor._options = options || {};
+    anchor._entries = [];
+
+    /**
+     * Get/set the resource (URL) to use, on the wrapped engine.
+     *
+     * @param {String} [in_url] - string
+     * @returns {String} string
+     */
+    anchor.resource = function(in_url){
+	return anchor._engine.resource(in_url);
+    };
+
+    /**
+     * Get/set the payload to use, on the wrapped engine.
+     *
+     * @param {Object} [payload] - object
+     * @returns {Object} object
+     */
+    anchor.payload = function(payload){
+	return anchor._engine.payload(payload);
+    };
+
+    /**
+     * Get/set the method to use, on the wrapped engine.
+     *
+     * @param {String} [method] - string
+     * @returns {String} string
+     */
+    anchor.method = function(method){
+	return anchor._engine.method(method);
+    };
+
+    /**
+     * The entries recorded so far, in order: objects with "request"
+     * (normalized, see normalize()) and "response" ("okay",
+     * "message", "message-type", and "raw").
+     *
+     * @returns {Array} list of entries
+     */
+    anchor.entries = function(){
+	return bbop.clone(anchor._entries);
+    };
+
+    /**
+     * What has been recorded, as a fixture for a replay engine.
+     *
+     * @returns {Object} fixture
+     */
+    anchor.fixture = function(){
+	return {
+	    'fixture-version': fixture_version,
+	    'entries': anchor.entries()
+	};
+    };
+
+    /**
+     * Write what has been recorded to a fixture file (Node only).
+     *
+     * @param {String} path - file to write
+     * @returns {Object} fixture
+     */
+    anchor.save = function(path){
+	var fs = require('fs');
+	var fixture = anchor.fixture();
+	fs.writeFileSync(path, JSON.stringify(fixture, null, 2) + '\n');
+	return fixture;
+    };
+
+    // Keep a call and its response, and pass the response on to our
+    // own callbacks.
+    anchor._keep = function(url, payload, response){
+	anchor._entries.push({
+	    'request': normalize(url, payload, anchor._options),
+	    'response': {
+		'okay': !! (response && response.okay()),
+		'message': response ? response.message() : null,
+		'message-type': response ? response.message_type() : null,
+		'raw': response ? bbop.clone(response.raw()) : null
+	    }
+	});
+	if( response && response.okay() ){
+	    anchor.apply_callbacks('success', [response, anchor]);
+	}else{
+	    anchor.apply_callbacks('error', [response, anchor]);
+	}
+	return response;
+    };
+};
+bbop.extend(recording_engine, registry);
+
+/**
+ * Make the call with the wrapped engine's fetch, recording it.
+ *
+ * @param {String} [url] - resource to call
+ * @param {Object} [payload] - arguments for the call
+ * @param {String} [method] - "GET" or "POST"
+ * @returns {Object} response (of the wrapped engine's response handler type)
+ */
+recording_engine.prototype.fetch = function(url, payload, method){
+    var anchor = this;
+    if( typeof(url) === 'undefined' ){ url = anchor.resource(); }
+    if( typeof(payload) === 'undefined' ){ payload = anchor.payload(); }
+    payload = bbop.clone(payload);
+
+    var response = anchor._engine.fetch(url, payload, method);
+    return anchor._keep(url, payload, response);
+};
+
+/**
+ * Make the call with the wrapped engine's start, recording it.
+ *
+ * @param {String} [url] - resource to call
+ * @param {Object} [payload] - arguments for the call
+ * @param {String} [method] - "GET" or "POST"
+ * @returns {Promise} promise for the response (of the wrapped engine's response handler type)
+ */
+recording_engine.prototype.start = function(url, payload, method){
+    var anchor = this;
+    if( typeof(url) === 'undefined' ){ url = anchor.resource(); }
+    if( typeof(payload) === 'undefined' ){ payload = anchor.payload(); }
+    payload = bbop.clone(payload);
+
+    return anchor._engine.start(url, payload, method).then(function(resp){
+	return anchor._keep(url, payload, resp);
+    });
+};
+
+///
+/// Replaying.
+///
+
+/**
+ * Contructor for the replay engine.
+ *
+ * Requests are answered with the recorded response of the first
+ * unused entry whose normalized request is the same; once all such
+ * entries have been used, the last of them is used again. A request
+ * with no such entry is an error (thrown by fetch, rejected by
+ * start) named "ReplayError", saying which recorded entry came
+ * closest and how it differs; the error also has "request",
+ * "candidate" (the index of that entry, or null if there are none),
+ * and "differences" (a list of "path", "got", and "recorded").
+ *
+ * The optional options object is as for normalize(), and should be
+ * the same as for the recording.
+ *
+ * @constructor
+ * @param {Object|String} fixture - fixture object, or a file to load it from
+ * @param {Object} response_handler - the response handler class to use for each call (e.g. {module:bbop-response-barista})
+ * @param {Object} [options] - see above
+ * @returns {replay_engine} engine object
+ */
+var replay_engine = function(fixture, response_handler, options){
+    registry.call(this, ['success', 'error']);
+    this._is_a = 'bbop-manager-minerva.replay_engine';
+    var anchor = this;
+
+    if( us.isString(fixture) ){
+	fixture = load(fixture);
+    }
+    if( ! fixture || ! us.isArray(fixture['entries']) ){
+	throw new Error('not a replay fixture');
+    }
+    if( fixture['fixture-version'] !== fixture_version ){
+	throw new Error('unknown replay fixture version: ' +
+			fixture['fixture-version']);
+    }
+
+    anchor._response_handler = response_handler;
+    anchor._options = options || {};
+    anchor._entries = fixture['entries'];
+    anchor._used = us.map(anchor._entries, function(){ return 0; });
+
+    // Mirroring the engines in bbop-rest-manager.
+    anchor._qurl = null;
+    anchor._qpayload = {};
+    anchor._qmethod = 'GET';
+
+    /**
+     * Get/set the resource (URL) to use.
+     *
+     * @param {String} [in_url] - string
+     * @returns {String} string
+     */
+    anchor.resource = function(in_url){
+	if( us.isString(in_url) ){
+	    anchor._qurl = in_url;
+	}
+	return anchor._qurl;
+    };
+
+    /**
+     * Get/set the payload to use.
+     *
+     * @param {Object} [payload] - object
+     * @returns {Object} object
+     */
+    anchor.payload = function(payload){
+	if( us.isObject(payload) ){
+	    anchor._qpayload = payload;
+	}
+	return anchor._qpayload;
+    };
+
+    /**
+     * Get/set the method to use.
+     *
+     * @param {String} [method] - string
+     * @returns {String} string
+     */
+    anchor.method = function(method){
+	if( us.isString(method) ){
+	    anchor._qmethod = method;
+	}
+	return anchor._qmethod;
+    };
+
+    /**
+     * The indexes of the entries that have not been served yet.
+     *
+     * @returns {Array} list of integers
+     */
+    anchor.unused = function(){
+	var ret = [];
+	each(anchor._used, function(n, i){
+	    if( n === 0 ){ ret.push(i); }
+	});
+	return ret;
+    };
+
+    // The error for a request with no recorded answer.
+    function _mismatch(request){
+	var best = null;
+	var best_diffs = null;
+	each(anchor._entries, function(entry, i){
+	    var diffs = _differences(request, entry['request']);
+	    if( best_diffs === null || diffs.length < best_diffs.length ){
+		best = i;
+		best_diffs = diffs;
+	    }
+	});
+
+	var msg = 'no recorded response for request to ' +
+		request['resource'] + ': ' +
+		JSON.stringify(request['payload']);
+	if( best === null ){
+	    msg = msg + '; nothing was recorded';
+	}else{
+	    msg = msg + '; closest recorded candidate is entry ' + best +
+		', which differs at ' +
+		us.map(us.first(best_diffs, 5), function(d){
+		    return d['path'] + ' (got ' + d['got'] +
+			', recorded ' + d['recorded'] + ')';
+		}).join(', ');
+	    if( best_diffs.length > 5 ){
+		msg = msg + ', and ' + (best_diffs.length - 5) + ' more';
+	    }
+	}
+
+	var err = new Error(msg);
+	err.name = 'ReplayError';
+	err.request = request;
+	err.candidate = best;
+	err.differences = best_diffs || [];
+	return err;
+    }
+
+    // Find the entry for a call and wrap its response, running the
+    // callbacks as the engines in bbop-rest-manager do.
+    anchor._run = function(url, payload, method){
+
+	if( typeof(url) !== 'undefined' ){ anchor.resource(url); }
+	if( typeof(payload) !== 'undefined' ){ anchor.payload(payload); }
+	if( typeof(method) !== 'undefined' ){ anchor.method(method); }
+
+	var request = normalize(anchor.resource(), anchor.payload(),
+				anchor._options);
+	var key = JSON.stringify(request);
+	var matches = [];
+	each(anchor._entries, function(entry, i){
+	    if( JSON.stringify(entry['request']) === key ){
+		matches.push(i);
+	    }
+	});
+	if( us.isEmpty(matches) ){
+	    throw _mismatch(request);
+	}
+	var found = us.find(matches, function(i){
+	    return anchor._used[i] === 0;
+	});
+	if( typeof(found) === 'undefined' ){
+	    found = us.last(matches);
+	}
+	anchor._used[found]++;
+
+	var rec = anchor._entries[found]['response'];
+	var response = null;
+	if( rec['okay'] ){
+	    response = new anchor._response_handler(bbop.clone(rec['raw']));
+	    anchor.apply_callbacks('success', [response, anchor]);
+	}else{
+	    response = new anchor._response_handler(null);
+	    response.okay(false);
+	    response.message(rec['message']);
+	    response.message_type(rec['message-type'] || 'error');
+	    anchor.apply_callbacks('error', [response, anchor]);
+	}
+	return response;
+    };
+};
+bbop.extend(replay_engine, registry);
+
+/**
+ * Answer a request immediately from the fixture, running callbacks
+ * and returning the response.
+ *
+ * @param {String} [url] - resource to call
+ * @param {Object} [payload] - arguments for the call
+ * @param {String} [method] - "GET" or "POST"
+ * @returns {Object} response (of the response handler type)
+ */
+replay_engine.prototype.fetch = function(url, payload, method){
+    return this._run(url, payload, method);
+};
+
+/**
+ * Answer a request from the fixture on a later tick, running
+ * callbacks and resolving the returned promise with the response.
+ *
+ * @param {String} [url] - resource to call
+ * @param {Object} [payload] - arguments for the call
+ * @param {String} [method] - "GET" or "POST"
+ * @returns {Promise} promise for the response (of the response handler type)
+ */
+replay_engine.prototype.start = function(url, payload, method){
+    var anchor = this;
+    if( typeof(url) === 'undefined' ){ url = anchor.resource(); }
+    if( typeof(payload) === 'undefined' ){ payload = anchor.payload(); }
+    if( typeof(method) === 'undefined' ){ method = anchor.method(); }
+
+    return Promise.resolve().then(function(){
+	return anchor._run(url, payload, method);
+    });
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'normalize': normalize,
+    'load': load,
+    'recording_engine': recording_engine,
+    'replay_engine': replay_engine
+
+};
@@ -0,0 +1,168 @@
+/**
+ * Retry policies: how often and how long to wait before trying a
+ * failed call again, and which calls and failures it is worth doing
+ * for.
+ *
+ * A policy is an object with:
+ *  max_attempts - attempts in all, including the first (default 3; 1 means no retries)
+ *  base_delay - milliseconds to wait before the first retry (default 250)
+ *  factor - what the wait is multiplied by for each further retry (default 2)
+ *  max_delay - longest wait, in milliseconds (default 5000)
+ *  jitter - fraction of each wait that is random, so that clients do not all come back at once (default 0.5)
+ *  retryable - list of error classes from {module:bbop-manager-minerva/errors} worth retrying (default: transport_error, which includes malformed_response_error)
+ *  mutations - which calls that change things may be retried: "never", "safe" (default; only those where doing it twice is the same as doing it once), or "always"
+ *
+ * Calls made up only of queries (getting models, meta, and undo/redo
+ * information, and exports) may always be retried.
+ *
+ * @modules bbop-manager-minerva/retry
+ */
+
+var us = require('underscore');
+
+var errors = require('./errors');
+
+// Operations that only look.
+var query_operations = {
+    'meta': {'get': true},
+    'model': {'get': true, 'get-undo-redo': true, 'export': true,
+	      'all-model-ids': true}
+};
+
+// Operations that change things, but come out the same if done
+// twice: storing, and adding or removing things that Minerva keeps
+// as sets.
+var safe_operations = {
+    'meta': {'store-all': true, 'export-all': true},
+    'model': {'store': true, 'add-annotation': true,
+	      'remove-annotation': true},
+    'individual': {'add-type': true, 'add-annotation': true,
+		   'remove-annotation': true},
+    'edge': {'add': true, 'add-annotation': true, 'remove-annotation': true}
+};
+
+function _in(table, req){
+    var ops = table[req['entity']];
+    return !! (ops && ops[req['operation']]);
+}
+
+/**
+ * The default policy.
+ *
+ * @returns {Object} policy
+ */
+function default_policy(){
+    return {
+	'max_attempts': 3,
+	'base_delay': 250,
+	'factor': 2,
+	'max_delay': 5000,
+	'jitter': 0.5,
+	'retryable': [errors.transport_error],
+	'mutations': 'safe'
+    };
+}
+
+/**
+ * A full policy from a partial one, with the defaults filling in.
+ *
+ * @param {Object} [partial] - any of the policy fields
+ * @returns {Object} policy
+ */
+function policy(partial){
+    var ret = us.extend(default_policy(), partial || {});
+    if( ! us.contains(['never', 'safe', 'always'], ret['mutations']) ){
+	throw new Error('unknown retry mutations setting: ' + ret['mutations']);
+    }
+    if( ! us.isNumber(ret['max_attempts']) || ret['max_attempts'] < 1 ){
+	throw new Error('max_attempts must be at least 1');
+    }
+    return ret;
+}
+
+/**
+ * Whether a list of requests only looks.
+ *
+ * @param {Array} requests - structured request list
+ * @returns {Boolean} boolean
+ */
+function query_p(requests){
+    return ! us.isEmpty(requests) && us.every(requests, function(r){
+	return _in(query_operations, r);
+    });
+}
+
+/**
+ * Whether a list of requests may be sent twice without harm.
+ *
+ * @param {Array} requests - structured request list
+ * @returns {Boolean} boolean
+ */
+function safe_p(requests){
+    return ! us.isEmpty(requests) && us.every(requests, function(r){
+	return _in(query_operations, r) || _in(safe_operations, r);
+    });
+}
+
+/**
+ * Whether a policy allows a list of requests to be retried at all.
+ *
+ * @param {Object} pol - policy
+ * @param {Array} requests - structured request list
+ * @returns {Boolean} boolean
+ */
+function eligible_p(pol, requests){
+    var ret = false;
+    if( pol['max_attempts'] > 1 ){
+	if( query_p(requests) || pol['mutations'] === 'always' ){
+	    ret = true;
+	}else if( pol['mutations'] === 'safe' ){
+	    ret = safe_p(requests);
+	}
+    }
+    return ret;
+}
+
+/**
+ * Whether a policy counts an error as worth retrying.
+ *
+ * @param {Object} pol - policy
+ * @param {Object} err - error, or null
+ * @returns {Boolean} boolean
+ */
+function retryable_p(pol, err){
+    return !! err && us.some(pol['retryable'], function(cls){
+	return err instanceof cls;
+    });
+}
+
+/**
+ * How long to wait before the next attempt.
+ *
+ * @param {Object} pol - policy
+ * @param {Number} attempt - the attempt that just failed, from 1
+ * @param {Function} [random] - source of numbers in [0, 1) (default Math.random)
+ * @returns {Number} milliseconds
+ */
+function delay(pol, attempt, random){
+    random = random || Math.random;
+    var full = Math.min(pol['max_delay'],
+			pol['base_delay'] * Math.pow(pol['factor'], attempt - 1));
+    return Math.round(full * (1 - pol['jitter'] * random()));
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'default_policy': default_policy,
+    'policy': policy,
+    'query_p': query_p,
+    'safe_p': safe_p,
+    'eligible_p': eligible_p,
+    'retryable_p': retryable_p,
+    'delay': delay
+
+};
@@ -0,0 +1,268 @@
+/**
+ * Request variables: what ids the server gave the individuals that a
+ * request set made under variables ("assign-to-variable"), and
+ * putting those ids in place of the variables in later requests.
+ *
+ * Minerva does not say which variable became which individual, so the
+ * individuals in the response are matched to the requests that made
+ * them: by their types, the annotations the request set gave them,
+ * the facts it made between them, and the fact annotations it
+ * pointed at them (e.g. evidence), leaving out any individual that
+ * the request set referred to by id (and so already existed).
+ * Individuals that nothing tells apart are taken in order. This is
+ * only certain for "merge" responses, which hold just what the
+ * request set touched; in a "rebuild", an older individual just like
+ * a new one could be taken for it, unless its id is given as known.
+ *
+ * @modules bbop-manager-minerva/variables
+ */
+
+var us = require('underscore');
+
+// Aliasing.
+var each = us.each;
+
+// Something to compare class expressions by, in request or response
+// form (the latter has labels).
+function _expr_sig(expr){
+    var ret = '';
+    if( us.isString(expr) ){
+	ret = 'class:' + expr;
+    }else if( expr && expr['type'] === 'class' ){
+	ret = 'class:' + expr['id'];
+    }else if( expr && expr['type'] === 'svf' ){
+	var prop = expr['property'] || {};
+	ret = 'svf:' + (us.isString(prop) ? prop : prop['id']) + '(' +
+	    _expr_sig(expr['filler']) + ')';
+    }else if( expr ){
+	var parts = us.map(expr['expressions'] || [], _expr_sig);
+	ret = expr['type'] + '(' + parts.sort().join(',') + ')';
+    }
+    return ret;
+}
+
+// Every string in a request's arguments.
+function _strings(thing, into){
+    if( us.isString(thing) ){
+	into.push(thing);
+    }else if( us.isArray(thing) || us.isObject(thing) ){
+	each(thing, function(t){ _strings(t, into); });
+    }
+    return into;
+}
+
+/**
+ * The variables that a list of requests makes individuals under, in
+ * order.
+ *
+ * @param {Array} requests - structured request list
+ * @returns {Array} list of variable strings
+ */
+function assigned(requests){
+    var ret = [];
+    each(requests, function(r){
+	var v = (r['arguments'] || {})['assign-to-variable'];
+	if( v && r['entity'] === 'individual' && r['operation'] === 'add' ){
+	    ret.push(v);
+	}
+    });
+    return ret;
+}
+
+/**
+ * Which individual in a response each variable of a list of requests
+ * became.
+ *
+ * @param {Array} requests - structured request list
+ * @param {Array} individuals - individuals from the response (as from {module:bbop-response-barista#individuals})
+ * @param {Array} [facts] - facts from the response (as from {module:bbop-response-barista#facts}); if not given, facts are not checked
+ * @param {Array} [known] - ids of individuals known to exist already
+ * @returns {Object} map of variables to ids; variables that could not be placed are left out
+ */
+function bind(requests, individuals, facts, known){
+
+    var vars = assigned(requests);
+    var var_set = {};
+    each(vars, function(v){ var_set[v] = true; });
+
+    // What each variable should look like.
+    var wanted = {};
+    each(vars, function(v){
+	wanted[v] = {'types': [], 'annotations': [], 'facts': []};
+    });
+    var referred = {};
+    each(known || [], function(id){ referred[id] = true; });
+    each(requests, function(r){
+	var args = r['arguments'] || {};
+	var v = null;
+	if( r['entity'] === 'individual' && r['operation'] === 'add' ){
+	    v = args['assign-to-variable'];
+	}else if( r['entity'] === 'individual' &&
+		  (r['operation'] === 'add-type' ||
+		   r['operation'] === 'add-annotation') ){
+	    v = args['individual'];
+	}
+	if( v && us.has(wanted, v) ){
+	    each(args['expressions'] || [], function(e){
+		wanted[v]['types'].push(_expr_sig(e));
+	    });
+	    each(args['values'] || [], function(a){
+		wanted[v]['annotations'].push(a);
+	    });
+	}
+	if( r['entity'] === 'edge' ){
+	    var fact = {'subject': args['subject'], 'object': args['object'],
+			'property': args['predicate'], 'key': null};
+	    if( r['operation'] === 'add' ){
+		each([args['subject'], args['object']], function(end){
+		    if( us.has(wanted, end) ){
+			wanted[end]['facts'].push(fact);
+		    }
+		});
+	    }
+	    each(args['values'] || [], function(a){
+		if( us.has(wanted, a['value']) ){
+		    wanted[a['value']]['facts'].push(
+			us.extend({}, fact, {'key': a['key']}));
+		}
+	    });
+	}
+	each(_strings(us.omit(args, 'assign-to-variable'), []), function(s){
+	    if( ! us.has(var_set, s) ){ referred[s] = true; }
+	});
+    });
+
+    var candidates = us.reject(individuals || [], function(ind){
+	return us.has(referred, ind['id']);
+    });
+
+    // The facts, by subject and by object.
+    var by_end = {'subject': {}, 'object': {}};
+    each(facts || [], function(f){
+	each(['subject', 'object'], function(end){
+	    var id = f[end];
+	    by_end[end][id] = by_end[end][id] || [];
+	    by_end[end][id].push(f);
+	});
+    });
+
+    var ret = {};
+    var taken = {};
+    // The id a variable (or id) stands for, so far; null if unknown.
+    function _id(thing){
+	return us.has(var_set, thing) ? (ret[thing] || null) : thing;
+    }
+    // Whether an individual could be what a variable became; whatever
+    // involves other variables not yet placed is taken to fit.
+    function _fits(v, ind){
+	var types = us.map(ind['type'] || [], _expr_sig);
+	var types_p = us.every(wanted[v]['types'], function(t){
+	    var i = us.indexOf(types, t);
+	    if( i === -1 ){ return false; }
+	    types.splice(i, 1);
+	    return true;
+	});
+	var anns_p = types_p && us.every(wanted[v]['annotations'], function(a){
+	    var value = _id(a['value']);
+	    return us.some(ind['annotations'] || [], function(b){
+		return b['key'] === a['key'] &&
+		    (value === null || b['value'] === value);
+	    });
+	});
+	function _end(thing){
+	    return thing === v ? ind['id'] : _id(thing);
+	}
+	return anns_p && ( ! facts || us.every(wanted[v]['facts'], function(w){
+	    var sub = _end(w['subject']);
+	    var obj = _end(w['object']);
+	    var some = facts;
+	    if( sub !== null ){
+		some = by_end['subject'][sub] || [];
+	    }else if( obj !== null ){
+		some = by_end['object'][obj] || [];
+	    }
+	    return us.some(some, function(f){
+		return (sub === null || f['subject'] === sub) &&
+		    (obj === null || f['object'] === obj) &&
+		    f['property'] === w['property'] &&
+		    ( w['key'] === null ||
+		      us.some(f['annotations'] || [], function(b){
+			  return b['key'] === w['key'] &&
+			      b['value'] === ind['id'];
+		      }));
+	    });
+	}));
+    }
+    function _place(v, ind){
+	ret[v] = ind['id'];
+	taken[ind['id']] = true;
+    }
+
+    // Place the variables that only one individual fits, over and
+    // over, as each one placed may narrow down the others; when none
+    // is that sure, the first variable left goes to the first
+    // individual that fits (such individuals look alike anyway).
+    var left = vars;
+    while( ! us.isEmpty(left) ){
+	var sure_p = false;
+	left = us.reject(left, function(v){
+	    var fits = us.filter(candidates, function(c){
+		return ! us.has(taken, c['id']) && _fits(v, c);
+	    });
+	    if( fits.length === 1 ){
+		_place(v, fits[0]);
+		sure_p = true;
+	    }
+	    return fits.length === 1;
+	});
+	if( ! sure_p ){
+	    var first = null;
+	    var v = us.find(left, function(v){
+		first = us.find(candidates, function(c){
+		    return ! us.has(taken, c['id']) && _fits(v, c);
+		});
+		return !! first;
+	    });
+	    if( ! v ){ break; }
+	    _place(v, first);
+	    left = us.without(left, v);
+	}
+    }
+
+    return ret;
+}
+
+/**
+ * Put ids in place of variables, wherever requests use them.
+ *
+ * @param {Array} requests - structured request list
+ * @param {Object} bindings - map of variables to ids, as from bind()
+ * @returns {Array} new structured request list
+ */
+function substitute(requests, bindings){
+    function swap(thing){
+	var ret = thing;
+	if( us.isString(thing) && us.has(bindings, thing) ){
+	    ret = bindings[thing];
+	}else if( us.isArray(thing) ){
+	    ret = us.map(thing, swap);
+	}else if( us.isObject(thing) ){
+	    ret = {};
+	    each(thing, function(val, key){ ret[key] = swap(val); });
+	}
+	return ret;
+    }
+    return swap(requests);
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'assigned': assigned,
+    'bind': bind,
+    'substitute': substitute
+
+};
@@ -0,0 +1,321 @@
+/**
+ * Putting call arguments on the wire so that they come out the other
+ * end as they went in, whatever the engine.
+ *
+ * The trouble is arguments with more than one value, like the groups
+ * from use_groups ("provided-by"). The node and sync engines (and the
+ * jQuery engine, for GET) write a list as one parameter per value,
+ * but jQuery, left to itself, writes a list in a POST body as
+ * "provided-by[]=...", which Barista does not understand. The
+ * strategies are:
+ *  repeated - one parameter per value ("provided-by=a&provided-by=b"), sent by whatever method the engine is set to (the default)
+ *  json - the list as one parameter, a JSON string ('provided-by=["a","b"]'), sent by whatever method the engine is set to
+ *  post - one parameter per value, as for "repeated", but always in a form encoded POST body
+ *
+ * Big calls (duplicated models, imports) may also be too long for a
+ * URL; size() measures a payload as it goes on the wire, and split()
+ * breaks a call into several smaller ones.
+ *
+ * @modules bbop-manager-minerva/wire
+ */
+
+var us = require('underscore');
+var querystring = require('querystring');
+
+// The method each strategy needs, if any.
+var strategy_methods = {
+    'repeated': null,
+    'json': null,
+    'post': 'POST'
+};
+
+/**
+ * The known strategies.
+ *
+ * @returns {Array} list of strategy strings
+ */
+function strategies(){
+    return us.keys(strategy_methods);
+}
+
+/**
+ * The default strategy.
+ *
+ * @returns {String} strategy
+ */
+function default_strategy(){
+    return 'repeated';
+}
+
+/**
+ * Check a strategy.
+ *
+ * @param {String} strategy - string
+ * @returns {String} the strategy
+ * @throws {Error} for an unknown strategy
+ */
+function strategy(strategy){
+    if( ! us.has(strategy_methods, strategy) ){
+	throw new Error('unknown wire strategy: ' + strategy);
+    }
+    return strategy;
+}
+
+/**
+ * The payload and method to hand an engine for some call arguments.
+ * Empty lists are dropped. Strings and numbers are left as they are.
+ *
+ * @param {Object} args - call arguments; lists are taken as several values
+ * @param {String} [strat] - strategy (default "repeated")
+ * @returns {Object} "payload" and "method" ("GET", "POST", or null to leave it to the engine)
+ */
+function encode(args, strat){
+    strat = strategy(strat || default_strategy());
+
+    var payload = {};
+    us.each(args, function(val, key){
+	if( us.isArray(val) ){
+	    if( us.isEmpty(val) ){ return; }
+	    if( strat === 'json' ){
+		payload[key] = JSON.stringify(val);
+	    }else{
+		payload[key] = us.map(val, String);
+	    }
+	}else if( val !== null && val !== undefined ){
+	    payload[key] = val;
+	}
+    });
+
+    return {'payload': payload, 'method': strategy_methods[strat]};
+}
+
+/**
+ * The values of a payload argument, however it was encoded.
+ *
+ * @param {Array|String} [val] - argument from a payload
+ * @returns {Array} list of values
+ */
+function decode(val){
+    var ret = [];
+    if( us.isArray(val) ){
+	ret = val;
+    }else if( us.isString(val) && /^\s*\[/.test(val) ){
+	try {
+	    ret = JSON.parse(val);
+	}catch(e){
+	    ret = [val];
+	}
+    }else if( val !== null && val !== undefined && val !== '' ){
+	ret = [val];
+    }
+    return ret;
+}
+
+// An engine and those it wraps (as "_engine", e.g. the recording
+// engine), outermost first.
+function _engines(engine){
+    var ret = [];
+    while( engine && us.isObject(engine) && ! us.contains(ret, engine) ){
+	ret.push(engine);
+	engine = engine._engine;
+    }
+    return ret;
+}
+
+/**
+ * Have a jQuery engine write lists in POST bodies as one parameter
+ * per value, as the other engines do (jQuery's "traditional"
+ * encoding). Only this engine's jQuery is changed, not jQuery at
+ * large; engines without jQuery are left alone. An engine that wraps
+ * another (keeping it as "_engine", as the recording engine does)
+ * has the one it wraps changed.
+ *
+ * @param {Object} engine - engine
+ * @returns {Object} the engine
+ */
+function traditional(engine){
+    us.each(_engines(engine), function(e){
+	var jq = e.JQ;
+	if( jq && us.isFunction(jq.ajax) && ! jq._traditional_p ){
+	    var wrapped = Object.create(jq);
+	    wrapped.ajax = function(opts){
+		return jq.ajax(us.extend({}, opts, {'traditional': true}));
+	    };
+	    wrapped._traditional_p = true;
+	    e.JQ = wrapped;
+	}
+    });
+    return engine;
+}
+
+/**
+ * Have an engine give each response it makes a status() method,
+ * returning the HTTP status that it came with, so that errors can
+ * carry it. This works where the engine lets us at the status: the
+ * node engine (through its HTTP client) and the jQuery engine
+ * (through its jQuery). The sync engine keeps it to itself, and its
+ * responses are left as they are, as are those for calls that got no
+ * HTTP answer at all. Only this engine is changed, and any engine it
+ * wraps, as for traditional().
+ *
+ * @param {Object} engine - engine
+ * @returns {Object} the engine
+ */
+function statuses(engine){
+    us.each(_engines(engine), _statuses);
+    return engine;
+}
+
+// statuses() for one engine.
+function _statuses(engine){
+    if( engine._statuses_p || ! us.isFunction(engine.register) ){
+	return;
+    }
+
+    // The engines run their callbacks with the new response as soon
+    // as they have made it; the status of the answer being handled
+    // is kept here until then.
+    var current = null;
+    function seen(code, fn, self, args){
+	current = code || null;
+	try{
+	    return fn.apply(self, args);
+	}finally{
+	    current = null;
+	}
+    }
+    function note(resp){
+	if( current !== null && resp ){
+	    var code = current;
+	    resp.status = function(){ return code; };
+	}
+    }
+    engine.register('success', note, 100);
+    engine.register('error', note, 100);
+
+    var http = engine._http_client;
+    if( http && us.isFunction(http.request) ){
+	var client = Object.create(http);
+	client.request = function(opts, on_connect){
+	    return http.request(opts, function(res){
+		res.on('end', function(){ current = res.statusCode || null; });
+		on_connect(res);
+		res.on('end', function(){ current = null; });
+	    });
+	};
+	engine._http_client = client;
+    }
+
+    var jq = engine.JQ;
+    if( jq && us.isFunction(jq.ajax) ){
+	var wrapped = Object.create(jq);
+	wrapped.ajax = function(opts){
+	    var o = us.extend({}, opts);
+	    if( us.isFunction(opts.success) ){
+		o.success = function(data, status, xhr){
+		    return seen(xhr && xhr.status, opts.success, this, arguments);
+		};
+	    }
+	    if( us.isFunction(opts.error) ){
+		o.error = function(xhr){
+		    return seen(xhr && xhr.status, opts.error, this, arguments);
+		};
+	    }
+	    return jq.ajax(o);
+	};
+	engine.JQ = wrapped;
+    }
+
+    engine._statuses_p = true;
+}
+
+/**
+ * The size of a payload on the wire, in bytes: the length of its
+ * form (or query string) encoding.
+ *
+ * @param {Object} payload - payload, as from encode()
+ * @returns {Number} size
+ */
+function size(payload){
+    return querystring.stringify(payload).length;
+}
+
+// Whether requests can be sent apart from each other; not if they
+// make a new model, which the rest of the request set only knows as
+// the current one, not by id.
+function _splittable_p(requests){
+    return us.every(requests, function(r){
+	var args = r['arguments'] || {};
+	return !! args['model-id'] && r['operation'] !== 'seed-from-process' &&
+	    ! (r['entity'] === 'model' && r['operation'] === 'add');
+    });
+}
+
+/**
+ * Break a payload with too many requests for one call into payloads
+ * of no more than a given size (but at least one request each), in
+ * order. Request variables are left as they are; a later part that
+ * uses a variable made in an earlier one needs the id it became put
+ * in its place before it is sent (see the variables module), and so
+ * may grow a little. Request sets that make a new model or seed one
+ * cannot be split, and come back whole, as do those that fit already.
+ *
+ * @param {Object} payload - payload, as from encode(), with "requests" as a JSON string
+ * @param {Number} max_size - largest payload size wanted, in bytes
+ * @returns {Array} list of payloads
+ */
+function split(payload, max_size){
+    if( size(payload) <= max_size ){
+	return [payload];
+    }
+    var requests = JSON.parse(payload['requests']);
+    if( requests.length < 2 || ! _splittable_p(requests) ){
+	return [payload];
+    }
+
+    // The list is encoded piece by piece, so the size of a part is
+    // the size of the rest of the payload, plus its requests, plus
+    // the commas between them.
+    var base = size(us.extend({}, payload, {'requests': '[]'}));
+    var comma = querystring.escape(',').length;
+    var ret = [];
+    var part = [];
+    var part_size = base;
+    us.each(requests, function(r){
+	var str = JSON.stringify(r);
+	var r_size = querystring.escape(str).length;
+	var more = r_size + (part.length > 0 ? comma : 0);
+	if( part.length > 0 && part_size + more > max_size ){
+	    ret.push(part);
+	    part = [];
+	    part_size = base;
+	    more = r_size;
+	}
+	part.push(str);
+	part_size += more;
+    });
+    ret.push(part);
+
+    return us.map(ret, function(strs){
+	return us.extend({}, payload,
+			 {'requests': '[' + strs.join(',') + ']'});
+    });
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'strategies': strategies,
+    'default_strategy': default_strategy,
+    'strategy': strategy,
+    'encode': encode,
+    'decode': decode,
+    'traditional': traditional,
+    'statuses': statuses,
+    'size': size,
+    'split': split
+
+};
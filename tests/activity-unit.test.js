@@ -0,0 +1,139 @@
+////
+//// GO-CAM activity units, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+var noctua_model = require('bbop-graph-noctua');
+
+///
+/// Start unit testing.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+describe('add_activity_unit', function(){
+
+    it('creates individuals, edges, and evidence in one go', function(done){
+
+	var engine = new memory_engine(barista_response);
+	var mid = engine.load_model({'id': 'gomodel:u'});
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+
+	manager.add_activity_unit(mid, {
+	    'mf': 'GO:0004674',
+	    'enabled_by': 'UniProtKB:P12345',
+	    'occurs_in': 'GO:0005634',
+	    'part_of': 'GO:0006468',
+	    'evidence': {'type': 'ECO:0000314', 'sources': ['PMID:1'],
+			 'with': 'UniProtKB:P99999'}
+	}).then(function(res){
+
+	    assert.equal(engine.calls().length, 1, 'one request');
+	    assert.equal(res['response'].signal(), 'merge', 'merge');
+
+	    var inds = res['individuals'];
+	    assert.sameMembers(us.keys(inds), ['mf', 'enabled_by',
+					       'occurs_in', 'part_of'], 'all');
+	    assert.deepEqual(us.pluck(res['facts'], 2),
+			     ['RO:0002333', 'BFO:0000066', 'BFO:0000050'],
+			     'relations');
+	    assert.lengthOf(res['evidence'], 3, 'evidence per edge');
+
+	    var graph = new noctua_model.graph();
+	    graph.load_data_basic(engine.model_data(mid));
+	    assert.equal(graph.get_node(inds['mf']).types()[0].class_id(),
+			 'GO:0004674', 'mf type');
+	    us.each(res['facts'], function(t, i){
+		var edge = graph.get_edge(t[0], t[1], t[2]);
+		var ev_id = edge.get_annotations_by_key('evidence')[0].value();
+		assert.equal(ev_id, res['evidence'][i], 'edge evidence');
+		var ev = graph.get_node(ev_id);
+		assert.equal(ev.types()[0].class_id(), 'ECO:0000314', 'eco');
+		assert.equal(ev.get_annotations_by_key('source')[0].value(),
+			     'PMID:1', 'source');
+		assert.equal(ev.get_annotations_by_key('with')[0].value(),
+			     'UniProtKB:P99999', 'with');
+	    });
+	    done();
+	}).catch(done);
+    });
+
+    it('makes only what is asked for', function(done){
+
+	var engine = new memory_engine(barista_response);
+	var mid = engine.load_model({'id': 'gomodel:u'});
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+
+	manager.add_activity_unit(mid, {
+	    'enabled_by': 'UniProtKB:P12345'
+	}).then(function(res){
+	    assert.sameMembers(us.keys(res['individuals']),
+			       ['mf', 'enabled_by'], 'two');
+	    assert.lengthOf(res['evidence'], 0, 'no evidence');
+	    var data = engine.model_data(mid);
+	    var mf = us.findWhere(data['individuals'],
+				  {'id': res['individuals']['mf']});
+	    assert.equal(mf['type'][0]['id'], 'GO:0003674', 'root mf');
+	    return manager.add_activity_unit(mid, {
+		'enabled_by': 'UniProtKB:P1',
+		'evidence': {'type': 'ECO:1', 'sources': 'DOI:x'}
+	    });
+	}).then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.equal(err.name, 'EvidenceError', 'evidence error');
+	    assert.sameMembers(us.pluck(err.problems, 'field'),
+			       ['type', 'sources'], 'reasons');
+	    assert.equal(engine.calls().length, 1, 'not sent');
+	    done();
+	}).catch(done);
+    });
+
+    it('answers as the mode does, with ids from the server', function(){
+
+	var engine = new memory_engine(barista_response);
+	var mid = engine.load_model({'id': 'gomodel:u'});
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'sync');
+
+	var res = manager.add_activity_unit(mid, {
+	    'enabled_by': ['UniProtKB:P1', 'UniProtKB:P2']
+	});
+	assert.isTrue(res['response'].okay(), 'response, not a promise');
+	var sent = engine.calls()[0]['payload']['requests'];
+	assert.notInclude(sent, 'individual-iri', 'no ids made up');
+	var ids = us.pluck(engine.model_data(mid)['individuals'], 'id');
+	assert.sameMembers([res['individuals']['mf']].concat(
+	    res['individuals']['enabled_by']), ids, 'ids from the server');
+
+	assert.throws(function(){
+	    manager.add_activity_unit(mid, null);
+	}, /no activity unit/);
+    });
+
+    it('reports nothing made when the server says no', function(){
+
+	var engine = new memory_engine(barista_response);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'sync');
+
+	var res = manager.add_activity_unit('gomodel:nothere', {
+	    'enabled_by': 'UniProtKB:P1'
+	});
+	assert.equal(res['response'].message_type(), 'error', 'refused');
+	assert.deepEqual(res['individuals'], {}, 'no individuals');
+	assert.deepEqual(res['facts'], [], 'no facts');
+	assert.deepEqual(res['evidence'], [], 'no evidence');
+    });
+});
@@ -0,0 +1,136 @@
+////
+//// Unit testing for the batch builder; no server needed.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+// Minimal engine that just remembers what it was asked to send and
+// answers with an empty merge.
+function capture_engine(){
+    var anchor = this;
+    anchor.calls = [];
+    anchor.register = function(){};
+    anchor.fetch = function(resource, payload){
+	anchor.calls.push({'resource': resource, 'payload': payload});
+	return new barista_response({
+	    'message-type': 'success',
+	    'message': 'success',
+	    'signal': 'merge',
+	    'data': {'id': 'gomodel:test'}
+	});
+    };
+}
+
+///
+/// Start unit testing.
+///
+
+describe('batch builder', function(){
+
+    var engine = null;
+    var manager = null;
+    before(function(){
+	engine = new capture_engine();
+	manager = new minerva_manager('http://localhost:3400', 'minerva_local',
+				      'token', engine, 'sync');
+    });
+
+    it('labels resolve to request variables', function(){
+
+	var b = manager.batch('gomodel:test')
+		.add_individual('GO:0003674', 'mf')
+		.add_individual('UniProtKB:P12345', 'gp')
+		.add_fact('mf', 'gp', 'RO:0002333')
+		.add_fact_evidence('mf', 'gp', 'RO:0002333',
+				   'ECO:0000314', 'PMID:123', null);
+
+	var reqs = b.preview()['requests'];
+	var mf_var = reqs[0]['arguments']['assign-to-variable'];
+	var gp_var = reqs[1]['arguments']['assign-to-variable'];
+	assert.equal(b.handle('mf'), mf_var, 'handle is variable');
+	assert.equal(b.last_individual(), gp_var, 'last handle');
+	assert.isNull(b.handle('nope'), 'unknown label');
+
+	assert.equal(reqs[2]['entity'], 'edge', 'fact added');
+	assert.equal(reqs[2]['arguments']['subject'], mf_var, 'subject');
+	assert.equal(reqs[2]['arguments']['object'], gp_var, 'object');
+
+	// Evidence is three requests: individual, annotation, edge tie.
+	assert.equal(b.size(), 6, 'all requests queued');
+	assert.equal(reqs[5]['arguments']['subject'], mf_var, 'ev tie');
+    });
+
+    it('commits as a single request and closes', function(){
+
+	var b = manager.batch('gomodel:test')
+		.add_individual('GO:0003674')
+		.add_individual_annotation('gomodel:test/1', 'comment', 'hi')
+		.add_model_annotation('title', 'a title');
+
+	var before_calls = engine.calls.length;
+	var r = b.commit();
+	assert.equal(r.signal(), 'merge', 'got response');
+	assert.equal(engine.calls.length, before_calls + 1, 'one round trip');
+	assert.equal(b.state(), 'committed', 'state');
+
+	var sent = JSON.parse(us.last(engine.calls)['payload']['requests']);
+	assert.equal(sent.length, 3, 'all edits in one request');
+
+	assert.throws(function(){ b.add_individual('GO:0003674'); },
+		      /committed/);
+	assert.throws(function(){ b.commit(); }, /committed/);
+    });
+
+    it('makes simple composites as the manager does', function(){
+
+	// The types each add, as sent.
+	function types(reqs){
+	    return us.map(us.filter(reqs, function(r){
+		return r['operation'] === 'add-type';
+	    }), function(r){ return r['arguments']['expressions']; });
+	}
+
+	manager.add_simple_composite('gomodel:test', 'GO:0003674',
+				     'UniProtKB:P12345', 'GO:0005634');
+	var sent = JSON.parse(us.last(engine.calls)['payload']['requests']);
+	var b = manager.batch('gomodel:test')
+		.add_simple_composite('GO:0003674', 'UniProtKB:P12345',
+				      'GO:0005634');
+	assert.lengthOf(types(sent), 2, 'both types');
+	assert.deepEqual(types(b.preview()['requests']), types(sent), 'same');
+    });
+
+    it('can be aborted without sending', function(){
+
+	var before_calls = engine.calls.length;
+	var b = manager.batch('gomodel:test').add_individual('GO:0003674');
+	b.abort();
+	assert.equal(b.state(), 'aborted', 'state');
+	assert.equal(engine.calls.length, before_calls, 'nothing sent');
+	assert.throws(function(){ b.commit(); }, /aborted/);
+    });
+
+    it('refuses empty commits and duplicate labels', function(){
+
+	assert.throws(function(){
+	    manager.batch('gomodel:test').commit();
+	}, /empty/);
+
+	assert.throws(function(){
+	    manager.batch('gomodel:test')
+		.add_individual('GO:0003674', 'a')
+		.add_individual('GO:0003674', 'a');
+	}, /label/);
+    });
+});
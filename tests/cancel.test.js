@@ -0,0 +1,247 @@
+////
+//// Cancelling calls and timeouts, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var errors = require('../lib/errors');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+// A manager on an engine that takes "delay" milliseconds to answer,
+// and a list of the events it fires.
+function setup(mode, delay){
+    var engine = new memory_engine(barista_response);
+    engine.load_model({
+	'id': 'gomodel:c',
+	'individuals': [{'id': 'gomodel:c/mf', 'type': cls('GO:0003674')}],
+	'facts': []
+    });
+    if( delay ){
+	var start = engine.start;
+	engine.start = function(url, payload, method){
+	    var self = this;
+	    return new Promise(function(resolve){
+		setTimeout(function(){
+		    resolve(start.call(self, url, payload, method));
+		}, delay);
+	    });
+	};
+    }
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, mode);
+
+    var events = [];
+    us.each(['rebuild', 'merge', 'cancelled', 'timeout'], function(name){
+	manager.register(name, function(evt){
+	    events.push({'name': name, 'event': evt});
+	});
+    });
+    return {'engine': engine, 'manager': manager, 'events': events};
+}
+
+function names(events){ return us.pluck(events, 'name'); }
+
+function later(ms){
+    return new Promise(function(resolve){ setTimeout(resolve, ms); });
+}
+
+///
+/// Start unit testing.
+///
+
+describe('cancelling calls', function(){
+
+    it('drops the response of a call cancelled in flight', function(done){
+
+	var s = setup('async', 30);
+	var ctrl = new AbortController();
+	var got = s.manager.get_model('gomodel:c', {'signal': ctrl.signal});
+	ctrl.abort();
+
+	got.then(function(){
+	    done(new Error('should have been cancelled'));
+	}, function(err){
+	    assert.instanceOf(err, errors.cancelled_error, 'cancelled');
+	    assert.equal(err.details['model_id'], 'gomodel:c', 'details');
+	    assert.deepEqual(names(s.events), ['cancelled'], 'event');
+	    var evt = s.events[0]['event'];
+	    assert.equal(evt['reason'], 'cancelled', 'reason');
+	    assert.equal(evt['intention'], 'query', 'intention');
+	    assert.equal(evt['requests'][0]['operation'], 'get', 'operation');
+	    return later(50);
+	}).then(function(){
+	    assert.lengthOf(s.engine.calls(), 1, 'it did go out');
+	    assert.deepEqual(names(s.events), ['cancelled'], 'no rebuild');
+	    done();
+	}).catch(done);
+    });
+
+    it('does not send a call cancelled beforehand', function(){
+
+	var s = setup('sync');
+	var ctrl = new AbortController();
+	ctrl.abort();
+
+	assert.throws(function(){
+	    s.manager.store_model('gomodel:c', {'signal': ctrl.signal});
+	}, errors.cancelled_error);
+	assert.lengthOf(s.engine.calls(), 0, 'nothing sent');
+	assert.deepEqual(names(s.events), ['cancelled'], 'event');
+	assert.equal(s.events[0]['event']['requests'][0]['operation'], 'store',
+		     'store');
+    });
+
+    it('can be asked of every call', function(){
+
+	var s = setup('sync');
+	var m = s.manager;
+	var ctrl = new AbortController();
+	ctrl.abort();
+	var opts = {'signal': ctrl.signal};
+
+	us.each([
+	    function(){ m.add_fact('gomodel:c', 'gomodel:c/mf', 'gomodel:c/mf',
+				   'RO:0002333', opts); },
+	    function(){ m.remove_individual('gomodel:c', 'gomodel:c/mf',
+					    opts); },
+	    function(){ m.add_individual_annotation('gomodel:c', 'gomodel:c/mf',
+						    'comment', 'hi', null,
+						    opts); },
+	    function(){ m.export_model('gomodel:c', null, opts); },
+	    function(){ m.perform_undo('gomodel:c', opts); },
+	    function(){
+		m.batch('gomodel:c').add_individual('GO:0008150').commit(opts);
+	    }
+	], function(call){
+	    assert.throws(call, errors.cancelled_error);
+	});
+	assert.lengthOf(s.engine.calls(), 0, 'nothing sent');
+	assert.lengthOf(s.events, 6, 'one event each');
+    });
+
+    it('pass on to each call of a longer operation', function(done){
+
+	var s = setup('promise');
+	var ctrl = new AbortController();
+	ctrl.abort();
+	s.manager.async_duplicate_model('gomodel:c', 'copy', {
+	    'signal': ctrl.signal
+	}).then(function(){
+	    done(new Error('should have been cancelled'));
+	}, function(err){
+	    assert.instanceOf(err, errors.cancelled_error, 'cancelled');
+	    assert.lengthOf(s.engine.calls(), 0, 'nothing sent');
+	    return s.manager.apply_patch('gomodel:c', [], {
+		'signal': ctrl.signal
+	    });
+	}).then(function(){
+	    done(new Error('should have been cancelled'));
+	}, function(err){
+	    assert.instanceOf(err, errors.cancelled_error, 'patch cancelled');
+	    assert.lengthOf(s.engine.calls(), 0, 'still nothing sent');
+	    done();
+	}).catch(done);
+    });
+
+    it('still fail calls whose listeners throw', function(done){
+
+	var s = setup('promise');
+	s.manager.register('merge', function(){ throw new Error('oops'); });
+	s.manager.add_individual_annotation('gomodel:c', 'gomodel:c/mf',
+					    'comment', 'hi', null,
+					    {'timeout': 500}).then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.equal(err.message, 'oops', 'the listener\'s error');
+	    done();
+	}).catch(done);
+    });
+
+    it('leaves calls that finish alone', function(done){
+
+	var s = setup('promise', 5);
+	var ctrl = new AbortController();
+	s.manager.get_model('gomodel:c', {
+	    'signal': ctrl.signal,
+	    'timeout': 500
+	}).then(function(resp){
+	    assert.equal(resp.message_type(), 'success', 'success');
+	    ctrl.abort();
+	    assert.deepEqual(names(s.events), ['rebuild'], 'rebuild only');
+	    done();
+	}).catch(done);
+    });
+});
+
+describe('timeouts', function(){
+
+    it('give up on slow calls', function(done){
+
+	var s = setup('promise', 40);
+	s.manager.store_all({'timeout': 10}).then(function(){
+	    done(new Error('should have timed out'));
+	}, function(err){
+	    assert.instanceOf(err, errors.timeout_error, 'timeout');
+	    assert.instanceOf(err, errors.minerva_error, 'base');
+	    assert.deepEqual(names(s.events), ['timeout'], 'event');
+	    assert.equal(s.events[0]['event']['timeout'], 10, 'how long');
+	    return later(60);
+	}).then(function(){
+	    assert.deepEqual(names(s.events), ['timeout'], 'nothing else');
+	    done();
+	}).catch(done);
+    });
+
+    it('default to the manager timeout', function(done){
+
+	var s = setup('async', 40);
+	assert.isNull(s.manager.request_timeout(), 'off');
+	s.manager.request_timeout(10);
+
+	s.manager.get_model('gomodel:c', {'timeout': null}).then(function(){
+	    assert.deepEqual(names(s.events), ['rebuild'], 'no timeout');
+	    return s.manager.add_individual_annotation('gomodel:c',
+						       'gomodel:c/mf',
+						       'comment', 'hi');
+	}).then(function(){
+	    done(new Error('should have timed out'));
+	}, function(err){
+	    assert.equal(err.name, 'TimeoutError', 'timed out');
+	    assert.equal(err.details['model_id'], 'gomodel:c', 'model');
+	    s.manager.request_timeout(null);
+	    done();
+	}).catch(done);
+    });
+
+    it('are only noticed once a "sync" call is back', function(){
+
+	var s = setup('sync');
+	var fetch = s.engine.fetch;
+	s.engine.fetch = function(url, payload, method){
+	    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 20);
+	    return fetch.call(this, url, payload, method);
+	};
+
+	assert.throws(function(){
+	    s.manager.remove_individual('gomodel:c', 'gomodel:c/mf',
+					{'timeout': 5});
+	}, errors.timeout_error);
+	assert.lengthOf(s.engine.calls(), 1, 'it did go out');
+	assert.deepEqual(names(s.events), ['timeout'], 'answer dropped');
+    });
+});
@@ -0,0 +1,112 @@
+////
+//// Bootstrapping models from Capella groups, against the in-memory
+//// engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+var noctua_model = require('bbop-graph-noctua');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+var term2aspect = {
+    'GO:0004674': 'molecular_function',
+    'GO:0006468': 'biological_process',
+    'GO:0005634': 'cellular_component',
+    'GO:0005737': 'C'
+};
+
+function setup(){
+    var engine = new memory_engine(barista_response);
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, 'sync');
+    return {'engine': engine, 'manager': manager};
+}
+
+// The class ids at the ends of a graph's edges with a relation.
+function ends(graph, rel){
+    var ret = [];
+    us.each(graph.all_edges(), function(e){
+	if( e.predicate_id() !== rel ){ return; }
+	ret.push(graph.get_node(e.subject_id()).types()[0].class_id() + ' ' +
+		 graph.get_node(e.object_id()).types()[0].class_id());
+    });
+    return ret.sort();
+}
+
+///
+/// Start unit testing.
+///
+
+describe('capella_bootstrap_model', function(){
+
+    it('fills a new model in one request', function(){
+
+	var env = setup();
+	var resp = env.manager.capella_bootstrap_model([
+	    {'terms': ['GO:0004674', 'GO:0006468', 'GO:0005634'],
+	     'entities': ['UniProtKB:P1'],
+	     'evidence': {'type': 'ECO:0000314', 'sources': ['PMID:1']}},
+	    {'terms': ['GO:0005737'],
+	     'entities': ['UniProtKB:P2', 'UniProtKB:P3']}
+	], term2aspect);
+
+	assert.equal(resp.message_type(), 'success', 'success');
+	assert.equal(resp.signal(), 'rebuild', 'rebuild');
+	assert.lengthOf(env.engine.calls(), 1, 'one request');
+
+	var graph = new noctua_model.graph();
+	graph.load_data_basic(resp.data());
+	assert.deepEqual(ends(graph, 'RO:0002333'), [
+	    'GO:0003674 UniProtKB:P2',
+	    'GO:0003674 UniProtKB:P3',
+	    'GO:0004674 UniProtKB:P1'
+	], 'enabled by');
+	assert.deepEqual(ends(graph, 'BFO:0000066'), [
+	    'GO:0003674 GO:0005737',
+	    'GO:0004674 GO:0005634'
+	], 'occurs in');
+	assert.deepEqual(ends(graph, 'BFO:0000050'), [
+	    'GO:0004674 GO:0006468'
+	], 'part of');
+
+	// Evidence on the first group's edges only.
+	var with_ev = us.filter(graph.all_edges(), function(e){
+	    var anns = e.get_annotations_by_key('evidence');
+	    if( anns.length === 0 ){ return false; }
+	    var ev = graph.get_node(anns[0].value());
+	    assert.equal(ev.types()[0].class_id(), 'ECO:0000314', 'eco');
+	    return true;
+	});
+	assert.lengthOf(with_ev, 3, 'evidence');
+    });
+
+    it('refuses unknown terms and bad evidence before sending', function(){
+
+	var env = setup();
+	assert.throws(function(){
+	    env.manager.capella_bootstrap_model([
+		{'terms': ['GO:9999999'], 'entities': ['UniProtKB:P1']}
+	    ], term2aspect);
+	}, /no aspect known for term: GO:9999999/);
+	assert.throws(function(){
+	    env.manager.capella_bootstrap_model([
+		{'terms': [], 'entities': ['UniProtKB:P1'],
+		 'evidence': {'type': 'ECO:0000314', 'sources': ['nope']}}
+	    ], term2aspect);
+	}, /invalid evidence/);
+	assert.lengthOf(env.engine.calls(), 0, 'nothing sent');
+    });
+});
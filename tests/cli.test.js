@@ -0,0 +1,130 @@
+////
+//// The command line tool, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var cli = require('../lib/cli');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+function model(){
+    return {
+	'id': 'gomodel:c',
+	'annotations': [{'key': 'title', 'value': 'cli'},
+			{'key': 'state', 'value': 'development'}],
+	'individuals': [
+	    {'id': 'gomodel:c/mf', 'type': [{'type': 'class',
+					     'id': 'GO:0003674'}]}
+	],
+	'facts': []
+    };
+}
+
+// Run the tool with an engine and files of our own, keeping what it
+// writes.
+function run(argv, files){
+    var env = {'engine': new memory_engine(barista_response),
+	       'out': '', 'err': ''};
+    env.engine.load_model(model());
+    return cli.run(argv, {
+	'env': {'BARISTA_TOKEN': 'token'},
+	'engine': env.engine,
+	'stdout': function(s){ env.out += s; },
+	'stderr': function(s){ env.err += s; },
+	'read_file': function(path){ return files[path]; }
+    }).then(function(code){
+	env.code = code;
+	return env;
+    });
+}
+
+///
+/// Start unit testing.
+///
+
+describe('minerva-manager', function(){
+
+    it('splits flags from arguments', function(){
+
+	assert.deepEqual(cli.parse_args(['get', '--format', 'table', 'm:1',
+					 '--token=t', '--help']), {
+	    'flags': {'format': 'table', 'token': 't', 'help': true},
+	    'args': ['get', 'm:1']
+	}, 'parsed');
+    });
+
+    it('prints JSON and tables', function(){
+
+	return run(['get', 'gomodel:c']).then(function(env){
+	    assert.equal(env.code, 0, 'ok');
+	    var out = JSON.parse(env.out);
+	    assert.equal(out['signal'], 'rebuild', 'raw response');
+	    assert.equal(out['data']['id'], 'gomodel:c', 'model');
+	    assert.include(env.engine.calls()[0]['resource'], 'Privileged',
+			   'token from the environment');
+	    return run(['meta', '--format', 'table']);
+	}).then(function(env){
+	    assert.equal(env.code, 0, 'ok');
+	    assert.deepEqual(env.out.split('\n'), [
+		'model      title  state',
+		'gomodel:c  cli    development',
+		''
+	    ], 'table');
+	});
+    });
+
+    it('annotates, batches, and exports', function(){
+
+	var ops = JSON.stringify([
+	    {'op': 'add_individual', 'args': ['UniProtKB:P1', 'gp']},
+	    {'op': 'add_fact', 'args': ['gomodel:c/mf', 'gp', 'RO:0002333']},
+	    {'op': 'add_fact_evidence',
+	     'args': ['gomodel:c/mf', 'gp', 'RO:0002333', 'ECO:0000314',
+		      'PMID:1']}
+	]);
+	return run(['add-annotation', 'gomodel:c', 'comment', 'hi',
+		    '--individual', 'gomodel:c/mf']).then(function(env){
+	    assert.equal(env.code, 0, 'annotated');
+	    var ind = env.engine.model_data('gomodel:c')['individuals'][0];
+	    assert.ok(us.findWhere(ind['annotations'], {'value': 'hi'}),
+		      'there');
+	    return run(['batch', 'gomodel:c', 'ops.json'], {'ops.json': ops});
+	}).then(function(env){
+	    assert.equal(env.code, 0, 'batched');
+	    assert.lengthOf(env.engine.calls(), 1, 'one request');
+	    assert.lengthOf(env.engine.model_data('gomodel:c')['facts'], 1,
+			    'fact');
+	    return run(['export', 'gomodel:c', '--as', 'gaf']);
+	}).then(function(env){
+	    assert.equal(env.code, 0, 'exported');
+	    assert.match(env.out, /^!gaf-version: 2.2\n/, 'gaf');
+	});
+    });
+
+    it('exits non-zero on errors', function(){
+
+	return run(['undo', 'gomodel:nope']).then(function(env){
+	    assert.equal(env.code, 1, 'manager error');
+	    assert.match(env.err, /^minerva-manager: /, 'said so');
+	    return run(['batch', 'gomodel:c', 'ops.json'], {
+		'ops.json': '[{"op": "commit"}]'
+	    });
+	}).then(function(env){
+	    assert.equal(env.code, 1, 'bad batch');
+	    assert.match(env.err, /unknown batch operation 1: commit/, 'why');
+	    return run(['frob']);
+	}).then(function(env){
+	    assert.equal(env.code, 2, 'usage');
+	    assert.match(env.err, /Usage: minerva-manager/, 'usage shown');
+	});
+    });
+});
@@ -0,0 +1,127 @@
+////
+//// Copying part of a model into another, against the in-memory
+//// engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+var prov = [
+    {'key': 'contributor', 'value': 'http://orcid.org/1111'},
+    {'key': 'date', 'value': '2015-05-05'}
+];
+
+// One activity chain (mf1 with gp1 and bp1), plus an unrelated mf2.
+function setup(){
+    var engine = new memory_engine(barista_response);
+    engine.load_model({
+	'id': 'gomodel:src',
+	'individuals': [
+	    {'id': 'gomodel:src/mf1', 'type': cls('GO:0003674'),
+	     'annotations': prov},
+	    {'id': 'gomodel:src/gp1', 'type': cls('UniProtKB:P1'),
+	     'annotations': []},
+	    {'id': 'gomodel:src/bp1', 'type': cls('GO:0008150'),
+	     'annotations': []},
+	    {'id': 'gomodel:src/ev', 'type': cls('ECO:0000314'),
+	     'annotations': [{'key': 'source', 'value': 'PMID:1'}]},
+	    {'id': 'gomodel:src/mf2', 'type': cls('GO:0003674'),
+	     'annotations': []}
+	],
+	'facts': [
+	    {'subject': 'gomodel:src/mf1', 'object': 'gomodel:src/gp1',
+	     'property': 'RO:0002333',
+	     'annotations': [{'key': 'evidence', 'value': 'gomodel:src/ev'}]},
+	    {'subject': 'gomodel:src/mf1', 'object': 'gomodel:src/bp1',
+	     'property': 'BFO:0000050', 'annotations': []}
+	]
+    });
+    engine.load_model({'id': 'gomodel:tgt'});
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, 'async');
+    return {'engine': engine, 'manager': manager};
+}
+
+///
+/// Start unit testing.
+///
+
+describe('copy_subgraph', function(){
+
+    it('copies just the chosen individuals by default', function(done){
+
+	var env = setup();
+	env.manager.copy_subgraph('gomodel:src', ['gomodel:src/mf1'],
+				  'gomodel:tgt').then(function(res){
+
+	    var data = env.engine.model_data('gomodel:tgt');
+	    assert.equal(data['individuals'].length, 1, 'just mf1');
+	    assert.equal(data['facts'].length, 0, 'no facts');
+	    assert.deepEqual(us.keys(res['individual_map']),
+			     ['gomodel:src/mf1'], 'map');
+	    var keys = us.pluck(data['individuals'][0]['annotations'], 'key');
+	    assert.include(keys, 'contributor', 'provenance kept');
+	    done();
+	}).catch(done);
+    });
+
+    it('follows edges and pulls in evidence', function(done){
+
+	var env = setup();
+	env.manager.copy_subgraph('gomodel:src', ['gomodel:src/mf1'],
+				  'gomodel:tgt', {
+				      'follow_edges': true,
+				      'rewrite_provenance': true
+				  }).then(function(res){
+
+	    var map = res['individual_map'];
+	    assert.sameMembers(us.keys(map), [
+		'gomodel:src/mf1', 'gomodel:src/gp1',
+		'gomodel:src/bp1', 'gomodel:src/ev'
+	    ], 'chain and evidence, not mf2');
+
+	    var data = env.engine.model_data('gomodel:tgt');
+	    assert.equal(data['facts'].length, 2, 'both facts');
+	    var ev_fact = us.findWhere(data['facts'],
+				       {'property': 'RO:0002333'});
+	    assert.equal(ev_fact['annotations'][0]['value'],
+			 map['gomodel:src/ev'], 'evidence remapped');
+
+	    var mf = us.findWhere(data['individuals'],
+				  {'id': map['gomodel:src/mf1']});
+	    var keys = us.pluck(mf['annotations'], 'key');
+	    assert.notInclude(keys, 'contributor', 'provenance rewritten');
+	    assert.notInclude(keys, 'date', 'provenance rewritten');
+	    done();
+	}).catch(done);
+    });
+
+    it('rejects unknown individuals before sending', function(done){
+
+	var env = setup();
+	env.manager.copy_subgraph('gomodel:src', ['gomodel:src/nope'],
+				  'gomodel:tgt').then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.match(err.message, /unknown individual/, 'reason');
+	    assert.equal(env.engine.calls().length, 1, 'only the get');
+	    done();
+	}).catch(done);
+    });
+});
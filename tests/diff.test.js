@@ -0,0 +1,142 @@
+////
+//// Structural diffs between models.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var diff = require('../lib/diff');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+// Two activities enabled by gene products, one with evidence on the
+// edge.
+function base_model(){
+    return {
+	'id': 'gomodel:a',
+	'annotations': [{'key': 'title', 'value': 'a model'}],
+	'individuals': [
+	    {'id': 'gomodel:a/mf1', 'type': cls('GO:0003674'),
+	     'annotations': []},
+	    {'id': 'gomodel:a/gp1', 'type': cls('UniProtKB:P1'),
+	     'annotations': []},
+	    {'id': 'gomodel:a/mf2', 'type': cls('GO:0003674'),
+	     'annotations': []},
+	    {'id': 'gomodel:a/gp2', 'type': cls('UniProtKB:P2'),
+	     'annotations': []},
+	    {'id': 'gomodel:a/ev', 'type': cls('ECO:0000314'),
+	     'annotations': [{'key': 'source', 'value': 'PMID:1'}]}
+	],
+	'facts': [
+	    {'subject': 'gomodel:a/mf1', 'object': 'gomodel:a/gp1',
+	     'property': 'RO:0002333',
+	     'annotations': [{'key': 'evidence', 'value': 'gomodel:a/ev'}]},
+	    {'subject': 'gomodel:a/mf2', 'object': 'gomodel:a/gp2',
+	     'property': 'RO:0002333', 'annotations': []}
+	]
+    };
+}
+
+///
+/// Start unit testing.
+///
+
+describe('diff_models', function(){
+
+    it('finds nothing between a model and itself', function(){
+
+	var d = diff.diff_models(base_model(), base_model());
+	assert.isTrue(d['equal_p'], 'equal');
+	assert.equal(us.keys(d['individual_map']).length, 4,
+		     'evidence is not an individual here');
+    });
+
+    it('reports individuals, types, facts, evidence, annotations', function(){
+
+	var a = base_model();
+	var b = base_model();
+	b['annotations'] = [{'key': 'title', 'value': 'b model'}];
+	b['individuals'][0]['type'] = cls('GO:0003824');
+	b['individuals'] = us.reject(b['individuals'], function(ind){
+	    return ind['id'] === 'gomodel:a/ev';
+	});
+	b['individuals'].push({'id': 'gomodel:a/bp', 'type': cls('GO:0008150'),
+			       'annotations': []});
+	b['individuals'].push({'id': 'gomodel:a/ev2',
+			       'type': cls('ECO:0000315'),
+			       'annotations': [{'key': 'source',
+						'value': 'PMID:2'}]});
+	b['facts'][0]['annotations'] = [];
+	b['facts'][1]['annotations'] = [{'key': 'evidence',
+					 'value': 'gomodel:a/ev2'}];
+	b['facts'].push({'subject': 'gomodel:a/mf1', 'object': 'gomodel:a/bp',
+			 'property': 'BFO:0000050', 'annotations': []});
+
+	var d = diff.diff_models(a, b);
+	assert.isFalse(d['equal_p'], 'not equal');
+	assert.deepEqual(us.pluck(d['individuals']['added'], 'id'),
+			 ['gomodel:a/bp'], 'added individual');
+	assert.deepEqual(d['individuals']['changed'][0]['types_added'],
+			 ['GO:0003824'], 'type added');
+	assert.deepEqual(d['individuals']['changed'][0]['types_removed'],
+			 ['GO:0003674'], 'type removed');
+	assert.deepEqual(d['facts']['added'][0]['triple'],
+			 ['gomodel:a/mf1', 'gomodel:a/bp', 'BFO:0000050'],
+			 'added fact');
+	assert.equal(d['evidence']['removed'][0]['evidence']['type'],
+		     'ECO:0000314', 'evidence removed');
+	assert.deepEqual(d['evidence']['added'][0]['target']['fact'],
+			 ['gomodel:a/mf2', 'gomodel:a/gp2', 'RO:0002333'],
+			 'evidence added to the other fact');
+	assert.equal(d['annotations']['added'][0]['annotation']['value'],
+		     'b model', 'new title');
+	assert.equal(d['annotations']['removed'][0]['annotation']['value'],
+		     'a model', 'old title');
+
+	assert.include(d['text'], '+ individual gomodel:a/bp [GO:0008150]',
+		       'text added');
+	assert.include(d['text'],
+		       '~ individual gomodel:a/mf1: +GO:0003824 -GO:0003674',
+		       'text changed');
+	assert.include(d['text'],
+		       '- evidence on fact gomodel:a/mf1 -RO:0002333-> ' +
+		       'gomodel:a/gp1: ECO:0000314 PMID:1', 'text evidence');
+    });
+
+    it('matches a duplicate by structure', function(done){
+
+	var engine = new memory_engine(barista_response);
+	engine.load_model(base_model());
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+
+	manager.async_duplicate_model('gomodel:a', 'a model').then(function(res){
+	    var a = engine.model_data('gomodel:a');
+	    var b = engine.model_data(res['model_id']);
+
+	    var d = manager.diff_models(a, b, {'ignore_keys': ['id']});
+	    assert.isTrue(d['equal_p'], d['text']);
+	    assert.deepEqual(d['individual_map'],
+			     us.omit(res['individual_map'], 'gomodel:a/ev'),
+			     'same pairing as the copy');
+
+	    // Matching by id alone sees two different models.
+	    d = manager.diff_models(a, b, {'match': 'id'});
+	    assert.equal(d['individuals']['removed'].length, 4, 'all gone');
+	    done();
+	}).catch(done);
+    });
+});
@@ -0,0 +1,150 @@
+////
+//// Model duplication against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+// A small source model: an activity enabled by a gene product, with
+// evidence on the edge.
+function source_model(engine){
+    return engine.load_model({
+	'id': 'gomodel:source',
+	'annotations': [
+	    {'key': 'title', 'value': 'source title'},
+	    {'key': 'state', 'value': 'production'},
+	    {'key': 'comment', 'value': 'keep me'}
+	],
+	'individuals': [
+	    {'id': 'gomodel:source/mf',
+	     'type': [{'type': 'class', 'id': 'GO:0003674'},
+		      {'type': 'svf',
+		       'property': {'type': 'property', 'id': 'BFO:0000066'},
+		       'filler': {'type': 'class', 'id': 'GO:0005634'}}],
+	     'annotations': [{'key': 'comment', 'value': 'an mf'}]},
+	    {'id': 'gomodel:source/gp',
+	     'type': [{'type': 'class', 'id': 'UniProtKB:P12345'}],
+	     'annotations': []},
+	    {'id': 'gomodel:source/ev',
+	     'type': [{'type': 'class', 'id': 'ECO:0000314'}],
+	     'annotations': [{'key': 'source', 'value': 'PMID:1'}]}
+	],
+	'facts': [
+	    {'subject': 'gomodel:source/mf', 'object': 'gomodel:source/gp',
+	     'property': 'RO:0002333',
+	     'annotations': [{'key': 'evidence',
+			      'value': 'gomodel:source/ev'}]}
+	]
+    });
+}
+
+///
+/// Start unit testing.
+///
+
+describe('async_duplicate_model', function(){
+
+    it('copies everything in a few requests', function(done){
+
+	var engine = new memory_engine(barista_response);
+	var src_id = source_model(engine);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+	var steps = [];
+	manager.register('progress', function(p){ steps.push(p['step']); });
+
+	manager.async_duplicate_model(src_id, 'new title').then(function(res){
+
+	    assert.deepEqual(steps,
+			     ['get_source', 'create_target', 'copy', 'store'],
+			     'progress');
+	    assert.equal(engine.calls().length, 4, 'four round trips');
+
+	    var map = res['individual_map'];
+	    assert.equal(us.keys(map).length, 3, 'all individuals mapped');
+
+	    // The server names the copies; the map comes from its answer.
+	    var copy = engine.calls()[2]['payload']['requests'];
+	    assert.notInclude(copy, 'individual-iri', 'no ids made up');
+	    assert.include(copy, 'assign-to-variable', 'variables');
+	    var data_ids = us.pluck(engine.model_data(res['model_id'])
+				    ['individuals'], 'id');
+	    assert.sameMembers(us.values(map), data_ids, 'ids from the server');
+
+	    var data = engine.model_data(res['model_id']);
+	    assert.isFalse(data['modified-p'], 'stored');
+
+	    // Model annotations: new title, no state, rest kept.
+	    var anns = us.map(data['annotations'], function(a){
+		return a['key'] + '=' + a['value'];
+	    });
+	    assert.include(anns, 'title=new title', 'retitled');
+	    assert.include(anns, 'comment=keep me', 'kept');
+	    assert.notInclude(anns, 'state=production', 'no state');
+
+	    // Individuals and all types.
+	    var mf = us.findWhere(data['individuals'],
+				  {'id': map['gomodel:source/mf']});
+	    assert.equal(mf['type'].length, 2, 'both types');
+	    assert.equal(mf['type'][1]['type'], 'svf', 'complex type');
+
+	    // Fact evidence points at the copied evidence.
+	    var fact = data['facts'][0];
+	    assert.equal(fact['subject'], map['gomodel:source/mf'], 'sub');
+	    assert.equal(fact['object'], map['gomodel:source/gp'], 'obj');
+	    assert.equal(fact['annotations'][0]['value'],
+			 map['gomodel:source/ev'], 'evidence remapped');
+
+	    done();
+	}).catch(done);
+    });
+
+    it('removes the partial model on failure', function(done){
+
+	var engine = new memory_engine(barista_response);
+	var src_id = source_model(engine);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+
+	// Break the copy step.
+	var count = 0;
+	var real_start = engine.start;
+	engine.start = function(url, payload){
+	    count++;
+	    if( count === 3 ){
+		payload['requests'] = JSON.stringify([{
+		    'entity': 'individual', 'operation': 'remove',
+		    'arguments': {'individual': 'gomodel:nope/1',
+				  'model-id': engine.model_ids()[1]}
+		}]);
+	    }
+	    return real_start.call(engine, url, payload);
+	};
+
+	var steps = [];
+	manager.register('progress', function(p){ steps.push(p['step']); });
+
+	manager.async_duplicate_model(src_id, 'new title').then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.match(err.message, /unknown individual/, 'reason kept');
+	    assert.equal(us.last(steps), 'cleanup', 'cleaned up');
+	    assert.deepEqual(engine.model_ids(), [src_id], 'no orphan');
+	    done();
+	}).catch(done);
+    });
+});
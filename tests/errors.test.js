@@ -0,0 +1,179 @@
+////
+//// Typed errors for failed and odd responses.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var errors = require('../lib/errors');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+// Minimal engine that answers with whatever raw response (or
+// handler input) it is given next.
+function canned_engine(){
+    var anchor = this;
+    anchor.next = null;
+    anchor.register = function(){};
+    anchor.fetch = function(){
+	var resp = new barista_response(anchor.next);
+	if( anchor.next && anchor.next['okay'] === false ){
+	    resp = new barista_response(null);
+	    resp.message(anchor.next['message']);
+	}
+	return resp;
+    };
+    anchor.start = function(){
+	return Promise.resolve(anchor.fetch());
+    };
+}
+
+function raw(message_type, signal, commentary){
+    var ret = {
+	'message-type': message_type,
+	'message': message_type + ' message',
+	'signal': signal,
+	'intention': 'query',
+	'data': {'id': 'gomodel:e'}
+    };
+    if( commentary ){ ret['commentary'] = commentary; }
+    return ret;
+}
+
+// A manager on a canned engine, and a list of the events it fires
+// (with the error that came with them).
+function setup(mode){
+    var engine = new canned_engine();
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, mode);
+    var events = [];
+    us.each(['rebuild', 'error', 'manager_error', 'unknown_signal'],
+	    function(name){
+		manager.register(name, function(resp, man, err){
+		    events.push({'name': name, 'response': resp, 'error': err});
+		});
+	    });
+    return {'engine': engine, 'manager': manager, 'events': events};
+}
+
+function names(events){ return us.pluck(events, 'name'); }
+
+///
+/// Start unit testing.
+///
+
+describe('errors from responses', function(){
+
+    var call = {
+	'model_id': 'gomodel:e',
+	'requests': [{'entity': 'model', 'operation': 'get',
+		      'arguments': {'model-id': 'gomodel:e'}}]
+    };
+
+    it('sort responses into kinds', function(){
+
+	function kind(input){
+	    var resp = input ? new barista_response(input) : null;
+	    var err = errors.from_response(resp, call);
+	    return err && err.name;
+	}
+	assert.isNull(kind(raw('success', 'rebuild')), 'fine');
+	assert.isNull(kind(raw('warning', 'rebuild')), 'warning is fine');
+	assert.equal(kind(null), 'TransportError', 'nothing');
+	assert.equal(kind('<html>Bad Gateway</html>'),
+		     'MalformedResponseError', 'not json');
+	assert.equal(kind({'message': 'no type'}),
+		     'MalformedResponseError', 'not barista');
+	assert.equal(kind(raw('info', 'rebuild')),
+		     'MalformedResponseError', 'odd type');
+	assert.equal(kind(raw('error', 'meta')), 'BaristaError', 'barista');
+	assert.equal(kind(raw('error', 'meta', 'java.lang.Exception')),
+		     'OperationError', 'minerva');
+	assert.equal(kind(raw('success', 'frobnicate')),
+		     'UnknownSignalError', 'signal');
+    });
+
+    it('carry what is known about the call', function(){
+
+	var resp = new barista_response(raw('error', 'meta', 'stack trace'));
+	resp.status = function(){ return 500; }; // as the engines now do
+	var err = errors.from_response(resp, call);
+	assert.instanceOf(err, errors.operation_error, 'class');
+	assert.instanceOf(err, errors.barista_error, 'parent');
+	assert.instanceOf(err, errors.minerva_error, 'base');
+	assert.equal(err.message, 'error message', 'message');
+	assert.equal(err.model_id, 'gomodel:e', 'model');
+	assert.deepEqual(err.operations, [{'entity': 'model',
+					   'operation': 'get'}], 'operations');
+	assert.equal(err.commentary, 'stack trace', 'commentary');
+	assert.equal(err.payload['signal'], 'meta', 'payload');
+	assert.equal(err.status, 500, 'status');
+	assert.strictEqual(err.response, resp, 'response');
+	assert.match(err.stack, /^OperationError: error message/, 'stack');
+    });
+});
+
+describe('errors through the manager', function(){
+
+    it('go to error and manager_error listeners', function(){
+
+	var s = setup('sync');
+	s.engine.next = raw('error', 'meta', 'no such model');
+	s.manager.get_model('gomodel:e');
+	s.engine.next = {'okay': false, 'message': 'connection refused'};
+	s.manager.get_model('gomodel:e');
+	s.engine.next = '{"not": "finished"';
+	s.manager.get_meta();
+
+	assert.deepEqual(names(s.events),
+			 ['error', 'manager_error', 'manager_error'], 'events');
+	assert.instanceOf(s.events[0]['error'], errors.operation_error, '1');
+	assert.instanceOf(s.events[1]['error'], errors.transport_error, '2');
+	assert.equal(s.events[1]['response'].message(), 'connection refused',
+		     'response kept');
+	assert.instanceOf(s.events[2]['error'],
+			  errors.malformed_response_error, '3');
+	assert.deepEqual(s.events[2]['error'].operations,
+			 [{'entity': 'meta', 'operation': 'get'}], 'ops');
+    });
+
+    it('report unknown signals without failing', function(done){
+
+	var s = setup('promise');
+	s.engine.next = raw('success', 'frobnicate');
+	s.manager.get_model('gomodel:e').then(function(resp){
+	    assert.equal(resp.signal(), 'frobnicate', 'resolved');
+	    assert.deepEqual(names(s.events), ['unknown_signal'], 'events');
+	    var err = s.events[0]['error'];
+	    assert.instanceOf(err, errors.unknown_signal_error, 'error');
+	    assert.equal(err.model_id, 'gomodel:e', 'model');
+	    done();
+	}).catch(done);
+    });
+
+    it('fail on unknown signals when strict', function(done){
+
+	var s = setup('promise');
+	assert.isFalse(s.manager.use_strict_signals(), 'off');
+	s.manager.use_strict_signals(true);
+	s.engine.next = raw('success', 'frobnicate');
+	s.manager.get_model('gomodel:e').then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.instanceOf(err, errors.unknown_signal_error, 'rejected');
+	    assert.deepEqual(names(s.events), ['unknown_signal', 'error'],
+			     'events');
+	    done();
+	}).catch(done);
+    });
+});
@@ -0,0 +1,169 @@
+////
+//// Evidence checking, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var evidence = require('../lib/evidence');
+var errors = require('../lib/errors');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+// A model with two individuals and a fact between them.
+function setup(mode){
+    var engine = new memory_engine(barista_response);
+    engine.load_model({
+	'id': 'gomodel:e',
+	'individuals': [
+	    {'id': 'gomodel:e/mf', 'type': [{'type': 'class',
+					     'id': 'GO:0003674'}]},
+	    {'id': 'gomodel:e/gp', 'type': [{'type': 'class',
+					     'id': 'UniProtKB:P1'}]}
+	],
+	'facts': [{'subject': 'gomodel:e/mf', 'object': 'gomodel:e/gp',
+		   'property': 'RO:0002333'}]
+    });
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, mode);
+    return {'engine': engine, 'manager': manager};
+}
+
+///
+/// Start unit testing.
+///
+
+describe('evidence syntax', function(){
+
+    it('knows references and with/from', function(){
+
+	us.each(['PMID:12345', 'DOI:10.1016/j.cell.2020.01.001',
+		 'GO_REF:0000024', 'Reactome:R-HSA-123456',
+		 'MGI:MGI:2156816', 'FB:FBrf0123456', 'ZFIN:ZDB-PUB-990507-16',
+		 'ISBN:0781702534'], function(r){
+		     assert.isTrue(evidence.reference_p(r), r);
+		 });
+	us.each(['PMID12345', 'PMID:12a', 'DOI:11.1/x', 'GO_REF:24',
+		 'Reactome:123', 'ISBN:', 'MGI MGI:1'], function(r){
+		     assert.isFalse(evidence.reference_p(r), r);
+		 });
+
+	assert.isTrue(evidence.with_p('UniProtKB:P12345'), 'curie');
+	assert.isTrue(evidence.with_p('UniProtKB:P1|MGI:MGI:97490'), 'list');
+	assert.isFalse(evidence.with_p('P12345'), 'bare id');
+	assert.isFalse(evidence.with_p('UniProtKB:P1||'), 'empty part');
+
+	assert.isTrue(evidence.eco_p('ECO:0000314'), 'eco');
+	assert.isFalse(evidence.eco_p('ECO:314'), 'short eco');
+    });
+
+    it('reports every problem', function(){
+
+	assert.lengthOf(new evidence.evidence('ECO:0000314', []).problems(), 0,
+			'sources are optional');
+
+	var ev = new evidence.evidence('ECO:0000314', ['GO_REF:1'], ['nope']);
+	assert.deepEqual(ev.problems(), [
+	    {'field': 'sources', 'value': 'GO_REF:1',
+	     'message': 'not a well formed reference: GO_REF:1'},
+	    {'field': 'with', 'value': 'nope',
+	     'message': 'not a CURIE (or list of them): nope'}
+	], 'problems');
+	assert.equal(ev.problems(['ECO:0000315'])[0]['message'],
+		     'not a known evidence code: ECO:0000314', 'unknown');
+    });
+});
+
+describe('evidence through the manager', function(){
+
+    it('learns evidence codes from meta', function(){
+
+	var env = setup('sync');
+	var m = env.manager;
+	assert.isNull(m.evidence_codes(), 'none yet');
+	assert.lengthOf(m.check_evidence('ECO:9999999', 'PMID:1'), 0,
+			'anything well formed');
+
+	m.get_meta();
+	assert.include(m.evidence_codes(), 'ECO:0000314', 'learned');
+	assert.equal(m.check_evidence('ECO:9999999', 'PMID:1')[0]['field'],
+		     'type', 'now unknown');
+
+	m.evidence_codes(null);
+	assert.isNull(m.evidence_codes(), 'cleared');
+    });
+
+    it('refuses bad evidence before sending (sync)', function(){
+
+	var env = setup('sync');
+	var m = env.manager;
+	var err = null;
+	try{
+	    m.add_individual_evidence('gomodel:e', 'gomodel:e/mf',
+				      'ECO:0000314', ['PMID:x']);
+	}catch(e){
+	    err = e;
+	}
+	assert.equal(err.name, 'EvidenceError', 'error');
+	assert.instanceOf(err, errors.evidence_error, 'class');
+	assert.instanceOf(err, errors.minerva_error, 'base');
+	assert.deepEqual(err.problems, [{
+	    'field': 'sources', 'value': 'PMID:x',
+	    'message': 'not a well formed reference: PMID:x'
+	}], 'structured');
+	assert.lengthOf(env.engine.calls(), 0, 'not sent');
+
+	// And the batch builder, as soon as the step is added.
+	assert.throws(function(){
+	    m.batch('gomodel:e').add_fact_evidence(
+		'gomodel:e/mf', 'gomodel:e/gp', 'RO:0002333', 'XCO:1', 'PMID:1');
+	}, /not an ECO id/);
+    });
+
+    it('attaches one evidence object to several things (async)',
+       function(done){
+
+	   var env = setup('async');
+	   var m = env.manager;
+	   var ev = m.evidence('ECO:0000314', 'PMID:1', 'UniProtKB:P2');
+	   var fact = ['gomodel:e/mf', 'gomodel:e/gp', 'RO:0002333'];
+
+	   m.add_evidence('gomodel:e', ['gomodel:e/mf', fact], ev)
+	       .then(function(resp){
+		   assert.equal(resp.message_type(), 'success', 'ok');
+		   assert.lengthOf(env.engine.calls(), 1, 'one request');
+		   return m.add_fact_evidence('gomodel:e', fact[0], fact[1],
+					      fact[2], ev);
+	       }).then(function(){
+		   var data = env.engine.model_data('gomodel:e');
+		   var evs = us.filter(data['individuals'], function(ind){
+		       return ind['type'][0]['id'] === 'ECO:0000314';
+		   });
+		   assert.lengthOf(evs, 3, 'one evidence individual each');
+		   us.each(evs, function(ind){
+		       var anns = us.pluck(ind['annotations'], 'value');
+		       assert.includeMembers(anns, ['PMID:1', 'UniProtKB:P2'],
+					     'same evidence');
+		   });
+		   return m.add_fact_evidence('gomodel:e', fact[0], fact[1],
+					      fact[2], 'ECO:0000314', ['PMID:oops']);
+	       }).then(function(){
+		   done(new Error('should have been refused'));
+	       }, function(err){
+		   assert.equal(err.problems[0]['field'], 'sources', 'sources');
+		   assert.lengthOf(env.engine.calls(), 2, 'not sent');
+		   done();
+	       }).catch(done);
+       });
+});
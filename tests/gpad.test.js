@@ -0,0 +1,162 @@
+////
+//// GPAD and GAF export, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var gpad = require('../lib/gpad');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id, label){
+    var c = {'type': 'class', 'id': id};
+    if( label ){ c['label'] = label; }
+    return [c];
+}
+function ann(key, value){ return {'key': key, 'value': value}; }
+
+// A kinase activity of P12345, part of a process, in the nucleus;
+// the location edge has IBA evidence that GAF has a code for, the
+// process edge evidence that it does not.
+function model(mid){
+    var p = mid + '/';
+    function ev(id, eco, source, w){
+	var anns = [ann('source', source), ann('date', '2020-03-04'),
+		    ann('contributor', 'http://orcid.org/0000-0001')];
+	if( w ){ anns.push(ann('with', w)); }
+	return {'id': p + id, 'type': cls(eco), 'annotations': anns};
+    }
+    function fact(s, o, rel, ev_id){
+	return {'subject': p + s, 'object': p + o, 'property': rel,
+		'annotations': [ann('evidence', p + ev_id)]};
+    }
+    return {
+	'id': mid,
+	'annotations': [ann('title', 'kinase'), ann('state', 'production'),
+			ann('in_taxon', 'NCBITaxon:9606')],
+	'individuals': [
+	    {'id': p + 'mf', 'type': cls('GO:0004674', 'kinase activity')},
+	    {'id': p + 'gp', 'type': cls('UniProtKB:P12345', 'ABC1')},
+	    {'id': p + 'bp', 'type': cls('GO:0006468')},
+	    {'id': p + 'cc', 'type': cls('GO:0005634')},
+	    ev('e1', 'ECO:0000314', 'PMID:1'),
+	    ev('e2', 'ECO:0000318', 'GO_REF:0000033', 'PANTHER:PTN1'),
+	    ev('e3', 'ECO:0000352', 'PMID:2')
+	],
+	'facts': [
+	    fact('mf', 'gp', 'RO:0002333', 'e1'),
+	    fact('mf', 'cc', 'BFO:0000066', 'e2'),
+	    fact('mf', 'bp', 'BFO:0000050', 'e3')
+	]
+    };
+}
+
+///
+/// Start unit testing.
+///
+
+describe('gpad export', function(){
+
+    it('converts activity edges to GPAD', function(){
+
+	var got = gpad.model_lines(model('gomodel:g'), 'gpad');
+	assert.lengthOf(got['skipped'], 0, 'nothing skipped');
+	var rows = us.map(got['lines'], function(l){ return l.split('\t'); });
+	assert.lengthOf(rows, 3, 'a line per edge');
+	us.each(rows, function(r){ assert.lengthOf(r, 12, 'columns'); });
+
+	var enables = us.find(rows, function(r){
+	    return r[2] === 'RO:0002327';
+	});
+	assert.deepEqual(enables, [
+	    'UniProtKB:P12345', '', 'RO:0002327', 'GO:0004674', 'PMID:1',
+	    'ECO:0000314', '', '', '2020-03-04', 'GO_Noctua',
+	    'BFO:0000050(GO:0006468),BFO:0000066(GO:0005634)',
+	    'contributor-id=http://orcid.org/0000-0001|' +
+		'model-state=production|noctua-model-id=gomodel:g'
+	], 'enables');
+	var active_in = us.find(rows, function(r){
+	    return r[2] === 'RO:0002432';
+	});
+	assert.equal(active_in[3], 'GO:0005634', 'location');
+	assert.equal(active_in[6], 'PANTHER:PTN1', 'with');
+	assert.equal(active_in[10], '', 'no extensions');
+	assert.ok(us.find(rows, function(r){
+	    return r[2] === 'RO:0002331' && r[3] === 'GO:0006468';
+	}), 'involved in');
+    });
+
+    it('converts to GAF, skipping evidence without a GO code', function(){
+
+	var got = gpad.model_lines(model('gomodel:g'), 'gaf');
+	assert.lengthOf(got['lines'], 2, 'two lines');
+	assert.deepEqual(got['skipped'], [{
+	    'id': 'UniProtKB:P12345 GO:0006468',
+	    'reason': 'no GO evidence code for ECO:0000352'
+	}], 'skipped');
+
+	var r = got['lines'][0].split('\t');
+	assert.lengthOf(r, 17, 'columns');
+	assert.deepEqual(us.first(r, 10), [
+	    'UniProtKB', 'P12345', 'ABC1', 'enables', 'GO:0004674',
+	    'PMID:1', 'IDA', '', 'F', 'ABC1'
+	], 'start');
+	assert.deepEqual(r.slice(11, 15), [
+	    'protein', 'taxon:9606', '20200304', 'GO_Noctua'
+	], 'end');
+
+	var more = gpad.model_lines(model('gomodel:g'), 'gaf', {
+	    'eco2code': {'ECO:0000352': 'IMP'}
+	});
+	assert.lengthOf(more['lines'], 3, 'with our own code');
+    });
+
+    it('streams many models through the manager', function(done){
+
+	var engine = new memory_engine(barista_response);
+	engine.load_model(model('gomodel:g1'));
+	engine.load_model(model('gomodel:g2'));
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+
+	var written = [];
+	var stream = {'write': function(str){ written.push(str); }};
+	manager.export_annotations(['gomodel:g1', 'gomodel:g2'], 'gpad',
+				   stream, {'date': '2021-01-01'})
+	    .then(function(summary){
+		assert.equal(summary['models'], 2, 'models');
+		assert.equal(summary['lines'], 6, 'lines');
+		assert.isUndefined(summary['text'], 'streamed, not kept');
+		assert.deepEqual(written.slice(0, 3), [
+		    '!gpad-version: 2.0\n',
+		    '!generated-by: bbop-manager-minerva\n',
+		    '!date-generated: 2021-01-01\n'
+		], 'header');
+		assert.lengthOf(written, 9, 'a write per line');
+		assert.match(written[3], /noctua-model-id=gomodel:g1\n$/, 'g1');
+		assert.match(written[8], /noctua-model-id=gomodel:g2\n$/, 'g2');
+
+		return manager.export_annotations('gomodel:g1', 'gaf');
+	    }).then(function(summary){
+		assert.match(summary['text'], /^!gaf-version: 2.2\n/, 'text');
+		return manager.export_annotations('gomodel:g1', 'owl');
+	    }).then(function(){
+		done(new Error('should have failed'));
+	    }, function(err){
+		assert.match(err.message, /unknown annotation format/, 'format');
+		done();
+	    }).catch(done);
+    });
+});
@@ -0,0 +1,183 @@
+////
+//// Importing GAF and GPAD annotations, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var gpad = require('../lib/gpad');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+var noctua_model = require('bbop-graph-noctua');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function gaf(db_id, symbol, qual, term, ref, code, w, aspect, ext){
+    var id = db_id.split(':');
+    return [id[0], id[1], symbol, qual, term, ref, code, w || '', aspect,
+	    '', '', 'protein', 'taxon:9606', '20200304', 'MGI',
+	    ext || '', ''].join('\t');
+}
+
+var gaf_text = [
+    '!gaf-version: 2.2',
+    gaf('UniProtKB:P1', 'ABC1', 'enables', 'GO:0004674', 'PMID:1', 'IDA'),
+    gaf('UniProtKB:P2', 'XYZ2', 'involved_in', 'GO:0006468', 'PMID:2',
+	'IMP'),
+    gaf('UniProtKB:P1', 'ABC1', 'is_active_in', 'GO:0005634',
+	'GO_REF:0000033', 'IBA', 'PANTHER:PTN1'),
+    gaf('UniProtKB:P1', 'ABC1', 'NOT|enables', 'GO:0005515', 'PMID:3',
+	'IPI'),
+    gaf('UniProtKB:P2', 'XYZ2', 'enables', 'GO:0005515', 'PMID:4', 'XXX'),
+    gaf('UniProtKB:P2', 'XYZ2', 'enables', 'GO:0005515', 'PMID:5', 'IPI',
+	'', 'F', 'occurs_in(GO:0005634)'),
+    gaf('UniProtKB:P2', 'XYZ2', 'located_in', 'GO:0005737', 'MGI:MGI:1',
+	'IDA', '', 'C')
+].join('\n') + '\n';
+
+///
+/// Start unit testing.
+///
+
+describe('annotation parsing', function(){
+
+    it('reads GAF and says what it skips', function(){
+
+	var got = gpad.parse(gaf_text);
+	assert.equal(got['format'], 'gaf', 'format');
+	assert.lengthOf(got['records'], 4, 'records');
+	assert.deepEqual(us.pick(got['records'][2], 'subject', 'relation',
+				 'aspect', 'term', 'references',
+				 'evidence_type', 'with'), {
+	    'subject': {'id': 'UniProtKB:P1', 'label': 'ABC1'},
+	    'relation': 'RO:0002432',
+	    'aspect': 'C',
+	    'term': {'id': 'GO:0005634'},
+	    'references': ['GO_REF:0000033'],
+	    'evidence_type': 'ECO:0000318',
+	    'with': ['PANTHER:PTN1']
+	}, 'record');
+	assert.deepEqual(us.map(got['skipped'], function(s){
+	    return s['line_number'] + ' ' + s['reason'];
+	}), [
+	    '5 negated annotations are not imported',
+	    '6 no ECO class for evidence code: XXX',
+	    '7 annotation extensions are not imported'
+	], 'skipped');
+    });
+
+    it('reads what it writes in GPAD', function(){
+
+	var line = gpad.gpad_line({
+	    'model_id': 'gomodel:x',
+	    'subject': {'id': 'UniProtKB:P1'},
+	    'relation': 'RO:0002331',
+	    'term': {'id': 'GO:0006468'},
+	    'references': ['PMID:1', 'PMID:2'],
+	    'evidence_type': 'ECO:0000315',
+	    'with': [],
+	    'date': '2020-03-04',
+	    'assigned_by': 'GO_Noctua',
+	    'contributors': [],
+	    'extensions': [],
+	    'model_state': null
+	});
+	var got = gpad.parse(line);
+	assert.equal(got['format'], 'gpad', 'guessed');
+	assert.deepEqual(us.pick(got['records'][0], 'aspect', 'references',
+				 'evidence_type'), {
+	    'aspect': 'P', 'references': ['PMID:1', 'PMID:2'],
+	    'evidence_type': 'ECO:0000315'
+	}, 'round trip');
+
+	assert.throws(function(){
+	    gpad.parse('!gpad-version: 1.2\n');
+	}, /unsupported GPAD version/);
+    });
+});
+
+describe('import_annotations', function(){
+
+    it('makes activities in chunks, one individual per gene product',
+       function(done){
+
+	var engine = new memory_engine(barista_response);
+	var mid = engine.load_model({'id': 'gomodel:i'});
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+	var progress = [];
+	manager.register('progress', function(p){ progress.push(p); });
+
+	manager.import_annotations(mid, gaf_text, {'chunk_size': 3})
+	    .then(function(summary){
+
+		assert.equal(summary['format'], 'gaf', 'format');
+		assert.equal(summary['imported'], 4, 'imported');
+		assert.deepEqual(summary['gene_products'], {
+		    'UniProtKB:P1': 2, 'UniProtKB:P2': 2
+		}, 'by gene product');
+		assert.equal(summary['request_sets'], 2, 'chunked');
+		assert.lengthOf(engine.calls(), 2, 'two requests');
+		assert.deepEqual(us.pluck(progress, 'step_number'), [1, 2],
+				 'progress');
+		assert.deepEqual(us.pluck(summary['skipped'], 'line_number'),
+				 [5, 6, 7], 'skipped, in order');
+
+		var graph = new noctua_model.graph();
+		graph.load_data_basic(engine.model_data(mid));
+		function rel_to(term){
+		    var ret = null;
+		    us.each(graph.all_nodes(), function(n){
+			if( n.types()[0].class_id() !== term ){ return; }
+			var edges = graph.get_edges_by_object(n.id());
+			ret = edges.length ? edges[0].predicate_id() : null;
+		    });
+		    return ret;
+		}
+		assert.equal(rel_to('UniProtKB:P1'), 'RO:0002333', 'enabled by');
+		assert.equal(rel_to('GO:0006468'), 'BFO:0000050', 'part of');
+		assert.equal(rel_to('GO:0005634'), 'BFO:0000066', 'occurs in');
+		var roots = us.filter(graph.all_nodes(), function(n){
+		    return n.types()[0].class_id() === 'GO:0003674';
+		});
+		assert.lengthOf(roots, 3, 'root functions for P and C');
+
+		// P2 spans both request sets, and still has one individual.
+		us.each(['UniProtKB:P1', 'UniProtKB:P2'], function(gp){
+		    var inds = us.filter(graph.all_nodes(), function(n){
+			return n.types()[0].class_id() === gp;
+		    });
+		    assert.lengthOf(inds, 1, 'one individual for ' + gp);
+		    assert.equal(summary['individuals'][gp], inds[0].id(),
+				 'summary has it');
+		    assert.lengthOf(graph.get_edges_by_object(inds[0].id()), 2,
+				    'enables both of its annotations');
+		});
+		done();
+	    }).catch(done);
+    });
+
+    it('carries the summary on failure', function(done){
+
+	var engine = new memory_engine(barista_response);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+	manager.import_annotations('gomodel:none', gaf_text)
+	    .then(function(){
+		done(new Error('should have failed'));
+	    }, function(err){
+		assert.equal(err.summary['imported'], 0, 'nothing in');
+		assert.lengthOf(err.summary['skipped'], 3, 'skipped known');
+		done();
+	    }).catch(done);
+    });
+});
@@ -0,0 +1,169 @@
+////
+//// Model linting, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var lint = require('../lib/lint');
+var errors = require('../lib/errors');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+function ann(key, value){ return {'key': key, 'value': value}; }
+
+// A tidy activity unit, with a title and state.
+function good_model(){
+    return {
+	'id': 'gomodel:l',
+	'annotations': [ann('title', 'tidy'), ann('state', 'development')],
+	'individuals': [
+	    {'id': 'gomodel:l/mf', 'type': cls('GO:0004674')},
+	    {'id': 'gomodel:l/gp', 'type': cls('UniProtKB:P1')},
+	    {'id': 'gomodel:l/ev', 'type': cls('ECO:0000314'),
+	     'annotations': [ann('source', 'PMID:1')]}
+	],
+	'facts': [
+	    {'subject': 'gomodel:l/mf', 'object': 'gomodel:l/gp',
+	     'property': 'RO:0002333',
+	     'annotations': [ann('evidence', 'gomodel:l/ev')]}
+	]
+    };
+}
+
+// Everything wrong at once.
+function bad_model(){
+    var data = good_model();
+    data['annotations'] = [];
+    data['individuals'].push(
+	{'id': 'gomodel:l/mf2', 'type': cls('GO:0003674')},
+	{'id': 'gomodel:l/lost', 'type': cls('GO:0005634')});
+    data['facts'].push({'subject': 'gomodel:l/gp', 'object': 'gomodel:l/mf2',
+			'property': 'BFO:0000066'});
+    return data;
+}
+
+///
+/// Start unit testing.
+///
+
+describe('lint rules', function(){
+
+    it('pass a tidy model', function(){
+
+	var report = lint.lint_model(good_model(), {
+	    'term2aspect': {'GO:0004674': 'F'}
+	});
+	assert.isTrue(report['ok_p'], 'ok');
+	assert.lengthOf(report['errors'], 0, 'no errors');
+	assert.lengthOf(report['warnings'], 0, 'no warnings');
+    });
+
+    it('find everything wrong, tied to entities', function(){
+
+	var report = lint.lint_model(bad_model());
+	assert.isFalse(report['ok_p'], 'not ok');
+	assert.equal(report['model_id'], 'gomodel:l', 'model');
+
+	var found = us.map(report['errors'], function(f){
+	    return f['rule'] + ' ' + f['id'];
+	});
+	assert.sameMembers(found, [
+	    'fact-evidence gomodel:l/gp gomodel:l/mf2 BFO:0000066',
+	    'enabled-by gomodel:l/mf2',
+	    'title gomodel:l',
+	    'state gomodel:l',
+	    'relations gomodel:l/gp gomodel:l/mf2 BFO:0000066'
+	], 'errors');
+	assert.deepEqual(report['warnings'], [{
+	    'rule': 'dangling', 'level': 'warning', 'entity': 'individual',
+	    'id': 'gomodel:l/lost',
+	    'message': 'individual is not part of any fact'
+	}], 'warnings');
+    });
+
+    it('take rules of our own', function(){
+
+	var no_taxon = {
+	    'name': 'taxon',
+	    'level': 'warning',
+	    'description': 'the model has a taxon',
+	    'check': function(ctx){
+		var anns = us.where(ctx.model['annotations'],
+				    {'key': 'in_taxon'});
+		return anns.length ? [] : [{'entity': 'model',
+					    'id': ctx.model['id'],
+					    'message': 'no taxon'}];
+	    }
+	};
+	var report = lint.lint_model(good_model(), {'rules': [no_taxon]});
+	assert.isTrue(report['ok_p'], 'warnings only');
+	assert.equal(report['warnings'][0]['rule'], 'taxon', 'ours');
+    });
+});
+
+describe('lint through the manager', function(){
+
+    it('lints by id and refuses to store in strict mode', function(done){
+
+	var engine = new memory_engine(barista_response);
+	engine.load_model(bad_model());
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+
+	manager.lint_model('gomodel:l').then(function(report){
+	    assert.lengthOf(report['errors'], 5, 'errors');
+	    return manager.store_model('gomodel:l', {'lint': 'strict'});
+	}).then(function(){
+	    done(new Error('should have been refused'));
+	}, function(err){
+	    assert.equal(err.name, 'LintError', 'lint error');
+	    assert.instanceOf(err, errors.lint_error, 'class');
+	    assert.instanceOf(err, errors.minerva_error, 'base');
+	    assert.equal(err.model_id, 'gomodel:l', 'model');
+	    assert.lengthOf(err.report['errors'], 5, 'report');
+	    var ops = us.map(engine.calls(), function(c){
+		return JSON.parse(c['payload']['requests'])[0]['operation'];
+	    });
+	    assert.notInclude(ops, 'store', 'not stored');
+
+	    // Warn stores anyway.
+	    return manager.store_model('gomodel:l', {'lint': 'warn'});
+	}).then(function(res){
+	    assert.isFalse(res['report']['ok_p'], 'report');
+	    assert.equal(res['response'].message_type(), 'success', 'stored');
+	    done();
+	}).catch(done);
+    });
+
+    it('uses its own rule list', function(done){
+
+	var engine = new memory_engine(barista_response);
+	engine.load_model(good_model());
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'sync');
+	assert.lengthOf(manager.lint_rules(), 6, 'defaults');
+	manager.lint_rules([]);
+
+	manager.store_model('gomodel:l', {'lint': 'strict'}).then(function(res){
+	    assert.isTrue(res['report']['ok_p'], 'nothing to complain about');
+	    manager.lint_rules(null);
+	    return manager.lint_model(bad_model());
+	}).then(function(report){
+	    assert.lengthOf(report['errors'], 5, 'defaults again');
+	    done();
+	}).catch(done);
+    });
+});
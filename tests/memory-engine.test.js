@@ -0,0 +1,197 @@
+////
+//// Running the manager against the in-memory Barista/Minerva
+//// stand-in; no server needed.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+var noctua_model = require('bbop-graph-noctua');
+
+///
+/// Start unit testing.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+var token = 'abc123';
+var user = 'http://orcid.org/0000-0000-0000-0000';
+
+describe('manager over the memory engine (sync)', function(){
+
+    var engine = null;
+    var manager = null;
+    var signals = null;
+    before(function(){
+	engine = new memory_engine(barista_response, {
+	    'users': {'abc123': user},
+	    'date': '2020-01-01'
+	});
+	manager = new minerva_manager(barista_location, barista_profile,
+				      token, engine, 'sync');
+	signals = [];
+	us.each(['merge', 'rebuild', 'meta', 'error'], function(sig){
+	    manager.register(sig, function(resp){ signals.push(sig); });
+	});
+    });
+
+    it('meta and model creation', function(){
+
+	var r = manager.add_model();
+	assert.equal(r.signal(), 'rebuild', 'new model rebuild');
+	var mid = r.model_id();
+	assert.isString(mid, 'has model id');
+
+	var m = manager.get_meta();
+	assert.equal(m.signal(), 'meta', 'meta');
+	assert.isAbove(m.relations().length, 0, 'has rels');
+	assert.isAbove(m.evidence().length, 0, 'has ev');
+	assert.include(m.model_ids(), mid, 'knows new model');
+
+	assert.deepEqual(signals, ['rebuild', 'meta'], 'callbacks ran');
+    });
+
+    it('individuals, facts, evidence, and annotations', function(){
+
+	var mid = manager.add_model().model_id();
+
+	var reqs = manager.batch(mid)
+		.add_individual('GO:0003674', 'mf')
+		.add_individual('UniProtKB:P12345', 'gp')
+		.add_fact('mf', 'gp', 'RO:0002333');
+	var r = reqs.commit();
+	assert.equal(r.signal(), 'merge', 'adds merge');
+	assert.equal(r.individuals().length, 2, 'touched individuals');
+	assert.equal(r.facts().length, 1, 'touched fact');
+
+	var mf = r.individuals()[0]['id'];
+	var gp = r.individuals()[1]['id'];
+
+	// Stamped like Minerva would.
+	var contrib = us.find(r.individuals()[0]['annotations'], function(a){
+	    return a['key'] === 'contributor';
+	});
+	assert.equal(contrib['value'], user, 'contributor stamped');
+
+	r = manager.add_fact_evidence(mid, mf, gp, 'RO:0002333',
+				      'ECO:0000314', ['PMID:1'], null);
+	assert.equal(r.message_type(), 'success', 'evidence');
+
+	r = manager.add_individual_annotation(mid, mf, 'comment', 'hello');
+	r = manager.get_model(mid);
+	assert.equal(r.signal(), 'rebuild', 'get is rebuild');
+	assert.equal(r.individuals().length, 3, 'mf, gp, and evidence');
+
+	var graph = new noctua_model.graph();
+	graph.load_data_basic(r.data());
+	var edge = graph.get_edges(mf, gp)[0];
+	assert.equal(edge.get_annotations_by_key('evidence').length, 1,
+		     'edge has evidence');
+	var node = graph.get_node(mf);
+	assert.equal(node.get_annotations_by_key('comment')[0].value(),
+		     'hello', 'individual annotation');
+
+	r = manager.remove_fact(mid, mf, gp, 'RO:0002333');
+	assert.equal(r.signal(), 'rebuild', 'removal is rebuild');
+	assert.equal(r.facts().length, 0, 'fact gone');
+
+	r = manager.remove_individual(mid, gp);
+	assert.equal(r.individuals().length, 2, 'individual gone');
+
+	r = manager.add_model_annotation(mid, 'title', 'my model');
+	r = manager.remove_model_annotation(mid, 'title', 'my model');
+	assert.isUndefined(us.find(r.annotations(), function(a){
+	    return a['key'] === 'title';
+	}), 'model annotation gone');
+    });
+
+    it('undo, redo, and store', function(){
+
+	var mid = manager.add_model().model_id();
+	manager.batch(mid).add_individual('GO:0003674').commit();
+
+	var ur = manager.get_model_undo_redo(mid);
+	assert.isTrue(ur.has_undo_p(), 'can undo');
+	assert.isFalse(ur.has_redo_p(), 'cannot redo');
+
+	var r = manager.perform_undo(mid);
+	assert.equal(r.signal(), 'rebuild', 'undo rebuild');
+	assert.equal(r.individuals().length, 0, 'individual undone');
+
+	r = manager.perform_redo(mid);
+	assert.equal(r.individuals().length, 1, 'individual redone');
+	assert.isTrue(r.modified_p(), 'modified');
+
+	r = manager.store_model(mid);
+	assert.equal(r.signal(), 'rebuild', 'store rebuild');
+	assert.isFalse(r.modified_p(), 'stored');
+    });
+
+    it('export and import round trip', function(){
+
+	var mid = manager.add_model().model_id();
+	manager.add_model_annotation(mid, 'title', 'exportable');
+	var txt = manager.export_model(mid).export_model();
+	assert.isAbove(txt.length, 0, 'exported');
+
+	var r = manager.import_model(txt);
+	assert.equal(r.signal(), 'rebuild', 'imported');
+	assert.notEqual(r.model_id(), mid, 'new model');
+	var title = us.find(r.annotations(), function(a){
+	    return a['key'] === 'title';
+	});
+	assert.equal(title['value'], 'exportable', 'content');
+    });
+
+    it('seeding goes to the seed endpoint', function(){
+
+	var r = manager.seed_from_process('GO:0022008', 'NCBITaxon:9606');
+	assert.equal(r.signal(), 'rebuild', 'seeded');
+	assert.equal(r.individuals()[0]['type'][0]['id'], 'GO:0022008',
+		     'process');
+	assert.match(us.last(engine.calls())['resource'],
+		     /seed\/fromProcessPrivileged$/, 'seed endpoint');
+    });
+
+    it('errors are atomic and reported', function(){
+
+	var mid = manager.add_model().model_id();
+	signals = [];
+	var r = manager.batch(mid)
+		.add_individual('GO:0003674')
+		.remove_individual('gomodel:nope/1')
+		.commit();
+	assert.equal(r.message_type(), 'error', 'error response');
+	assert.deepEqual(signals, ['error'], 'error callback');
+	assert.equal(manager.get_model(mid).individuals().length, 0,
+		     'nothing applied');
+    });
+});
+
+describe('manager over the memory engine (async)', function(){
+
+    it('returns promises and runs callbacks', function(done){
+
+	var engine = new memory_engine(barista_response);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  null, engine, 'async');
+	var seen = [];
+	manager.register('rebuild', function(resp){ seen.push(resp); });
+
+	manager.add_model().then(function(r){
+	    assert.equal(seen.length, 1, 'callback before resolution');
+	    return manager.get_model(r.model_id());
+	}).then(function(r){
+	    assert.equal(r.signal(), 'rebuild', 'got model');
+	    assert.match(engine.calls()[0]['resource'], /m3Batch$/,
+			 'unprivileged without token');
+	    done();
+	}).catch(done);
+    });
+});
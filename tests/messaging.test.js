@@ -0,0 +1,256 @@
+////
+//// Subscriptions to Barista messaging, over a stand-in transport.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+var messaging_location = 'ws://localhost:3400/socket';
+
+// A stand-in for the messaging server: hands out WebSocket-like
+// connections and lets the test talk through them.
+function hub(){
+    var h = {
+	'urls': [],
+	'connections': [],
+	'received': [],
+	'refuse': 0 // how many connection attempts to turn down
+    };
+    h.transport = function(url){
+	h.urls.push(url);
+	var conn = {
+	    'send': function(str){ h.received.push(JSON.parse(str)); },
+	    'close': function(){
+		conn.closed_p = true;
+		setTimeout(function(){ conn.onclose({}); }, 0);
+	    }
+	};
+	h.connections.push(conn);
+	setTimeout(function(){
+	    if( h.refuse > 0 ){
+		h.refuse--;
+		conn.onclose({});
+	    }else{
+		conn.onopen({});
+	    }
+	}, 0);
+	return conn;
+    };
+    h.current = function(){
+	return us.last(h.connections);
+    };
+    h.push = function(msg){
+	h.current().onmessage({'data': JSON.stringify(msg)});
+    };
+    h.drop = function(){
+	h.current().onclose({});
+    };
+    return h;
+}
+
+function relay(model_id, client_id, signal, individuals){
+    return {
+	'type': 'relay',
+	'model_id': model_id,
+	'client_id': client_id,
+	'response': {
+	    'message-type': 'success',
+	    'message': 'success',
+	    'signal': signal,
+	    'intention': 'action',
+	    'data': {'id': model_id, 'individuals': individuals, 'facts': []}
+	}
+    };
+}
+
+// Wait for the stand-in's timers.
+function later(fun){
+    setTimeout(fun, 20);
+}
+
+///
+/// Start unit testing.
+///
+
+describe('subscriptions', function(){
+
+    it('need a channel set up by hand', function(){
+
+	var engine = new memory_engine(barista_response);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+	assert.throws(function(){
+	    manager.subscribe('gomodel:s');
+	}, /use_messaging/);
+	assert.throws(function(){
+	    manager.use_messaging();
+	}, /url and a transport/);
+	assert.throws(function(){
+	    manager.use_messaging({'url': messaging_location});
+	}, /url and a transport/);
+	manager.unsubscribe('gomodel:s');
+    });
+
+    it('relays remote edits and presence', function(done){
+
+	var h = hub();
+	var engine = new memory_engine(barista_response);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+	manager.use_model_cache(true);
+	var channel = manager.use_messaging({'url': messaging_location,
+					     'transport': h.transport});
+
+	var seen = [];
+	us.each(['remote_merge', 'remote_rebuild', 'presence',
+		 'model_updated'], function(name){
+	    manager.register(name, function(thing){
+		seen.push({'name': name, 'thing': thing});
+	    });
+	});
+
+	manager.subscribe('gomodel:s');
+	later(function(){
+	    try{
+		assert.equal(h.urls[0], messaging_location, 'url');
+		assert.deepEqual(h.received[0], {
+		    'type': 'subscribe', 'model_id': 'gomodel:s',
+		    'token': 'token', 'client_id': channel.client_id()
+		}, 'subscribed');
+
+		h.push(relay('gomodel:s', 'someone', 'rebuild', [
+		    {'id': 'gomodel:s/1', 'type': [], 'annotations': []}
+		]));
+		h.push(relay('gomodel:s', 'someone', 'merge', [
+		    {'id': 'gomodel:s/2', 'type': [], 'annotations': []}
+		]));
+		// Not for us, or our own.
+		h.push(relay('gomodel:other', 'someone', 'merge', []));
+		h.push(relay('gomodel:s', channel.client_id(), 'merge', []));
+		h.push({'type': 'presence', 'model_id': 'gomodel:s',
+			'users': ['http://orcid.org/1']});
+
+		assert.deepEqual(us.pluck(seen, 'name'), [
+		    'remote_rebuild', 'model_updated',
+		    'remote_merge', 'model_updated', 'presence'
+		], 'events');
+		assert.equal(seen[0]['thing'].model_id(), 'gomodel:s',
+			     'response');
+		assert.deepEqual(seen[3]['thing']['individuals']['added'],
+				 ['gomodel:s/2'], 'merged into cache');
+		assert.equal(manager.cached_model('gomodel:s')
+			     .all_nodes().length, 2, 'cache');
+		assert.deepEqual(seen[4]['thing']['users'],
+				 ['http://orcid.org/1'], 'presence');
+
+		manager.unsubscribe('gomodel:s');
+		assert.equal(us.last(h.received)['type'], 'unsubscribe',
+			     'unsubscribed');
+	    }catch(e){
+		return done(e);
+	    }
+
+	    // Our batches say who we are, for telling our own relays.
+	    manager.get_meta().then(function(){
+		assert.equal(engine.calls()[0]['payload']['client_id'],
+			     channel.client_id(), 'client id sent');
+		channel.close();
+		done();
+	    }).catch(done);
+	});
+    });
+
+    it('puts messages on the wire as the transport says', function(done){
+
+	var h = hub();
+	var engine = new memory_engine(barista_response);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+	var channel = manager.use_messaging({
+	    'url': messaging_location,
+	    'client_id': 'me',
+	    'transport': {
+		'connect': h.transport,
+		'encode': function(msg){
+		    return JSON.stringify(['m', msg['type'], msg['model_id']]);
+		},
+		'decode': function(data){
+		    var got = JSON.parse(data);
+		    return got['event'] === 'relay' ? us.extend({
+			'type': 'relay'
+		    }, got['data']) : null;
+		}
+	    }
+	});
+	var seen = [];
+	manager.register('remote_merge', function(resp){ seen.push(resp); });
+
+	manager.subscribe('gomodel:s');
+	later(function(){
+	    try{
+		assert.equal(channel.client_id(), 'me', 'given id');
+		assert.deepEqual(h.received[0], ['m', 'subscribe', 'gomodel:s'],
+				 'encoded');
+		var msg = relay('gomodel:s', 'someone', 'merge', []);
+		h.push({'event': 'relay', 'data': us.omit(msg, 'type')});
+		h.push(msg);
+		assert.lengthOf(seen, 1, 'decoded, and nothing else');
+		channel.close();
+		done();
+	    }catch(e){
+		done(e);
+	    }
+	});
+    });
+
+    it('reconnects and resubscribes', function(done){
+
+	var h = hub();
+	var engine = new memory_engine(barista_response);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'async');
+	var channel = manager.use_messaging({'url': messaging_location,
+					     'transport': h.transport,
+					     'reconnect_delay': 1});
+	manager.subscribe('gomodel:a');
+	manager.subscribe('gomodel:b');
+
+	later(function(){
+	    assert.isTrue(channel.connected_p(), 'connected');
+	    h.received = [];
+
+	    // Drop the line, and refuse the first attempt to get it
+	    // back.
+	    h.refuse = 1;
+	    h.drop();
+	    assert.isFalse(channel.connected_p(), 'dropped');
+
+	    setTimeout(function(){
+		try{
+		    assert.isTrue(channel.connected_p(), 'back');
+		    assert.equal(h.connections.length, 3, 'retried');
+		    assert.sameMembers(us.pluck(h.received, 'model_id'),
+				       ['gomodel:a', 'gomodel:b'],
+				       'resubscribed');
+		    channel.close();
+		    done();
+		}catch(e){
+		    done(e);
+		}
+	    }, 60);
+	});
+    });
+});
@@ -0,0 +1,203 @@
+////
+//// Middleware around calls, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var errors = require('../lib/errors');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+// A manager on an engine with a single model, and a list of the
+// callbacks it runs.
+function setup(mode){
+    var engine = new memory_engine(barista_response);
+    engine.load_model({
+	'id': 'gomodel:w',
+	'individuals': [{'id': 'gomodel:w/mf', 'type': cls('GO:0003674')}],
+	'facts': []
+    });
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, mode);
+    var events = [];
+    us.each(['prerun', 'rebuild', 'merge', 'meta'], function(name){
+	manager.register(name, function(){ events.push(name); });
+    });
+    return {'engine': engine, 'manager': manager, 'events': events};
+}
+
+// Middleware that notes each stage it sees.
+function logger(log, name){
+    return function(ctx){ log.push(name + ' ' + ctx['stage']); };
+}
+
+///
+/// Start unit testing.
+///
+
+describe('middleware', function(){
+
+    it('runs the hooks in order and may change the request', function(){
+
+	var s = setup('sync');
+	var log = [];
+	var sent = null;
+	s.manager.use(logger(log, 'a')).use({
+	    'request_set': function(ctx){
+		log.push('b request_set');
+		if( ctx['request_set'].structure()['intention'] === 'action' ){
+		    ctx['request_set'].add_annotation_to_model(
+			'comment', 'provenance', null, ctx['model_id']);
+		}
+	    },
+	    'args': function(ctx){
+		log.push('b args');
+		sent = ctx['args']['requests'];
+	    }
+	});
+	assert.lengthOf(s.manager.middleware(), 2, 'two');
+
+	s.manager.add_model_annotation('gomodel:w', 'title', 'hello');
+	assert.deepEqual(log, [
+	    'a request_set', 'b request_set', 'a args', 'b args', 'a response'
+	], 'order');
+	assert.match(sent, /provenance/, 'serialized with the change');
+	var anns = s.engine.model_data('gomodel:w')['annotations'];
+	assert.includeDeepMembers(anns, [
+	    {'key': 'title', 'value': 'hello'},
+	    {'key': 'comment', 'value': 'provenance'}
+	], 'both went through');
+
+	s.manager.middleware(null);
+	s.manager.get_model('gomodel:w');
+	assert.lengthOf(log, 5, 'cleared');
+    });
+
+    it('waits on hooks that return promises', function(done){
+
+	var s = setup('async');
+	var log = [];
+	s.manager.use(function(ctx){
+	    return new Promise(function(resolve){
+		setTimeout(function(){
+		    log.push('slow ' + ctx['stage']);
+		    resolve();
+		}, 5);
+	    });
+	});
+	s.manager.use(logger(log, 'fast'));
+
+	s.manager.get_model('gomodel:w').then(function(resp){
+	    assert.equal(resp.signal(), 'rebuild', 'response');
+	    assert.deepEqual(log, [
+		'slow request_set', 'fast request_set', 'slow args',
+		'fast args', 'slow response', 'fast response'
+	    ], 'in order');
+	    assert.deepEqual(s.events, ['prerun', 'rebuild'], 'callbacks');
+	    done();
+	}).catch(done);
+    });
+
+    it('may answer in place of the engine', function(done){
+
+	var s = setup('promise');
+	var cached = null;
+	var log = [];
+	s.manager.get_model('gomodel:w').then(function(resp){
+	    cached = resp;
+	    s.manager.use({
+		'request_set': function(ctx){
+		    if( ctx['model_id'] === 'gomodel:w' ){
+			ctx.respond(cached);
+		    }
+		}
+	    }).use(logger(log, 'later'));
+	    return s.manager.get_model('gomodel:w');
+	}).then(function(resp){
+	    assert.strictEqual(resp, cached, 'cached response');
+	    assert.lengthOf(s.engine.calls(), 1, 'sent once');
+	    assert.deepEqual(log, ['later response'], 'skipped to response');
+	    assert.deepEqual(s.events, ['prerun', 'rebuild', 'prerun',
+					'rebuild'], 'callbacks ran');
+	    done();
+	}).catch(done);
+    });
+
+    it('may veto a request', function(done){
+
+	var s = setup('promise');
+	s.manager.use({
+	    'args': function(ctx){
+		if( ctx['args']['intention'] === 'action' ){
+		    ctx.veto('read only');
+		}
+	    }
+	});
+
+	s.manager.add_model_annotation('gomodel:w', 'title', 'nope').then(function(){
+	    done(new Error('should have been vetoed'));
+	}, function(err){
+	    assert.instanceOf(err, errors.vetoed_error, 'vetoed');
+	    assert.equal(err.message, 'request vetoed: read only', 'reason');
+	    assert.equal(err.model_id, 'gomodel:w', 'model');
+	    assert.lengthOf(s.engine.calls(), 0, 'nothing sent');
+	    assert.deepEqual(s.events, [], 'no callbacks');
+	    done();
+	}).catch(done);
+    });
+
+    it('may veto a response before the callbacks', function(){
+
+	var s = setup('sync');
+	s.manager.use({
+	    'response': function(ctx){
+		if( ctx['response'].signal() === 'rebuild' ){
+		    ctx.veto('not today');
+		}
+	    }
+	});
+	assert.throws(function(){
+	    s.manager.get_model('gomodel:w');
+	}, errors.vetoed_error);
+	assert.deepEqual(s.events, ['prerun'], 'no rebuild');
+	assert.lengthOf(s.engine.calls(), 1, 'sent');
+    });
+
+    it('may veto a response to a call with a timeout', function(done){
+
+	var s = setup('promise');
+	s.manager.use({
+	    'response': function(ctx){ ctx.veto('not today'); }
+	});
+	s.manager.get_model('gomodel:w', {'timeout': 500}).then(function(){
+	    done(new Error('should have been vetoed'));
+	}, function(err){
+	    assert.instanceOf(err, errors.vetoed_error, 'vetoed');
+	    assert.deepEqual(s.events, ['prerun'], 'no rebuild');
+	    done();
+	}).catch(done);
+    });
+
+    it('cannot wait in sync mode', function(){
+
+	var s = setup('sync');
+	s.manager.use(function(){ return Promise.resolve(); });
+	assert.throws(function(){
+	    s.manager.get_model('gomodel:w');
+	}, /cannot wait/);
+    });
+});
@@ -0,0 +1,119 @@
+////
+//// The opt-in model cache, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Start unit testing.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+describe('model cache', function(){
+
+    it('is off by default', function(){
+
+	var engine = new memory_engine(barista_response);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'sync');
+	var mid = manager.add_model().model_id();
+	assert.isFalse(manager.use_model_cache(), 'off');
+	assert.isNull(manager.cached_model(mid), 'nothing cached');
+    });
+
+    it('follows rebuilds and merges', function(){
+
+	var engine = new memory_engine(barista_response);
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'sync');
+	assert.isTrue(manager.use_model_cache(true), 'on');
+
+	var updates = [];
+	var cached_in_callback = null;
+	manager.register('model_updated', function(u){ updates.push(u); });
+	manager.register('merge', function(resp){
+	    cached_in_callback = manager.cached_model(resp.model_id());
+	});
+
+	// Rebuild starts the graph.
+	var mid = manager.add_model().model_id();
+	var graph = manager.cached_model(mid);
+	assert.equal(graph.id(), mid, 'cached on rebuild');
+	assert.equal(updates.length, 1, 'one update');
+
+	// Merge is folded in.
+	var r = manager.batch(mid)
+		.add_individual('GO:0003674', 'mf')
+		.add_individual('UniProtKB:P12345', 'gp')
+		.add_fact('mf', 'gp', 'RO:0002333')
+		.commit();
+	var mf = r.individuals()[0]['id'];
+	var gp = r.individuals()[1]['id'];
+	assert.equal(cached_in_callback, graph, 'up to date for callbacks');
+	assert.equal(manager.cached_model(mid), graph, 'same graph');
+	assert.equal(graph.all_nodes().length, 2, 'nodes merged');
+	var u = us.last(updates);
+	assert.equal(u['signal'], 'merge', 'merge update');
+	assert.sameMembers(u['individuals']['added'], [mf, gp], 'new nodes');
+	assert.deepEqual(u['facts']['added'],
+			 [mf + ' ' + gp + ' RO:0002333'], 'new fact');
+
+	// Changes to existing things are reported as such.
+	manager.add_individual_annotation(mid, mf, 'comment', 'hi');
+	u = us.last(updates);
+	assert.deepEqual(u['individuals']['added'], [], 'nothing new');
+	assert.deepEqual(u['individuals']['changed'], [mf], 'changed');
+	assert.equal(graph.get_node(mf).get_annotations_by_key('comment')
+		     .length, 1, 'annotation merged');
+
+	// Rebuilds replace, and removals show up.
+	manager.remove_individual(mid, gp);
+	u = us.last(updates);
+	assert.notEqual(manager.cached_model(mid), graph, 'replaced');
+	assert.deepEqual(u['individuals']['removed'], [gp], 'node removed');
+	assert.equal(u['facts']['removed'].length, 1, 'fact removed');
+
+	manager.add_model_annotation(mid, 'title', 'cached');
+	assert.isTrue(us.last(updates)['model_changed_p'], 'model changed');
+
+	// Off throws it all away.
+	manager.use_model_cache(false);
+	assert.isNull(manager.cached_model(mid), 'gone');
+    });
+
+    it('waits for a rebuild of a model it has not seen', function(){
+
+	var engine = new memory_engine(barista_response);
+	var mid = engine.load_model({
+	    'id': 'gomodel:seen',
+	    'individuals': [{'id': 'gomodel:seen/mf',
+			     'type': [{'type': 'class', 'id': 'GO:0003674'}]}],
+	    'facts': []
+	});
+	var manager = new minerva_manager(barista_location, barista_profile,
+					  'token', engine, 'sync');
+	manager.use_model_cache(true);
+	var updates = [];
+	manager.register('model_updated', function(u){ updates.push(u); });
+
+	var resp = manager.add_individual_annotation(mid, 'gomodel:seen/mf',
+						     'comment', 'hi');
+	assert.equal(resp.signal(), 'merge', 'a merge');
+	assert.isNull(manager.cached_model(mid), 'not cached from part');
+	assert.lengthOf(updates, 0, 'no update');
+
+	manager.get_model(mid);
+	assert.lengthOf(manager.cached_model(mid).all_nodes(), 1, 'whole');
+	assert.lengthOf(updates, 1, 'cached on rebuild');
+    });
+});
@@ -0,0 +1,177 @@
+////
+//// Optimistic edits against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+// An activity and a gene product, optionally without the gene
+// product, or with a fact between them.
+function model(gp_p, fact_p){
+    var data = {
+	'id': 'gomodel:o',
+	'individuals': [
+	    {'id': 'gomodel:o/mf', 'type': cls('GO:0003674'),
+	     'annotations': []}
+	],
+	'facts': []
+    };
+    if( gp_p ){
+	data['individuals'].push({'id': 'gomodel:o/gp',
+				  'type': cls('UniProtKB:P1'),
+				  'annotations': []});
+    }
+    if( fact_p ){
+	data['facts'].push({'subject': 'gomodel:o/mf',
+			    'object': 'gomodel:o/gp',
+			    'property': 'RO:0002333', 'annotations': []});
+    }
+    return data;
+}
+
+// A promise that stays its own kind through then() and catch(), with
+// a done(), as the deferred promises of the real engines are.
+function deferred(p){
+    return {
+	'then': function(ok, fail){ return deferred(p.then(ok, fail)); },
+	'catch': function(fail){ return deferred(p.then(null, fail)); },
+	'done': function(ok, fail){ p.then(ok, fail); }
+    };
+}
+
+// A manager with optimistic edits on, and a list of the events it
+// fires.
+function setup(mode, fact_p){
+    var engine = new memory_engine(barista_response);
+    engine.load_model(model(true, fact_p));
+    var start = engine.start;
+    engine.start = function(url, payload, method){
+	return deferred(start.call(this, url, payload, method));
+    };
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, mode);
+    manager.use_optimistic_edits(true);
+
+    var events = [];
+    us.each(['pending', 'confirmed', 'reverted'], function(name){
+	manager.register(name, function(evt){
+	    events.push({'name': name, 'event': evt});
+	});
+    });
+
+    return {'engine': engine, 'manager': manager, 'events': events};
+}
+
+///
+/// Start unit testing.
+///
+
+describe('optimistic edits', function(){
+
+    it('shows edits right away and confirms them (async)', function(done){
+
+	var env = setup('async');
+	var m = env.manager;
+	m.get_model('gomodel:o').then(function(){
+
+	    var p = m.add_fact('gomodel:o', 'gomodel:o/mf', 'gomodel:o/gp',
+			       'RO:0002333');
+
+	    // Before any response.
+	    var graph = m.cached_model('gomodel:o');
+	    assert.ok(graph.get_edge('gomodel:o/mf', 'gomodel:o/gp',
+				     'RO:0002333'), 'edge shown');
+	    assert.equal(env.events.length, 1, 'pending');
+	    var pend = env.events[0]['event'];
+	    assert.isString(pend['correlation_id'], 'correlation id');
+	    assert.deepEqual(pend['facts'],
+			     ['gomodel:o/mf gomodel:o/gp RO:0002333'],
+			     'touched fact');
+	    assert.lengthOf(m.pending_edits('gomodel:o'), 1, 'listed');
+	    assert.isFunction(p.done, 'the engine\'s kind of promise');
+
+	    return p.then(function(resp){
+		assert.equal(resp.message_type(), 'success', 'response');
+		assert.equal(env.events[1]['name'], 'confirmed', 'confirmed');
+		assert.equal(env.events[1]['event']['correlation_id'],
+			     pend['correlation_id'], 'same id');
+		assert.lengthOf(m.pending_edits(), 0, 'no longer pending');
+		assert.ok(m.cached_model('gomodel:o').get_edge(
+		    'gomodel:o/mf', 'gomodel:o/gp', 'RO:0002333'), 'kept');
+		done();
+	    });
+	}).catch(done);
+    });
+
+    it('reverts edits the server refuses (sync)', function(){
+
+	var env = setup('sync');
+	var m = env.manager;
+	m.get_model('gomodel:o');
+	m.add_individual_annotation('gomodel:o', 'gomodel:o/mf',
+				    'comment', 'first');
+
+	// Somebody else removes the gene product behind our back.
+	env.engine.load_model(model(false, false));
+
+	var errors = [];
+	m.register('error', function(resp){ errors.push(resp); });
+
+	var resp = m.add_fact('gomodel:o', 'gomodel:o/mf', 'gomodel:o/gp',
+			      'RO:0002333');
+	assert.equal(resp.message_type(), 'error', 'refused');
+	assert.equal(errors.length, 1, 'error path ran');
+
+	var names = us.pluck(env.events, 'name');
+	assert.deepEqual(names, ['pending', 'confirmed', 'pending',
+				 'reverted'], 'events');
+	assert.equal(env.events[3]['event']['response'], resp, 'response');
+	assert.notOk(m.cached_model('gomodel:o').get_edge(
+	    'gomodel:o/mf', 'gomodel:o/gp', 'RO:0002333'), 'edge gone');
+	assert.equal(m.cached_model('gomodel:o').get_node('gomodel:o/mf')
+		     .get_annotations_by_key('comment').length, 1,
+		     'earlier confirmed edit untouched');
+    });
+
+    it('puts removed individuals back', function(){
+
+	var env = setup('sync', true);
+	var m = env.manager;
+	m.get_model('gomodel:o');
+
+	// Break the request on the way out.
+	var real_fetch = env.engine.fetch;
+	env.engine.fetch = function(url, payload){
+	    return real_fetch.call(env.engine, url + '/nowhere', payload);
+	};
+
+	var seen = null;
+	m.register('pending', function(){
+	    seen = m.cached_model('gomodel:o').get_node('gomodel:o/gp');
+	});
+	m.remove_individual('gomodel:o', 'gomodel:o/gp');
+	assert.notOk(seen, 'gone while pending');
+
+	var graph = m.cached_model('gomodel:o');
+	assert.equal(us.last(env.events)['name'], 'reverted', 'reverted');
+	assert.ok(graph.get_node('gomodel:o/gp'), 'node back');
+	assert.ok(graph.get_edge('gomodel:o/mf', 'gomodel:o/gp',
+				 'RO:0002333'), 'edge back');
+    });
+});
@@ -0,0 +1,161 @@
+////
+//// Applying patches (and diffs) to models, against the in-memory
+//// engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var patch = require('../lib/patch');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+function setup(){
+    var engine = new memory_engine(barista_response);
+    engine.load_model({
+	'id': 'gomodel:a',
+	'annotations': [{'key': 'title', 'value': 'a model'}],
+	'individuals': [
+	    {'id': 'gomodel:a/mf', 'type': cls('GO:0003674'),
+	     'annotations': []},
+	    {'id': 'gomodel:a/gp', 'type': cls('UniProtKB:P1'),
+	     'annotations': []},
+	    {'id': 'gomodel:a/cc', 'type': cls('GO:0005634'),
+	     'annotations': []},
+	    {'id': 'gomodel:a/ev', 'type': cls('ECO:0000314'),
+	     'annotations': [{'key': 'source', 'value': 'PMID:1'}]}
+	],
+	'facts': [
+	    {'subject': 'gomodel:a/mf', 'object': 'gomodel:a/gp',
+	     'property': 'RO:0002333',
+	     'annotations': [{'key': 'evidence', 'value': 'gomodel:a/ev'}]},
+	    {'subject': 'gomodel:a/mf', 'object': 'gomodel:a/cc',
+	     'property': 'BFO:0000066', 'annotations': []}
+	]
+    });
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, 'async');
+    return {'engine': engine, 'manager': manager};
+}
+
+///
+/// Start unit testing.
+///
+
+describe('apply_patch', function(){
+
+    it('applies a patch in one request', function(done){
+
+	var env = setup();
+	var ops = [
+	    {'op': 'add', 'entity': 'individual', 'id': 'bp',
+	     'types': ['GO:0008150'],
+	     'annotations': [{'key': 'comment', 'value': 'new'}]},
+	    {'op': 'add', 'entity': 'fact',
+	     'triple': ['gomodel:a/mf', 'bp', 'BFO:0000050'],
+	     'evidence': [{'type': 'ECO:0000315', 'sources': ['PMID:2'],
+			   'with': []}]},
+	    {'op': 'remove', 'entity': 'individual', 'id': 'gomodel:a/cc'},
+	    {'op': 'remove', 'entity': 'fact',
+	     'triple': ['gomodel:a/mf', 'gomodel:a/cc', 'BFO:0000066']},
+	    {'op': 'remove', 'entity': 'type', 'individual': 'gomodel:a/mf',
+	     'type': 'GO:0003674'},
+	    {'op': 'add', 'entity': 'type', 'individual': 'gomodel:a/mf',
+	     'type': {'type': 'class', 'id': 'GO:0003824'}},
+	    {'op': 'remove', 'entity': 'annotation', 'target': {'model': true},
+	     'annotation': {'key': 'title', 'value': 'a model'}}
+	];
+
+	env.manager.apply_patch('gomodel:a', ops).then(function(res){
+	    assert.equal(env.engine.calls().length, 2, 'get and one batch');
+
+	    var bp = res['individual_map']['bp'];
+	    assert.match(bp, /^gomodel:a\//, 'minted id');
+
+	    var data = env.engine.model_data('gomodel:a');
+	    var ids = us.pluck(data['individuals'], 'id');
+	    assert.include(ids, bp, 'added');
+	    assert.notInclude(ids, 'gomodel:a/cc', 'removed');
+	    var mf = us.findWhere(data['individuals'], {'id': 'gomodel:a/mf'});
+	    assert.deepEqual(us.pluck(mf['type'], 'id'), ['GO:0003824'],
+			     'retyped');
+	    var fact = us.findWhere(data['facts'], {'object': bp});
+	    assert.equal(fact['annotations'][0]['key'], 'evidence', 'evidence');
+	    assert.lengthOf(data['annotations'], 0, 'title gone');
+	    done();
+	}).catch(done);
+    });
+
+    it('rejects conflicting patches before sending', function(done){
+
+	var env = setup();
+	var ops = [
+	    {'op': 'remove', 'entity': 'individual', 'id': 'gomodel:a/nope'},
+	    {'op': 'remove', 'entity': 'type', 'individual': 'gomodel:a/mf',
+	     'type': 'GO:0008150'},
+	    {'op': 'remove', 'entity': 'evidence',
+	     'target': {'fact': ['gomodel:a/mf', 'gomodel:a/gp',
+				 'RO:0002333']},
+	     'evidence': {'type': 'ECO:0000314', 'sources': ['PMID:9'],
+			  'with': []}},
+	    {'op': 'add', 'entity': 'annotation',
+	     'target': {'individual': 'gomodel:a/nope2'},
+	     'annotation': {'key': 'comment', 'value': 'x'}}
+	];
+
+	env.manager.apply_patch('gomodel:a', ops).then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.lengthOf(err.conflicts, 4, 'all found');
+	    assert.match(err.message, /gomodel:a\/nope not in model/, 'reason');
+	    assert.equal(env.engine.calls().length, 1, 'only the get');
+	    done();
+	}).catch(done);
+    });
+
+    it('makes one model look like another from a diff', function(done){
+
+	var env = setup();
+	var m = env.manager;
+	var before = env.engine.model_data('gomodel:a');
+
+	// Edit a duplicate, then carry the edits back.
+	m.async_duplicate_model('gomodel:a', 'a model').then(function(res){
+	    var b = res['model_id'];
+	    var map = res['individual_map'];
+	    return m.batch(b)
+		.add_individual('GO:0008150', 'bp')
+		.add_fact(map['gomodel:a/mf'], 'bp', 'BFO:0000050')
+		.remove_evidence(map['gomodel:a/ev'])
+		.add_fact_evidence(map['gomodel:a/mf'], map['gomodel:a/gp'],
+				   'RO:0002333', 'ECO:0000315', ['PMID:2'])
+		.remove_individual(map['gomodel:a/cc'])
+		.add_model_annotation('comment', 'edited')
+		.commit().then(function(){ return b; });
+	}).then(function(b){
+	    var after = env.engine.model_data(b);
+	    var d = m.diff_models(before, after, {'ignore_keys': ['id']});
+	    assert.isFalse(d['equal_p'], 'edited');
+	    var ops = patch.from_diff(d);
+	    return m.apply_patch('gomodel:a', ops).then(function(){
+		var now = env.engine.model_data('gomodel:a');
+		var d2 = m.diff_models(now, after, {'ignore_keys': ['id']});
+		assert.isTrue(d2['equal_p'], d2['text']);
+		done();
+	    });
+	}).catch(done);
+    });
+});
@@ -0,0 +1,118 @@
+////
+//// Promise mode, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var errors = require('../lib/errors');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+function setup(){
+    var engine = new memory_engine(barista_response);
+    engine.load_model({
+	'id': 'gomodel:p',
+	'individuals': [{'id': 'gomodel:p/mf', 'type': cls('GO:0003674')}],
+	'facts': []
+    });
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, 'promise');
+    return {'engine': engine, 'manager': manager};
+}
+
+///
+/// Start unit testing.
+///
+
+describe('promise mode', function(){
+
+    it('resolves to the response and still runs callbacks', function(done){
+
+	var s = setup();
+	var seen = [];
+	s.manager.register('rebuild', function(){ seen.push('rebuild'); });
+	s.manager.register('merge', function(){ seen.push('merge'); });
+
+	var got = s.manager.get_model('gomodel:p');
+	assert.instanceOf(got, Promise, 'native promise');
+	got.then(function(resp){
+	    assert.equal(resp.message_type(), 'success', 'success');
+	    assert.deepEqual(seen, ['rebuild'], 'rebuild');
+	    return s.manager.add_simple_composite('gomodel:p', 'GO:0005634');
+	}).then(function(resp){
+	    assert.equal(resp.message_type(), 'success', 'added');
+	    assert.deepEqual(seen, ['rebuild', 'merge'], 'merge');
+	    done();
+	}).catch(done);
+    });
+
+    it('rejects with a Barista error on an error response', function(done){
+
+	var s = setup();
+	var errs = [];
+	s.manager.register('error', function(resp){ errs.push(resp); });
+
+	s.manager.get_model('gomodel:nope').then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.instanceOf(err, errors.barista_error, 'barista');
+	    assert.instanceOf(err, errors.minerva_error, 'base');
+	    assert.instanceOf(err, Error, 'an error');
+	    assert.equal(err.name, 'OperationError', 'name');
+	    assert.equal(err.response.message_type(), 'error', 'response');
+	    assert.lengthOf(errs, 1, 'callback ran too');
+	    done();
+	}).catch(done);
+    });
+
+    it('rejects with a transport error when the engine fails', function(done){
+
+	var s = setup();
+	var failed = 0;
+	s.manager.register('manager_error', function(){ failed++; });
+	s.engine.start = function(){
+	    var resp = new barista_response(null);
+	    resp.okay(false);
+	    resp.message('connection refused');
+	    resp.message_type('error');
+	    s.engine.apply_callbacks('error', [resp, s.engine]);
+	    return Promise.resolve(resp);
+	};
+
+	s.manager.get_meta().then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.instanceOf(err, errors.transport_error, 'transport');
+	    assert.notInstanceOf(err, errors.barista_error, 'not barista');
+	    assert.equal(err.message, 'connection refused', 'message');
+	    assert.equal(failed, 1, 'manager_error ran too');
+	    done();
+	}).catch(done);
+    });
+
+    it('rejects refused calls rather than throwing', function(done){
+
+	var s = setup();
+	var got = s.manager.add_individual_evidence('gomodel:p', 'gomodel:p/mf',
+						    'not-eco', 'PMID:1');
+	assert.instanceOf(got, Promise, 'native promise');
+	got.then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.equal(err.name, 'EvidenceError', 'evidence');
+	    done();
+	}).catch(done);
+    });
+});
@@ -0,0 +1,192 @@
+////
+//// Lining up calls on a model, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+// A manager on an engine that answers each call after the next of
+// the given delays (or at once), and a log of what the engine ran,
+// and when.
+function setup(delays, mode){
+    var engine = new memory_engine(barista_response);
+    us.each(['gomodel:a', 'gomodel:b'], function(mid){
+	engine.load_model({
+	    'id': mid,
+	    'individuals': [
+		{'id': mid + '/mf', 'type': cls('GO:0003674')},
+		{'id': mid + '/bp', 'type': cls('GO:0008150')}
+	    ],
+	    'facts': []
+	});
+    });
+
+    var log = [];
+    var calls = 0;
+    engine.start = function(url, payload, method){
+	var wait = delays[calls++] || 0;
+	var reqs = JSON.parse(payload['requests']);
+	log.push({'at': 'start', 'requests': reqs});
+	var self = this;
+	return new Promise(function(resolve){
+	    setTimeout(function(){
+		log.push({'at': 'end', 'requests': reqs});
+		resolve(self._run(url, payload, method));
+	    }, wait);
+	});
+    };
+
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, mode || 'promise');
+    return {'manager': manager, 'engine': engine, 'log': log};
+}
+
+// "at entity operation" for each entry of a log.
+function steps(log){
+    return us.map(log, function(entry){
+	return entry['at'] + ' ' + us.map(entry['requests'], function(r){
+	    return r['entity'] + ' ' + r['operation'];
+	}).join(', ');
+    });
+}
+
+///
+/// Start unit testing.
+///
+
+describe('per-model queues', function(){
+
+    it('keep a change from overtaking an earlier one', function(done){
+
+	var s = setup([30, 0]);
+	var m = s.manager;
+	var first = m.add_fact('gomodel:a', 'gomodel:a/mf', 'gomodel:a/bp',
+			       'BFO:0000050');
+	var second = m.remove_individual('gomodel:a', 'gomodel:a/bp');
+	assert.equal(m.queue_depth('gomodel:a'), 2, 'both in line');
+
+	Promise.all([first, second]).then(function(resps){
+	    assert.deepEqual(steps(s.log), [
+		'start edge add',
+		'end edge add',
+		'start individual remove',
+		'end individual remove'
+	    ], 'in order');
+	    assert.isTrue(resps[0].okay(), 'fact added');
+	    assert.isTrue(resps[1].okay(), 'individual removed');
+	    assert.equal(m.queue_depth('gomodel:a'), 0, 'empty');
+	    assert.deepEqual(m.queue_depth(), {}, 'no lines left');
+	    done();
+	}).catch(done);
+    });
+
+    it('let different models go side by side', function(done){
+
+	var s = setup([30, 0]);
+	var m = s.manager;
+	var first = m.remove_individual('gomodel:a', 'gomodel:a/bp');
+	var second = m.remove_individual('gomodel:b', 'gomodel:b/bp');
+	assert.deepEqual(m.queue_depth(), {'gomodel:a': 1, 'gomodel:b': 1},
+			 'one each');
+
+	Promise.all([first, second]).then(function(){
+	    assert.deepEqual(us.pluck(s.log, 'at'),
+			     ['start', 'start', 'end', 'end'], 'overlapped');
+	    done();
+	}).catch(done);
+    });
+
+    it('let queries wait only for changes', function(done){
+
+	var s = setup([30, 0, 0]);
+	var m = s.manager;
+	var first = m.get_model('gomodel:a');
+	var second = m.get_model('gomodel:a');
+	var third = m.remove_individual('gomodel:a', 'gomodel:a/bp');
+
+	Promise.all([first, second, third]).then(function(){
+	    assert.deepEqual(steps(s.log), [
+		'start model get',
+		'start model get',
+		'end model get',
+		'end model get',
+		'start individual remove',
+		'end individual remove'
+	    ], 'queries together, the change after');
+	    done();
+	}).catch(done);
+    });
+
+    it('keep the "async" promises as they are, waiting or not', function(done){
+
+	var s = setup([30, 0], 'async');
+	var m = s.manager;
+	var first = m.add_fact('gomodel:a', 'gomodel:a/mf', 'gomodel:a/bp',
+			       'BFO:0000050');
+	var second = m.remove_individual('gomodel:a', 'gomodel:a/bp');
+	assert.isFunction(first.fail, 'first');
+	assert.isFunction(second.fail, 'waiting');
+	assert.isFunction(second.done, 'waiting');
+
+	second.then(function(resp){
+	    assert.isTrue(resp.okay(), 'answered');
+	    done();
+	}).fail(done);
+    });
+
+    it('do not apply in "sync" mode', function(){
+
+	var s = setup([], 'sync');
+	var resp = s.manager.remove_individual('gomodel:a', 'gomodel:a/bp');
+	assert.isTrue(resp.okay(), 'answered');
+	assert.deepEqual(s.manager.queue_depth(), {}, 'no lines');
+    });
+
+    it('can send waiting changes together', function(done){
+
+	var s = setup([30, 0]);
+	var m = s.manager;
+	var answers = 0;
+	m.register('merge', function(){ answers++; });
+	m.register('rebuild', function(){ answers++; });
+	assert.isFalse(m.use_coalescing(), 'off by default');
+	assert.isTrue(m.use_coalescing(true), 'on');
+
+	var first = m.get_model('gomodel:a');
+	var second = m.remove_individual('gomodel:a', 'gomodel:a/bp');
+	var third = m.remove_individual('gomodel:a', 'gomodel:a/mf');
+	assert.equal(m.queue_depth('gomodel:a'), 3, 'all in line');
+
+	Promise.all([first, second, third]).then(function(resps){
+	    assert.deepEqual(steps(s.log), [
+		'start model get',
+		'end model get',
+		'start individual remove, individual remove',
+		'end individual remove, individual remove'
+	    ], 'one batch for both changes');
+	    assert.strictEqual(resps[1], resps[2], 'same answer');
+	    assert.equal(answers, 2, 'callbacks once for the batch');
+	    assert.equal(m.queue_depth('gomodel:a'), 0, 'empty');
+	    return new Promise(function(resolve){ setTimeout(resolve, 10); });
+	}).then(function(){
+	    assert.lengthOf(s.log, 4, 'nothing sent again');
+	    done();
+	}).catch(done);
+    });
+});
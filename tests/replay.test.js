@@ -0,0 +1,149 @@
+////
+//// Recording and replaying traffic, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var replay = require('../lib/replay');
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+function memory(){
+    var engine = new memory_engine(barista_response);
+    engine.load_model({
+	'id': 'gomodel:r',
+	'individuals': [{'id': 'gomodel:r/mf', 'type': cls('GO:0003674')}],
+	'facts': []
+    });
+    return engine;
+}
+
+// A short session: look, add something, look again.
+function session(manager, class_id){
+    return manager.get_model('gomodel:r').then(function(){
+	return manager.add_simple_composite('gomodel:r', class_id);
+    }).then(function(){
+	return manager.get_model('gomodel:r');
+    });
+}
+
+///
+/// Start unit testing.
+///
+
+describe('request normalizing', function(){
+
+    it('redacts tokens and numbers generated ids', function(){
+
+	var id1 = '0b9ad3c4-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+	var id2 = 'ffffffff-1111-4222-8333-444444444444';
+	var got = replay.normalize('http://barista.example:3400/api/x/m3Batch', {
+	    'token': 'secret',
+	    'intention': 'action',
+	    'requests': JSON.stringify([
+		{'entity': 'individual', 'operation': 'add',
+		 'arguments': {'assign-to-variable': id1,
+			       'individual-iri': 'gomodel:r/' + id2}},
+		{'entity': 'edge', 'operation': 'add',
+		 'arguments': {'subject': id1, 'object': id2}}
+	    ])
+	});
+	assert.deepEqual(got, {
+	    'resource': '/api/x/m3Batch',
+	    'payload': {
+		'intention': 'action',
+		'requests': [
+		    {'arguments': {'assign-to-variable': '<id:1>',
+				   'individual-iri': 'gomodel:r/<id:2>'},
+		     'entity': 'individual', 'operation': 'add'},
+		    {'arguments': {'object': '<id:2>', 'subject': '<id:1>'},
+		     'entity': 'edge', 'operation': 'add'}
+		],
+		'token': '<redacted>'
+	    }
+	}, 'normalized');
+    });
+});
+
+describe('record and replay', function(){
+
+    var file = path.join(os.tmpdir(), 'bbop-manager-minerva-replay-' +
+			 process.pid + '.json');
+    after(function(){
+	if( fs.existsSync(file) ){ fs.unlinkSync(file); }
+    });
+
+    it('replays a recorded session', function(done){
+
+	var recorder = new replay.recording_engine(memory());
+	var recorded = new minerva_manager(barista_location, barista_profile,
+					   'token-a', recorder, 'async');
+	var first = null;
+	session(recorded, 'GO:0005634').then(function(resp){
+	    first = resp;
+	    assert.lengthOf(recorder.entries(), 3, 'recorded');
+	    recorder.save(file);
+
+	    // Another run, another token, other request variables.
+	    var player = new replay.replay_engine(file, barista_response);
+	    var replayed = new minerva_manager(barista_location,
+					       barista_profile,
+					       'token-b', player, 'async');
+	    var signals = [];
+	    replayed.register('rebuild', function(){ signals.push('rebuild'); });
+	    replayed.register('merge', function(){ signals.push('merge'); });
+	    return session(replayed, 'GO:0005634').then(function(resp){
+		assert.deepEqual(resp.raw(), first.raw(), 'same answer');
+		assert.lengthOf(resp.individuals(), 2, 'after the add');
+		assert.deepEqual(signals, ['rebuild', 'merge', 'rebuild'],
+				 'callbacks');
+		assert.deepEqual(player.unused(), [], 'all used');
+	    });
+	}).then(function(){ done(); }).catch(done);
+    });
+
+    it('fails loudly on anything not recorded', function(done){
+
+	var recorder = new replay.recording_engine(memory());
+	var recorded = new minerva_manager(barista_location, barista_profile,
+					   'token', recorder, 'sync');
+	recorded.get_model('gomodel:r');
+	recorded.add_simple_composite('gomodel:r', 'GO:0005634');
+
+	var player = new replay.replay_engine(recorder.fixture(),
+					      barista_response);
+	var replayed = new minerva_manager(barista_location, barista_profile,
+					   'token', player, 'async');
+	replayed.add_simple_composite('gomodel:r', 'GO:0005739').then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.equal(err.name, 'ReplayError', 'name');
+	    assert.equal(err.candidate, 1, 'closest');
+	    assert.lengthOf(err.differences, 1, 'one difference');
+	    assert.match(err.differences[0]['path'], /expressions\.0\.id$/,
+			 'where');
+	    assert.include(err.message, 'closest recorded candidate is entry 1',
+			   'says so');
+	    assert.include(err.message, 'got "GO:0005739", recorded ' +
+			   '"GO:0005634"', 'and how');
+	    done();
+	}).catch(done);
+    });
+});
@@ -0,0 +1,225 @@
+////
+//// Retrying transient failures, against the in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var errors = require('../lib/errors');
+var retry = require('../lib/retry');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+// A manager (in "promise" mode, or the mode given) on an engine whose
+// first "failures" calls do not get through, with quick retries, and
+// a list of the events it fires.
+function setup(failures, mode){
+    var engine = new memory_engine(barista_response);
+    engine.load_model({
+	'id': 'gomodel:t',
+	'individuals': [{'id': 'gomodel:t/mf', 'type': cls('GO:0003674')}],
+	'facts': []
+    });
+    var tries = 0;
+    function hiccup(){
+	tries++;
+	if( tries > failures ){ return null; }
+	var resp = new barista_response(null);
+	resp.okay(false);
+	resp.message('proxy hiccup');
+	resp.message_type('error');
+	return resp;
+    }
+    var start = engine.start;
+    engine.start = function(url, payload, method){
+	var resp = hiccup();
+	if( resp ){ return Promise.resolve(resp); }
+	return start.call(this, url, payload, method);
+    };
+    var fetch = engine.fetch;
+    engine.fetch = function(url, payload, method){
+	return hiccup() || fetch.call(this, url, payload, method);
+    };
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, mode || 'promise');
+    manager.retry_policy({'base_delay': 1, 'jitter': 0});
+
+    var events = [];
+    us.each(['retry', 'manager_error', 'rebuild', 'merge'], function(name){
+	manager.register(name, function(evt){
+	    events.push({'name': name, 'event': evt});
+	});
+    });
+    return {
+	'manager': manager,
+	'events': events,
+	'tries': function(){ return tries; }
+    };
+}
+
+function names(events){ return us.pluck(events, 'name'); }
+
+///
+/// Start unit testing.
+///
+
+describe('retry policies', function(){
+
+    it('back off exponentially, with jitter, up to a limit', function(){
+
+	var pol = retry.policy({'base_delay': 100, 'max_delay': 350});
+	function half(){ return 0.5; }
+	assert.equal(retry.delay(pol, 1, half), 75, 'first');
+	assert.equal(retry.delay(pol, 2, half), 150, 'second');
+	assert.equal(retry.delay(pol, 3, half), 263, 'capped');
+	assert.equal(retry.delay(retry.policy({'jitter': 0}), 2), 500,
+		     'no jitter');
+	assert.throws(function(){
+	    retry.policy({'mutations': 'sometimes'});
+	}, /unknown retry mutations/);
+    });
+
+    it('sort calls by how safe they are to repeat', function(){
+
+	function reqs(){
+	    return us.map(arguments, function(pair){
+		var p = pair.split(' ');
+		return {'entity': p[0], 'operation': p[1]};
+	    });
+	}
+	var pol = retry.default_policy();
+	assert.isTrue(retry.eligible_p(pol, reqs('model get')), 'query');
+	assert.isTrue(retry.eligible_p(pol, reqs('model get-undo-redo',
+						  'meta get')), 'queries');
+	assert.isTrue(retry.eligible_p(pol, reqs('model store')), 'store');
+	assert.isTrue(retry.eligible_p(pol, reqs('edge add',
+						  'edge add-annotation')),
+		      'sets');
+	assert.isFalse(retry.eligible_p(pol, reqs('individual add',
+						   'edge add')), 'new things');
+	assert.isFalse(retry.eligible_p(pol, reqs('model undo')), 'undo');
+
+	var never = retry.policy({'mutations': 'never'});
+	assert.isTrue(retry.eligible_p(never, reqs('model get')), 'still');
+	assert.isFalse(retry.eligible_p(never, reqs('model store')), 'never');
+	var always = retry.policy({'mutations': 'always'});
+	assert.isTrue(retry.eligible_p(always, reqs('model undo')), 'always');
+	var off = retry.policy({'max_attempts': 1});
+	assert.isFalse(retry.eligible_p(off, reqs('model get')), 'off');
+    });
+});
+
+describe('retrying through the manager', function(){
+
+    it('retries queries until they get through', function(done){
+
+	var s = setup(2);
+	s.manager.get_model('gomodel:t').then(function(resp){
+	    assert.equal(resp.signal(), 'rebuild', 'got there');
+	    assert.equal(s.tries(), 3, 'three tries');
+	    assert.deepEqual(names(s.events), ['retry', 'retry', 'rebuild'],
+			     'no manager_error');
+	    var evt = s.events[1]['event'];
+	    assert.equal(evt['attempt'], 3, 'attempt');
+	    assert.equal(evt['max_attempts'], 3, 'of');
+	    assert.equal(evt['delay'], 2, 'backed off');
+	    assert.equal(evt['model_id'], 'gomodel:t', 'model');
+	    assert.instanceOf(evt['error'], errors.transport_error, 'why');
+	    done();
+	}).catch(done);
+    });
+
+    it('gives up after the last attempt', function(done){
+
+	var s = setup(5);
+	s.manager.get_meta().then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.instanceOf(err, errors.transport_error, 'rejected');
+	    assert.equal(s.tries(), 3, 'three tries');
+	    assert.deepEqual(names(s.events), ['retry', 'retry', 'manager_error'],
+			     'one manager_error');
+	    done();
+	}).catch(done);
+    });
+
+    it('retries changes only when safe', function(done){
+
+	var s = setup(1);
+	s.manager.add_simple_composite('gomodel:t', 'GO:0005634').then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.instanceOf(err, errors.transport_error, 'not retried');
+	    assert.deepEqual(names(s.events), ['manager_error'], 'once');
+
+	    var safe = setup(1);
+	    return safe.manager.add_model_annotation('gomodel:t', 'title',
+						     'again').then(function(){
+		assert.deepEqual(names(safe.events), ['retry', 'merge'],
+				 'annotations are a set');
+		done();
+	    });
+	}).catch(done);
+    });
+
+    it('retries in "sync" mode only when asked', function(){
+
+	var off = setup(1, 'sync');
+	off.manager.retry_policy(null);
+	assert.equal(off.manager.retry_policy()['max_attempts'], 1, 'off');
+	off.manager.get_model('gomodel:t');
+	assert.equal(off.tries(), 1, 'one try');
+	assert.deepEqual(names(off.events), ['manager_error'], 'no retry');
+
+	var s = setup(2, 'sync');
+	var resp = s.manager.get_model('gomodel:t');
+	assert.equal(resp.signal(), 'rebuild', 'got there');
+	assert.equal(s.tries(), 3, 'three tries');
+	assert.deepEqual(names(s.events), ['retry', 'retry', 'rebuild'],
+			 'no manager_error');
+
+	var change = setup(1, 'sync');
+	change.manager.add_simple_composite('gomodel:t', 'GO:0005634');
+	assert.deepEqual(names(change.events), ['manager_error'],
+			 'unsafe change not retried');
+    });
+
+    it('stop when a "sync" call runs out of time', function(){
+
+	var s = setup(5, 'sync');
+	s.manager.retry_policy({'base_delay': 20, 'jitter': 0});
+	assert.throws(function(){
+	    s.manager.get_meta({'timeout': 10});
+	}, errors.timeout_error);
+	assert.equal(s.tries(), 1, 'no more tries');
+	assert.deepEqual(names(s.events), ['retry'], 'only the retry');
+    });
+
+    it('can be told what is worth retrying', function(done){
+
+	var s = setup(1);
+	s.manager.retry_policy({'retryable': []});
+	assert.equal(s.manager.retry_policy()['base_delay'], 250, 'reset');
+	s.manager.get_model('gomodel:t').then(function(){
+	    done(new Error('should have failed'));
+	}, function(){
+	    assert.deepEqual(names(s.events), ['manager_error'], 'no retry');
+	    s.manager.retry_policy(false);
+	    assert.equal(s.manager.retry_policy()['max_attempts'], 1, 'off');
+	    done();
+	}).catch(done);
+    });
+});
@@ -0,0 +1,225 @@
+////
+//// Big calls: going by POST, and going in parts, against the
+//// in-memory engine.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var memory_engine = require('../lib/memory_engine');
+var wire = require('../lib/wire');
+
+var us = require('underscore');
+
+var barista_response = require('bbop-response-barista');
+
+///
+/// Helpers.
+///
+
+var barista_location = 'http://localhost:3400';
+var barista_profile = 'minerva_local';
+
+function cls(id){ return [{'type': 'class', 'id': id}]; }
+
+// A manager on an engine that remembers the method (given, or the
+// engine's own) and requests of each call, failing the call numbered
+// "fail_at" (from 1), if given.
+function setup(mode, fail_at){
+    var engine = new memory_engine(barista_response);
+    engine.load_model({
+	'id': 'gomodel:t',
+	'individuals': [{'id': 'gomodel:t/mf', 'type': cls('GO:0003674')}],
+	'facts': []
+    });
+
+    var calls = [];
+    function note(payload, method){
+	calls.push({'method': method || engine.method(),
+		    'requests': JSON.parse(payload['requests'])});
+	return calls.length === fail_at;
+    }
+    function failure(){
+	var resp = new barista_response(null);
+	resp.okay(false);
+	resp.message('request entity too large');
+	resp.message_type('error');
+	return resp;
+    }
+    var fetch = engine.fetch;
+    engine.fetch = function(url, payload, method){
+	if( note(payload, method) ){ return failure(); }
+	return fetch.call(this, url, payload, method);
+    };
+    var start = engine.start;
+    engine.start = function(url, payload, method){
+	if( note(payload, method) ){ return Promise.resolve(failure()); }
+	return start.call(this, url, payload, method);
+    };
+
+    var manager = new minerva_manager(barista_location, barista_profile,
+				      'token', engine, mode);
+    manager.retry_policy(false);
+    return {'manager': manager, 'engine': engine, 'calls': calls};
+}
+
+// A batch making "n" new individuals, each with a fact to the one
+// before it.
+function big_batch(manager, n){
+    var b = manager.batch('gomodel:t');
+    var prev = 'gomodel:t/mf';
+    us.each(us.range(n), function(i){
+	var label = 'bp' + i;
+	b.add_individual('GO:0008150', label);
+	b.add_fact(prev, label, 'BFO:0000050');
+	prev = label;
+    });
+    return b;
+}
+
+// The ops of a list of requests.
+function ops(requests){
+    return us.map(requests, function(r){
+	return r['entity'] + ' ' + r['operation'];
+    });
+}
+
+///
+/// Start unit testing.
+///
+
+describe('splitting payloads', function(){
+
+    it('measures payloads as they go on the wire', function(){
+
+	assert.equal(wire.size({'a': 'b c', 'd': ['e', 'f']}),
+		     'a=b%20c&d=e&d=f'.length, 'form encoded');
+    });
+
+    it('breaks big payloads into ordered parts', function(){
+
+	var s = setup('sync');
+	var rs = big_batch(s.manager, 20).request_set().structure();
+	var payload = {'token': 't', 'intention': 'action',
+		       'requests': JSON.stringify(rs['requests'])};
+
+	assert.deepEqual(wire.split(payload, 1000000), [payload],
+			 'fits already');
+
+	var parts = wire.split(payload, 1500);
+	assert.isAbove(parts.length, 1, 'parts');
+	var all = [];
+	us.each(parts, function(part){
+	    assert.isAtMost(wire.size(part), 1500, 'small enough');
+	    assert.equal(part['token'], 't', 'rest of the payload');
+	    all = all.concat(JSON.parse(part['requests']));
+	});
+	assert.deepEqual(all, rs['requests'], 'in order, as they were');
+
+	var tiny = wire.split(payload, 1);
+	assert.lengthOf(tiny, rs['requests'].length, 'one each at least');
+    });
+
+    it('leaves new models whole', function(){
+
+	var reqs = [
+	    {'entity': 'model', 'operation': 'add', 'arguments': {}},
+	    {'entity': 'individual', 'operation': 'add',
+	     'arguments': {'expressions': cls('GO:0008150')}}
+	];
+	var payload = {'requests': JSON.stringify(reqs)};
+	assert.deepEqual(wire.split(payload, 10), [payload],
+			 'one part');
+    });
+});
+
+describe('big calls through the manager', function(){
+
+    it('go by POST when they get big', function(){
+
+	var s = setup('sync');
+	var m = s.manager;
+	assert.equal(m.post_threshold(), 2000, 'default');
+	m.get_model('gomodel:t');
+	big_batch(m, 20).commit();
+	assert.deepEqual(us.pluck(s.calls, 'method'), ['GET', 'POST'],
+			 'switched');
+	assert.equal(s.engine.method(), 'GET', 'for that call only');
+
+	assert.isNull(m.post_threshold(false), 'off');
+	big_batch(m, 20).commit();
+	assert.equal(s.calls[2]['method'], 'GET', 'no switch');
+    });
+
+    it('go in parts when asked, in order', function(done){
+
+	var s = setup('promise');
+	var m = s.manager;
+	var rebuilds = 0;
+	m.register('rebuild', function(){ rebuilds++; });
+	m.register('merge', function(){ rebuilds++; });
+	assert.isNull(m.split_threshold(), 'off by default');
+	assert.equal(m.split_threshold(1500), 1500, 'on');
+
+	var b = big_batch(m, 20);
+	var sent = b.request_set().structure()['requests'];
+	b.commit().then(function(resp){
+	    assert.isAbove(s.calls.length, 1, 'in parts');
+	    var all = [];
+	    us.each(s.calls, function(c){ all = all.concat(c['requests']); });
+	    assert.deepEqual(ops(all), ops(sent), 'everything, in order');
+	    assert.notInclude(JSON.stringify(all), 'individual-iri',
+			      'no ids made up');
+	    assert.isAbove(us.size(us.filter(all, function(r){
+		return r['arguments']['assign-to-variable'];
+	    })), 1, 'variables in every part');
+	    assert.isTrue(resp.okay(), 'answered');
+	    assert.equal(rebuilds, 1, 'callbacks once');
+
+	    // The facts make one chain, from the old individual to the
+	    // last new one.
+	    var model = s.engine.model_data('gomodel:t');
+	    assert.lengthOf(model['individuals'], 21, 'all individuals');
+	    assert.lengthOf(model['facts'], 20, 'all facts');
+	    var next = us.indexBy(model['facts'], 'subject');
+	    var at = 'gomodel:t/mf';
+	    var steps = 0;
+	    while( next[at] ){
+		at = next[at]['object'];
+		steps++;
+	    }
+	    assert.equal(steps, 20, 'linked up in order');
+	    done();
+	}).catch(done);
+    });
+
+    it('stop at the first part that fails', function(done){
+
+	var s = setup('promise', 2);
+	var m = s.manager;
+	m.split_threshold(1500);
+	var errors = 0;
+	m.register('manager_error', function(){ errors++; });
+
+	big_batch(m, 20).commit().then(function(){
+	    done(new Error('should have failed'));
+	}, function(err){
+	    assert.equal(err.message, 'request entity too large', 'why');
+	    assert.lengthOf(s.calls, 2, 'no more parts sent');
+	    assert.equal(errors, 1, 'one error');
+	    done();
+	}).catch(done);
+    });
+
+    it('go in parts in "sync" mode too', function(){
+
+	var s = setup('sync');
+	s.manager.split_threshold(1500);
+	var resp = big_batch(s.manager, 20).commit();
+	assert.isTrue(resp.okay(), 'answered');
+	assert.isAbove(s.calls.length, 1, 'in parts');
+	assert.lengthOf(s.engine.model_data('gomodel:t')['facts'], 20,
+			'all facts');
+    });
+});
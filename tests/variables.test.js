@@ -0,0 +1,99 @@
+////
+//// Finding out what request variables became.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var variables = require('../lib/variables');
+
+///
+/// Helpers.
+///
+
+function cls(id){ return {'type': 'class', 'id': id}; }
+
+function add(v, type, values){
+    return {'entity': 'individual', 'operation': 'add',
+	    'arguments': {'model-id': 'gomodel:m', 'assign-to-variable': v,
+			  'expressions': [type], 'values': values || []}};
+}
+
+///
+/// Start unit testing.
+///
+
+describe('request variables', function(){
+
+    it('are matched to new individuals by type and annotation', function(){
+
+	var reqs = [
+	    add('a', cls('GO:1')),
+	    add('b', cls('GO:1'), [{'key': 'comment', 'value': 'second'}]),
+	    add('ev', cls('ECO:1')),
+	    {'entity': 'individual', 'operation': 'add-annotation',
+	     'arguments': {'model-id': 'gomodel:m', 'individual': 'a',
+			   'values': [{'key': 'evidence', 'value': 'ev'}]}},
+	    {'entity': 'edge', 'operation': 'add',
+	     'arguments': {'model-id': 'gomodel:m', 'subject': 'a',
+			   'object': 'gomodel:m/old', 'predicate': 'RO:1'}}
+	];
+	assert.deepEqual(variables.assigned(reqs), ['a', 'b', 'ev'], 'made');
+
+	var inds = [
+	    {'id': 'gomodel:m/old', 'type': [cls('GO:1')], 'annotations': []},
+	    {'id': 'gomodel:m/2', 'type': [cls('GO:1')],
+	     'annotations': [{'key': 'comment', 'value': 'second'}]},
+	    {'id': 'gomodel:m/3', 'type': [cls('ECO:1')], 'annotations': []},
+	    {'id': 'gomodel:m/1', 'type': [cls('GO:1')],
+	     'annotations': [{'key': 'evidence', 'value': 'gomodel:m/3'}]}
+	];
+	var bindings = variables.bind(reqs, inds);
+	assert.deepEqual(bindings, {'a': 'gomodel:m/1', 'b': 'gomodel:m/2',
+				    'ev': 'gomodel:m/3'}, 'placed');
+
+	var later = variables.substitute(reqs.slice(3), bindings);
+	assert.equal(later[0]['arguments']['individual'], 'gomodel:m/1', 'id');
+	assert.equal(later[0]['arguments']['values'][0]['value'],
+		     'gomodel:m/3', 'in values too');
+	assert.equal(reqs[3]['arguments']['individual'], 'a', 'left alone');
+    });
+
+    it('tell look-alikes apart by the facts between them', function(){
+
+	function edge(sub, obj){
+	    return {'entity': 'edge', 'operation': 'add',
+		    'arguments': {'model-id': 'gomodel:m', 'subject': sub,
+				  'object': obj, 'predicate': 'BFO:1'}};
+	}
+	var reqs = [add('x', cls('GO:1')), add('y', cls('GO:1')),
+		    add('z', cls('GO:1')),
+		    edge('gomodel:m/old', 'x'), edge('x', 'y')];
+	var inds = [
+	    {'id': 'gomodel:m/3', 'type': [cls('GO:1')]},
+	    {'id': 'gomodel:m/2', 'type': [cls('GO:1')]},
+	    {'id': 'gomodel:m/1', 'type': [cls('GO:1')]}
+	];
+	var facts = [
+	    {'subject': 'gomodel:m/old', 'object': 'gomodel:m/1',
+	     'property': 'BFO:1'},
+	    {'subject': 'gomodel:m/1', 'object': 'gomodel:m/2',
+	     'property': 'BFO:1'}
+	];
+	assert.deepEqual(variables.bind(reqs, inds, facts),
+			 {'x': 'gomodel:m/1', 'y': 'gomodel:m/2',
+			  'z': 'gomodel:m/3'}, 'by facts');
+    });
+
+    it('skip individuals known to exist', function(){
+
+	var reqs = [add('a', cls('GO:1'))];
+	var inds = [
+	    {'id': 'gomodel:m/old', 'type': [cls('GO:1')]},
+	    {'id': 'gomodel:m/new', 'type': [cls('GO:1')]}
+	];
+	assert.deepEqual(variables.bind(reqs, inds, null, ['gomodel:m/old']),
+			 {'a': 'gomodel:m/new'}, 'new one');
+	assert.deepEqual(variables.bind(reqs, []), {}, 'nothing to place');
+    });
+});
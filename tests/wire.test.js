@@ -0,0 +1,269 @@
+////
+//// What the groups look like on the wire, for each engine and
+//// strategy, and the HTTP status coming back, against a little echo
+//// server.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_manager = require('..');
+var wire = require('../lib/wire');
+var replay = require('../lib/replay');
+var errors = require('../lib/errors');
+
+var us = require('underscore');
+var querystring = require('querystring');
+var child_process = require('child_process');
+
+var barista_response = require('bbop-response-barista');
+var sync_engine = require('bbop-rest-manager').sync_request;
+var jquery_engine = require('bbop-rest-manager').jquery;
+var node_engine = require('bbop-rest-manager').node;
+
+///
+/// Helpers.
+///
+
+var barista_profile = 'minerva_local';
+var groups = ['http://purl.obolibrary.org/go/groups/A', 'GO_Central'];
+
+// A server, in a process of its own so that the sync engine can
+// block on it, that answers every call with a Barista response
+// carrying the method, URL, and body it got in the commentary; calls
+// under "/busy" get a 503 status.
+var echo_server = [
+    "var http = require('http');",
+    "var server = http.createServer(function(req, res){",
+    "    var body = '';",
+    "    req.on('data', function(chunk){ body += chunk; });",
+    "    req.on('end', function(){",
+    "        var code = req.url.indexOf('/busy') === 0 ? 503 : 200;",
+    "        res.writeHead(code, {'Content-Type': 'application/json',",
+    "                            'Access-Control-Allow-Origin': '*'});",
+    "        res.end(JSON.stringify({",
+    "            'message': 'ok', 'message-type': 'success',",
+    "            'signal': 'meta', 'intention': 'query', 'data': {},",
+    "            'commentary': JSON.stringify({'method': req.method,",
+    "                                          'url': req.url, 'body': body})",
+    "        }));",
+    "    });",
+    "});",
+    "server.listen(0, '127.0.0.1', function(){",
+    "    process.stdout.write(String(server.address().port) + '\\n');",
+    "});"
+].join('\n');
+
+// What the server saw, and the arguments in it.
+function seen(resp){
+    var got = JSON.parse(resp.commentary());
+    var query = got['url'].split('?')[1] || '';
+    got['raw'] = got['method'] === 'POST' ? got['body'] : query;
+    got['args'] = querystring.parse(got['raw']);
+    return got;
+}
+
+// A jQuery engine that can run in node.
+function jquery_in_node(){
+    var domino = require('domino');
+    var jq = require('jquery')(domino.createWindow());
+    var XMLHttpRequest = require('xmlhttprequest').XMLHttpRequest;
+    jq.support.cors = true;
+    jq.ajaxSettings.xhr = function(){ return new XMLHttpRequest(); };
+    var engine = new jquery_engine(barista_response);
+    engine.JQ = jq;
+    return engine;
+}
+
+var engines = {
+    'node': function(){ return new node_engine(barista_response); },
+    'sync': function(){ return new sync_engine(barista_response); },
+    'jquery': jquery_in_node,
+    'recorded jquery': function(){
+	return new replay.recording_engine(jquery_in_node());
+    }
+};
+
+// Get meta through an engine with a strategy, and optionally a
+// method set on the engine; the promise is for what the server saw.
+function call_with(location, name, strategy, method){
+    var mode = name === 'sync' ? 'sync' : 'promise';
+    var engine = engines[name]();
+    if( method ){ engine.method(method); }
+    var manager = new minerva_manager(location, barista_profile, 'token',
+				      engine, mode);
+    manager.use_groups(groups);
+    manager.wire_strategy(strategy);
+    return Promise.resolve(manager.get_meta()).then(seen);
+}
+
+///
+/// Start unit testing.
+///
+
+describe('wire encoding', function(){
+
+    it('writes lists for each strategy', function(){
+
+	var args = {'token': 't', 'provided-by': ['a', 'b'], 'empty': [],
+		    'none': null};
+
+	var rep = wire.encode(args);
+	assert.deepEqual(rep['payload'], {'token': 't',
+					  'provided-by': ['a', 'b']}, 'repeated');
+	assert.isNull(rep['method'], 'engine method');
+
+	var json = wire.encode(args, 'json');
+	assert.equal(json['payload']['provided-by'], '["a","b"]', 'json');
+	assert.isNull(json['method'], 'engine method');
+
+	var post = wire.encode(args, 'post');
+	assert.deepEqual(post['payload']['provided-by'], ['a', 'b'], 'post');
+	assert.equal(post['method'], 'POST', 'by POST');
+
+	assert.deepEqual(args['provided-by'], ['a', 'b'], 'left alone');
+	assert.throws(function(){ wire.encode(args, 'csv'); },
+		      /unknown wire strategy/);
+    });
+
+    it('reads lists back however they were written', function(){
+
+	assert.deepEqual(wire.decode(['a', 'b']), ['a', 'b'], 'list');
+	assert.deepEqual(wire.decode('["a","b"]'), ['a', 'b'], 'json');
+	assert.deepEqual(wire.decode('a'), ['a'], 'one');
+	assert.deepEqual(wire.decode('[oops'), ['[oops'], 'not json');
+	assert.deepEqual(wire.decode(undefined), [], 'none');
+    });
+
+    it('only makes jQuery engines traditional', function(){
+
+	var opts = null;
+	var jq = {'ajax': function(o){ opts = o; }, 'param': 'kept'};
+	var engine = wire.traditional({'JQ': jq});
+	engine.JQ.ajax({'type': 'POST'});
+	assert.deepEqual(opts, {'type': 'POST', 'traditional': true}, 'set');
+	assert.equal(engine.JQ.param, 'kept', 'rest of jQuery');
+	assert.strictEqual(wire.traditional(engine).JQ, engine.JQ, 'once');
+	assert.isUndefined(jq.traditional, 'jQuery itself untouched');
+	assert.deepEqual(wire.traditional({}), {}, 'not jQuery');
+
+	var inner = {'JQ': jq};
+	var outer = wire.traditional({'_engine': inner});
+	assert.isTrue(inner.JQ._traditional_p, 'wrapped engine too');
+	assert.isUndefined(outer.JQ, 'wrapper left as it was');
+    });
+
+    it('is settable on the manager', function(){
+
+	var manager = new minerva_manager('http://localhost:3400',
+					  barista_profile, 'token',
+					  engines['node'](), 'async');
+	assert.equal(manager.wire_strategy(), 'repeated', 'default');
+	assert.equal(manager.wire_strategy('post'), 'post', 'set');
+	assert.throws(function(){ manager.wire_strategy('csv'); },
+		      /unknown wire strategy/);
+	assert.equal(manager.wire_strategy(), 'post', 'unchanged');
+    });
+});
+
+describe('groups on the wire', function(){
+
+    var server = null;
+    var location = null;
+    before(function(done){
+	server = child_process.spawn(process.execPath, ['-e', echo_server]);
+	server.stdout.once('data', function(data){
+	    location = 'http://127.0.0.1:' + String(data).trim();
+	    done();
+	});
+    });
+    after(function(){
+	server.kill();
+    });
+
+    us.each(us.keys(engines), function(name){
+
+	it('as repeated parameters, with the ' + name + ' engine',
+	   function(done){
+	       this.timeout(10000);
+	       call_with(location, name, 'repeated').then(function(got){
+		   assert.equal(got['method'], 'GET', 'engine default');
+		   assert.match(got['url'],
+				/^\/api\/minerva_local\/m3BatchPrivileged\?/,
+				'resource');
+		   assert.include(got['raw'], 'provided-by=' +
+				  encodeURIComponent(groups[0]) +
+				  '&provided-by=' + groups[1], 'exact');
+		   assert.deepEqual(got['args']['provided-by'], groups, 'all');
+		   done();
+	       }).catch(done);
+	   });
+
+	it('as repeated parameters, with the ' + name + ' engine set to POST',
+	   function(done){
+	       this.timeout(10000);
+	       call_with(location, name, 'repeated', 'POST').then(function(got){
+		   assert.equal(got['method'], 'POST', 'engine method kept');
+		   assert.include(got['raw'], 'provided-by=' +
+				  encodeURIComponent(groups[0]) +
+				  '&provided-by=' + groups[1], 'exact');
+		   assert.notInclude(got['raw'], 'provided-by%5B%5D',
+				     'no brackets');
+		   assert.deepEqual(got['args']['provided-by'], groups, 'all');
+		   done();
+	       }).catch(done);
+	   });
+
+	it('as a JSON string, with the ' + name + ' engine', function(done){
+	    this.timeout(10000);
+	    call_with(location, name, 'json').then(function(got){
+		assert.equal(got['method'], 'GET', 'engine default');
+		assert.include(got['raw'], 'provided-by=' +
+			       encodeURIComponent(JSON.stringify(groups)),
+			       'exact');
+		assert.deepEqual(JSON.parse(got['args']['provided-by']),
+				 groups, 'all');
+		done();
+	    }).catch(done);
+	});
+
+	it('in a POST body, with the ' + name + ' engine', function(done){
+	    this.timeout(10000);
+	    call_with(location, name, 'post').then(function(got){
+		assert.equal(got['method'], 'POST', 'method');
+		assert.equal(got['url'], '/api/minerva_local/m3BatchPrivileged',
+			     'nothing in the URL');
+		assert.include(got['raw'], 'provided-by=' +
+			       encodeURIComponent(groups[0]) +
+			       '&provided-by=' + groups[1], 'exact');
+		assert.notInclude(got['raw'], 'provided-by%5B%5D', 'no brackets');
+		assert.deepEqual(got['args']['provided-by'], groups, 'all');
+		assert.equal(got['args']['token'], 'token', 'the rest');
+		done();
+	    }).catch(done);
+	});
+    });
+
+    us.each(['node', 'jquery', 'recorded jquery'], function(name){
+
+	it('keeps the HTTP status, with the ' + name + ' engine',
+	   function(done){
+	       this.timeout(10000);
+	       var manager = new minerva_manager(location + '/busy',
+						 barista_profile, 'token',
+						 engines[name](), 'promise');
+	       manager.retry_policy(false);
+	       manager.get_meta().then(function(){
+		   done(new Error('should have failed'));
+	       }, function(err){
+		   assert.instanceOf(err, errors.transport_error, 'class');
+		   assert.strictEqual(err.status, 503, 'status');
+		   return manager.get_meta().catch(function(err2){
+		       assert.strictEqual(err2.status, 503, 'again');
+		   });
+	       }).then(function(){
+		   done();
+	       }).catch(done);
+	   });
+    });
+});